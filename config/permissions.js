@@ -0,0 +1,39 @@
+// config/permissions.js
+
+// Every permission an admin route can require
+const PERMISSIONS = [
+  'questions:read',
+  'questions:write',
+  'questions:delete',
+  'categories:manage',
+  'responses:moderate',
+  'subscribers:read',
+  'subscribers:manage',
+  'analytics:read',
+  'settings:manage',
+  'admins:manage',
+  // Operational endpoints: reading logs and metrics is separate from
+  // triggering expensive jobs such as full metric recalculations
+  'system:read',
+  'system:trigger',
+  'audit:read'
+];
+
+// Permissions granted to each role
+const ROLES = {
+  superadmin: PERMISSIONS,
+  editor: ['questions:read', 'questions:write', 'categories:manage', 'analytics:read'],
+  moderator: ['questions:read', 'responses:moderate', 'analytics:read'],
+  analyst: ['questions:read', 'subscribers:read', 'analytics:read', 'system:read']
+};
+
+const getPermissionsForRole = (role) => ROLES[role] || [];
+
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getPermissionsForRole,
+  hasPermission
+};
@@ -0,0 +1,43 @@
+// config/ranking.js
+
+// Default weights for ranking questions. Admins can change them from the Settings
+// tab (stored as the 'ranking.weights' setting); these apply until they do.
+const DEFAULT_RANKING_WEIGHTS = {
+  // popularityScore = points / (age in hours + 2) ^ gravity
+  popularity: {
+    views: 1,
+    uniqueViews: 1.5,
+    responses: 5,
+    engagement: 0.5, // Per percentage point of views that turned into responses
+    featured: 10,    // Points added while a question is featured
+    gravity: 0.25    // Higher values let older questions fall away faster
+  },
+  // trendingScore = sum of each view and response's weight, halved every halfLifeHours
+  trending: {
+    views: 2,
+    responses: 10,
+    halfLifeHours: 24
+  }
+};
+
+// Accepted range for each weight
+const RANKING_WEIGHT_LIMITS = {
+  popularity: {
+    views: [0, 100],
+    uniqueViews: [0, 100],
+    responses: [0, 100],
+    engagement: [0, 100],
+    featured: [0, 10000],
+    gravity: [0, 3]
+  },
+  trending: {
+    views: [0, 100],
+    responses: [0, 100],
+    halfLifeHours: [1, 720]
+  }
+};
+
+module.exports = {
+  DEFAULT_RANKING_WEIGHTS,
+  RANKING_WEIGHT_LIMITS
+};
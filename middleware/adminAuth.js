@@ -0,0 +1,124 @@
+// middleware/adminAuth.js
+const Admin = require('../models/Admin');
+const Setting = require('../models/Setting');
+const authService = require('../services/authService');
+const { getPermissionsForRole } = require('../config/permissions');
+
+/**
+ * Build the access token check. When two-factor authentication is required site-wide,
+ * admins who haven't enrolled may only reach the routes that let them enroll.
+ */
+const authenticate = ({ allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized: Missing access token'
+    });
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      success: false,
+      error: expired ? 'Unauthorized: Access token expired' : 'Unauthorized: Invalid access token',
+      code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const admin = await Admin.findById(payload.sub).select('username name email role isActive twoFactor.enabled');
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Admin account is not active'
+      });
+    }
+
+    if (!allowPendingTwoFactor && !admin.twoFactor.enabled && await Setting.getValue('security.requireTwoFactor')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be set up before using the admin panel',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    req.admin = {
+      id: admin._id,
+      username: admin.username,
+      name: admin.name,
+      role: admin.role,
+      permissions: getPermissionsForRole(admin.role),
+      twoFactorEnabled: admin.twoFactor.enabled
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error verifying admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify admin'
+    });
+  }
+};
+
+/**
+ * Require a valid admin access token (`Authorization: Bearer <token>`).
+ * Sets `req.admin` to the authenticated admin; changes are recorded in the audit log by each route.
+ */
+const verifyAdmin = authenticate();
+
+// Same check, but still allowed while the admin has to enroll in two-factor authentication
+const verifyAdminPendingTwoFactor = authenticate({ allowPendingTwoFactor: true });
+
+/**
+ * Require every listed permission. Must run after `verifyAdmin`.
+ * @param {...string} permissions - Permissions from config/permissions.js
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !req.admin.permissions.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: `Forbidden: requires ${missing.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require a recent re-verification (`X-Step-Up-Token` from POST /api/admin/auth/step-up)
+ * before destructive actions. Must run after `verifyAdmin`.
+ */
+const requireStepUp = (req, res, next) => {
+  const token = req.headers['x-step-up-token'];
+
+  try {
+    if (token && authService.verifyStepUpToken(token).sub === req.admin.id.toString()) {
+      return next();
+    }
+  } catch (error) {
+    // Expired or invalid tokens fall through to the same response as a missing one
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Please confirm it\'s you before continuing',
+    code: 'STEP_UP_REQUIRED',
+    method: req.admin.twoFactorEnabled ? 'two_factor' : 'password'
+  });
+};
+
+module.exports = {
+  verifyAdmin,
+  verifyAdminPendingTwoFactor,
+  requirePermission,
+  requireStepUp
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { ROLES, getPermissionsForRole } = require('../config/permissions');
+
+const BACKUP_CODE_COUNT = 10;
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    required: false
+  }
+}, { _id: false });
+
+const backupCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    required: false
+  }
+}, { _id: false });
+
+const adminSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 50
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(ROLES),
+    default: 'editor'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    required: false
+  },
+  refreshTokens: [refreshTokenSchema],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      required: false
+    },
+    pendingSecret: {
+      type: String,
+      required: false // Held during enrollment until the first code is confirmed
+    },
+    lastUsedStep: {
+      type: Number,
+      default: 0 // Stops a code from being used twice
+    },
+    backupCodes: [backupCodeSchema],
+    enabledAt: {
+      type: Date,
+      required: false
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminSchema.index({ 'refreshTokens.tokenHash': 1 });
+
+// Update timestamp
+adminSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Method to hash and store a new password
+adminSchema.methods.setPassword = async function(password) {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  this.passwordHash = await bcrypt.hash(password, rounds);
+};
+
+// Method to check a password against the stored hash
+adminSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Helper to hash a backup code, ignoring case and the separating dash
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+// Method to replace the backup codes, returning the new codes in plain text once
+adminSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+  return codes;
+};
+
+// Method to count backup codes that have not been used
+adminSchema.methods.remainingBackupCodes = function() {
+  return (this.twoFactor.backupCodes || []).filter(code => !code.usedAt).length;
+};
+
+// Method to check an authenticator or backup code. Each code is consumed in an
+// atomic update so the same code can't be accepted twice.
+// Returns 'totp', 'backup' or null.
+adminSchema.methods.verifySecondFactor = async function(code) {
+  if (!this.twoFactor.enabled || !code) {
+    return null;
+  }
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.backupCodes': { $elemMatch: { codeHash: hashBackupCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1 ? 'backup' : null;
+};
+
+// Method to turn two-factor authentication off and forget its secrets
+adminSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = { enabled: false, lastUsedStep: 0, backupCodes: [] };
+};
+
+// Static method to find an active admin by username
+adminSchema.statics.findActiveByUsername = function(username) {
+  return this.findOne({ username: username.toLowerCase().trim(), isActive: true });
+};
+
+// Public shape used by the auth endpoints
+adminSchema.methods.toSafeJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    permissions: getPermissionsForRole(this.role),
+    isActive: this.isActive,
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
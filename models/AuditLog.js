@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: false
+    },
+    username: {
+      type: String,
+      required: true
+    }
+  },
+  action: {
+    type: String,
+    required: true // e.g. 'question.delete', 'subscriber.status'
+  },
+  entityType: {
+    type: String,
+    required: true // e.g. 'question', 'subscriber', 'settings'
+  },
+  entityId: {
+    type: String,
+    required: false
+  },
+  entityLabel: {
+    type: String,
+    required: false // Human readable name, kept in case the entity is deleted
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// Entries are append-only: block every way Mongoose can change or remove them
+const blockChanges = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], blockChanges);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return blockChanges(next);
+  }
+  next();
+});
+
+// Static method to copy selected fields of a document for a before/after snapshot
+auditLogSchema.statics.snapshot = function(doc, fields) {
+  if (!doc) {
+    return null;
+  }
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return fields.reduce((snapshot, field) => {
+    if (plain[field] !== undefined) {
+      snapshot[field] = plain[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// Actor for changes made by scheduled jobs rather than an admin request
+const SYSTEM_ACTOR = { username: 'system' };
+
+// Static method to record an admin action; pass a null request for scheduled jobs.
+// Failures are logged rather than thrown so an audit problem never undoes a
+// change that already happened.
+auditLogSchema.statics.record = async function(req, entry) {
+  const actor = entry.actor || (req ? req.admin : SYSTEM_ACTOR);
+
+  try {
+    return await this.create({
+      ...entry,
+      actor: { id: actor.id, username: actor.username },
+      entityId: entry.entityId ? String(entry.entityId) : undefined,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${entry.action}:`, error);
+    return null;
+  }
+};
+
+// Static method to build a query filter from viewer parameters
+auditLogSchema.statics.buildFilter = function({ actor, action, entityType, entityId, from, to } = {}) {
+  const filter = {};
+
+  if (actor) {
+    filter['actor.username'] = actor.toLowerCase().trim();
+  }
+  if (action) {
+    filter.action = action;
+  }
+  if (entityType) {
+    filter.entityType = entityType;
+  }
+  if (entityId) {
+    filter.entityId = entityId;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      filter.createdAt.$gte = new Date(from);
+    }
+    if (to) {
+      filter.createdAt.$lte = new Date(to);
+    }
+  }
+
+  return filter;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
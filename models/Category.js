@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const CACHE_TTL = 30 * 1000; // 30 seconds
+let cache = null;
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex value such as #6c5ce7'],
+    default: '#6c5ce7'
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: 'fas fa-question-circle' // Font Awesome classes
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ sortOrder: 1, name: 1 });
+
+// Update timestamp
+categorySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Every change goes through save or deleteOne, so drop the cache after either
+categorySchema.post('save', () => {
+  cache = null;
+});
+
+categorySchema.post('deleteOne', { document: true, query: false }, () => {
+  cache = null;
+});
+
+// Static method to list every category in display order. Question validation
+// calls this on each write, so results are cached for a short time.
+categorySchema.statics.getAll = async function() {
+  if (cache && Date.now() - cache.cachedAt < CACHE_TTL) {
+    return cache.categories;
+  }
+
+  const categories = await this.find({})
+    .sort({ sortOrder: 1, name: 1 })
+    .select('name slug description color icon sortOrder')
+    .lean();
+
+  cache = { categories, cachedAt: Date.now() };
+  return categories;
+};
+
+// Static method to find a category by slug from the cached list
+categorySchema.statics.findCachedBySlug = async function(slug) {
+  if (!slug) {
+    return null;
+  }
+
+  const categories = await this.getAll();
+  return categories.find(category => category.slug === String(slug).toLowerCase()) || null;
+};
+
+// Static method to check whether a slug names an existing category
+categorySchema.statics.isValid = async function(slug) {
+  return Boolean(await this.findCachedBySlug(slug));
+};
+
+// Static method to forget cached categories, e.g. after a bulk import
+categorySchema.statics.clearCache = function() {
+  cache = null;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Question = require('./Question');
+const Response = require('./Response');
+
+const COLLECTION_STATUSES = ['draft', 'published'];
+
+// Most dilemmas a single collection can hold
+const MAX_COLLECTION_QUESTIONS = 50;
+
+// Curated, ordered series of questions, e.g. "Trolley Problem Variants"
+const collectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: '' // Short summary shown on cards
+  },
+  coverText: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: '' // Introduction shown before the first question
+  },
+  questions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }],
+    default: [],
+    validate: {
+      validator: function(questions) {
+        const ids = questions.map(id => id.toString());
+        return ids.length <= MAX_COLLECTION_QUESTIONS && new Set(ids).size === ids.length;
+      },
+      message: `A collection holds up to ${MAX_COLLECTION_QUESTIONS} different questions`
+    }
+  },
+  status: {
+    type: String,
+    enum: COLLECTION_STATUSES,
+    default: 'draft'
+  },
+  createdBy: {
+    type: String,
+    required: false
+  },
+  updatedBy: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+collectionSchema.index({ status: 1, createdAt: -1 });
+collectionSchema.index({ questions: 1 });
+
+// Update timestamp
+collectionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static method to find a collection visitors may see
+collectionSchema.statics.findPublishedBySlug = function(slug) {
+  return this.findOne({ slug: String(slug).toLowerCase(), status: 'published' });
+};
+
+// Method to load the questions visitors can open (published or archived), in order
+collectionSchema.methods.getQuestions = async function() {
+  const questions = await Question.find({ _id: { $in: this.questions }, status: { $in: ['published', 'archived'] } });
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+  return this.questions
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+// Method to work out how far a visitor has got through the collection.
+// Progress comes from the visitor's own responses, so nothing extra is stored.
+// Questions that stopped taking responses before the visitor reached them are
+// skipped, otherwise the collection could never be finished.
+collectionSchema.methods.getProgress = async function(voter, policy = 'strict') {
+  const questions = await this.getQuestions();
+  const votes = await Response.findVotesByVoter(questions.map(question => question._id), voter, policy);
+
+  const items = questions.map((question, index) => {
+    const answered = votes.has(question._id.toString());
+    return {
+      id: question._id,
+      position: index + 1,
+      title: question.title,
+      category: question.category,
+      slug: question.slug,
+      questionType: question.questionType,
+      url: `/${question.category}/${question.slug}`,
+      answered,
+      skipped: !answered && !question.isOpenForResponses()
+    };
+  });
+  const answered = items.filter(item => item.answered).length;
+  const total = items.filter(item => !item.skipped).length;
+  const next = items.find(item => !item.answered && !item.skipped) || null;
+
+  return {
+    questions,
+    votes,
+    items,
+    answered,
+    total,
+    completed: answered > 0 && answered === total,
+    next: next ? { id: next.id, title: next.title, url: next.url } : null
+  };
+};
+
+// Method to compare a visitor's answers with everyone else's, question by question
+collectionSchema.methods.getSummary = async function(progress) {
+  const results = [];
+  for (const question of progress.questions) {
+    const vote = progress.votes.get(question._id.toString());
+    if (!vote) {
+      continue;
+    }
+
+    const comparison = await question.compareResponse(vote);
+    results.push({
+      id: question._id,
+      title: question.title,
+      url: `/${question.category}/${question.slug}`,
+      ...comparison
+    });
+  }
+
+  const comparable = results.filter(result => result.withMajority !== null);
+  return {
+    questions: results,
+    comparable: comparable.length,
+    withMajority: comparable.filter(result => result.withMajority).length
+  };
+};
+
+// Public shape used by the collection API
+collectionSchema.methods.toPublicJSON = function() {
+  return {
+    title: this.title,
+    slug: this.slug,
+    description: this.description,
+    coverText: this.coverText,
+    url: `/collections/${this.slug}`,
+    updatedAt: this.updatedAt
+  };
+};
+
+collectionSchema.statics.STATUSES = COLLECTION_STATUSES;
+collectionSchema.statics.MAX_QUESTIONS = MAX_COLLECTION_QUESTIONS;
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const Response = require('./Response');
+const View = require('./View');
+const QuestionAlias = require('./QuestionAlias');
+const QuestionRevision = require('./QuestionRevision');
+const VoteSnapshot = require('./VoteSnapshot');
+const Category = require('./Category');
+const softDelete = require('./plugins/softDelete');
+const rankingService = require('../services/rankingService');
+
+// draft and scheduled questions are only visible to admins; archived questions
+// can still be read but take no new responses
+const QUESTION_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Ranking questions ask respondents to order every choice. For them a choice's
+// votes count how often it was ranked first. Scale questions take a single point
+// on an agreement scale instead of choices.
+const QUESTION_TYPES = ['multiple_choice', 'paragraph', 'ranking', 'scale'];
+const CHOICE_QUESTION_TYPES = ['multiple_choice', 'ranking'];
+
+// Scale endpoints are whole numbers in this range, with 3 to 11 points
+const SCALE_LIMITS = { lowest: -10, highest: 10, minPoints: 3, maxPoints: 11 };
+
+// Longest chain of follow-up questions that path analytics will walk
+const MAX_FOLLOW_UP_DEPTH = 10;
+
+// Fewest votes before a question gets a controversy score; a 1-1 split says little
+const CONTROVERSY_MIN_VOTES = 10;
+
+// Fewest votes before results show percentages, and the z value for the 95%
+// confidence intervals around them
+const RESULTS_MIN_VOTES = 10;
+const CONFIDENCE_Z = 1.96;
+
+// Rolling windows kept in popularityMetrics, by field suffix
+const DAY = 24 * 60 * 60 * 1000;
+const METRIC_WINDOWS = { Last24h: DAY, Last7d: 7 * DAY, Last30d: 30 * DAY };
+
+// Helper to flip an $inc so a failed write can be taken back off the counters
+const negateIncrements = increments => Object.fromEntries(
+  Object.entries(increments).map(([field, amount]) => [field, -amount])
+);
 
 const choiceSchema = new mongoose.Schema({
   text: {
@@ -9,72 +50,36 @@ const choiceSchema = new mongoose.Schema({
   votes: {
     type: Number,
     default: 0
-  }
-});
-
-const responseSchema = new mongoose.Schema({
-  choice: {
-    type: String,
-    required: function () {
-      return this.parent().questionType === 'multiple_choice';
-    }
   },
-  explanation: {
-    type: String,
-    trim: true,
-    maxlength: 1000,
-    required: function () {
-      return this.parent().questionType === 'multiple_choice';
-    }
-  },
-  responseText: {
-    type: String,
-    trim: true,
-    maxlength: 2000,
-    required: function () {
-      return this.parent().questionType === 'paragraph';
-    }
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  ipAddress: {
-    type: String,
-    required: false // For tracking unique responses
-  },
-  userAgent: {
-    type: String,
-    required: false
+  followUp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: false // Question shown next to respondents who pick this choice
   }
 });
 
-const viewSchema = new mongoose.Schema({
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  ipAddress: {
-    type: String,
+const scaleSchema = new mongoose.Schema({
+  min: {
+    type: Number,
     required: true
   },
-  userAgent: {
-    type: String,
-    required: false
+  max: {
+    type: Number,
+    required: true
   },
-  sessionId: {
+  minLabel: {
     type: String,
-    required: false
+    trim: true,
+    maxlength: 50,
+    default: '' // e.g. "Never justified"
   },
-  referrer: {
+  maxLabel: {
     type: String,
-    required: false
+    trim: true,
+    maxlength: 50,
+    default: '' // e.g. "Always justified"
   }
-});
+}, { _id: false });
 
 const popularityMetricsSchema = new mongoose.Schema({
   totalViews: {
@@ -129,9 +134,17 @@ const popularityMetricsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  controversyScore: {
+    type: Number,
+    default: 0 // 0 when respondents agree, 100 when they are evenly split
+  },
   lastCalculated: {
     type: Date,
-    default: Date.now
+    default: Date.now // Last full rebuild from the stored views and responses
+  },
+  lastReconciled: {
+    type: Date,
+    required: false
   }
 });
 
@@ -152,14 +165,15 @@ const questionSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: [
-      'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-      'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-      'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-      'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-      'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-    ],
-    lowercase: true
+    lowercase: true,
+    validate: {
+      // Categories live in their own collection; only check when the category
+      // changes so vote counts can still be saved on older questions
+      validator: async function(value) {
+        return !this.isModified('category') || Category.isValid(value);
+      },
+      message: props => `"${props.value}" is not a known category`
+    }
   },
   questionText: {
     type: String,
@@ -169,32 +183,42 @@ const questionSchema = new mongoose.Schema({
   },
   questionType: {
     type: String,
-    enum: ['multiple_choice', 'paragraph'],
+    enum: QUESTION_TYPES,
     default: 'multiple_choice',
     required: true
   },
   choices: {
     type: [choiceSchema],
     default: function() {
-      return this.questionType === 'multiple_choice' ? [] : undefined;
+      return CHOICE_QUESTION_TYPES.includes(this.questionType) ? [] : undefined;
     },
     validate: {
       validator: function (choices) {
-        if (this.questionType === 'multiple_choice') {
+        if (CHOICE_QUESTION_TYPES.includes(this.questionType)) {
           return choices && choices.length >= 2 && choices.length <= 6;
         }
         return !choices || choices.length === 0;
       },
-      message: 'Multiple choice questions must have 2-6 choices, paragraph questions should have no choices'
+      message: 'Multiple choice and ranking questions must have 2-6 choices, paragraph and scale questions should have no choices'
     }
   },
-  responses: {
-    type: [responseSchema],
-    default: []
-  },
-  views: {
-    type: [viewSchema],
-    default: []
+  scale: {
+    type: scaleSchema,
+    required: function() {
+      return this.questionType === 'scale';
+    },
+    validate: {
+      validator: function (scale) {
+        if (this.questionType !== 'scale') {
+          return !scale;
+        }
+        const points = scale.max - scale.min + 1;
+        return Number.isInteger(scale.min) && Number.isInteger(scale.max) &&
+          scale.min >= SCALE_LIMITS.lowest && scale.max <= SCALE_LIMITS.highest &&
+          points >= SCALE_LIMITS.minPoints && points <= SCALE_LIMITS.maxPoints;
+      },
+      message: `Scale questions need whole-number endpoints between ${SCALE_LIMITS.lowest} and ${SCALE_LIMITS.highest} with ${SCALE_LIMITS.minPoints}-${SCALE_LIMITS.maxPoints} points; other questions have no scale`
+    }
   },
   popularityMetrics: {
     type: popularityMetricsSchema,
@@ -218,6 +242,43 @@ const questionSchema = new mongoose.Schema({
     type: Number, // in minutes
     default: 2
   },
+  createdBy: {
+    type: String,
+    required: false // Username of the admin who created the question
+  },
+  updatedBy: {
+    type: String,
+    required: false
+  },
+  lastContentEdit: {
+    editedAt: Date,
+    responseCount: Number // Responses collected before the edit
+  },
+  status: {
+    type: String,
+    enum: QUESTION_STATUSES,
+    default: 'published'
+  },
+  publishAt: {
+    type: Date,
+    required: false // When a scheduled question goes live
+  },
+  publishedAt: {
+    type: Date,
+    required: false // First time the question went live; subscribers are emailed then
+  },
+  archivedAt: {
+    type: Date,
+    required: false
+  },
+  closesAt: {
+    type: Date,
+    required: false // Optional voting deadline; results stay visible afterwards
+  },
+  closedAt: {
+    type: Date,
+    required: false // Set when an admin closes voting by hand
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -228,6 +289,9 @@ const questionSchema = new mongoose.Schema({
   }
 });
 
+// Deleted questions go to the trash and are hidden from every query
+questionSchema.plugin(softDelete);
+
 // Indexes for performance
 questionSchema.index({ category: 1, slug: 1 }, { unique: true });
 questionSchema.index({ questionType: 1 });
@@ -235,184 +299,1147 @@ questionSchema.index({ featured: 1, createdAt: -1 });
 questionSchema.index({ category: 1, questionType: 1 });
 questionSchema.index({ 'popularityMetrics.popularityScore': -1 });
 questionSchema.index({ 'popularityMetrics.trendingScore': -1 });
+questionSchema.index({ 'popularityMetrics.controversyScore': -1 });
 questionSchema.index({ category: 1, 'popularityMetrics.popularityScore': -1 });
 questionSchema.index({ createdAt: -1 });
 questionSchema.index({ tags: 1 });
+questionSchema.index({ status: 1, createdAt: -1 });
+questionSchema.index({ status: 1, publishAt: 1 });
 
 // Update timestamp
 questionSchema.pre('save', function (next) {
   this.updatedAt = new Date();
+  if (this.isNew && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = this.createdAt || new Date();
+  }
   next();
 });
 
 // Virtual fields
 questionSchema.virtual('totalVotes').get(function () {
-  if (this.questionType === 'multiple_choice' && this.choices && Array.isArray(this.choices)) {
+  if (CHOICE_QUESTION_TYPES.includes(this.questionType) && this.choices && Array.isArray(this.choices)) {
     return this.choices.reduce((total, choice) => total + (choice.votes || 0), 0);
   }
   return 0;
 });
 
 questionSchema.virtual('responseCount').get(function () {
-  return this.responses ? this.responses.length : 0;
+  return this.popularityMetrics ? this.popularityMetrics.totalResponses || 0 : 0;
 });
 
 questionSchema.virtual('viewCount').get(function () {
-  return this.views ? this.views.length : 0;
+  return this.popularityMetrics ? this.popularityMetrics.totalViews || 0 : 0;
 });
 
 // Method to record a view
-questionSchema.methods.recordView = function(ipAddress, userAgent = '', sessionId = '', referrer = '') {
-  if (!this.views) this.views = [];
-  
-  this.views.push({
+questionSchema.methods.recordView = async function(ipAddress, userAgent = '', sessionId = '', referrer = '') {
+  const increments = await this.getActivityIncrements('views');
+  const view = await View.create({
+    question: this._id,
     timestamp: new Date(),
     ipAddress,
     userAgent,
     sessionId,
     referrer
   });
-  
-  return this.save();
+
+  // Bump the counters without rewriting the question document
+  await this.constructor.updateOne({ _id: this._id }, { $inc: increments });
+  this.popularityMetrics.totalViews = (this.popularityMetrics.totalViews || 0) + 1;
+
+  return view;
+};
+
+// Method to build the $inc that counts one new view or response (kind 'views' or
+// 'responses') in the running total, every rolling window and both scores. Unique
+// counts are left to reconcileMetrics, since checking for an IP address's earlier
+// events races with concurrent requests from it. Events that age out of a window
+// are taken off again by reconcileMetrics too.
+questionSchema.methods.getActivityIncrements = async function(kind, now = new Date()) {
+  const weights = await rankingService.getWeights();
+  const { popularityScore, trendingScore } = rankingService.eventIncrements(kind, {
+    ageHours: rankingService.getAgeHours(this, now)
+  }, weights);
+
+  const label = kind === 'views' ? 'Views' : 'Responses';
+  const increments = {
+    [`popularityMetrics.total${label}`]: 1,
+    'popularityMetrics.popularityScore': popularityScore,
+    'popularityMetrics.trendingScore': trendingScore
+  };
+  Object.keys(METRIC_WINDOWS).forEach(window => {
+    increments[`popularityMetrics.${kind}${window}`] = 1;
+  });
+
+  return increments;
 };
 
-// Method to add response with tracking
-questionSchema.methods.addMultipleChoiceResponse = function (choiceText, explanation, ipAddress = '', userAgent = '') {
+// Method to add response with tracking. The vote is counted with a single atomic
+// update so concurrent submissions never overwrite each other; resolves to the
+// freshly updated question document.
+questionSchema.methods.addMultipleChoiceResponse = async function (choiceText, explanation, ipAddress = '', userAgent = '', voter = {}) {
   if (this.questionType !== 'multiple_choice') {
-    throw new Error('Cannot add multiple choice response to paragraph question');
+    throw new Error('Cannot add multiple choice response to a non-multiple choice question');
   }
 
-  if (!this.responses) this.responses = [];
+  const increments = await this.getActivityIncrements('responses');
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'choices.text': choiceText },
+    {
+      $inc: {
+        'choices.$.votes': 1,
+        ...increments
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error(`Choice not found: ${choiceText}`);
+  }
+
+  try {
+    await Response.create({
+      question: this._id,
+      questionType: this.questionType,
+      choice: choiceText,
+      explanation: explanation,
+      timestamp: new Date(),
+      createdAt: new Date(),
+      ipAddress,
+      userAgent,
+      voterId: voter.voterId,
+      fingerprint: voter.fingerprint
+    });
+  } catch (error) {
+    // Undo the vote so tallies stay in line with stored responses
+    await this.constructor.updateOne(
+      { _id: this._id, 'choices.text': choiceText },
+      {
+        $inc: {
+          'choices.$.votes': -1,
+          ...negateIncrements(increments)
+        }
+      }
+    );
+    throw error;
+  }
+
+  return updated;
+};
+
+// Method to summarise multiple choice votes with a 95% Wilson score interval per
+// choice. The leader counts as ahead when its lead over the runner-up is
+// significant; both shares come from the same respondents, so the test uses the
+// variance of their difference rather than comparing the two intervals.
+questionSchema.methods.getChoiceResults = function() {
+  const choices = this.choices || [];
+  const totalVotes = choices.reduce((sum, choice) => sum + (choice.votes || 0), 0);
+  const round = number => Math.round(number * 1000) / 10;
+  const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+
+  const results = choices.map(choice => {
+    const votes = choice.votes || 0;
+    if (totalVotes === 0) {
+      return { text: choice.text, votes, percentage: 0, lower: 0, upper: 0 };
+    }
+
+    const share = votes / totalVotes;
+    const center = (share + z2 / (2 * totalVotes)) / (1 + z2 / totalVotes);
+    const margin = CONFIDENCE_Z * Math.sqrt(share * (1 - share) / totalVotes + z2 / (4 * totalVotes * totalVotes)) /
+      (1 + z2 / totalVotes);
 
-  this.responses.push({
-    choice: choiceText,
-    explanation: explanation,
+    return {
+      text: choice.text,
+      votes,
+      percentage: round(share),
+      lower: round(Math.max(0, center - margin)),
+      upper: round(Math.min(1, center + margin))
+    };
+  });
+
+  const [first, second] = [...results].sort((a, b) => b.votes - a.votes);
+  let leaderAhead = false;
+  if (first && totalVotes >= RESULTS_MIN_VOTES) {
+    const firstShare = first.votes / totalVotes;
+    const secondShare = second ? second.votes / totalVotes : 0;
+    const difference = firstShare - secondShare;
+    const variance = (firstShare + secondShare - difference * difference) / totalVotes;
+    leaderAhead = difference > 0 && (variance === 0 || difference / Math.sqrt(variance) > CONFIDENCE_Z);
+  }
+
+  let status = leaderAhead ? 'leader' : 'too_close';
+  if (totalVotes < RESULTS_MIN_VOTES) {
+    status = 'not_enough_responses';
+  }
+
+  return {
+    totalVotes,
+    confidenceLevel: 95,
+    minimumVotes: RESULTS_MIN_VOTES,
+    choices: results,
+    leader: leaderAhead ? first.text : null,
+    leaderAhead,
+    status
+  };
+};
+
+// Method to add a ranking response. The first-placed choice's vote is counted
+// atomically like a multiple choice vote; Borda points and pairwise preferences
+// are aggregated from the stored rankings by getRankingResults.
+questionSchema.methods.addRankingResponse = async function (ranking, explanation = '', ipAddress = '', userAgent = '', voter = {}) {
+  if (this.questionType !== 'ranking') {
+    throw new Error('Cannot add ranking response to a non-ranking question');
+  }
+  if (!this.isCompleteRanking(ranking)) {
+    throw new Error('Ranking must list every choice exactly once');
+  }
+
+  const increments = await this.getActivityIncrements('responses');
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'choices.text': ranking[0] },
+    {
+      $inc: {
+        'choices.$.votes': 1,
+        ...increments
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error(`Choice not found: ${ranking[0]}`);
+  }
+
+  try {
+    await Response.create({
+      question: this._id,
+      questionType: this.questionType,
+      ranking,
+      explanation: explanation && explanation.trim() !== '' ? explanation : undefined,
+      timestamp: new Date(),
+      createdAt: new Date(),
+      ipAddress,
+      userAgent,
+      voterId: voter.voterId,
+      fingerprint: voter.fingerprint
+    });
+  } catch (error) {
+    // Undo the vote so tallies stay in line with stored responses
+    await this.constructor.updateOne(
+      { _id: this._id, 'choices.text': ranking[0] },
+      {
+        $inc: {
+          'choices.$.votes': -1,
+          ...negateIncrements(increments)
+        }
+      }
+    );
+    throw error;
+  }
+
+  return updated;
+};
+
+// Method to check that a ranking orders every current choice exactly once
+questionSchema.methods.isCompleteRanking = function(ranking) {
+  const texts = (this.choices || []).map(choice => choice.text);
+  return Array.isArray(ranking) &&
+    ranking.length === texts.length &&
+    new Set(ranking).size === ranking.length &&
+    ranking.every(text => texts.includes(text));
+};
+
+// Method to aggregate ranking responses. Borda count gives a choice n - 1 points
+// for first place down to 0 for last; pairwise[i][j] counts respondents who
+// ranked choice i above choice j.
+questionSchema.methods.getRankingResults = async function() {
+  const texts = (this.choices || []).map(choice => choice.text);
+  const indexOf = new Map(texts.map((text, index) => [text, index]));
+
+  const [result] = await Response.aggregate([
+    { $match: { question: this._id, questionType: 'ranking' } },
+    { $project: { ranking: 1, order: '$ranking', size: { $size: '$ranking' } } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        borda: [
+          { $unwind: { path: '$ranking', includeArrayIndex: 'position' } },
+          {
+            $group: {
+              _id: '$ranking',
+              points: { $sum: { $subtract: [{ $subtract: ['$size', 1] }, '$position'] } },
+              firstPlaceVotes: { $sum: { $cond: [{ $eq: ['$position', 0] }, 1, 0] } },
+              averagePosition: { $avg: '$position' }
+            }
+          }
+        ],
+        pairwise: [
+          { $unwind: { path: '$ranking', includeArrayIndex: 'winnerPosition' } },
+          { $unwind: { path: '$order', includeArrayIndex: 'loserPosition' } },
+          { $match: { $expr: { $lt: ['$winnerPosition', '$loserPosition'] } } },
+          { $group: { _id: { winner: '$ranking', loser: '$order' }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const totalRankings = result.total.length > 0 ? result.total[0].count : 0;
+  const bordaByText = new Map(result.borda.map(item => [item._id, item]));
+  const matrix = texts.map(() => texts.map(() => 0));
+
+  result.pairwise.forEach(({ _id, count }) => {
+    // Rankings that still name a choice removed since are skipped
+    if (indexOf.has(_id.winner) && indexOf.has(_id.loser)) {
+      matrix[indexOf.get(_id.winner)][indexOf.get(_id.loser)] = count;
+    }
+  });
+
+  const choices = texts.map(text => {
+    const borda = bordaByText.get(text);
+    return {
+      text,
+      points: borda ? borda.points : 0,
+      firstPlaceVotes: borda ? borda.firstPlaceVotes : 0,
+      averageRank: borda ? Math.round((borda.averagePosition + 1) * 100) / 100 : null
+    };
+  }).sort((a, b) => b.points - a.points);
+
+  return {
+    totalRankings,
+    maxPoints: totalRankings * Math.max(texts.length - 1, 0),
+    choices,
+    pairwise: { choices: texts, matrix }
+  };
+};
+
+// Method to check that a value is a point on this question's scale
+questionSchema.methods.isValidScaleValue = function(value) {
+  return Boolean(this.scale) && Number.isInteger(value) &&
+    value >= this.scale.min && value <= this.scale.max;
+};
+
+// Method to add a scale response; resolves to the updated question document
+questionSchema.methods.addScaleResponse = async function (value, explanation = '', ipAddress = '', userAgent = '', voter = {}) {
+  if (this.questionType !== 'scale') {
+    throw new Error('Cannot add scale response to a non-scale question');
+  }
+  if (!this.isValidScaleValue(value)) {
+    throw new Error(`Value must be a whole number from ${this.scale.min} to ${this.scale.max}`);
+  }
+
+  const responseData = {
+    question: this._id,
+    questionType: this.questionType,
+    value,
     timestamp: new Date(),
     createdAt: new Date(),
     ipAddress,
-    userAgent
+    userAgent,
+    voterId: voter.voterId,
+    fingerprint: voter.fingerprint
+  };
+
+  if (explanation && explanation.trim() !== '') {
+    responseData.explanation = explanation;
+  }
+
+  const increments = await this.getActivityIncrements('responses');
+  await Response.create(responseData);
+
+  return this.constructor.findOneAndUpdate({ _id: this._id }, { $inc: increments }, { new: true });
+};
+
+// Method to summarise scale responses as a histogram with mean, median and
+// (population) standard deviation. Values outside the current scale are skipped.
+questionSchema.methods.getScaleResults = async function() {
+  const { min, max } = this.scale;
+  const counts = await Response.aggregate([
+    { $match: { question: this._id, questionType: 'scale', value: { $gte: min, $lte: max } } },
+    { $group: { _id: '$value', count: { $sum: 1 } } }
+  ]);
+
+  const countByValue = new Map(counts.map(item => [item._id, item.count]));
+  const histogram = [];
+  for (let value = min; value <= max; value++) {
+    histogram.push({ value, count: countByValue.get(value) || 0 });
+  }
+
+  const total = histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+  const round = number => Math.round(number * 100) / 100;
+
+  histogram.forEach(bucket => {
+    bucket.percentage = total > 0 ? round(bucket.count / total * 100) : 0;
   });
 
-  if (this.choices && Array.isArray(this.choices)) {
-    const choice = this.choices.find(c => c.text === choiceText);
-    if (choice) {
-      choice.votes = (choice.votes || 0) + 1;
-    }
+  if (total === 0) {
+    return { totalResponses: 0, histogram, mean: null, median: null, standardDeviation: null };
   }
 
-  return this.save();
+  const mean = histogram.reduce((sum, bucket) => sum + bucket.value * bucket.count, 0) / total;
+  const variance = histogram.reduce((sum, bucket) => sum + bucket.count * (bucket.value - mean) ** 2, 0) / total;
+
+  // Value at a 0-based position in the sorted responses
+  const valueAt = position => {
+    let seen = 0;
+    return histogram.find(bucket => {
+      seen += bucket.count;
+      return seen > position;
+    }).value;
+  };
+  const median = total % 2 === 1
+    ? valueAt((total - 1) / 2)
+    : (valueAt(total / 2 - 1) + valueAt(total / 2)) / 2;
+
+  return {
+    totalResponses: total,
+    histogram,
+    mean: round(mean),
+    median,
+    standardDeviation: round(Math.sqrt(variance))
+  };
 };
 
-questionSchema.methods.addParagraphResponse = function (responseText, explanation = '', ipAddress = '', userAgent = '') {
-  if (this.questionType !== 'paragraph') {
-    throw new Error('Cannot add paragraph response to multiple choice question');
+// Method to gather the results a question page shows, under the key the page reads
+// them from. Paragraph questions have none.
+questionSchema.methods.getResultsData = async function() {
+  if (this.questionType === 'multiple_choice') {
+    return { results: this.getChoiceResults() };
   }
+  if (this.questionType === 'ranking') {
+    return { rankingResults: await this.getRankingResults() };
+  }
+  if (this.questionType === 'scale') {
+    return { scaleResults: await this.getScaleResults() };
+  }
+  return {};
+};
 
-  if (!this.responses) this.responses = [];
+// Method to add a paragraph response; resolves to the updated question document
+questionSchema.methods.addParagraphResponse = async function (responseText, explanation = '', ipAddress = '', userAgent = '', voter = {}) {
+  if (this.questionType !== 'paragraph') {
+    throw new Error('Cannot add paragraph response to a non-paragraph question');
+  }
 
   const responseData = {
+    question: this._id,
+    questionType: this.questionType,
     responseText: responseText,
     timestamp: new Date(),
     createdAt: new Date(),
     ipAddress,
-    userAgent
+    userAgent,
+    voterId: voter.voterId,
+    fingerprint: voter.fingerprint
   };
 
   if (explanation && explanation.trim() !== '') {
     responseData.explanation = explanation;
   }
 
-  this.responses.push(responseData);
+  const increments = await this.getActivityIncrements('responses');
+  await Response.create(responseData);
+
+  return this.constructor.findOneAndUpdate({ _id: this._id }, { $inc: increments }, { new: true });
+};
+
+// Method to replace an earlier response when revoting is allowed. The old and new
+// choice tallies move in one atomic update; resolves to the updated question document.
+questionSchema.methods.replaceResponse = async function (existingResponse, answer, voter = {}) {
+  const { choice, explanation, responseText, value } = answer;
+  let updated = this;
+
+  if (this.questionType === 'multiple_choice') {
+    if (!this.choices.some(c => c.text === choice)) {
+      throw new Error(`Choice not found: ${choice}`);
+    }
+
+    if (existingResponse.choice !== choice) {
+      updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { 'choices.$[previous].votes': -1, 'choices.$[next].votes': 1 } },
+        {
+          arrayFilters: [{ 'previous.text': existingResponse.choice }, { 'next.text': choice }],
+          new: true
+        }
+      );
+    }
+
+    existingResponse.choice = choice;
+    existingResponse.explanation = explanation;
+  } else if (this.questionType === 'ranking') {
+    const { ranking } = answer;
+    if (!this.isCompleteRanking(ranking)) {
+      throw new Error('Ranking must list every choice exactly once');
+    }
+
+    const previousFirst = existingResponse.ranking && existingResponse.ranking[0];
+    if (previousFirst !== ranking[0]) {
+      updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { 'choices.$[previous].votes': -1, 'choices.$[next].votes': 1 } },
+        {
+          arrayFilters: [{ 'previous.text': previousFirst }, { 'next.text': ranking[0] }],
+          new: true
+        }
+      );
+    }
+
+    existingResponse.ranking = ranking;
+    existingResponse.explanation = explanation && explanation.trim() !== '' ? explanation : undefined;
+  } else if (this.questionType === 'scale') {
+    if (!this.isValidScaleValue(value)) {
+      throw new Error(`Value must be a whole number from ${this.scale.min} to ${this.scale.max}`);
+    }
+
+    existingResponse.value = value;
+    existingResponse.explanation = explanation && explanation.trim() !== '' ? explanation : undefined;
+  } else {
+    existingResponse.responseText = responseText;
+    existingResponse.explanation = explanation && explanation.trim() !== '' ? explanation : undefined;
+  }
+
+  existingResponse.timestamp = new Date();
+  existingResponse.replacedAt = new Date();
+  existingResponse.voterId = voter.voterId || existingResponse.voterId;
+  existingResponse.fingerprint = voter.fingerprint || existingResponse.fingerprint;
+  await existingResponse.save();
+
+  return updated;
+};
+
+// Method to remove a single response and take its vote back off the tallies, the
+// rolling windows it falls in and the unique count if it was its IP address's last.
+// Resolves to false if the response was already gone.
+questionSchema.methods.removeResponse = async function (response, now = new Date()) {
+  const result = await Response.deleteOne({ _id: response._id, question: this._id });
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  const decrement = { 'popularityMetrics.totalResponses': -1 };
+  Object.entries(METRIC_WINDOWS).forEach(([window, length]) => {
+    if (response.timestamp >= new Date(now.getTime() - length)) {
+      decrement[`popularityMetrics.responses${window}`] = -1;
+    }
+  });
+  if (response.ipAddress && !(await Response.exists({ question: this._id, ipAddress: response.ipAddress }))) {
+    decrement['popularityMetrics.uniqueResponses'] = -1;
+  }
+  const votedChoice = this.questionType === 'ranking'
+    ? (response.ranking || [])[0]
+    : response.choice;
+
+  if (CHOICE_QUESTION_TYPES.includes(this.questionType) && votedChoice) {
+    const updated = await this.constructor.updateOne(
+      { _id: this._id, 'choices.text': votedChoice },
+      { $inc: { ...decrement, 'choices.$.votes': -1 } }
+    );
+    if (updated.matchedCount > 0) {
+      return true;
+    }
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: decrement });
+  return true;
+};
+
+// Method to look up the published follow-up question linked from each choice,
+// keyed by choice id. Drafts, archived and deleted follow-ups are left out.
+questionSchema.methods.getFollowUps = async function() {
+  const ids = (this.choices || []).map(choice => choice.followUp).filter(Boolean);
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const targets = await this.constructor.find(this.constructor.publishedFilter({ _id: { $in: ids } }))
+    .select('title slug category questionType');
+  const byId = new Map(targets.map(target => [target._id.toString(), target]));
+
+  return new Map((this.choices || [])
+    .filter(choice => choice.followUp && byId.has(choice.followUp.toString()))
+    .map(choice => {
+      const target = byId.get(choice.followUp.toString());
+      return [choice._id.toString(), {
+        id: target._id,
+        title: target.title,
+        questionType: target.questionType,
+        url: `/${target.category}/${target.slug}`
+      }];
+    }));
+};
+
+// Method to check whether linking a follow-up would lead back to this question
+questionSchema.methods.wouldCreateFollowUpLoop = async function(followUpId) {
+  const seen = new Set();
+  let frontier = [followUpId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(this._id.toString())) {
+      return true;
+    }
+    frontier.forEach(id => seen.add(id));
+
+    const next = await this.constructor.find({ _id: { $in: frontier } })
+      .setOptions({ withDeleted: true })
+      .select('choices.followUp');
+    frontier = next
+      .flatMap(question => (question.choices || []).map(choice => choice.followUp))
+      .filter(Boolean)
+      .map(id => id.toString())
+      .filter(id => !seen.has(id));
+  }
+
+  return false;
+};
+
+// Method to walk the chain of follow-ups from this question and count how many
+// respondents carried on at each step. Respondents are linked across questions by
+// their voter cookie, so responses without one are left out.
+questionSchema.methods.getFollowUpPaths = async function(voterIds = null, startCount = null, depth = 0) {
+  const match = { question: this._id, voterId: voterIds ? { $in: voterIds } : { $type: 'string' } };
+  const groups = this.questionType === 'multiple_choice'
+    ? await Response.aggregate([
+      { $match: match },
+      { $group: { _id: '$choice', voterIds: { $addToSet: '$voterId' } } }
+    ])
+    : [];
+  const respondents = this.questionType === 'multiple_choice'
+    ? groups.reduce((sum, group) => sum + group.voterIds.length, 0)
+    : await Response.countDocuments(match);
+  const start = startCount === null ? respondents : startCount;
+  const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 10 : 0);
+
+  const node = {
+    id: this._id,
+    title: this.title,
+    url: `/${this.category}/${this.slug}`,
+    respondents,
+    paths: []
+  };
+
+  if (depth >= MAX_FOLLOW_UP_DEPTH) {
+    return node;
+  }
+
+  const votersByChoice = new Map(groups.map(group => [group._id, group.voterIds]));
+  for (const choice of (this.choices || []).filter(c => c.followUp)) {
+    const chose = votersByChoice.get(choice.text) || [];
+    const followUp = await this.constructor.findById(choice.followUp).setOptions({ withDeleted: true });
+
+    const path = {
+      choice: choice.text,
+      chose: chose.length,
+      continued: 0,
+      continueRate: 0,
+      overallRate: 0,
+      followUp: null
+    };
+
+    if (followUp) {
+      const continued = await Response.find({ question: followUp._id, voterId: { $in: chose } }).distinct('voterId');
+      path.continued = continued.length;
+      path.continueRate = percent(continued.length, chose.length);
+      path.overallRate = percent(continued.length, start);
+      path.followUp = await followUp.getFollowUpPaths(continued, start, depth + 1);
+    }
+
+    node.paths.push(path);
+  }
+
+  return node;
+};
+
+// Method to compare one respondent's answer with everyone else's. agreement is the
+// share of respondents who gave the same answer (same first place for rankings);
+// withMajority is null for question types without a single most popular answer.
+questionSchema.methods.compareResponse = async function(response) {
+  const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 10 : 0);
+  const comparison = { questionType: this.questionType, yours: {}, community: {}, agreement: null, withMajority: null };
+
+  if (this.questionType === 'multiple_choice') {
+    const total = this.totalVotes;
+    const mostVotes = Math.max(0, ...this.choices.map(choice => choice.votes || 0));
+    const chosen = this.choices.find(choice => choice.text === response.choice);
+
+    comparison.yours = { choice: response.choice };
+    comparison.community = {
+      totalResponses: total,
+      choices: this.choices.map(choice => ({
+        text: choice.text,
+        votes: choice.votes || 0,
+        percentage: percent(choice.votes || 0, total)
+      }))
+    };
+    comparison.agreement = chosen ? percent(chosen.votes || 0, total) : 0;
+    comparison.withMajority = Boolean(chosen) && (chosen.votes || 0) === mostVotes;
+  } else if (this.questionType === 'ranking') {
+    const results = await this.getRankingResults();
+    const yourFirst = (response.ranking || [])[0];
+    const first = results.choices.find(choice => choice.text === yourFirst);
+
+    comparison.yours = { ranking: response.ranking };
+    comparison.community = {
+      totalResponses: results.totalRankings,
+      ranking: results.choices.map(choice => choice.text)
+    };
+    comparison.agreement = first ? percent(first.firstPlaceVotes, results.totalRankings) : 0;
+    comparison.withMajority = results.choices.length > 0 && results.choices[0].text === yourFirst;
+  } else if (this.questionType === 'scale') {
+    const results = await this.getScaleResults();
+    const countWhere = test => results.histogram
+      .filter(bucket => test(bucket.value))
+      .reduce((sum, bucket) => sum + bucket.count, 0);
+
+    comparison.yours = { value: response.value };
+    comparison.community = {
+      totalResponses: results.totalResponses,
+      mean: results.mean,
+      median: results.median,
+      lower: percent(countWhere(value => value < response.value), results.totalResponses),
+      higher: percent(countWhere(value => value > response.value), results.totalResponses)
+    };
+    comparison.agreement = percent(countWhere(value => value === response.value), results.totalResponses);
+  } else {
+    comparison.yours = { responseText: response.responseText };
+    comparison.community = { totalResponses: this.responseCount };
+  }
+
+  return comparison;
+};
+
+// Method to get when voting closed, or null while it is still open. A manual
+// close wins over the deadline.
+questionSchema.methods.getVotingClosedAt = function(now = new Date()) {
+  if (this.closedAt) {
+    return this.closedAt;
+  }
+  if (this.closesAt && this.closesAt <= now) {
+    return this.closesAt;
+  }
+  return null;
+};
+
+// Method to check whether the question takes new responses
+questionSchema.methods.isOpenForResponses = function() {
+  return this.status === 'published' && !this.getVotingClosedAt();
+};
+
+// Method to close voting now, or reopen it. Reopening also drops a deadline
+// that has already passed, otherwise the question would stay closed.
+questionSchema.methods.setVotingClosed = function(closed, now = new Date()) {
+  if (closed) {
+    this.closedAt = this.closedAt || now;
+  } else {
+    this.closedAt = undefined;
+    if (this.closesAt && this.closesAt <= now) {
+      this.closesAt = undefined;
+    }
+  }
   return this.save();
 };
 
-// Method to calculate popularity metrics
-questionSchema.methods.calculatePopularityMetrics = function() {
+// Method to move the question to a new status. Resolves to true when the
+// question went live for the first time, which is when subscribers are emailed.
+questionSchema.methods.setStatus = async function(status, { publishAt = null } = {}) {
+  const firstPublish = status === 'published' && !this.publishedAt;
+
+  this.status = status;
+  this.publishAt = status === 'scheduled' ? publishAt : undefined;
+  if (status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  this.archivedAt = status === 'archived' ? new Date() : undefined;
+
+  await this.save();
+  return firstPublish;
+};
+
+// Method to permanently delete a question along with its responses, views,
+// revisions, redirects and vote snapshots
+questionSchema.methods.purge = async function() {
+  await this.constructor.deleteOne({ _id: this._id });
+
+  const [responses, views] = await Promise.all([
+    Response.deleteMany({ question: this._id }),
+    View.deleteMany({ question: this._id }),
+    QuestionRevision.deleteMany({ question: this._id }),
+    QuestionAlias.deleteMany({ question: this._id }),
+    VoteSnapshot.deleteMany({ question: this._id })
+  ]);
+
+  return {
+    deletedResponses: responses.deletedCount,
+    deletedViews: views.deletedCount
+  };
+};
+
+// Method to work out how an edited choice list maps onto the stored choices.
+// Choices are matched by _id first, then by exact text, so a rename keeps its votes.
+questionSchema.methods.diffChoices = function(choices) {
+  const remaining = new Map((this.choices || []).map(c => [c._id.toString(), c]));
+  const kept = [];
+  const added = [];
+
+  choices.forEach(choice => {
+    let existing = choice._id ? remaining.get(choice._id.toString()) : null;
+    if (!existing) {
+      existing = [...remaining.values()].find(c => c.text === choice.text);
+    }
+
+    if (existing) {
+      remaining.delete(existing._id.toString());
+      kept.push({ existing, text: choice.text });
+    } else {
+      added.push(choice.text);
+    }
+  });
+
+  return { kept, added, removed: [...remaining.values()] };
+};
+
+// Method to apply a choice diff. Each change is its own atomic update so votes
+// cast while the edit is saved are not overwritten. Removing a choice deletes the
+// responses that picked it, so unless confirmRemoval is set this rejects, before
+// changing anything, when a removed choice has responses.
+questionSchema.methods.applyChoiceEdits = async function({ kept, added, removed }, { confirmRemoval = false } = {}) {
+  if (removed.length > 0 && !confirmRemoval) {
+    const responseCounts = await Response.countByChoice(this._id, removed.map(c => c.text));
+    if (responseCounts.size > 0) {
+      throw new Error(`Removing choices with responses requires confirmation: ${[...responseCounts.keys()].join(', ')}`);
+    }
+  }
+
+  const renamed = kept.filter(({ existing, text }) => existing.text !== text);
+
+  // Collect affected responses up front so swapped names don't merge
+  const renamedResponseIds = await Promise.all(renamed.map(({ existing }) =>
+    Response.find({ question: this._id, choice: existing.text }).distinct('_id')
+  ));
+
+  if (removed.length > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $pull: { choices: { _id: { $in: removed.map(c => c._id) } } } }
+    );
+    await Response.deleteMany({ question: this._id, choice: { $in: removed.map(c => c.text) } });
+  }
+
+  // Rankings name every choice, so rename them all in one pass; renaming one at a
+  // time would merge two choices that swap names
+  if (this.questionType === 'ranking' && renamed.length > 0) {
+    await Response.updateMany(
+      { question: this._id, ranking: { $in: renamed.map(({ existing }) => existing.text) } },
+      [{
+        $set: {
+          ranking: {
+            $map: {
+              input: '$ranking',
+              in: {
+                $switch: {
+                  branches: renamed.map(({ existing, text }) => ({
+                    case: { $eq: ['$$this', existing.text] },
+                    then: { $literal: text }
+                  })),
+                  default: '$$this'
+                }
+              }
+            }
+          }
+        }
+      }]
+    );
+  }
+
+  for (let i = 0; i < renamed.length; i++) {
+    const { existing, text } = renamed[i];
+    await this.constructor.updateOne(
+      { _id: this._id, 'choices._id': existing._id },
+      { $set: { 'choices.$.text': text } }
+    );
+    await Response.updateMany(
+      { _id: { $in: renamedResponseIds[i] } },
+      { $set: { choice: text } }
+    );
+  }
+
+  if (added.length > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $push: { choices: { $each: added.map(text => ({ text, votes: 0 })) } } }
+    );
+  }
+
+  return { renamed: renamed.length, added: added.length, removed: removed.length };
+};
+
+// Method to score how evenly respondents are split, from 0 (everyone agrees) to 100.
+// Choice questions use the normalized entropy of their votes (first-place votes for
+// ranking questions). Scale questions compare the spread of ratings with the widest
+// possible one, half at each end. Paragraph questions have nothing to split.
+questionSchema.methods.calculateControversyScore = async function() {
+  if (CHOICE_QUESTION_TYPES.includes(this.questionType)) {
+    const counts = (this.choices || []).map(choice => choice.votes || 0);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (counts.length < 2 || total < CONTROVERSY_MIN_VOTES) {
+      return 0;
+    }
+
+    const entropy = counts
+      .filter(count => count > 0)
+      .reduce((sum, count) => sum - (count / total) * Math.log(count / total), 0);
+    return entropy / Math.log(counts.length) * 100;
+  }
+
+  if (this.questionType === 'scale') {
+    const results = await this.getScaleResults();
+    if (results.totalResponses < CONTROVERSY_MIN_VOTES) {
+      return 0;
+    }
+
+    const widestSpread = (this.scale.max - this.scale.min) / 2;
+    return Math.min(100, results.standardDeviation / widestSpread * 100);
+  }
+
+  return 0;
+};
+
+// Method to work out the engagement rate, scores and controversy score from the
+// stored views and responses. Only those fields are set: votes and views $inc the
+// counters meanwhile, and reconcileMetrics keeps them right. A rebuild passes
+// recount to also reset the counters from the stored events.
+questionSchema.methods.calculatePopularityMetrics = async function({ recount = false } = {}) {
   const now = new Date();
-  const day = 24 * 60 * 60 * 1000;
-  const week = 7 * day;
-  const month = 30 * day;
-
-  // Count views in different time periods
-  const viewsLast24h = this.views.filter(view => 
-    now - new Date(view.timestamp) <= day
-  ).length;
-  
-  const viewsLast7d = this.views.filter(view => 
-    now - new Date(view.timestamp) <= week
-  ).length;
-  
-  const viewsLast30d = this.views.filter(view => 
-    now - new Date(view.timestamp) <= month
-  ).length;
-
-  // Count responses in different time periods
-  const responsesLast24h = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= day
-  ).length;
-  
-  const responsesLast7d = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= week
-  ).length;
-  
-  const responsesLast30d = this.responses.filter(response => 
-    now - new Date(response.timestamp) <= month
-  ).length;
+  const since = (period) => new Date(now.getTime() - period);
 
-  // Calculate unique views (based on IP address)
-  const uniqueViewIPs = new Set(this.views.map(view => view.ipAddress));
-  const uniqueResponseIPs = new Set(this.responses.map(response => response.ipAddress));
+  const [totalViews, uniqueViews, totalResponses] = await Promise.all([
+    View.countForQuestion(this._id),
+    // Unique views are based on IP address
+    View.countUniqueIPs(this._id),
+    Response.countForQuestion(this._id)
+  ]);
 
   // Calculate engagement rate (responses/views ratio)
-  const engagementRate = this.views.length > 0 ? 
-    (this.responses.length / this.views.length) * 100 : 0;
+  const engagementRate = totalViews > 0 ?
+    (totalResponses / totalViews) * 100 : 0;
 
-  // Calculate popularity score (weighted algorithm)
-  const ageInDays = (now - this.createdAt) / day;
-  const ageFactor = Math.max(0.1, 1 / (1 + ageInDays * 0.1)); // Newer questions get slight boost
-  
-  const popularityScore = (
-    (viewsLast7d * 2) +           // Recent views weight more
-    (responsesLast7d * 5) +       // Responses weight much more
-    (uniqueViewIPs.size * 1.5) +  // Unique engagement
-    (engagementRate * 0.5) +      // Engagement quality
-    (this.featured ? 10 : 0)      // Featured boost
-  ) * ageFactor;
-
-  // Calculate trending score (recent activity focus)
-  const trendingScore = (
-    (viewsLast24h * 5) +
-    (responsesLast24h * 10) +
-    (viewsLast7d * 2) +
-    (responsesLast7d * 4)
-  );
+  // Popularity and trending scores come from the ranking service so every list
+  // ranks questions with the same, admin-configurable weights
+  const weights = await rankingService.getWeights();
+  const activity = await rankingService.getDecayedActivity([this._id], weights.trending.halfLifeHours, now);
+  const { popularityScore, trendingScore } = rankingService.score({
+    totalViews,
+    uniqueViews,
+    totalResponses,
+    engagementRate,
+    featured: this.featured,
+    ageHours: rankingService.getAgeHours(this, now),
+    ...activity.get(this._id.toString())
+  }, weights);
+
+  const controversyScore = await this.calculateControversyScore();
 
-  // Update metrics
-  this.popularityMetrics = {
-    totalViews: this.views.length,
-    uniqueViews: uniqueViewIPs.size,
-    totalResponses: this.responses.length,
-    uniqueResponses: uniqueResponseIPs.size,
-    viewsLast24h,
-    viewsLast7d,
-    viewsLast30d,
-    responsesLast24h,
-    responsesLast7d,
-    responsesLast30d,
-    popularityScore: Math.round(popularityScore * 100) / 100,
-    trendingScore: Math.round(trendingScore * 100) / 100,
+  const metrics = {
+    popularityScore,
+    trendingScore,
     engagementRate: Math.round(engagementRate * 100) / 100,
+    controversyScore: Math.round(controversyScore * 100) / 100,
     lastCalculated: now
   };
 
-  return this.save();
+  if (recount) {
+    const windows = Object.keys(METRIC_WINDOWS);
+    const [uniqueResponses, viewWindows, responseWindows] = await Promise.all([
+      Response.countUniqueIPs(this._id),
+      Promise.all(windows.map(window => View.countForQuestion(this._id, since(METRIC_WINDOWS[window])))),
+      Promise.all(windows.map(window => Response.countForQuestion(this._id, since(METRIC_WINDOWS[window]))))
+    ]);
+
+    Object.assign(metrics, { totalViews, uniqueViews, totalResponses, uniqueResponses });
+    windows.forEach((window, index) => {
+      metrics[`views${window}`] = viewWindows[index];
+      metrics[`responses${window}`] = responseWindows[index];
+    });
+  }
+
+  // Each field is set on its own so counters bumped since they were read survive
+  const update = {};
+  Object.entries(metrics).forEach(([field, value]) => {
+    this.popularityMetrics[field] = value;
+    update[`popularityMetrics.${field}`] = value;
+  });
+  await this.constructor.updateOne({ _id: this._id }, { $set: update });
+
+  return this;
 };
 
-// Static method to update all popularity metrics
-questionSchema.statics.updateAllPopularityMetrics = async function() {
-  const questions = await this.find({});
-  const promises = questions.map(question => question.calculatePopularityMetrics());
-  return Promise.all(promises);
+// Static method to rebuild the metrics of every matching question from the stored
+// views and responses. Questions are streamed one at a time so memory use stays
+// flat however many there are; resolves to the number rebuilt.
+questionSchema.statics.updateAllPopularityMetrics = async function(filter = {}, { batchSize = 50 } = {}) {
+  let processed = 0;
+
+  for await (const question of this.find(filter).cursor({ batchSize })) {
+    try {
+      await question.calculatePopularityMetrics({ recount: true });
+      processed++;
+    } catch (error) {
+      console.error(`Error calculating metrics for question ${question._id}:`, error);
+    }
+  }
+
+  return processed;
+};
+
+// Static method to correct the counters that getActivityIncrements keeps as views
+// and responses arrive. Window counts are recounted with one aggregation per
+// collection, which drops events that have aged out; unique counts are recounted for
+// questions with events since the last pass; the engagement rate, scores and
+// controversy are worked out again from them. Running totals are left alone; only a
+// full rebuild recounts those.
+questionSchema.statics.reconcileMetrics = async function(now = new Date()) {
+  const windowFields = Object.keys(METRIC_WINDOWS);
+  const countWindows = EventModel => EventModel.aggregate([
+    { $match: { timestamp: { $gte: new Date(now.getTime() - METRIC_WINDOWS.Last30d), $lte: now } } },
+    {
+      $group: {
+        _id: '$question',
+        latest: { $max: '$timestamp' },
+        ...Object.fromEntries(windowFields.map(window => [window, {
+          $sum: { $cond: [{ $gte: ['$timestamp', new Date(now.getTime() - METRIC_WINDOWS[window])] }, 1, 0] }
+        }]))
+      }
+    }
+  ]);
+
+  const weights = await rankingService.getWeights();
+  const [viewCounts, responseCounts, activity] = await Promise.all([
+    countWindows(View),
+    countWindows(Response),
+    rankingService.getDecayedActivity(null, weights.trending.halfLifeHours, now)
+  ]);
+  const viewsById = new Map(viewCounts.map(item => [String(item._id), item]));
+  const responsesById = new Map(responseCounts.map(item => [String(item._id), item]));
+
+  let operations = [];
+  let reconciled = 0;
+  const flush = async () => {
+    if (operations.length > 0) {
+      await this.bulkWrite(operations, { ordered: false });
+      reconciled += operations.length;
+      operations = [];
+    }
+  };
+
+  const cursor = this.find({})
+    .select('questionType choices scale featured publishedAt createdAt popularityMetrics')
+    .cursor({ batchSize: 200 });
+
+  for await (const question of cursor) {
+    const id = question._id.toString();
+    const metrics = question.popularityMetrics;
+    const views = viewsById.get(id) || {};
+    const responses = responsesById.get(id) || {};
+    const totalViews = metrics.totalViews || 0;
+    const engagementRate = totalViews > 0 ? (metrics.totalResponses || 0) / totalViews * 100 : 0;
+    const lastChecked = metrics.lastReconciled || metrics.lastCalculated;
+    const hasNew = events => Boolean(events.latest) && (!lastChecked || events.latest > lastChecked);
+
+    // Unique counts are only kept here, so they are recounted wherever anything new
+    // arrived and otherwise left for removeResponse to adjust
+    const uniqueViews = hasNew(views)
+      ? await View.countUniqueIPs(question._id)
+      : metrics.uniqueViews || 0;
+
+    const { popularityScore, trendingScore } = rankingService.score({
+      totalViews,
+      uniqueViews,
+      totalResponses: metrics.totalResponses || 0,
+      engagementRate,
+      featured: question.featured,
+      ageHours: rankingService.getAgeHours(question, now),
+      ...(activity.get(id) || { decayedViews: 0, decayedResponses: 0 })
+    }, weights);
+
+    const update = {
+      'popularityMetrics.popularityScore': popularityScore,
+      'popularityMetrics.trendingScore': trendingScore,
+      'popularityMetrics.engagementRate': Math.round(engagementRate * 100) / 100,
+      'popularityMetrics.lastReconciled': now
+    };
+    windowFields.forEach(window => {
+      update[`popularityMetrics.views${window}`] = views[window] || 0;
+      update[`popularityMetrics.responses${window}`] = responses[window] || 0;
+    });
+    if (hasNew(views)) {
+      update['popularityMetrics.uniqueViews'] = uniqueViews;
+    }
+    if (hasNew(responses)) {
+      update['popularityMetrics.uniqueResponses'] = await Response.countUniqueIPs(question._id);
+    }
+
+    // Scale questions need an aggregation to score, so only those answered since
+    // the last pass are rescored; the rest read their votes from the document
+    if (question.questionType !== 'scale' || hasNew(responses)) {
+      const controversyScore = await question.calculateControversyScore();
+      update['popularityMetrics.controversyScore'] = Math.round(controversyScore * 100) / 100;
+    }
+
+    // Only the recalculated fields are set so counters bumped meanwhile survive
+    operations.push({ updateOne: { filter: { _id: question._id }, update: { $set: update } } });
+    if (operations.length >= 500) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return reconciled;
+};
+
+// Static method to limit a public query to published questions
+questionSchema.statics.publishedFilter = function(filter = {}) {
+  return { ...filter, status: 'published' };
+};
+
+// Static method to publish scheduled questions whose time has come. Each question
+// is claimed with a single update so only one server publishes it.
+questionSchema.statics.publishDue = async function(now = new Date()) {
+  const due = await this.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id');
+  const published = [];
+
+  for (const { _id } of due) {
+    const question = await this.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published', publishedAt: now, updatedAt: now }, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+    if (question) {
+      published.push(question);
+    }
+  }
+
+  return published;
+};
+
+// Static method to record the vote split of every published choice question for
+// the hour containing now. Resolves to the number of snapshots written.
+questionSchema.statics.snapshotVotes = async function(now = new Date()) {
+  const takenAt = new Date(now);
+  takenAt.setUTCMinutes(0, 0, 0);
+
+  const questions = await this.find(this.publishedFilter({ questionType: { $in: CHOICE_QUESTION_TYPES } }))
+    .select('choices');
+
+  return VoteSnapshot.recordChanges(questions, takenAt);
+};
+
+// Static method to find a question visitors may read: published or archived
+questionSchema.statics.findPublicByCategoryAndSlug = function(category, slug) {
+  return this.findOne({
+    category: category.toLowerCase(),
+    slug: slug.toLowerCase(),
+    status: { $in: ['published', 'archived'] }
+  });
 };
 
 // FIXED: Find question by category and slug
@@ -423,17 +1450,55 @@ questionSchema.statics.findByCategoryAndSlug = function(category, slug) {
   });
 };
 
+// Static method to find where an old URL now points. Resolves to null when the
+// location is still live or was never used.
+questionSchema.statics.findRedirect = async function(category, slug) {
+  const location = { category: category.toLowerCase(), slug: slug.toLowerCase() };
+
+  if (await this.exists(location)) {
+    return null;
+  }
+
+  const alias = await QuestionAlias.findOneAndUpdate(location, {
+    $inc: { hits: 1 },
+    $set: { lastUsedAt: new Date() }
+  });
+  if (!alias) {
+    return null;
+  }
+
+  return this.findById(alias.question).select('category slug');
+};
+
+// Static method to check whether a category/slug is free for a question to use
+questionSchema.statics.isLocationAvailable = async function(category, slug, questionId = null) {
+  // Questions in the trash keep their slug so they can be restored
+  const slugOwner = await this.findOne({ slug: slug.toLowerCase() })
+    .setOptions({ withDeleted: true })
+    .select('_id');
+  if (slugOwner && (!questionId || !slugOwner._id.equals(questionId))) {
+    return false;
+  }
+
+  const alias = await QuestionAlias.findOne({
+    category: category.toLowerCase(),
+    slug: slug.toLowerCase()
+  }).select('question');
+
+  return !alias || (questionId && alias.question.equals(questionId));
+};
+
 // FIXED: Get latest questions
 questionSchema.statics.getLatest = function(limit = 10) {
-  return this.find({})
-    .sort({ createdAt: -1 })
+  return this.find(this.publishedFilter())
+    .sort({ publishedAt: -1, createdAt: -1 })
     .limit(limit)
     .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime');
 };
 
 // FIXED: Get featured questions
 questionSchema.statics.getFeatured = function(limit = 10) {
-  return this.find({ featured: true })
+  return this.find(this.publishedFilter({ featured: true }))
     .sort({ 'popularityMetrics.popularityScore': -1, createdAt: -1 })
     .limit(limit)
     .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime');
@@ -442,14 +1507,14 @@ questionSchema.statics.getFeatured = function(limit = 10) {
 // FIXED: Static method to get questions by category with sorting options
 questionSchema.statics.getByCategory = function(category, options = {}) {
   const {
-    sortBy = 'popularity', // 'popularity', 'trending', 'newest', 'most_responses'
+    sortBy = 'popularity', // 'popularity', 'trending', 'newest', 'most_responses', 'controversial'
     questionType = 'all',   // 'all', 'multiple_choice', 'paragraph'
     limit = 20,
     page = 1,
     featured = false
   } = options;
 
-  let query = { category: category.toLowerCase() };
+  let query = this.publishedFilter({ category: category.toLowerCase() });
   
   if (questionType !== 'all') {
     query.questionType = questionType;
@@ -465,11 +1530,14 @@ questionSchema.statics.getByCategory = function(category, options = {}) {
       sortOptions = { 'popularityMetrics.trendingScore': -1, createdAt: -1 };
       break;
     case 'newest':
-      sortOptions = { createdAt: -1 };
+      sortOptions = { publishedAt: -1, createdAt: -1 };
       break;
     case 'most_responses':
       sortOptions = { 'popularityMetrics.totalResponses': -1, createdAt: -1 };
       break;
+    case 'controversial':
+      sortOptions = { 'popularityMetrics.controversyScore': -1, 'popularityMetrics.totalResponses': -1 };
+      break;
     case 'popularity':
     default:
       sortOptions = { 'popularityMetrics.popularityScore': -1, createdAt: -1 };
@@ -482,23 +1550,23 @@ questionSchema.statics.getByCategory = function(category, options = {}) {
     .sort(sortOptions)
     .skip(skip)
     .limit(limit)
-    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime choices responses views');
+    .select('title slug category questionText questionType createdAt featured popularityMetrics tags difficulty estimatedReadTime choices');
 };
 
 // FIXED: Static method to get category statistics
 questionSchema.statics.getCategoryStats = async function(category) {
-  const totalQuestions = await this.countDocuments({ category: category.toLowerCase() });
-  const multipleChoiceCount = await this.countDocuments({ 
+  const totalQuestions = await this.countDocuments(this.publishedFilter({ category: category.toLowerCase() }));
+  const multipleChoiceCount = await this.countDocuments(this.publishedFilter({ 
     category: category.toLowerCase(), 
     questionType: 'multiple_choice' 
-  });
-  const paragraphCount = await this.countDocuments({ 
+  }));
+  const paragraphCount = await this.countDocuments(this.publishedFilter({ 
     category: category.toLowerCase(), 
     questionType: 'paragraph' 
-  });
+  }));
 
   const popularityAgg = await this.aggregate([
-    { $match: { category: category.toLowerCase() } },
+    { $match: this.publishedFilter({ category: category.toLowerCase() }) },
     {
       $group: {
         _id: null,
@@ -530,7 +1598,7 @@ questionSchema.statics.getCategoryStats = async function(category) {
 
 // FIXED: Static method to get trending questions across all categories
 questionSchema.statics.getTrending = function(limit = 10) {
-  return this.find({})
+  return this.find(this.publishedFilter())
     .sort({ 'popularityMetrics.trendingScore': -1 })
     .limit(limit)
     .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime');
@@ -538,12 +1606,20 @@ questionSchema.statics.getTrending = function(limit = 10) {
 
 // FIXED: Static method to get most popular questions across all categories
 questionSchema.statics.getMostPopular = function(limit = 10) {
-  return this.find({})
+  return this.find(this.publishedFilter())
     .sort({ 'popularityMetrics.popularityScore': -1 })
     .limit(limit)
     .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime');
 };
 
+// Static method to get the questions that divide respondents most evenly
+questionSchema.statics.getMostControversial = function(limit = 10) {
+  return this.find(this.publishedFilter({ 'popularityMetrics.controversyScore': { $gt: 0 } }))
+    .sort({ 'popularityMetrics.controversyScore': -1, 'popularityMetrics.totalResponses': -1 })
+    .limit(limit)
+    .select('title slug category questionText questionType createdAt popularityMetrics tags difficulty estimatedReadTime');
+};
+
 // Enhanced toJSON method
 questionSchema.methods.toJSON = function () {
   const obj = this.toObject();
@@ -551,18 +1627,20 @@ questionSchema.methods.toJSON = function () {
   obj.totalVotes = this.totalVotes;
   obj.responseCount = this.responseCount;
   obj.viewCount = this.viewCount;
+  obj.votingClosedAt = this.getVotingClosedAt();
 
-  if (this.questionType === 'paragraph' && (!obj.choices || obj.choices.length === 0)) {
+  if (!CHOICE_QUESTION_TYPES.includes(this.questionType) && (!obj.choices || obj.choices.length === 0)) {
     delete obj.choices;
   }
 
-  // Don't expose raw views and detailed response data in list views
-  delete obj.views;
-  if (obj.responses) {
-    delete obj.responses;
-  }
-
   return obj;
 };
 
+questionSchema.statics.STATUSES = QUESTION_STATUSES;
+questionSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+questionSchema.statics.CHOICE_QUESTION_TYPES = CHOICE_QUESTION_TYPES;
+questionSchema.statics.CONTROVERSY_MIN_VOTES = CONTROVERSY_MIN_VOTES;
+questionSchema.statics.RESULTS_MIN_VOTES = RESULTS_MIN_VOTES;
+questionSchema.statics.SCALE_LIMITS = SCALE_LIMITS;
+
 module.exports = mongoose.model('Question', questionSchema);
\ No newline at end of file
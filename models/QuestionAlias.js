@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Old category/slug locations that now redirect to a question
+const questionAliasSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  createdBy: {
+    type: String,
+    required: false
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+questionAliasSchema.index({ category: 1, slug: 1 }, { unique: true });
+questionAliasSchema.index({ question: 1 });
+
+// Static method to point an old location at a question, replacing any earlier alias there
+questionAliasSchema.statics.record = function(category, slug, questionId, details = {}) {
+  return this.findOneAndUpdate(
+    { category: category.toLowerCase(), slug: slug.toLowerCase() },
+    {
+      $set: { question: questionId, ...details },
+      $setOnInsert: { createdAt: new Date(), hits: 0 }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('QuestionAlias', questionAliasSchema);
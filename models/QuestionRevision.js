@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Content fields that are tracked in revision history
+const TRACKED_FIELDS = ['title', 'questionText', 'category', 'choices', 'scale'];
+
+const revisionChoiceSchema = new mongoose.Schema({
+  choiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  text: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const questionRevisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'baseline', 'edit', 'rollback'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  questionText: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  questionType: {
+    type: String,
+    enum: ['multiple_choice', 'paragraph', 'ranking', 'scale'],
+    default: 'multiple_choice'
+  },
+  choices: [revisionChoiceSchema],
+  scale: {
+    min: Number,
+    max: Number,
+    minLabel: String,
+    maxLabel: String
+  },
+  changedFields: [{
+    type: String,
+    enum: TRACKED_FIELDS
+  }],
+  responseCount: {
+    type: Number,
+    default: 0 // Responses collected when this revision was made
+  },
+  rolledBackFrom: {
+    type: Number,
+    required: false // Revision number restored by a rollback
+  },
+  editedBy: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+questionRevisionSchema.index({ question: 1, revision: -1 }, { unique: true });
+
+// Static method to capture the tracked content of a question
+questionRevisionSchema.statics.snapshotOf = function(question) {
+  return {
+    title: question.title,
+    questionText: question.questionText,
+    category: question.category,
+    questionType: question.questionType || 'multiple_choice',
+    choices: (question.choices || []).map(c => ({ choiceId: c._id, text: c.text })),
+    scale: question.scale
+      ? { min: question.scale.min, max: question.scale.max, minLabel: question.scale.minLabel, maxLabel: question.scale.maxLabel }
+      : undefined
+  };
+};
+
+// Static method to list which tracked fields differ between two snapshots
+questionRevisionSchema.statics.changedFieldsBetween = function(before, after) {
+  return TRACKED_FIELDS.filter(field => {
+    if (field === 'choices') {
+      const texts = snapshot => (snapshot.choices || []).map(c => c.text).join('\n');
+      return texts(before) !== texts(after);
+    }
+    if (field === 'scale') {
+      const describe = snapshot => (snapshot.scale && snapshot.scale.min !== undefined ? JSON.stringify(snapshot.scale) : '');
+      return describe(before) !== describe(after);
+    }
+    return before[field] !== after[field];
+  });
+};
+
+// Static method to store a new revision for a question
+questionRevisionSchema.statics.record = async function(question, details = {}) {
+  const latest = await this.findOne({ question: question._id })
+    .sort({ revision: -1 })
+    .select('revision');
+
+  return this.create({
+    ...this.snapshotOf(question),
+    ...details,
+    question: question._id,
+    revision: latest ? latest.revision + 1 : 1
+  });
+};
+
+// Static method to make sure questions created before revisions existed
+// have their original content stored before the first edit
+questionRevisionSchema.statics.ensureBaseline = async function(question) {
+  const exists = await this.exists({ question: question._id });
+  if (exists) {
+    return null;
+  }
+
+  return this.record(question, {
+    action: 'baseline',
+    createdAt: question.updatedAt || question.createdAt
+  });
+};
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const questionActivity = require('./plugins/questionActivity');
+
+const responseSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  questionType: {
+    type: String,
+    enum: ['multiple_choice', 'paragraph', 'ranking', 'scale'],
+    required: true
+  },
+  choice: {
+    type: String,
+    required: function () {
+      return this.questionType === 'multiple_choice';
+    }
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    required: function () {
+      return this.questionType === 'multiple_choice';
+    }
+  },
+  ranking: {
+    type: [String],
+    default: undefined, // Choice texts, most preferred first
+    validate: {
+      validator: function (ranking) {
+        return this.questionType !== 'ranking' || (Array.isArray(ranking) && ranking.length >= 2);
+      },
+      message: 'Ranking responses must order at least two choices'
+    }
+  },
+  value: {
+    type: Number, // Point picked on an agreement scale
+    required: function () {
+      return this.questionType === 'scale';
+    }
+  },
+  responseText: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    required: function () {
+      return this.questionType === 'paragraph';
+    }
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    required: false // For tracking unique responses
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  voterId: {
+    type: String,
+    required: false // Anonymous id from the signed voter cookie
+  },
+  fingerprint: {
+    type: String,
+    required: false // Hashed IP + user agent
+  },
+  replacedAt: {
+    type: Date,
+    required: false // Set when a revote replaces this response
+  }
+});
+
+// Indexes for per-question lookups and time-window counts
+responseSchema.index({ question: 1, timestamp: -1 });
+responseSchema.index({ question: 1, choice: 1 });
+responseSchema.index({ timestamp: -1 });
+// Tells a visitor's first response of a question apart when counting unique responses
+responseSchema.index({ question: 1, ipAddress: 1 });
+responseSchema.index({ question: 1, fingerprint: 1 });
+
+// One response per voter cookie per question, enforced even under concurrent requests
+responseSchema.index(
+  { question: 1, voterId: 1 },
+  { unique: true, partialFilterExpression: { voterId: { $type: 'string' } } }
+);
+
+// Counting helpers shared with the other activity collection
+responseSchema.plugin(questionActivity);
+
+// Static method to count a question's responses for each of the given choices.
+// Resolves to a Map of choice text to count, leaving out choices nobody picked.
+responseSchema.statics.countByChoice = async function(questionId, choiceTexts) {
+  const result = await this.aggregate([
+    { $match: { question: questionId, choice: { $in: choiceTexts } } },
+    { $group: { _id: '$choice', count: { $sum: 1 } } }
+  ]);
+  return new Map(result.map(item => [item._id, item.count]));
+};
+
+// Static method to find an earlier response from the same voter.
+// 'per_session' only trusts the cookie; other policies also match the fingerprint.
+responseSchema.statics.findExistingVote = async function(questionId, voter, policy = 'strict') {
+  if (voter.voterId) {
+    const byCookie = await this.findOne({ question: questionId, voterId: voter.voterId });
+    if (byCookie || policy === 'per_session') {
+      return byCookie;
+    }
+  }
+
+  if (voter.fingerprint) {
+    return this.findOne({ question: questionId, fingerprint: voter.fingerprint });
+  }
+
+  return null;
+};
+
+// Static method to find a voter's responses across several questions, keyed by
+// question id. Matching follows the same rules as findExistingVote.
+responseSchema.statics.findVotesByVoter = async function(questionIds, voter, policy = 'strict') {
+  const conditions = [];
+  if (voter.voterId) {
+    conditions.push({ voterId: voter.voterId });
+  }
+  if (voter.fingerprint && policy !== 'per_session') {
+    conditions.push({ fingerprint: voter.fingerprint });
+  }
+  if (conditions.length === 0 || questionIds.length === 0) {
+    return new Map();
+  }
+
+  const responses = await this.find({ question: { $in: questionIds }, $or: conditions })
+    .sort({ createdAt: -1 });
+
+  // A cookie match wins over a fingerprint match, then the newest response
+  const votes = new Map();
+  responses.forEach(response => {
+    const key = response.question.toString();
+    const current = votes.get(key);
+    if (!current || (response.voterId === voter.voterId && current.voterId !== voter.voterId)) {
+      votes.set(key, response);
+    }
+  });
+  return votes;
+};
+
+// Sanitized shape used by the public responses endpoint
+responseSchema.methods.toPublicJSON = function() {
+  return {
+    choice: this.choice,
+    ranking: this.ranking,
+    value: this.value,
+    explanation: this.explanation,
+    responseText: this.responseText,
+    timestamp: this.timestamp,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Response', responseSchema);
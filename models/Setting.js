@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { DEFAULT_RANKING_WEIGHTS } = require('../config/ranking');
+
+// Defaults used until an admin stores a value
+const DEFAULT_SETTINGS = {
+  'voting.duplicatePolicy': 'strict', // 'strict', 'per_session', 'allow_revote'
+  'security.requireTwoFactor': false, // Every admin must enroll in 2FA before using the panel
+  'trash.purgeAfterDays': 30, // Deleted questions and subscribers are purged after this many days; 0 keeps them
+  'ranking.weights': DEFAULT_RANKING_WEIGHTS // Weights for popularity and trending scores
+};
+
+const CACHE_TTL = 30 * 1000; // 30 seconds
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedBy: {
+    type: String,
+    required: false
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to read a setting, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : DEFAULT_SETTINGS[key];
+
+  cache.set(key, { value, cachedAt: Date.now() });
+  return value;
+};
+
+// Static method to store a setting
+settingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy, updatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+
+  cache.set(key, { value, cachedAt: Date.now() });
+  return setting;
+};
+
+// Static method to read every known setting with defaults applied
+settingSchema.statics.getAll = async function() {
+  const stored = await this.find({}).lean();
+  const settings = { ...DEFAULT_SETTINGS };
+
+  stored.forEach(setting => {
+    settings[setting.key] = setting.value;
+  });
+
+  return settings;
+};
+
+settingSchema.statics.DEFAULTS = DEFAULT_SETTINGS;
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const subscriberSchema = new mongoose.Schema({
   email: {
@@ -28,6 +29,9 @@ const subscriberSchema = new mongoose.Schema({
   }
 });
 
+// Deleted subscribers go to the trash and are never emailed
+subscriberSchema.plugin(softDelete);
+
 // Generate unsubscribe token before saving
 subscriberSchema.pre('save', function(next) {
   if (this.isNew && !this.unsubscribeToken) {
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const questionActivity = require('./plugins/questionActivity');
+
+const viewSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    required: false
+  },
+  sessionId: {
+    type: String,
+    required: false
+  },
+  referrer: {
+    type: String,
+    required: false
+  }
+});
+
+// Indexes for per-question lookups and time-window counts
+viewSchema.index({ question: 1, timestamp: -1 });
+viewSchema.index({ timestamp: -1 });
+// Tells a visitor's first view of a question apart when counting unique views
+viewSchema.index({ question: 1, ipAddress: 1 });
+
+// Counting helpers shared with the other activity collection
+viewSchema.plugin(questionActivity);
+
+module.exports = mongoose.model('View', viewSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Per-choice vote counts of one question at the start of an hour. Snapshots are
+// only written when the counts have changed, so a quiet question adds nothing.
+const voteSnapshotSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  takenAt: {
+    type: Date,
+    required: true // Start of the hour the counts belong to
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  choices: [{
+    _id: false,
+    choiceId: mongoose.Schema.Types.ObjectId,
+    text: String,
+    votes: Number
+  }]
+});
+
+voteSnapshotSchema.index({ question: 1, takenAt: -1 }, { unique: true });
+
+// Helper to check whether a question's choices still match a stored snapshot
+const sameCounts = (snapshotChoices, choices) => {
+  return snapshotChoices.length === choices.length && snapshotChoices.every((stored, index) =>
+    String(stored.choiceId) === String(choices[index].choiceId) &&
+    stored.text === choices[index].text &&
+    stored.votes === choices[index].votes
+  );
+};
+
+// Static method to store the current counts of each question for the hour starting
+// at takenAt. Questions whose counts haven't changed since their last snapshot are
+// skipped, and the upsert stops two servers from writing the same hour twice.
+voteSnapshotSchema.statics.recordChanges = async function(questions, takenAt) {
+  if (questions.length === 0) {
+    return 0;
+  }
+
+  const latest = await this.aggregate([
+    { $match: { question: { $in: questions.map(question => question._id) }, takenAt: { $lte: takenAt } } },
+    { $sort: { question: 1, takenAt: -1 } },
+    { $group: { _id: '$question', choices: { $first: '$choices' } } }
+  ]);
+  const latestByQuestion = new Map(latest.map(item => [item._id.toString(), item.choices]));
+
+  const operations = [];
+  questions.forEach(question => {
+    const choices = (question.choices || []).map(choice => ({
+      choiceId: choice._id,
+      text: choice.text,
+      votes: choice.votes || 0
+    }));
+    const previous = latestByQuestion.get(question._id.toString());
+    if (previous && sameCounts(previous, choices)) {
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { question: question._id, takenAt },
+        update: {
+          $setOnInsert: {
+            totalVotes: choices.reduce((sum, choice) => sum + choice.votes, 0),
+            choices
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount;
+};
+
+// Static method to build a question's vote history as evenly spaced points between
+// from and to. Each point carries the counts of the latest snapshot up to the end of
+// its hour or day. Choices removed since still appear, under their last known text.
+voteSnapshotSchema.statics.getTimeline = async function(questionId, { from = null, to = new Date(), interval = 'hour' } = {}) {
+  const step = interval === 'day' ? DAY : HOUR;
+  const range = { $lte: to };
+  if (from) {
+    range.$gte = from;
+  }
+
+  const [seed, snapshots] = await Promise.all([
+    from
+      ? this.findOne({ question: questionId, takenAt: { $lt: from } }).sort({ takenAt: -1 }).lean()
+      : null,
+    this.find({ question: questionId, takenAt: range }).sort({ takenAt: 1 }).lean()
+  ]);
+  const history = seed ? [seed, ...snapshots] : snapshots;
+
+  if (history.length === 0) {
+    return { interval, choices: [], points: [] };
+  }
+
+  // Every choice seen in the period, in the order it first appeared
+  const textById = new Map();
+  history.forEach(snapshot => {
+    snapshot.choices.forEach(choice => textById.set(String(choice.choiceId), choice.text));
+  });
+  const choiceIds = [...textById.keys()];
+
+  const start = Math.floor((from || history[0].takenAt).getTime() / step) * step;
+  const points = [];
+  let index = -1;
+
+  for (let time = start; time <= to.getTime(); time += step) {
+    while (index + 1 < history.length && history[index + 1].takenAt.getTime() < time + step) {
+      index++;
+    }
+    if (index < 0) {
+      continue;
+    }
+
+    const snapshot = history[index];
+    const votesById = new Map(snapshot.choices.map(choice => [String(choice.choiceId), choice.votes]));
+    const votes = choiceIds.map(id => votesById.get(id) || 0);
+
+    points.push({
+      takenAt: new Date(time),
+      totalVotes: snapshot.totalVotes,
+      votes,
+      percentages: votes.map(count => (snapshot.totalVotes > 0
+        ? Math.round(count / snapshot.totalVotes * 1000) / 10
+        : 0))
+    });
+  }
+
+  return {
+    interval,
+    choices: choiceIds.map(id => ({ id, text: textById.get(id) })),
+    points
+  };
+};
+
+module.exports = mongoose.model('VoteSnapshot', voteSnapshotSchema);
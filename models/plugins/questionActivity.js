@@ -0,0 +1,35 @@
+// models/plugins/questionActivity.js
+// Counting helpers shared by the collections that record activity on a question,
+// one document per event: views and responses. Each event needs a question,
+// timestamp and ipAddress field.
+
+const mongoose = require('mongoose');
+
+module.exports = function questionActivity(schema) {
+  // Static method to count events for a question since a given date
+  schema.statics.countForQuestion = function(questionId, since = null) {
+    const query = { question: questionId };
+    if (since) {
+      query.timestamp = { $gte: since };
+    }
+    return this.countDocuments(query);
+  };
+
+  // Static method to count distinct IP addresses across a question's events
+  schema.statics.countUniqueIPs = async function(questionId) {
+    const result = await this.aggregate([
+      { $match: { question: questionId } },
+      { $group: { _id: '$ipAddress' } },
+      { $count: 'total' }
+    ]);
+    return result.length > 0 ? result[0].total : 0;
+  };
+
+  // Static method to build a $match condition leaving out events of questions in the
+  // trash. Events keep their question's id after it is deleted, and aggregations
+  // across every question would otherwise still count them.
+  schema.statics.liveQuestionsMatch = async function() {
+    const deletedIds = await mongoose.model('Question').find({ deletedAt: { $ne: null } }).distinct('_id');
+    return deletedIds.length > 0 ? { question: { $nin: deletedIds } } : {};
+  };
+};
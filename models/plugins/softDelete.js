@@ -0,0 +1,84 @@
+// models/plugins/softDelete.js
+// Marks documents as deleted instead of removing them. Normal queries and
+// aggregations skip deleted documents; filter on deletedAt yourself, or pass
+// the { withDeleted: true } query option, to include them.
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: String,
+      required: false
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function(next) {
+    if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const [firstStage] = this.pipeline();
+    if (!(firstStage && firstStage.$match && 'deletedAt' in firstStage.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Method to move a document to the trash
+  schema.methods.softDelete = function(deletedBy) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+
+  // Method to take a document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  // Method to remove a document for good. Models with related data override this.
+  schema.methods.purge = async function() {
+    await this.constructor.deleteOne({ _id: this._id });
+    return {};
+  };
+
+  // Static method to find documents in the trash
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+
+  // Static method to find one document in the trash by id
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+
+  // Static method to permanently remove documents trashed before a date
+  schema.statics.purgeDeletedBefore = async function(cutoff) {
+    let purged = 0;
+    for await (const doc of this.find({ deletedAt: { $ne: null, $lt: cutoff } }).cursor()) {
+      await doc.purge();
+      purged++;
+    }
+    return purged;
+  };
+};
@@ -4,8 +4,25 @@ class AdminPanel {
         this.loginScreen = document.getElementById('login-screen');
         this.adminPanel = document.getElementById('admin-panel');
         this.currentTab = 'dashboard';
-        this.adminSecret = null;
+        this.accessToken = null;
+        this.currentAdmin = null;
+        this.refreshPromise = null;
+        this.stepUpToken = null;
+        this.stepUpExpiresAt = 0;
+        this.twoFactorSetupRequired = false;
         this.questionsPage = 1;
+        this.editingQuestionId = null;
+        this.historyQuestionId = null;
+        this.historyRevisions = [];
+        this.responsesQuestionId = null;
+        this.followUpQuestion = null;
+        this.categories = [];
+        this.editingCategoryId = null;
+        this.collections = [];
+        this.collectionCandidates = [];
+        this.collectionQuestionIds = [];
+        this.editingCollectionId = null;
+        this.rankingDefaults = null;
         
         this.init();
     }
@@ -36,6 +53,10 @@ class AdminPanel {
         // Tab switching
         document.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', () => {
+                // Opening the create tab directly always starts a new question
+                if (button.dataset.tab === 'create' && this.editingQuestionId) {
+                    this.exitEditMode();
+                }
                 this.switchTab(button.dataset.tab);
             });
         });
@@ -49,6 +70,125 @@ class AdminPanel {
             });
         }
 
+        // Cancel editing button
+        const cancelEditButton = document.getElementById('cancel-edit-button');
+        if (cancelEditButton) {
+            cancelEditButton.addEventListener('click', () => {
+                this.exitEditMode();
+                this.switchTab('questions');
+            });
+        }
+
+        // Close revision history button
+        const closeHistoryButton = document.getElementById('close-history-button');
+        if (closeHistoryButton) {
+            closeHistoryButton.addEventListener('click', () => {
+                this.hideHistory();
+            });
+        }
+
+        // Close responses panel button
+        const closeResponsesButton = document.getElementById('close-responses-button');
+        if (closeResponsesButton) {
+            closeResponsesButton.addEventListener('click', () => {
+                this.hideResponses();
+            });
+        }
+
+        // Follow-up questions panel buttons
+        const closeFollowUpsButton = document.getElementById('close-follow-ups-button');
+        if (closeFollowUpsButton) {
+            closeFollowUpsButton.addEventListener('click', () => {
+                this.hideFollowUps();
+            });
+        }
+
+        const saveFollowUpsButton = document.getElementById('save-follow-ups-button');
+        if (saveFollowUpsButton) {
+            saveFollowUpsButton.addEventListener('click', () => {
+                this.saveFollowUps();
+            });
+        }
+
+        // Add admin account form
+        const adminAccountForm = document.getElementById('admin-account-form');
+        if (adminAccountForm) {
+            adminAccountForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.createAdminAccount();
+            });
+        }
+
+        // Category form
+        const categoryForm = document.getElementById('category-form');
+        if (categoryForm) {
+            categoryForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveCategory();
+            });
+        }
+
+        const categoryCancelButton = document.getElementById('category-cancel-button');
+        if (categoryCancelButton) {
+            categoryCancelButton.addEventListener('click', () => {
+                this.resetCategoryForm();
+            });
+        }
+
+        // Collection form
+        const collectionForm = document.getElementById('collection-form');
+        if (collectionForm) {
+            collectionForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveCollection();
+            });
+        }
+
+        const collectionCancelButton = document.getElementById('collection-cancel-button');
+        if (collectionCancelButton) {
+            collectionCancelButton.addEventListener('click', () => {
+                this.resetCollectionForm();
+            });
+        }
+
+        const collectionAddQuestionButton = document.getElementById('collection-add-question-button');
+        if (collectionAddQuestionButton) {
+            collectionAddQuestionButton.addEventListener('click', () => {
+                this.addCollectionQuestion();
+            });
+        }
+
+        // Add redirect form
+        const aliasForm = document.getElementById('alias-form');
+        if (aliasForm) {
+            aliasForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.createAlias();
+            });
+        }
+
+        // Settings form
+        const settingsForm = document.getElementById('settings-form');
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveSettings();
+            });
+        }
+
+        // Ranking weights form
+        const rankingForm = document.getElementById('ranking-form');
+        if (rankingForm) {
+            rankingForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.saveRanking();
+            });
+            document.getElementById('ranking-preview-button').addEventListener('click', () => this.previewRanking());
+            document.getElementById('ranking-defaults-button').addEventListener('click', () => {
+                this.fillRankingForm(this.rankingDefaults);
+            });
+        }
+
         // Question type change handler
         const questionTypeSelect = document.getElementById('question-type');
         if (questionTypeSelect) {
@@ -57,6 +197,15 @@ class AdminPanel {
             });
         }
 
+        // The publish time only applies to scheduled questions
+        const questionStatusSelect = document.getElementById('question-status');
+        if (questionStatusSelect) {
+            questionStatusSelect.addEventListener('change', () => {
+                document.getElementById('question-publish-at').style.display =
+                    questionStatusSelect.value === 'scheduled' ? 'block' : 'none';
+            });
+        }
+
         // Add choice button
         const addChoiceButton = document.getElementById('add-choice');
         if (addChoiceButton) {
@@ -77,48 +226,131 @@ class AdminPanel {
             });
         }
 
-        // Question type filter
-        const questionTypeFilter = document.getElementById('question-type-filter');
-        if (questionTypeFilter) {
-            questionTypeFilter.addEventListener('change', () => {
-                this.filterQuestionsByType(questionTypeFilter.value);
+        // Two-factor authentication controls
+        const twoFactorSetupButton = document.getElementById('two-factor-setup-button');
+        if (twoFactorSetupButton) {
+            twoFactorSetupButton.addEventListener('click', () => {
+                this.startTwoFactorSetup();
+            });
+        }
+
+        const twoFactorEnableForm = document.getElementById('two-factor-enable-form');
+        if (twoFactorEnableForm) {
+            twoFactorEnableForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.enableTwoFactor();
+            });
+        }
+
+        const twoFactorBackupButton = document.getElementById('two-factor-backup-button');
+        if (twoFactorBackupButton) {
+            twoFactorBackupButton.addEventListener('click', () => {
+                this.regenerateBackupCodes();
+            });
+        }
+
+        const twoFactorDisableButton = document.getElementById('two-factor-disable-button');
+        if (twoFactorDisableButton) {
+            twoFactorDisableButton.addEventListener('click', () => {
+                this.disableTwoFactor();
+            });
+        }
+
+        // Audit log filters and export
+        const auditFilterForm = document.getElementById('audit-filter-form');
+        if (auditFilterForm) {
+            auditFilterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadAuditLog();
+            });
+        }
+
+        const auditExportButton = document.getElementById('audit-export-button');
+        if (auditExportButton) {
+            auditExportButton.addEventListener('click', () => {
+                this.exportAuditLog();
+            });
+        }
+
+        const testEmailForm = document.getElementById('test-email-form');
+        if (testEmailForm) {
+            testEmailForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.sendTestEmail();
+            });
+        }
+
+        // Log level filter
+        const logLevelFilter = document.getElementById('log-level-filter');
+        if (logLevelFilter) {
+            logLevelFilter.addEventListener('change', () => {
+                this.loadLogs(logLevelFilter.value);
             });
         }
+
+        // Question type and status filters
+        ['question-type-filter', 'question-status-filter'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => {
+                    this.loadQuestions(1);
+                });
+            }
+        });
     }
 
-    checkAuthStatus() {
-        // Use in-memory storage instead of sessionStorage for CSP compliance
-        if (this.adminSecret) {
+    async checkAuthStatus() {
+        // The access token lives in memory; a refresh cookie restores the session after a reload
+        if (await this.refreshSession()) {
             this.showAdminPanel();
         }
     }
 
     async handleLogin() {
-        const secretInput = document.getElementById('admin-secret');
+        const usernameInput = document.getElementById('admin-username');
+        const passwordInput = document.getElementById('admin-password');
+        const codeInput = document.getElementById('admin-2fa-code');
         const loginError = document.getElementById('login-error');
-        const secret = secretInput.value.trim();
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value;
+        const code = codeInput.value.trim();
 
-        if (!secret) {
-            loginError.textContent = 'Please enter the admin secret';
+        if (!username || !password) {
+            loginError.textContent = 'Please enter your username and password';
             return;
         }
 
         try {
-            // Test the secret by making a request to the dashboard
-            const response = await fetch('/api/admin/dashboard', {
+            const response = await fetch('/api/admin/auth/login', {
+                method: 'POST',
                 headers: {
-                    'x-admin-secret': secret
-                }
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ username, password, ...(code ? { code } : {}) })
             });
 
-            if (response.ok) {
-                this.adminSecret = secret;
-                // Store in memory instead of sessionStorage
+            const data = await response.json();
+
+            if (data.success) {
+                this.setSession(data.data);
                 this.showAdminPanel();
                 loginError.textContent = '';
+                passwordInput.value = '';
+                codeInput.value = '';
+                codeInput.style.display = 'none';
+
+                if (data.data.backupCodesRemaining !== undefined) {
+                    this.showNotification(`Backup code used. ${data.data.backupCodesRemaining} left.`, 'info');
+                }
+            } else if (data.code === 'TWO_FACTOR_REQUIRED') {
+                // Keep the password so the admin only has to add the code
+                loginError.textContent = data.error;
+                codeInput.value = '';
+                codeInput.style.display = '';
+                codeInput.focus();
             } else {
-                loginError.textContent = 'Invalid admin secret';
-                secretInput.value = '';
+                loginError.textContent = data.error || data.message || 'Invalid username or password';
+                passwordInput.value = '';
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -126,17 +358,210 @@ class AdminPanel {
         }
     }
 
-    logout() {
-        this.adminSecret = null;
+    async logout() {
+        try {
+            await fetch('/api/admin/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.endSession();
+    }
+
+    setSession({ accessToken, admin, twoFactorSetupRequired }) {
+        this.accessToken = accessToken;
+        this.currentAdmin = admin;
+        this.twoFactorSetupRequired = Boolean(twoFactorSetupRequired);
+        document.getElementById('admin-identity').textContent =
+            `Signed in as ${admin.name || admin.username} (${admin.role})`;
+        this.applyPermissions();
+    }
+
+    can(permission) {
+        return Boolean(this.currentAdmin && this.currentAdmin.permissions.includes(permission));
+    }
+
+    // Hide tabs and forms the current role cannot use; the API enforces the same rules
+    // data-permission may list several permissions; any one of them is enough
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            const allowed = element.dataset.permission.split(' ').some(permission => this.can(permission));
+            element.style.display = allowed ? '' : 'none';
+        });
+    }
+
+    endSession() {
+        this.accessToken = null;
+        this.currentAdmin = null;
+        this.stepUpToken = null;
+        this.stepUpExpiresAt = 0;
         this.loginScreen.style.display = 'flex';
         this.adminPanel.style.display = 'none';
-        document.getElementById('admin-secret').value = '';
+        document.getElementById('admin-identity').textContent = '';
+        document.getElementById('admin-password').value = '';
+    }
+
+    // Only one refresh runs at a time because each refresh token can be used once
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestRefresh() {
+        try {
+            const response = await fetch('/api/admin/auth/refresh', { method: 'POST' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.setSession(data.data);
+                return true;
+            }
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+        }
+        return false;
+    }
+
+    // Fetch wrapper that sends the access token and refreshes it once if it has expired.
+    // Destructive actions that need re-verification ask for it and are retried once.
+    async apiFetch(url, options = {}) {
+        const send = () => {
+            const headers = {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.accessToken}`
+            };
+            if (this.stepUpToken && Date.now() < this.stepUpExpiresAt) {
+                headers['X-Step-Up-Token'] = this.stepUpToken;
+            }
+            return fetch(url, { ...options, headers });
+        };
+
+        let response = await send();
+
+        if (response.status === 401) {
+            if (await this.refreshSession()) {
+                response = await send();
+            } else {
+                this.endSession();
+            }
+        }
+
+        if (response.status === 403) {
+            const data = await response.clone().json().catch(() => ({}));
+
+            if (data.code === 'STEP_UP_REQUIRED' && await this.stepUp(data.method)) {
+                response = await send();
+            } else if (data.code === 'TWO_FACTOR_SETUP_REQUIRED' && this.currentTab !== 'security') {
+                this.twoFactorSetupRequired = true;
+                this.switchTab('security');
+            }
+        }
+
+        return response;
+    }
+
+    async stepUp(method) {
+        const usesCode = method === 'two_factor';
+        const value = await this.promptVerification({
+            message: usesCode
+                ? 'Enter a code from your authenticator app or a backup code.'
+                : 'Enter your password to continue.',
+            inputType: usesCode ? 'text' : 'password'
+        });
+
+        if (!value) {
+            return false;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/admin/auth/step-up', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(usesCode ? { code: value } : { password: value })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.stepUpToken = data.data.stepUpToken;
+                // Stop using the token a little before the server stops accepting it
+                this.stepUpExpiresAt = Date.now() + (data.data.expiresIn - 10) * 1000;
+                return true;
+            }
+
+            this.showNotification(data.error || 'Verification failed', 'error');
+        } catch (error) {
+            console.error('Error verifying admin:', error);
+            this.showNotification('Error verifying', 'error');
+        }
+        return false;
+    }
+
+    // Ask for a code or password in a modal dialog; resolves to null if cancelled
+    promptVerification({ title = 'Confirm it\'s you', message, inputType = 'text' }) {
+        const dialog = document.getElementById('verify-dialog');
+        const form = document.getElementById('verify-form');
+        const cancelButton = document.getElementById('verify-cancel');
+        const input = document.getElementById('verify-input');
+
+        document.getElementById('verify-title').textContent = title;
+        document.getElementById('verify-message').textContent = message;
+        input.type = inputType;
+        input.autocomplete = inputType === 'password' ? 'current-password' : 'one-time-code';
+        input.value = '';
+
+        return new Promise(resolve => {
+            const finish = (value) => {
+                form.removeEventListener('submit', onSubmit);
+                cancelButton.removeEventListener('click', onCancel);
+                dialog.removeEventListener('cancel', onCancel);
+                dialog.close();
+                resolve(value);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                finish(inputType === 'password' ? input.value : input.value.trim());
+            };
+            const onCancel = (e) => {
+                e.preventDefault();
+                finish(null);
+            };
+
+            form.addEventListener('submit', onSubmit);
+            cancelButton.addEventListener('click', onCancel);
+            dialog.addEventListener('cancel', onCancel);
+            dialog.showModal();
+            input.focus();
+        });
     }
 
     showAdminPanel() {
         this.loginScreen.style.display = 'none';
         this.adminPanel.style.display = 'block';
-        this.loadDashboard();
+
+        if (this.twoFactorSetupRequired) {
+            this.switchTab('security');
+            this.showNotification('Set up two-factor authentication to continue', 'info');
+            return;
+        }
+
+        if (this.can('questions:read')) {
+            this.loadCategoryOptions();
+        }
+
+        // Links such as /admin#system open a specific tab when the role allows it
+        const visibleTabs = Array.from(document.querySelectorAll('.tab-button'))
+            .filter(button => button.style.display !== 'none');
+        const requestedTab = visibleTabs.find(button => `#${button.dataset.tab}` === window.location.hash);
+        const firstTab = requestedTab || visibleTabs[0];
+        if (firstTab) {
+            this.switchTab(firstTab.dataset.tab);
+        }
     }
 
     switchTab(tabName) {
@@ -165,378 +590,293 @@ class AdminPanel {
             case 'subscribers':
                 this.loadSubscriberStats();
                 break;
+            case 'categories':
+                this.loadCategories();
+                break;
+            case 'collections':
+                this.loadCollections();
+                break;
+            case 'redirects':
+                this.loadAliases();
+                break;
+            case 'team':
+                this.loadAdmins();
+                break;
+            case 'security':
+                document.getElementById('two-factor-backup-codes').style.display = 'none';
+                this.loadTwoFactorStatus();
+                break;
+            case 'system':
+                this.loadSystemMetrics();
+                this.loadLogs(document.getElementById('log-level-filter').value);
+                break;
+            case 'audit':
+                this.loadAuditLog();
+                break;
+            case 'trash':
+                this.loadTrash();
+                break;
+            case 'settings':
+                this.loadSettings();
+                this.loadRanking();
+                break;
         }
     }
 
-    async loadDashboard() {
+    async loadAliases() {
         try {
-            const response = await fetch('/api/admin/dashboard', {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+            const response = await this.apiFetch('/api/admin/aliases?limit=100');
 
             const data = await response.json();
 
             if (data.success) {
-                this.renderDashboard(data.data);
+                this.renderAliases(data.data.aliases, data.data.pagination);
             } else {
-                this.showNotification('Failed to load dashboard data', 'error');
+                this.showNotification(data.error || 'Failed to load redirects', 'error');
             }
         } catch (error) {
-            console.error('Error loading dashboard:', error);
-            this.showNotification('Error loading dashboard', 'error');
+            console.error('Error loading redirects:', error);
+            this.showNotification('Error loading redirects', 'error');
         }
     }
 
-    renderDashboard(data) {
-        // Update overview stats with fallback values
-        const overview = data.overview || {};
-        document.getElementById('total-questions').textContent = overview.totalQuestions || 0;
-        document.getElementById('featured-questions').textContent = overview.featuredQuestions || 0;
-        document.getElementById('multiple-choice-questions').textContent = overview.multipleChoiceQuestions || 0;
-        document.getElementById('paragraph-questions').textContent = overview.paragraphQuestions || 0;
-        document.getElementById('total-subscribers').textContent = overview.totalSubscribers || 0;
-        document.getElementById('recent-subscribers').textContent = overview.recentSubscribers || 0;
-
-        // Render category stats
-        const categoryStatsContainer = document.getElementById('category-stats');
-        if (categoryStatsContainer) {
-            categoryStatsContainer.innerHTML = '';
+    renderAliases(aliases, pagination) {
+        const aliasesList = document.getElementById('aliases-list');
+        aliasesList.innerHTML = '';
 
-            const categoryStats = data.categoryStats || [];
-            if (categoryStats.length > 0) {
-                categoryStats.forEach(category => {
-                    const categoryItem = document.createElement('div');
-                    categoryItem.className = 'category-item';
-                    
-                    const categoryName = document.createElement('div');
-                    categoryName.className = 'category-name';
-                    categoryName.textContent = category._id || 'Unknown';
-                    
-                    const categoryCount = document.createElement('div');
-                    categoryCount.className = 'category-count';
-                    categoryCount.textContent = `${category.count || 0} questions`;
-                    
-                    categoryItem.appendChild(categoryName);
-                    categoryItem.appendChild(categoryCount);
-                    categoryStatsContainer.appendChild(categoryItem);
-                });
-            } else {
-                const noData = document.createElement('div');
-                noData.className = 'no-data';
-                noData.textContent = 'No category data available';
-                categoryStatsContainer.appendChild(noData);
-            }
+        if (aliases.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No redirects yet. They are added automatically when a question\'s slug or category changes.';
+            aliasesList.appendChild(empty);
+            return;
         }
 
-        // Render question type stats
-        const questionTypeStatsContainer = document.getElementById('question-type-stats');
-        if (questionTypeStatsContainer) {
-            questionTypeStatsContainer.innerHTML = '';
+        aliases.forEach(alias => {
+            const aliasItem = document.createElement('div');
+            aliasItem.className = 'question-item';
 
-            const questionTypeStats = data.questionTypeStats || [];
-            if (questionTypeStats.length > 0) {
-                questionTypeStats.forEach(typeStats => {
-                    const typeItem = document.createElement('div');
-                    typeItem.className = 'type-item';
-                    
-                    const typeName = typeStats._id === 'multiple_choice' ? 'Multiple Choice' : 
-                                   typeStats._id === 'paragraph' ? 'Paragraph' : 
-                                   typeStats._id || 'Unknown';
-                    
-                    const typeNameDiv = document.createElement('div');
-                    typeNameDiv.className = 'type-name';
-                    typeNameDiv.textContent = typeName;
-                    
-                    const typeCountDiv = document.createElement('div');
-                    typeCountDiv.className = 'type-count';
-                    typeCountDiv.textContent = `${typeStats.count || 0} questions`;
-                    
-                    typeItem.appendChild(typeNameDiv);
-                    typeItem.appendChild(typeCountDiv);
-                    questionTypeStatsContainer.appendChild(typeItem);
-                });
-            } else {
-                const noData = document.createElement('div');
-                noData.className = 'no-data';
-                noData.textContent = 'No question type data available';
-                questionTypeStatsContainer.appendChild(noData);
-            }
-        }
+            const aliasInfo = document.createElement('div');
+            aliasInfo.className = 'question-info';
 
-        // Render recent questions
-        const recentQuestionsContainer = document.getElementById('recent-questions');
-        if (recentQuestionsContainer) {
-            recentQuestionsContainer.innerHTML = '';
+            const titleDiv = document.createElement('div');
+            titleDiv.className = 'question-item-title';
+            titleDiv.textContent = `${alias.fromUrl} → ${alias.toUrl || '(question deleted)'}`;
 
-            const recentQuestions = data.recentQuestions || [];
-            if (recentQuestions.length > 0) {
-                recentQuestions.forEach(question => {
-                    const questionItem = document.createElement('div');
-                    questionItem.className = 'recent-question-item';
-                    
-                    const questionType = question.questionType === 'paragraph' ? 'Paragraph' : 'Multiple Choice';
-                    
-                    const titleDiv = document.createElement('div');
-                    titleDiv.className = 'recent-question-title';
-                    titleDiv.textContent = question.title || 'Untitled';
-                    
-                    const metaDiv = document.createElement('div');
-                    metaDiv.className = 'recent-question-meta';
-                    metaDiv.textContent = `${question.category || 'Unknown'} • ${questionType} • ${question.responseCount || 0} responses • ${this.formatDate(new Date(question.createdAt))}`;
-                    
-                    questionItem.appendChild(titleDiv);
-                    questionItem.appendChild(metaDiv);
-                    recentQuestionsContainer.appendChild(questionItem);
-                });
-            } else {
-                const noData = document.createElement('div');
-                noData.className = 'no-data';
-                noData.textContent = 'No recent questions';
-                recentQuestionsContainer.appendChild(noData);
-            }
-        }
-    }
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'question-item-meta';
 
-    handleQuestionTypeChange() {
-        const questionType = document.getElementById('question-type').value;
-        const choicesSection = document.getElementById('choices-section');
-        const paragraphSection = document.getElementById('paragraph-section');
+            const details = [
+                alias.questionTitle,
+                alias.source === 'manual' ? 'Added manually' : 'Added automatically',
+                `${alias.hits} hits`,
+                alias.lastUsedAt ? `Last used ${this.formatDate(new Date(alias.lastUsedAt))}` : 'Never used'
+            ];
+            details.filter(Boolean).forEach(detail => {
+                const span = document.createElement('span');
+                span.textContent = detail;
+                metaDiv.appendChild(span);
+            });
 
-        if (questionType === 'multiple_choice') {
-            choicesSection.style.display = 'block';
-            paragraphSection.style.display = 'none';
-        } else if (questionType === 'paragraph') {
-            choicesSection.style.display = 'none';
-            paragraphSection.style.display = 'block';
-        } else {
-            choicesSection.style.display = 'none';
-            paragraphSection.style.display = 'none';
+            aliasInfo.appendChild(titleDiv);
+            aliasInfo.appendChild(metaDiv);
+
+            const aliasActions = document.createElement('div');
+            aliasActions.className = 'question-actions';
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'action-button delete';
+            deleteButton.textContent = 'Remove';
+            deleteButton.addEventListener('click', () => {
+                this.deleteAlias(alias._id, alias.fromUrl);
+            });
+
+            if (this.can('questions:write')) {
+                aliasActions.appendChild(deleteButton);
+            }
+            aliasItem.appendChild(aliasInfo);
+            aliasItem.appendChild(aliasActions);
+            aliasesList.appendChild(aliasItem);
+        });
+
+        if (pagination.totalAliases > aliases.length) {
+            const more = document.createElement('p');
+            more.textContent = `Showing the ${aliases.length} most recent of ${pagination.totalAliases} redirects.`;
+            aliasesList.appendChild(more);
         }
     }
 
-    async loadQuestions(page = 1) {
+    async loadCategoryOptions() {
         try {
-            const response = await fetch(`/api/admin/questions?page=${page}&limit=10`, {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
-
+            const response = await this.apiFetch('/api/admin/categories');
             const data = await response.json();
 
             if (data.success) {
-                this.renderQuestions(data.data.questions);
-                this.renderPagination(data.data.pagination);
-                this.questionsPage = page;
-            } else {
-                this.showNotification('Failed to load questions', 'error');
+                this.categories = data.data;
+                this.renderCategoryOptions();
             }
         } catch (error) {
-            console.error('Error loading questions:', error);
-            this.showNotification('Error loading questions', 'error');
+            console.error('Error loading categories:', error);
         }
     }
 
-    async filterQuestionsByType(type) {
-        try {
-            let url = '/api/admin/questions?page=1&limit=10';
-            if (type) {
-                url += `&type=${type}`;
-            }
-
-            const response = await fetch(url, {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+    // Fill the question form's category list, keeping the current choice
+    renderCategoryOptions() {
+        const select = document.getElementById('question-category');
+        const selected = select.value;
+
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Select a category';
+        select.appendChild(placeholder);
+
+        this.categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.slug;
+            option.textContent = category.name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
 
+    async loadCategories() {
+        try {
+            const response = await this.apiFetch('/api/admin/categories');
             const data = await response.json();
 
             if (data.success) {
-                this.renderQuestions(data.data.questions);
-                this.renderPagination(data.data.pagination);
-                this.questionsPage = 1;
+                this.categories = data.data;
+                this.renderCategoryOptions();
+                this.renderCategories();
             } else {
-                this.showNotification('Failed to filter questions', 'error');
+                this.showNotification(data.error || 'Failed to load categories', 'error');
             }
         } catch (error) {
-            console.error('Error filtering questions:', error);
-            this.showNotification('Error filtering questions', 'error');
+            console.error('Error loading categories:', error);
+            this.showNotification('Error loading categories', 'error');
         }
     }
 
-    renderQuestions(questions) {
-        const questionsList = document.getElementById('questions-list');
-        questionsList.innerHTML = '';
+    renderCategories() {
+        const categoriesList = document.getElementById('categories-list');
+        categoriesList.innerHTML = '';
+
+        if (this.categories.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No categories yet. Run npm run migrate to add the default ones, or add one above.';
+            categoriesList.appendChild(empty);
+            return;
+        }
+
+        this.categories.forEach(category => {
+            const categoryItem = document.createElement('div');
+            categoryItem.className = 'question-item';
+
+            const categoryInfo = document.createElement('div');
+            categoryInfo.className = 'question-info';
 
-        questions.forEach(question => {
-            const questionItem = document.createElement('div');
-            questionItem.className = 'question-item';
-            
-            // Create question info section
-            const questionInfo = document.createElement('div');
-            questionInfo.className = 'question-info';
-            
             const titleDiv = document.createElement('div');
             titleDiv.className = 'question-item-title';
-            titleDiv.textContent = question.title;
-            
+            const swatch = document.createElement('span');
+            swatch.className = 'category-swatch';
+            swatch.style.background = category.color;
+            titleDiv.appendChild(swatch);
+            titleDiv.appendChild(document.createTextNode(category.name));
+
             const metaDiv = document.createElement('div');
             metaDiv.className = 'question-item-meta';
-            
-            const questionType = question.questionType === 'paragraph' ? 'Paragraph' : 'Multiple Choice';
-            
-            // Create individual meta spans
-            const categorySpan = document.createElement('span');
-            categorySpan.textContent = question.category;
-            
-            const typeSpan = document.createElement('span');
-            typeSpan.textContent = questionType;
-            
-            const responseSpan = document.createElement('span');
-            responseSpan.textContent = `${question.responseCount} responses`;
-            
-            const dateSpan = document.createElement('span');
-            dateSpan.textContent = this.formatDate(new Date(question.createdAt));
-            
-            metaDiv.appendChild(categorySpan);
-            metaDiv.appendChild(typeSpan);
-            metaDiv.appendChild(responseSpan);
-            metaDiv.appendChild(dateSpan);
-            
-            if (question.featured) {
-                const featuredBadge = document.createElement('span');
-                featuredBadge.className = 'featured-badge';
-                featuredBadge.textContent = 'Featured';
-                metaDiv.appendChild(featuredBadge);
-            }
-            
-            questionInfo.appendChild(titleDiv);
-            questionInfo.appendChild(metaDiv);
-            
-            // Create question actions section
-            const questionActions = document.createElement('div');
-            questionActions.className = 'question-actions';
-            
-            // Feature/Unfeature button
-            const featureButton = document.createElement('button');
-            featureButton.className = `action-button ${question.featured ? 'featured' : ''}`;
-            featureButton.textContent = question.featured ? 'Unfeature' : 'Feature';
-            featureButton.addEventListener('click', () => {
-                this.toggleFeatured(question._id, !question.featured);
+
+            const details = [
+                `/${category.slug}`,
+                `${category.questionCount} ${category.questionCount === 1 ? 'question' : 'questions'}`,
+                category.icon,
+                `Order ${category.sortOrder}`,
+                category.description
+            ];
+            details.filter(Boolean).forEach(detail => {
+                const span = document.createElement('span');
+                span.textContent = detail;
+                metaDiv.appendChild(span);
             });
-            
-            // View button
-            const viewButton = document.createElement('button');
-            viewButton.className = 'action-button';
-            viewButton.textContent = 'View';
-            viewButton.addEventListener('click', () => {
-                window.open(question.url, '_blank');
+
+            categoryInfo.appendChild(titleDiv);
+            categoryInfo.appendChild(metaDiv);
+
+            const categoryActions = document.createElement('div');
+            categoryActions.className = 'question-actions';
+
+            const editButton = document.createElement('button');
+            editButton.className = 'action-button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => {
+                this.editCategory(category);
             });
-            
-            // Delete button
+
             const deleteButton = document.createElement('button');
             deleteButton.className = 'action-button delete';
             deleteButton.textContent = 'Delete';
+            deleteButton.disabled = category.questionCount > 0;
+            deleteButton.title = category.questionCount > 0 ? 'Move its questions to another category first' : '';
             deleteButton.addEventListener('click', () => {
-                this.deleteQuestion(question._id);
+                this.deleteCategory(category);
             });
-            
-            questionActions.appendChild(featureButton);
-            questionActions.appendChild(viewButton);
-            questionActions.appendChild(deleteButton);
-            
-            questionItem.appendChild(questionInfo);
-            questionItem.appendChild(questionActions);
-            questionsList.appendChild(questionItem);
+
+            categoryActions.appendChild(editButton);
+            categoryActions.appendChild(deleteButton);
+            categoryItem.appendChild(categoryInfo);
+            categoryItem.appendChild(categoryActions);
+            categoriesList.appendChild(categoryItem);
         });
     }
 
-    renderPagination(pagination) {
-        const paginationContainer = document.getElementById('questions-pagination');
-        paginationContainer.innerHTML = '';
-
-        // Previous button
-        const prevButton = document.createElement('button');
-        prevButton.className = 'page-button';
-        prevButton.textContent = '← Previous';
-        prevButton.disabled = !pagination.hasPrev;
-        prevButton.addEventListener('click', () => this.loadQuestions(pagination.currentPage - 1));
-        paginationContainer.appendChild(prevButton);
-
-        // Page info
-        const pageInfo = document.createElement('span');
-        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
-        pageInfo.style.padding = '0.5rem 1rem';
-        pageInfo.style.color = 'var(--text-secondary)';
-        paginationContainer.appendChild(pageInfo);
-
-        // Next button
-        const nextButton = document.createElement('button');
-        nextButton.className = 'page-button';
-        nextButton.textContent = 'Next →';
-        nextButton.disabled = !pagination.hasNext;
-        nextButton.addEventListener('click', () => this.loadQuestions(pagination.currentPage + 1));
-        paginationContainer.appendChild(nextButton);
+    editCategory(category) {
+        this.editingCategoryId = category._id;
+
+        document.getElementById('category-name').value = category.name;
+        document.getElementById('category-slug').value = category.slug;
+        document.getElementById('category-icon').value = category.icon || '';
+        document.getElementById('category-sort-order').value = category.sortOrder;
+        document.getElementById('category-color').value = category.color;
+        document.getElementById('category-description').value = category.description || '';
+        document.getElementById('category-submit-button').textContent = 'Save Category';
+        document.getElementById('category-cancel-button').style.display = '';
+        document.getElementById('category-name').focus();
     }
 
-    async createQuestion() {
-        const form = document.getElementById('create-question-form');
-        const submitButton = form.querySelector('button[type="submit"]');
-        const buttonText = submitButton.querySelector('.button-text');
-        const buttonLoading = submitButton.querySelector('.button-loading');
-
-        // Get form data
-        const title = document.getElementById('question-title').value.trim();
-        const category = document.getElementById('question-category').value;
-        const questionType = document.getElementById('question-type').value;
-        const questionText = document.getElementById('question-text').value.trim();
-        const featured = document.getElementById('question-featured').checked;
+    resetCategoryForm() {
+        this.editingCategoryId = null;
 
-        // Validation
-        if (!title || !category || !questionType || !questionText) {
-            this.showNotification('Please fill in all required fields', 'error');
-            return;
-        }
+        document.getElementById('category-form').reset();
+        document.getElementById('category-submit-button').textContent = 'Add Category';
+        document.getElementById('category-cancel-button').style.display = 'none';
+    }
 
-        // Prepare request data
+    async saveCategory() {
         const requestData = {
-            title,
-            category,
-            questionType,
-            questionText,
-            featured,
-            adminSecret: this.adminSecret
+            name: document.getElementById('category-name').value.trim(),
+            description: document.getElementById('category-description').value.trim(),
+            color: document.getElementById('category-color').value,
+            icon: document.getElementById('category-icon').value.trim()
         };
 
-        // Add choices only for multiple choice questions
-        if (questionType === 'multiple_choice') {
-            const choiceInputs = document.querySelectorAll('#choices-container input[type="text"]');
-            const choices = Array.from(choiceInputs)
-                .map(input => ({ text: input.value.trim() }))
-                .filter(choice => choice.text.length > 0);
-
-            if (choices.length < 2) {
-                this.showNotification('Please provide at least 2 choices for multiple choice questions', 'error');
-                return;
-            }
-
-            requestData.choices = choices;
+        const slug = document.getElementById('category-slug').value.trim();
+        if (slug) {
+            requestData.slug = slug;
+        }
+        const sortOrder = document.getElementById('category-sort-order').value;
+        if (sortOrder !== '') {
+            requestData.sortOrder = parseInt(sortOrder, 10);
         }
 
-        // Show loading state
-        submitButton.disabled = true;
-        buttonText.style.display = 'none';
-        buttonLoading.style.display = 'flex';
+        const url = this.editingCategoryId
+            ? `/api/admin/categories/${this.editingCategoryId}`
+            : '/api/admin/categories';
 
         try {
-            const response = await fetch('/api/admin/questions', {
-                method: 'POST',
+            const response = await this.apiFetch(url, {
+                method: this.editingCategoryId ? 'PUT' : 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(requestData)
             });
@@ -544,198 +884,2602 @@ class AdminPanel {
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification('Question created successfully!', 'success');
-                form.reset();
-                this.resetChoices();
-                this.handleQuestionTypeChange(); // Reset form sections
-                
-                // Switch to questions tab to see the new question
-                setTimeout(() => {
-                    this.switchTab('questions');
-                }, 1000);
+                this.showNotification(data.message, 'success');
+                this.resetCategoryForm();
+                this.loadCategories();
             } else {
-                this.showNotification(data.error || 'Failed to create question', 'error');
+                this.showNotification(data.error || 'Failed to save category', 'error');
             }
         } catch (error) {
-            console.error('Error creating question:', error);
-            this.showNotification('Network error. Please try again.', 'error');
-        } finally {
-            // Hide loading state
-            submitButton.disabled = false;
-            buttonText.style.display = 'inline';
-            buttonLoading.style.display = 'none';
+            console.error('Error saving category:', error);
+            this.showNotification('Error saving category', 'error');
         }
     }
 
-    addChoiceInput() {
-        const choicesContainer = document.getElementById('choices-container');
-        const choiceInputs = choicesContainer.querySelectorAll('.choice-input');
-        
-        if (choiceInputs.length >= 6) {
-            this.showNotification('Maximum 6 choices allowed', 'warning');
+    async deleteCategory(category) {
+        if (!confirm(`Delete the "${category.name}" category?`)) {
             return;
         }
 
-        const choiceInput = document.createElement('div');
-        choiceInput.className = 'choice-input';
-        
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.placeholder = `Choice ${choiceInputs.length + 1}`;
-        input.required = true;
-        input.maxLength = 500;
-        
-        const removeButton = document.createElement('button');
-        removeButton.type = 'button';
-        removeButton.className = 'remove-choice';
-        removeButton.textContent = '×';
-        removeButton.addEventListener('click', () => {
-            choiceInput.remove();
-            this.updateRemoveButtons();
-        });
+        try {
+            const response = await this.apiFetch(`/api/admin/categories/${category._id}`, {
+                method: 'DELETE'
+            });
 
-        choiceInput.appendChild(input);
-        choiceInput.appendChild(removeButton);
-        choicesContainer.appendChild(choiceInput);
-        this.updateRemoveButtons();
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                if (this.editingCategoryId === category._id) {
+                    this.resetCategoryForm();
+                }
+                this.loadCategories();
+            } else {
+                this.showNotification(data.error || 'Failed to delete category', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            this.showNotification('Error deleting category', 'error');
+        }
     }
 
-    updateRemoveButtons() {
-        const choiceInputs = document.querySelectorAll('#choices-container .choice-input');
-        choiceInputs.forEach((input) => {
-            const removeButton = input.querySelector('.remove-choice');
-            if (choiceInputs.length > 2) {
-                removeButton.style.display = 'flex';
+    async loadCollections() {
+        try {
+            const [collectionsResponse, questionsResponse] = await Promise.all([
+                this.apiFetch('/api/admin/collections'),
+                this.apiFetch('/api/admin/questions?limit=200')
+            ]);
+
+            const collectionsData = await collectionsResponse.json();
+            const questionsData = await questionsResponse.json();
+
+            if (collectionsData.success && questionsData.success) {
+                this.collections = collectionsData.data;
+                this.collectionCandidates = questionsData.data.questions;
+                this.renderCollectionQuestionOptions();
+                this.renderCollectionQuestions();
+                this.renderCollections();
             } else {
-                removeButton.style.display = 'none';
+                this.showNotification(collectionsData.error || questionsData.error || 'Failed to load collections', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            this.showNotification('Error loading collections', 'error');
+        }
+    }
+
+    // Title for a question id, falling back for ones outside the loaded list such as trashed questions
+    collectionQuestionLabel(questionId) {
+        const question = this.collectionCandidates.find(candidate => candidate._id === questionId);
+        if (!question) {
+            return 'Unavailable question';
+        }
+        const status = question.status === 'published' ? '' : `, ${question.status}`;
+        return `${question.title} (${this.questionTypeLabel(question.questionType)}${status})`;
+    }
+
+    renderCollections() {
+        const collectionsList = document.getElementById('collections-list');
+        collectionsList.innerHTML = '';
+
+        if (this.collections.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No collections yet.';
+            collectionsList.appendChild(empty);
+            return;
+        }
+
+        this.collections.forEach(collection => {
+            const collectionItem = document.createElement('div');
+            collectionItem.className = 'question-item';
+
+            const collectionInfo = document.createElement('div');
+            collectionInfo.className = 'question-info';
+
+            const titleDiv = document.createElement('div');
+            titleDiv.className = 'question-item-title';
+            titleDiv.textContent = collection.title;
+
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'question-item-meta';
+
+            const details = [
+                `/collections/${collection.slug}`,
+                collection.status === 'published' ? 'Published' : 'Draft',
+                `${collection.questions.length} ${collection.questions.length === 1 ? 'question' : 'questions'}`,
+                collection.description
+            ];
+            details.filter(Boolean).forEach(detail => {
+                const span = document.createElement('span');
+                span.textContent = detail;
+                metaDiv.appendChild(span);
+            });
+
+            collectionInfo.appendChild(titleDiv);
+            collectionInfo.appendChild(metaDiv);
+
+            const collectionActions = document.createElement('div');
+            collectionActions.className = 'question-actions';
+
+            if (collection.status === 'published') {
+                const viewButton = document.createElement('button');
+                viewButton.className = 'action-button';
+                viewButton.textContent = 'View';
+                viewButton.addEventListener('click', () => {
+                    window.open(`/collections/${collection.slug}`, '_blank');
+                });
+                collectionActions.appendChild(viewButton);
+            }
+
+            if (this.can('questions:write')) {
+                const editButton = document.createElement('button');
+                editButton.className = 'action-button';
+                editButton.textContent = 'Edit';
+                editButton.addEventListener('click', () => {
+                    this.editCollection(collection);
+                });
+
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'action-button delete';
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => {
+                    this.deleteCollection(collection);
+                });
+
+                collectionActions.appendChild(editButton);
+                collectionActions.appendChild(deleteButton);
             }
+
+            collectionItem.appendChild(collectionInfo);
+            collectionItem.appendChild(collectionActions);
+            collectionsList.appendChild(collectionItem);
         });
     }
 
-    resetChoices() {
-        const choicesContainer = document.getElementById('choices-container');
-        choicesContainer.innerHTML = '';
-        
-        // Create two default choice inputs
-        for (let i = 1; i <= 2; i++) {
-            const choiceInput = document.createElement('div');
-            choiceInput.className = 'choice-input';
-            
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.placeholder = `Choice ${i}`;
-            input.required = true;
-            input.maxLength = 500;
-            
+    // Fill the picker with questions that aren't in the collection yet
+    renderCollectionQuestionOptions() {
+        const select = document.getElementById('collection-question-select');
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Select a question to add';
+        select.appendChild(placeholder);
+
+        this.collectionCandidates
+            .filter(question => !this.collectionQuestionIds.includes(question._id))
+            .forEach(question => {
+                const option = document.createElement('option');
+                option.value = question._id;
+                option.textContent = this.collectionQuestionLabel(question._id);
+                select.appendChild(option);
+            });
+    }
+
+    renderCollectionQuestions() {
+        const list = document.getElementById('collection-question-list');
+        list.innerHTML = '';
+
+        this.collectionQuestionIds.forEach((questionId, index) => {
+            const item = document.createElement('li');
+            item.className = 'revision-item';
+
+            const title = document.createElement('span');
+            title.className = 'question-item-title';
+            title.textContent = this.collectionQuestionLabel(questionId);
+
+            const actions = document.createElement('div');
+            actions.className = 'question-actions';
+
+            const moves = [
+                { label: '↑', title: 'Move up', offset: -1, disabled: index === 0 },
+                { label: '↓', title: 'Move down', offset: 1, disabled: index === this.collectionQuestionIds.length - 1 }
+            ];
+            moves.forEach(move => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'action-button';
+                button.textContent = move.label;
+                button.title = move.title;
+                button.disabled = move.disabled;
+                button.addEventListener('click', () => {
+                    this.moveCollectionQuestion(index, index + move.offset);
+                });
+                actions.appendChild(button);
+            });
+
             const removeButton = document.createElement('button');
             removeButton.type = 'button';
-            removeButton.className = 'remove-choice';
-            removeButton.textContent = '×';
-            removeButton.style.display = 'none';
+            removeButton.className = 'action-button delete';
+            removeButton.textContent = 'Remove';
             removeButton.addEventListener('click', () => {
-                choiceInput.remove();
-                this.updateRemoveButtons();
+                this.collectionQuestionIds.splice(index, 1);
+                this.renderCollectionQuestionOptions();
+                this.renderCollectionQuestions();
             });
-            
-            choiceInput.appendChild(input);
-            choiceInput.appendChild(removeButton);
-            choicesContainer.appendChild(choiceInput);
+            actions.appendChild(removeButton);
+
+            item.appendChild(title);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    addCollectionQuestion() {
+        const select = document.getElementById('collection-question-select');
+        if (!select.value) {
+            return;
+        }
+
+        this.collectionQuestionIds.push(select.value);
+        this.renderCollectionQuestionOptions();
+        this.renderCollectionQuestions();
+    }
+
+    moveCollectionQuestion(from, to) {
+        if (to < 0 || to >= this.collectionQuestionIds.length) {
+            return;
+        }
+
+        const [questionId] = this.collectionQuestionIds.splice(from, 1);
+        this.collectionQuestionIds.splice(to, 0, questionId);
+        this.renderCollectionQuestions();
+    }
+
+    editCollection(collection) {
+        this.editingCollectionId = collection._id;
+        this.collectionQuestionIds = [...collection.questions];
+
+        document.getElementById('collection-title').value = collection.title;
+        document.getElementById('collection-slug').value = collection.slug;
+        document.getElementById('collection-status').value = collection.status;
+        document.getElementById('collection-description').value = collection.description || '';
+        document.getElementById('collection-cover-text').value = collection.coverText || '';
+        document.getElementById('collection-submit-button').textContent = 'Save Collection';
+        document.getElementById('collection-cancel-button').style.display = '';
+
+        this.renderCollectionQuestionOptions();
+        this.renderCollectionQuestions();
+        document.getElementById('collection-title').focus();
+    }
+
+    resetCollectionForm() {
+        this.editingCollectionId = null;
+        this.collectionQuestionIds = [];
+
+        document.getElementById('collection-form').reset();
+        document.getElementById('collection-submit-button').textContent = 'Create Collection';
+        document.getElementById('collection-cancel-button').style.display = 'none';
+
+        this.renderCollectionQuestionOptions();
+        this.renderCollectionQuestions();
+    }
+
+    async saveCollection() {
+        const requestData = {
+            title: document.getElementById('collection-title').value.trim(),
+            status: document.getElementById('collection-status').value,
+            description: document.getElementById('collection-description').value.trim(),
+            coverText: document.getElementById('collection-cover-text').value.trim(),
+            questions: this.collectionQuestionIds
+        };
+
+        const slug = document.getElementById('collection-slug').value.trim();
+        if (slug) {
+            requestData.slug = slug;
+        }
+
+        const url = this.editingCollectionId
+            ? `/api/admin/collections/${this.editingCollectionId}`
+            : '/api/admin/collections';
+
+        try {
+            const response = await this.apiFetch(url, {
+                method: this.editingCollectionId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.resetCollectionForm();
+                this.loadCollections();
+            } else {
+                this.showNotification(data.error || 'Failed to save collection', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving collection:', error);
+            this.showNotification('Error saving collection', 'error');
+        }
+    }
+
+    async deleteCollection(collection) {
+        if (!confirm(`Delete the "${collection.title}" collection? Its questions are kept.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/collections/${collection._id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                if (this.editingCollectionId === collection._id) {
+                    this.resetCollectionForm();
+                }
+                this.loadCollections();
+            } else {
+                this.showNotification(data.error || 'Failed to delete collection', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            this.showNotification('Error deleting collection', 'error');
+        }
+    }
+
+    async createAlias() {
+        const fromInput = document.getElementById('alias-from');
+        const toInput = document.getElementById('alias-to');
+
+        try {
+            const response = await this.apiFetch('/api/admin/aliases', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    fromPath: fromInput.value.trim(),
+                    toPath: toInput.value.trim()
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Redirect saved successfully', 'success');
+                fromInput.value = '';
+                toInput.value = '';
+                this.loadAliases();
+            } else {
+                this.showNotification(data.error || 'Failed to save redirect', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving redirect:', error);
+            this.showNotification('Error saving redirect', 'error');
+        }
+    }
+
+    async deleteAlias(aliasId, fromUrl) {
+        if (!confirm(`Remove the redirect from ${fromUrl}? Links using that URL will stop working.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/aliases/${aliasId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Redirect removed successfully', 'success');
+                this.loadAliases();
+            } else {
+                this.showNotification(data.error || 'Failed to remove redirect', 'error');
+            }
+        } catch (error) {
+            console.error('Error removing redirect:', error);
+            this.showNotification('Error removing redirect', 'error');
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const response = await this.apiFetch('/api/admin/settings');
+
+            const data = await response.json();
+
+            if (data.success) {
+                document.getElementById('duplicate-vote-policy').value = data.data.duplicateVotePolicy;
+                document.getElementById('require-two-factor').checked = data.data.requireTwoFactor;
+                document.getElementById('trash-purge-days').value = data.data.trashPurgeAfterDays;
+            } else {
+                this.showNotification(data.error || 'Failed to load settings', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.showNotification('Error loading settings', 'error');
+        }
+    }
+
+    async saveSettings() {
+        const duplicateVotePolicy = document.getElementById('duplicate-vote-policy').value;
+        const requireTwoFactor = document.getElementById('require-two-factor').checked;
+        const trashPurgeAfterDays = parseInt(document.getElementById('trash-purge-days').value, 10) || 0;
+
+        try {
+            const response = await this.apiFetch('/api/admin/settings', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ duplicateVotePolicy, requireTwoFactor, trashPurgeAfterDays })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Settings saved successfully', 'success');
+            } else {
+                this.showNotification(data.error || 'Failed to save settings', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showNotification('Error saving settings', 'error');
+        }
+    }
+
+    async loadRanking() {
+        try {
+            const response = await this.apiFetch('/api/admin/ranking');
+            const data = await response.json();
+
+            if (data.success) {
+                this.rankingDefaults = data.data.defaults;
+                this.fillRankingForm(data.data.weights);
+                document.getElementById('ranking-preview').style.display = 'none';
+            } else {
+                this.showNotification(data.error || 'Failed to load ranking weights', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading ranking weights:', error);
+            this.showNotification('Error loading ranking weights', 'error');
+        }
+    }
+
+    fillRankingForm(weights) {
+        if (!weights) {
+            return;
+        }
+
+        document.querySelectorAll('#ranking-form [data-weight]').forEach(input => {
+            input.value = weights[input.dataset.group][input.dataset.weight];
+        });
+    }
+
+    readRankingForm() {
+        const weights = {};
+        document.querySelectorAll('#ranking-form [data-weight]').forEach(input => {
+            weights[input.dataset.group] = weights[input.dataset.group] || {};
+            weights[input.dataset.group][input.dataset.weight] = parseFloat(input.value);
+        });
+        return weights;
+    }
+
+    async previewRanking() {
+        try {
+            const response = await this.apiFetch('/api/admin/ranking/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.readRankingForm())
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderRankingPreview(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to preview ranking', 'error');
+            }
+        } catch (error) {
+            console.error('Error previewing ranking:', error);
+            this.showNotification('Error previewing ranking', 'error');
+        }
+    }
+
+    renderRankingPreview(preview) {
+        const container = document.getElementById('ranking-preview');
+        container.innerHTML = '';
+
+        [['popularityScore', 'Most Popular'], ['trendingScore', 'Trending']].forEach(([metric, label]) => {
+            const result = preview[metric];
+            const column = document.createElement('div');
+            column.className = 'create-form';
+
+            const heading = document.createElement('h3');
+            heading.textContent = label;
+            column.appendChild(heading);
+
+            const summary = document.createElement('p');
+            summary.className = 'revision-meta';
+            summary.textContent = `${result.moved} of ${preview.totalQuestions} questions would change position; ` +
+                `${result.entering} would newly reach the top ${result.proposed.length}.`;
+            column.appendChild(summary);
+
+            const list = document.createElement('ol');
+            result.proposed.forEach(entry => {
+                const item = document.createElement('li');
+
+                const title = document.createElement('span');
+                title.textContent = `${entry.title} `;
+                item.appendChild(title);
+
+                const change = document.createElement('span');
+                change.className = 'ranking-change';
+                if (entry.change > 0) {
+                    change.classList.add('up');
+                    change.textContent = `↑${entry.change}`;
+                } else if (entry.change < 0) {
+                    change.classList.add('down');
+                    change.textContent = `↓${-entry.change}`;
+                } else {
+                    change.textContent = '–';
+                }
+                item.appendChild(change);
+
+                const meta = document.createElement('div');
+                meta.className = 'revision-meta';
+                meta.textContent = `Now #${entry.currentRank} (${entry.currentScore}), would be ${entry.proposedScore}`;
+                item.appendChild(meta);
+
+                list.appendChild(item);
+            });
+            column.appendChild(list);
+
+            container.appendChild(column);
+        });
+
+        container.style.display = 'grid';
+    }
+
+    async saveRanking() {
+        try {
+            const response = await this.apiFetch('/api/admin/ranking', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.readRankingForm())
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                document.getElementById('ranking-preview').style.display = 'none';
+            } else {
+                this.showNotification(data.error || 'Failed to save ranking weights', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving ranking weights:', error);
+            this.showNotification('Error saving ranking weights', 'error');
+        }
+    }
+
+    async loadDashboard() {
+        try {
+            const response = await this.apiFetch('/api/admin/dashboard');
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderDashboard(data.data);
+            } else {
+                this.showNotification('Failed to load dashboard data', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading dashboard:', error);
+            this.showNotification('Error loading dashboard', 'error');
+        }
+    }
+
+    renderDashboard(data) {
+        // Update overview stats with fallback values
+        const overview = data.overview || {};
+        document.getElementById('total-questions').textContent = overview.totalQuestions || 0;
+        document.getElementById('featured-questions').textContent = overview.featuredQuestions || 0;
+        document.getElementById('multiple-choice-questions').textContent = overview.multipleChoiceQuestions || 0;
+        document.getElementById('paragraph-questions').textContent = overview.paragraphQuestions || 0;
+        document.getElementById('total-subscribers').textContent = overview.totalSubscribers || 0;
+        document.getElementById('recent-subscribers').textContent = overview.recentSubscribers || 0;
+
+        // Render category stats
+        const categoryStatsContainer = document.getElementById('category-stats');
+        if (categoryStatsContainer) {
+            categoryStatsContainer.innerHTML = '';
+
+            const categoryStats = data.categoryStats || [];
+            if (categoryStats.length > 0) {
+                categoryStats.forEach(category => {
+                    const categoryItem = document.createElement('div');
+                    categoryItem.className = 'category-item';
+                    
+                    const categoryName = document.createElement('div');
+                    categoryName.className = 'category-name';
+                    categoryName.textContent = category._id || 'Unknown';
+                    
+                    const categoryCount = document.createElement('div');
+                    categoryCount.className = 'category-count';
+                    categoryCount.textContent = `${category.count || 0} questions`;
+                    
+                    categoryItem.appendChild(categoryName);
+                    categoryItem.appendChild(categoryCount);
+                    categoryStatsContainer.appendChild(categoryItem);
+                });
+            } else {
+                const noData = document.createElement('div');
+                noData.className = 'no-data';
+                noData.textContent = 'No category data available';
+                categoryStatsContainer.appendChild(noData);
+            }
+        }
+
+        // Render question type stats
+        const questionTypeStatsContainer = document.getElementById('question-type-stats');
+        if (questionTypeStatsContainer) {
+            questionTypeStatsContainer.innerHTML = '';
+
+            const questionTypeStats = data.questionTypeStats || [];
+            if (questionTypeStats.length > 0) {
+                questionTypeStats.forEach(typeStats => {
+                    const typeItem = document.createElement('div');
+                    typeItem.className = 'type-item';
+                    
+                    const typeName = this.questionTypeLabel(typeStats._id);
+                    
+                    const typeNameDiv = document.createElement('div');
+                    typeNameDiv.className = 'type-name';
+                    typeNameDiv.textContent = typeName;
+                    
+                    const typeCountDiv = document.createElement('div');
+                    typeCountDiv.className = 'type-count';
+                    typeCountDiv.textContent = `${typeStats.count || 0} questions`;
+                    
+                    typeItem.appendChild(typeNameDiv);
+                    typeItem.appendChild(typeCountDiv);
+                    questionTypeStatsContainer.appendChild(typeItem);
+                });
+            } else {
+                const noData = document.createElement('div');
+                noData.className = 'no-data';
+                noData.textContent = 'No question type data available';
+                questionTypeStatsContainer.appendChild(noData);
+            }
+        }
+
+        // Render recent questions
+        const recentQuestionsContainer = document.getElementById('recent-questions');
+        if (recentQuestionsContainer) {
+            recentQuestionsContainer.innerHTML = '';
+
+            const recentQuestions = data.recentQuestions || [];
+            if (recentQuestions.length > 0) {
+                recentQuestions.forEach(question => {
+                    const questionItem = document.createElement('div');
+                    questionItem.className = 'recent-question-item';
+                    
+                    const questionType = this.questionTypeLabel(question.questionType);
+                    
+                    const titleDiv = document.createElement('div');
+                    titleDiv.className = 'recent-question-title';
+                    titleDiv.textContent = question.title || 'Untitled';
+                    
+                    const metaDiv = document.createElement('div');
+                    metaDiv.className = 'recent-question-meta';
+                    metaDiv.textContent = `${question.category || 'Unknown'} • ${questionType} • ${question.responseCount || 0} responses • ${this.formatDate(new Date(question.createdAt))}`;
+                    
+                    questionItem.appendChild(titleDiv);
+                    questionItem.appendChild(metaDiv);
+                    recentQuestionsContainer.appendChild(questionItem);
+                });
+            } else {
+                const noData = document.createElement('div');
+                noData.className = 'no-data';
+                noData.textContent = 'No recent questions';
+                recentQuestionsContainer.appendChild(noData);
+            }
+        }
+    }
+
+    handleQuestionTypeChange() {
+        const questionType = document.getElementById('question-type').value;
+        const choicesSection = document.getElementById('choices-section');
+        const paragraphSection = document.getElementById('paragraph-section');
+
+        document.getElementById('scale-section').style.display = questionType === 'scale' ? 'block' : 'none';
+
+        if (questionType === 'multiple_choice' || questionType === 'ranking') {
+            choicesSection.style.display = 'block';
+            paragraphSection.style.display = 'none';
+            document.getElementById('choices-label').textContent =
+                questionType === 'ranking' ? 'Items to Rank' : 'Answer Choices';
+        } else if (questionType === 'paragraph') {
+            choicesSection.style.display = 'none';
+            paragraphSection.style.display = 'block';
+        } else {
+            choicesSection.style.display = 'none';
+            paragraphSection.style.display = 'none';
+        }
+    }
+
+    async loadQuestions(page = 1) {
+        try {
+            const params = new URLSearchParams({ page, limit: 10 });
+            const type = document.getElementById('question-type-filter').value;
+            const status = document.getElementById('question-status-filter').value;
+            if (type) {
+                params.set('type', type);
+            }
+            if (status) {
+                params.set('status', status);
+            }
+
+            const response = await this.apiFetch(`/api/admin/questions?${params}`);
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderQuestions(data.data.questions);
+                this.renderPagination(data.data.pagination);
+                this.questionsPage = page;
+            } else {
+                this.showNotification('Failed to load questions', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading questions:', error);
+            this.showNotification('Error loading questions', 'error');
+        }
+    }
+
+    renderQuestions(questions) {
+        const questionsList = document.getElementById('questions-list');
+        questionsList.innerHTML = '';
+
+        questions.forEach(question => {
+            const questionItem = document.createElement('div');
+            questionItem.className = 'question-item';
+            
+            // Create question info section
+            const questionInfo = document.createElement('div');
+            questionInfo.className = 'question-info';
+            
+            const titleDiv = document.createElement('div');
+            titleDiv.className = 'question-item-title';
+            titleDiv.textContent = question.title;
+            
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'question-item-meta';
+            
+            const questionType = this.questionTypeLabel(question.questionType);
+            
+            // Create individual meta spans
+            const categorySpan = document.createElement('span');
+            categorySpan.textContent = question.category;
+            
+            const typeSpan = document.createElement('span');
+            typeSpan.textContent = questionType;
+            
+            const responseSpan = document.createElement('span');
+            responseSpan.textContent = `${question.responseCount} responses`;
+            
+            const dateSpan = document.createElement('span');
+            dateSpan.textContent = this.formatDate(new Date(question.createdAt));
+            
+            metaDiv.appendChild(categorySpan);
+            metaDiv.appendChild(typeSpan);
+            metaDiv.appendChild(responseSpan);
+            metaDiv.appendChild(dateSpan);
+            
+            if (question.featured) {
+                const featuredBadge = document.createElement('span');
+                featuredBadge.className = 'featured-badge';
+                featuredBadge.textContent = 'Featured';
+                metaDiv.appendChild(featuredBadge);
+            }
+
+            if (question.status && question.status !== 'published') {
+                const statusBadge = document.createElement('span');
+                statusBadge.className = `status-badge status-${question.status}`;
+                statusBadge.textContent = question.status === 'scheduled'
+                    ? `Scheduled for ${this.formatDate(new Date(question.publishAt))}`
+                    : question.status.charAt(0).toUpperCase() + question.status.slice(1);
+                metaDiv.appendChild(statusBadge);
+            }
+
+            if (question.votingClosedAt || question.closesAt) {
+                const votingBadge = document.createElement('span');
+                votingBadge.className = 'status-badge status-closed';
+                votingBadge.textContent = question.votingClosedAt
+                    ? `Voting closed ${this.formatDate(new Date(question.votingClosedAt))}`
+                    : `Voting closes ${this.formatDate(new Date(question.closesAt))}`;
+                metaDiv.appendChild(votingBadge);
+            }
+            
+            questionInfo.appendChild(titleDiv);
+            questionInfo.appendChild(metaDiv);
+            
+            // Create question actions section
+            const questionActions = document.createElement('div');
+            questionActions.className = 'question-actions';
+            
+            // Feature/Unfeature button
+            const featureButton = document.createElement('button');
+            featureButton.className = `action-button ${question.featured ? 'featured' : ''}`;
+            featureButton.textContent = question.featured ? 'Unfeature' : 'Feature';
+            featureButton.addEventListener('click', () => {
+                this.toggleFeatured(question._id, !question.featured);
+            });
+            
+            // View button
+            const viewButton = document.createElement('button');
+            viewButton.className = 'action-button';
+            viewButton.textContent = 'View';
+            viewButton.addEventListener('click', () => {
+                window.open(question.url, '_blank');
+            });
+            
+            // Edit button
+            const editButton = document.createElement('button');
+            editButton.className = 'action-button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => {
+                this.editQuestion(question._id);
+            });
+            
+            // History button
+            const historyButton = document.createElement('button');
+            historyButton.className = 'action-button';
+            historyButton.textContent = 'History';
+            historyButton.addEventListener('click', () => {
+                this.showHistory(question._id);
+            });
+            
+            // Responses button
+            const responsesButton = document.createElement('button');
+            responsesButton.className = 'action-button';
+            responsesButton.textContent = 'Responses';
+            responsesButton.addEventListener('click', () => {
+                this.showResponses(question._id);
+            });
+            
+            // Follow-ups button
+            const followUpsButton = document.createElement('button');
+            followUpsButton.className = 'action-button';
+            followUpsButton.textContent = 'Follow-ups';
+            followUpsButton.addEventListener('click', () => {
+                this.showFollowUps(question._id);
+            });
+
+            // Publish, archive or republish depending on where the question is in its lifecycle
+            const nextStatus = {
+                draft: { status: 'published', label: 'Publish' },
+                scheduled: { status: 'published', label: 'Publish Now' },
+                published: { status: 'archived', label: 'Archive' },
+                archived: { status: 'published', label: 'Republish' }
+            }[question.status || 'published'];
+            const statusButton = document.createElement('button');
+            statusButton.className = 'action-button';
+            statusButton.textContent = nextStatus.label;
+            statusButton.addEventListener('click', () => {
+                this.setQuestionStatus(question._id, nextStatus.status);
+            });
+
+            // Close or reopen voting on live questions
+            const votingButton = document.createElement('button');
+            votingButton.className = 'action-button';
+            votingButton.textContent = question.votingClosedAt ? 'Reopen Voting' : 'Close Voting';
+            votingButton.addEventListener('click', () => {
+                this.setVotingClosed(question._id, !question.votingClosedAt);
+            });
+
+            // Delete button
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'action-button delete';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => {
+                this.deleteQuestion(question._id);
+            });
+            
+            if (this.can('questions:write')) {
+                questionActions.appendChild(featureButton);
+                questionActions.appendChild(statusButton);
+                if ((question.status || 'published') === 'published') {
+                    questionActions.appendChild(votingButton);
+                }
+            }
+            questionActions.appendChild(viewButton);
+            if (this.can('questions:write')) {
+                questionActions.appendChild(editButton);
+            }
+            questionActions.appendChild(historyButton);
+            if (this.can('questions:write') && (question.questionType || 'multiple_choice') === 'multiple_choice') {
+                questionActions.appendChild(followUpsButton);
+            }
+            if (this.can('responses:moderate')) {
+                questionActions.appendChild(responsesButton);
+            }
+            if (this.can('questions:delete')) {
+                questionActions.appendChild(deleteButton);
+            }
+            
+            questionItem.appendChild(questionInfo);
+            questionItem.appendChild(questionActions);
+            questionsList.appendChild(questionItem);
+        });
+    }
+
+    renderPagination(pagination) {
+        const paginationContainer = document.getElementById('questions-pagination');
+        paginationContainer.innerHTML = '';
+
+        // Previous button
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.addEventListener('click', () => this.loadQuestions(pagination.currentPage - 1));
+        paginationContainer.appendChild(prevButton);
+
+        // Page info
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        // Next button
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.addEventListener('click', () => this.loadQuestions(pagination.currentPage + 1));
+        paginationContainer.appendChild(nextButton);
+    }
+
+    async createQuestion() {
+        const form = document.getElementById('create-question-form');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const buttonText = submitButton.querySelector('.button-text');
+        const buttonLoading = submitButton.querySelector('.button-loading');
+
+        // Get form data
+        const title = document.getElementById('question-title').value.trim();
+        const category = document.getElementById('question-category').value;
+        const questionType = document.getElementById('question-type').value;
+        const questionText = document.getElementById('question-text').value.trim();
+        const featured = document.getElementById('question-featured').checked;
+        const status = document.getElementById('question-status').value;
+        const publishAt = document.getElementById('question-publish-at').value;
+        const closesAt = document.getElementById('question-closes-at').value;
+
+        // Validation
+        if (!title || !category || !questionType || !questionText) {
+            this.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        // Prepare request data
+        const requestData = {
+            title,
+            category,
+            questionType,
+            questionText,
+            featured
+        };
+
+        // Publishing options only apply to new questions; existing ones use the list buttons
+        if (!this.editingQuestionId) {
+            requestData.status = status;
+            if (status === 'scheduled') {
+                if (!publishAt) {
+                    this.showNotification('Choose when the question should be published', 'error');
+                    return;
+                }
+                requestData.publishAt = new Date(publishAt).toISOString();
+            }
+            if (closesAt) {
+                requestData.closesAt = new Date(closesAt).toISOString();
+            }
+        }
+
+        // The slug can only be changed on existing questions
+        if (this.editingQuestionId) {
+            const slug = document.getElementById('question-slug').value.trim();
+            if (slug) {
+                requestData.slug = slug;
+            }
+        }
+
+        // Add choices only for multiple choice and ranking questions
+        if (questionType === 'multiple_choice' || questionType === 'ranking') {
+            const choiceInputs = document.querySelectorAll('#choices-container input[type="text"]');
+            const choices = Array.from(choiceInputs)
+                .map(input => {
+                    const choice = { text: input.value.trim() };
+                    // Keep the id of existing choices so renames keep their votes
+                    if (input.dataset.choiceId) {
+                        choice._id = input.dataset.choiceId;
+                    }
+                    return choice;
+                })
+                .filter(choice => choice.text.length > 0);
+
+            if (choices.length < 2) {
+                this.showNotification('Please provide at least 2 choices for multiple choice questions', 'error');
+                return;
+            }
+
+            requestData.choices = choices;
+        }
+
+        if (questionType === 'scale') {
+            const min = parseInt(document.getElementById('scale-min').value, 10);
+            const max = parseInt(document.getElementById('scale-max').value, 10);
+
+            if (isNaN(min) || isNaN(max) || max - min < 2) {
+                this.showNotification('The highest scale value must be at least 2 more than the lowest', 'error');
+                return;
+            }
+
+            requestData.scale = {
+                min,
+                max,
+                minLabel: document.getElementById('scale-min-label').value.trim(),
+                maxLabel: document.getElementById('scale-max-label').value.trim()
+            };
+        }
+
+        // Show loading state
+        submitButton.disabled = true;
+        buttonText.style.display = 'none';
+        buttonLoading.style.display = 'flex';
+
+        try {
+            if (this.editingQuestionId) {
+                await this.updateQuestion(requestData);
+                return;
+            }
+
+            const response = await this.apiFetch('/api/admin/questions', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                form.reset();
+                document.getElementById('question-publish-at').style.display = 'none';
+                this.resetChoices();
+                this.handleQuestionTypeChange(); // Reset form sections
+                
+                // Switch to questions tab to see the new question
+                setTimeout(() => {
+                    this.switchTab('questions');
+                }, 1000);
+            } else {
+                this.showNotification(data.error || 'Failed to create question', 'error');
+            }
+        } catch (error) {
+            console.error('Error creating question:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            // Hide loading state
+            submitButton.disabled = false;
+            buttonText.style.display = 'inline';
+            buttonLoading.style.display = 'none';
+        }
+    }
+
+    async editQuestion(questionId) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}`);
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to load question', 'error');
+                return;
+            }
+
+            const question = data.data;
+            this.switchTab('create');
+            this.editingQuestionId = question._id;
+
+            document.getElementById('question-title').value = question.title;
+            document.getElementById('question-slug').value = question.slug;
+            document.getElementById('slug-group').style.display = 'block';
+            document.getElementById('question-category').value = question.category;
+            document.getElementById('question-text').value = question.questionText;
+            document.getElementById('question-featured').checked = question.featured;
+            document.getElementById('publish-group').style.display = 'none';
+            document.getElementById('closes-group').style.display = 'none';
+
+            // The type can't change once people have responded
+            const questionTypeSelect = document.getElementById('question-type');
+            questionTypeSelect.value = question.questionType;
+            questionTypeSelect.disabled = question.responseCount > 0;
+            this.handleQuestionTypeChange();
+
+            if (question.questionType === 'multiple_choice' || question.questionType === 'ranking') {
+                const choicesContainer = document.getElementById('choices-container');
+                choicesContainer.innerHTML = '';
+
+                question.choices.forEach(choice => {
+                    this.addChoiceInput();
+                    const choiceInput = choicesContainer.lastElementChild;
+                    const input = choiceInput.querySelector('input');
+                    input.value = choice.text;
+                    input.dataset.choiceId = choice._id;
+
+                    const votes = document.createElement('span');
+                    votes.className = 'choice-votes';
+                    votes.textContent = `${choice.votes} votes`;
+                    choiceInput.insertBefore(votes, choiceInput.querySelector('.remove-choice'));
+                });
+            } else {
+                this.resetChoices();
+            }
+
+            if (question.questionType === 'scale' && question.scale) {
+                document.getElementById('scale-min').value = question.scale.min;
+                document.getElementById('scale-max').value = question.scale.max;
+                document.getElementById('scale-min-label').value = question.scale.minLabel || '';
+                document.getElementById('scale-max-label').value = question.scale.maxLabel || '';
+            }
+
+            // Responses are points on the current range, so only the labels stay editable
+            const rangeLocked = question.questionType === 'scale' && question.responseCount > 0;
+            document.getElementById('scale-min').disabled = rangeLocked;
+            document.getElementById('scale-max').disabled = rangeLocked;
+
+            document.getElementById('create-form-title').textContent = 'Edit Question';
+            document.getElementById('create-form-subtitle').textContent =
+                'Renamed choices keep their votes. Removing a choice that has votes asks for confirmation.';
+            document.querySelector('#create-question-form .button-text').textContent = 'Update Question';
+            document.getElementById('cancel-edit-button').style.display = 'inline-block';
+        } catch (error) {
+            console.error('Error loading question for editing:', error);
+            this.showNotification('Error loading question', 'error');
+        }
+    }
+
+    async updateQuestion(requestData) {
+        const response = await this.apiFetch(`/api/admin/questions/${this.editingQuestionId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(requestData)
+        });
+
+        const data = await response.json();
+
+        if (data.code === 'CONFIRM_CHOICE_REMOVAL') {
+            const summary = data.data.choices
+                .map(choice => `"${choice.text}" (${choice.votes} votes)`)
+                .join('\n');
+
+            if (confirm(`These choices already have votes. Removing them also deletes their votes and responses:\n\n${summary}\n\nContinue?`)) {
+                await this.updateQuestion({ ...requestData, confirmChoiceRemoval: true });
+            }
+            return;
+        }
+
+        if (data.success) {
+            this.showNotification('Question updated successfully!', 'success');
+            this.exitEditMode();
+
+            setTimeout(() => {
+                this.switchTab('questions');
+            }, 1000);
+        } else {
+            this.showNotification(data.error || 'Failed to update question', 'error');
+        }
+    }
+
+    exitEditMode() {
+        this.editingQuestionId = null;
+
+        document.getElementById('create-question-form').reset();
+        document.getElementById('question-type').disabled = false;
+        document.getElementById('scale-min').disabled = false;
+        document.getElementById('scale-max').disabled = false;
+        document.getElementById('slug-group').style.display = 'none';
+        document.getElementById('publish-group').style.display = '';
+        document.getElementById('closes-group').style.display = '';
+        document.getElementById('question-publish-at').style.display = 'none';
+        this.resetChoices();
+        this.handleQuestionTypeChange();
+
+        document.getElementById('create-form-title').textContent = 'Create New Question';
+        document.getElementById('create-form-subtitle').textContent =
+            'Craft a thought-provoking moral dilemma for the community.';
+        document.querySelector('#create-question-form .button-text').textContent = 'Create Question';
+        document.getElementById('cancel-edit-button').style.display = 'none';
+    }
+
+    async showHistory(questionId) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/revisions`);
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to load revision history', 'error');
+                return;
+            }
+
+            this.historyQuestionId = questionId;
+            this.historyRevisions = data.data.revisions;
+
+            const historyPanel = document.getElementById('question-history');
+            document.getElementById('question-history-title').textContent = `Revision History: ${data.data.title}`;
+            document.getElementById('revision-diff').innerHTML = '';
+            this.renderRevisionList(this.historyRevisions);
+
+            historyPanel.style.display = 'block';
+            historyPanel.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error loading revision history:', error);
+            this.showNotification('Error loading revision history', 'error');
+        }
+    }
+
+    hideHistory() {
+        this.historyQuestionId = null;
+        this.historyRevisions = [];
+        document.getElementById('question-history').style.display = 'none';
+    }
+
+    renderRevisionList(revisions) {
+        const revisionList = document.getElementById('revision-list');
+        revisionList.innerHTML = '';
+
+        if (revisions.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No revisions recorded yet. History starts with the next edit.';
+            revisionList.appendChild(empty);
+            return;
+        }
+
+        const actionLabels = {
+            create: 'Created',
+            baseline: 'Original content',
+            edit: 'Edited',
+            rollback: 'Rolled back'
+        };
+
+        revisions.forEach((revision, index) => {
+            const item = document.createElement('div');
+            item.className = 'revision-item';
+
+            const info = document.createElement('div');
+
+            const title = document.createElement('div');
+            title.className = 'question-item-title';
+            title.textContent = `Revision ${revision.revision}: ${actionLabels[revision.action] || revision.action}`;
+            if (revision.action === 'rollback') {
+                title.textContent += ` to revision ${revision.rolledBackFrom}`;
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            const parts = [
+                this.formatDate(new Date(revision.createdAt)),
+                revision.editedBy ? `by ${revision.editedBy}` : null,
+                `${revision.responseCount} responses at the time`,
+                revision.changedFields.length > 0 ? `changed: ${revision.changedFields.join(', ')}` : null
+            ];
+            meta.textContent = parts.filter(Boolean).join(' · ');
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'revision-actions';
+
+            const previous = revisions.find(r => r.revision === revision.revision - 1);
+            if (previous) {
+                const diffButton = document.createElement('button');
+                diffButton.className = 'action-button';
+                diffButton.textContent = 'View Changes';
+                diffButton.addEventListener('click', () => {
+                    this.renderRevisionDiff(previous, revision);
+                });
+                actions.appendChild(diffButton);
+            }
+
+            // The newest revision is the current content
+            if (index > 0 && this.can('questions:write')) {
+                const rollbackButton = document.createElement('button');
+                rollbackButton.className = 'action-button';
+                rollbackButton.textContent = 'Roll Back';
+                rollbackButton.addEventListener('click', () => {
+                    this.rollbackToRevision(revision.revision);
+                });
+                actions.appendChild(rollbackButton);
+            }
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            revisionList.appendChild(item);
+        });
+    }
+
+    renderRevisionDiff(before, after) {
+        const diffContainer = document.getElementById('revision-diff');
+        diffContainer.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.textContent = `Changes from revision ${before.revision} to ${after.revision}`;
+        diffContainer.appendChild(heading);
+
+        const fields = [
+            { key: 'title', label: 'Title', split: text => text.split(/(\s+)/) },
+            { key: 'category', label: 'Category', split: text => [text] },
+            { key: 'questionText', label: 'Question Text', split: text => text.split(/(\s+)/) },
+            { key: 'choices', label: 'Choices', split: choices => choices.map(c => `${c.text}\n`) },
+            { key: 'scale', label: 'Scale', split: scale => (scale.min === undefined ? [] : [this.describeScale(scale)]) }
+        ];
+
+        // Only scale questions have a scale to compare
+        const hasScale = revision => revision.scale && revision.scale.min !== undefined;
+
+        fields.filter(field => field.key !== 'scale' || hasScale(before) || hasScale(after)).forEach(field => {
+            const fieldDiv = document.createElement('div');
+            fieldDiv.className = 'diff-field';
+
+            const label = document.createElement('h4');
+            label.textContent = field.label;
+
+            const content = document.createElement('div');
+            content.className = 'diff-content';
+
+            const tokens = this.diffTokens(field.split(before[field.key] || []), field.split(after[field.key] || []));
+            tokens.forEach(token => {
+                const span = document.createElement('span');
+                span.textContent = token.value;
+                if (token.type !== 'same') {
+                    span.className = `diff-${token.type}`;
+                }
+                content.appendChild(span);
+            });
+
+            fieldDiv.appendChild(label);
+            fieldDiv.appendChild(content);
+            diffContainer.appendChild(fieldDiv);
+        });
+    }
+
+    // Longest-common-subsequence diff over two token arrays
+    diffTokens(before, after) {
+        const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+
+        for (let i = before.length - 1; i >= 0; i--) {
+            for (let j = after.length - 1; j >= 0; j--) {
+                table[i][j] = before[i] === after[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const tokens = [];
+        let i = 0;
+        let j = 0;
+        while (i < before.length && j < after.length) {
+            if (before[i] === after[j]) {
+                tokens.push({ type: 'same', value: before[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                tokens.push({ type: 'removed', value: before[i++] });
+            } else {
+                tokens.push({ type: 'added', value: after[j++] });
+            }
+        }
+        while (i < before.length) {
+            tokens.push({ type: 'removed', value: before[i++] });
+        }
+        while (j < after.length) {
+            tokens.push({ type: 'added', value: after[j++] });
+        }
+
+        return tokens;
+    }
+
+    async rollbackToRevision(revisionNumber, confirmChoiceRemoval = false) {
+        if (!confirmChoiceRemoval && !confirm(`Roll this question back to revision ${revisionNumber}? The current content is kept in the history.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${this.historyQuestionId}/revisions/${revisionNumber}/rollback`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ confirmChoiceRemoval })
+            });
+
+            const data = await response.json();
+
+            if (data.code === 'CONFIRM_CHOICE_REMOVAL') {
+                const summary = data.data.choices
+                    .map(choice => `"${choice.text}" (${choice.votes} votes)`)
+                    .join('\n');
+
+                if (confirm(`Rolling back removes choices that already have votes:\n\n${summary}\n\nContinue?`)) {
+                    await this.rollbackToRevision(revisionNumber, true);
+                }
+                return;
+            }
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                await this.showHistory(this.historyQuestionId);
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to roll back question', 'error');
+            }
+        } catch (error) {
+            console.error('Error rolling back question:', error);
+            this.showNotification('Error rolling back question', 'error');
+        }
+    }
+
+    addChoiceInput() {
+        const choicesContainer = document.getElementById('choices-container');
+        const choiceInputs = choicesContainer.querySelectorAll('.choice-input');
+        
+        if (choiceInputs.length >= 6) {
+            this.showNotification('Maximum 6 choices allowed', 'warning');
+            return;
+        }
+
+        const choiceInput = document.createElement('div');
+        choiceInput.className = 'choice-input';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = `Choice ${choiceInputs.length + 1}`;
+        input.required = true;
+        input.maxLength = 500;
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'remove-choice';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', () => {
+            choiceInput.remove();
+            this.updateRemoveButtons();
+        });
+
+        choiceInput.appendChild(input);
+        choiceInput.appendChild(removeButton);
+        choicesContainer.appendChild(choiceInput);
+        this.updateRemoveButtons();
+    }
+
+    updateRemoveButtons() {
+        const choiceInputs = document.querySelectorAll('#choices-container .choice-input');
+        choiceInputs.forEach((input) => {
+            const removeButton = input.querySelector('.remove-choice');
+            if (choiceInputs.length > 2) {
+                removeButton.style.display = 'flex';
+            } else {
+                removeButton.style.display = 'none';
+            }
+        });
+    }
+
+    resetChoices() {
+        const choicesContainer = document.getElementById('choices-container');
+        choicesContainer.innerHTML = '';
+        
+        // Create two default choice inputs
+        for (let i = 1; i <= 2; i++) {
+            const choiceInput = document.createElement('div');
+            choiceInput.className = 'choice-input';
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = `Choice ${i}`;
+            input.required = true;
+            input.maxLength = 500;
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'remove-choice';
+            removeButton.textContent = '×';
+            removeButton.style.display = 'none';
+            removeButton.addEventListener('click', () => {
+                choiceInput.remove();
+                this.updateRemoveButtons();
+            });
+            
+            choiceInput.appendChild(input);
+            choiceInput.appendChild(removeButton);
+            choicesContainer.appendChild(choiceInput);
+        }
+    }
+
+    async toggleFeatured(questionId, featured) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/featured`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ featured })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(`Question ${featured ? 'featured' : 'unfeatured'} successfully`, 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to update question', 'error');
+            }
+        } catch (error) {
+            console.error('Error toggling featured status:', error);
+            this.showNotification('Error updating question', 'error');
+        }
+    }
+
+    async setQuestionStatus(questionId, status) {
+        if (status === 'archived' && !confirm('Archive this question? It stays readable but stops taking responses.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/status`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ status })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to update question status', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating question status:', error);
+            this.showNotification('Error updating question status', 'error');
+        }
+    }
+
+    async setVotingClosed(questionId, closed) {
+        if (closed && !confirm('Close voting on this question? Results stay visible and you can reopen it later.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/voting`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ closed })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to update voting', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating voting:', error);
+            this.showNotification('Error updating voting', 'error');
+        }
+    }
+
+    async deleteQuestion(questionId) {
+        if (!confirm('Move this question to the trash? It can be restored from the Trash tab.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Question moved to the trash', 'success');
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to delete question', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting question:', error);
+            this.showNotification('Error deleting question', 'error');
+        }
+    }
+
+    async searchQuestions(searchTerm) {
+        if (!searchTerm.trim()) {
+            this.loadQuestions(1);
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/search?q=${encodeURIComponent(searchTerm)}`);
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderQuestions(data.data.questions);
+                // Hide pagination for search results
+                const paginationContainer = document.getElementById('questions-pagination');
+                paginationContainer.innerHTML = '';
+                const resultCount = document.createElement('span');
+                resultCount.style.padding = '0.5rem';
+                resultCount.style.color = 'var(--text-secondary)';
+                resultCount.textContent = `Found ${data.data.total} questions`;
+                paginationContainer.appendChild(resultCount);
+            } else {
+                this.showNotification('Search failed', 'error');
+            }
+        } catch (error) {
+            console.error('Error searching questions:', error);
+            this.showNotification('Search error', 'error');
+        }
+    }
+
+    async showResponses(questionId, page = 1) {
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${questionId}/responses?page=${page}`);
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to load responses', 'error');
+                return;
+            }
+
+            this.responsesQuestionId = questionId;
+
+            const responsesPanel = document.getElementById('question-responses');
+            document.getElementById('question-responses-title').textContent =
+                `Responses: ${data.data.title} (${data.data.pagination.totalResponses})`;
+            this.renderResponses(data.data.responses, data.data.pagination);
+
+            responsesPanel.style.display = 'block';
+            responsesPanel.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error loading responses:', error);
+            this.showNotification('Error loading responses', 'error');
+        }
+    }
+
+    async showFollowUps(questionId) {
+        try {
+            const [questionResponse, listResponse] = await Promise.all([
+                this.apiFetch(`/api/admin/questions/${questionId}`),
+                this.apiFetch('/api/admin/questions?limit=200')
+            ]);
+
+            const questionData = await questionResponse.json();
+            const listData = await listResponse.json();
+
+            if (!questionData.success || !listData.success) {
+                this.showNotification(questionData.error || listData.error || 'Failed to load follow-ups', 'error');
+                return;
+            }
+
+            this.followUpQuestion = questionData.data;
+            const candidates = listData.data.questions.filter(q => q._id !== questionId);
+
+            document.getElementById('question-follow-ups-title').textContent =
+                `Follow-up Questions: ${this.followUpQuestion.title}`;
+            this.renderFollowUps(this.followUpQuestion.choices, candidates);
+
+            const pathsContainer = document.getElementById('follow-up-paths');
+            pathsContainer.innerHTML = '';
+            if (this.can('analytics:read')) {
+                await this.loadFollowUpPaths(this.followUpQuestion);
+            }
+
+            const panel = document.getElementById('question-follow-ups');
+            panel.style.display = 'block';
+            panel.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Error loading follow-ups:', error);
+            this.showNotification('Error loading follow-ups', 'error');
+        }
+    }
+
+    hideFollowUps() {
+        this.followUpQuestion = null;
+        document.getElementById('question-follow-ups').style.display = 'none';
+    }
+
+    renderFollowUps(choices, candidates) {
+        const followUpList = document.getElementById('follow-up-list');
+        followUpList.innerHTML = '';
+
+        choices.forEach(choice => {
+            const item = document.createElement('div');
+            item.className = 'revision-item';
+
+            const text = document.createElement('div');
+            text.className = 'question-item-title';
+            text.textContent = choice.text;
+
+            const select = document.createElement('select');
+            select.className = 'filter-select follow-up-select';
+            select.dataset.choiceId = choice._id;
+
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'No follow-up';
+            select.appendChild(none);
+
+            candidates.forEach(candidate => {
+                const option = document.createElement('option');
+                option.value = candidate._id;
+                option.textContent = `${candidate.title} (${this.questionTypeLabel(candidate.questionType)})`;
+                select.appendChild(option);
+            });
+
+            // Keep links to questions outside the loaded list, such as ones in the trash
+            if (choice.followUp && !candidates.some(candidate => candidate._id === choice.followUp)) {
+                const option = document.createElement('option');
+                option.value = choice.followUp;
+                option.textContent = 'Unavailable question';
+                select.appendChild(option);
+            }
+            select.value = choice.followUp || '';
+
+            item.appendChild(text);
+            item.appendChild(select);
+            followUpList.appendChild(item);
+        });
+    }
+
+    async saveFollowUps() {
+        if (!this.followUpQuestion) {
+            return;
+        }
+
+        const followUps = Array.from(document.querySelectorAll('#follow-up-list .follow-up-select'))
+            .map(select => ({
+                choiceId: select.dataset.choiceId,
+                questionId: select.value || null
+            }));
+
+        try {
+            const response = await this.apiFetch(`/api/admin/questions/${this.followUpQuestion._id}/follow-ups`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ followUps })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                await this.showFollowUps(this.followUpQuestion._id);
+            } else {
+                this.showNotification(data.error || 'Failed to save follow-ups', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving follow-ups:', error);
+            this.showNotification('Error saving follow-ups', 'error');
+        }
+    }
+
+    async loadFollowUpPaths(question) {
+        const pathsContainer = document.getElementById('follow-up-paths');
+        const [, category, slug] = question.url.split('/');
+
+        const response = await this.apiFetch(`/api/analytics/question/${category}/${slug}`);
+        const data = await response.json();
+
+        if (!data.success || !data.data.followUpPaths) {
+            return;
+        }
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Path-through Rates';
+        pathsContainer.appendChild(heading);
+
+        const note = document.createElement('p');
+        note.className = 'revision-meta';
+        note.textContent = 'Of the respondents who picked each choice, how many went on to answer its follow-up. ' +
+            'Respondents are matched by their voter cookie.';
+        pathsContainer.appendChild(note);
+
+        pathsContainer.appendChild(this.renderFollowUpPath(data.data.followUpPaths));
+    }
+
+    renderFollowUpPath(node) {
+        const container = document.createElement('div');
+
+        const title = document.createElement('div');
+        title.className = 'question-item-title';
+        title.textContent = `${node.title} (${node.respondents} respondents)`;
+        container.appendChild(title);
+
+        node.paths.forEach(path => {
+            const branch = document.createElement('div');
+            branch.className = 'follow-up-path';
+
+            const summary = document.createElement('div');
+            summary.className = 'revision-meta';
+            summary.textContent = path.followUp
+                ? `"${path.choice}": ${path.continued} of ${path.chose} continued (${path.continueRate}%), ` +
+                    `${path.overallRate}% of everyone who started`
+                : `"${path.choice}": follow-up question no longer exists`;
+            branch.appendChild(summary);
+
+            if (path.followUp) {
+                branch.appendChild(this.renderFollowUpPath(path.followUp));
+            }
+
+            container.appendChild(branch);
+        });
+
+        return container;
+    }
+
+    hideResponses() {
+        this.responsesQuestionId = null;
+        document.getElementById('question-responses').style.display = 'none';
+    }
+
+    renderResponses(responses, pagination) {
+        const moderationList = document.getElementById('moderation-list');
+        moderationList.innerHTML = '';
+
+        if (responses.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No responses yet.';
+            moderationList.appendChild(empty);
+        }
+
+        responses.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'revision-item';
+
+            const info = document.createElement('div');
+
+            const text = document.createElement('div');
+            text.className = 'question-item-title';
+            if (entry.ranking && entry.ranking.length) {
+                text.textContent = entry.ranking.map((item, index) => `${index + 1}. ${item}`).join('  ');
+            } else if (typeof entry.value === 'number') {
+                text.textContent = `Rated ${entry.value}`;
+            } else {
+                text.textContent = entry.choice || entry.responseText;
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            const parts = [
+                this.formatDate(new Date(entry.timestamp)),
+                entry.replacedAt ? 'changed vote' : null,
+                entry.explanation ? `"${entry.explanation}"` : null
+            ];
+            meta.textContent = parts.filter(Boolean).join(' · ');
+
+            info.appendChild(text);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'revision-actions';
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'action-button delete';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                this.deleteResponse(entry._id);
+            });
+            actions.appendChild(removeButton);
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            moderationList.appendChild(item);
+        });
+
+        const paginationContainer = document.getElementById('moderation-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages > 1) {
+            const prevButton = document.createElement('button');
+            prevButton.className = 'page-button';
+            prevButton.textContent = '← Previous';
+            prevButton.disabled = !pagination.hasPrev;
+            prevButton.addEventListener('click', () => this.showResponses(this.responsesQuestionId, pagination.currentPage - 1));
+            paginationContainer.appendChild(prevButton);
+
+            const pageInfo = document.createElement('span');
+            pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+            pageInfo.style.padding = '0.5rem 1rem';
+            pageInfo.style.color = 'var(--text-secondary)';
+            paginationContainer.appendChild(pageInfo);
+
+            const nextButton = document.createElement('button');
+            nextButton.className = 'page-button';
+            nextButton.textContent = 'Next →';
+            nextButton.disabled = !pagination.hasNext;
+            nextButton.addEventListener('click', () => this.showResponses(this.responsesQuestionId, pagination.currentPage + 1));
+            paginationContainer.appendChild(nextButton);
+        }
+    }
+
+    async deleteResponse(responseId) {
+        if (!confirm('Remove this response? Its vote will be taken off the results.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/responses/${responseId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Response removed', 'success');
+                this.showResponses(this.responsesQuestionId);
+                this.loadQuestions(this.questionsPage);
+            } else {
+                this.showNotification(data.error || 'Failed to remove response', 'error');
+            }
+        } catch (error) {
+            console.error('Error removing response:', error);
+            this.showNotification('Error removing response', 'error');
+        }
+    }
+
+    async loadAdmins() {
+        try {
+            const response = await this.apiFetch('/api/admin/admins');
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderAdmins(data.data.admins, data.data.roles);
+            } else {
+                this.showNotification(data.error || 'Failed to load admins', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading admins:', error);
+            this.showNotification('Error loading admins', 'error');
+        }
+    }
+
+    renderAdmins(admins, roles) {
+        const adminsList = document.getElementById('admins-list');
+        adminsList.innerHTML = '';
+
+        admins.forEach(admin => {
+            const isSelf = admin.id === this.currentAdmin.id;
+
+            const adminItem = document.createElement('div');
+            adminItem.className = 'question-item';
+
+            const adminInfo = document.createElement('div');
+            adminInfo.className = 'question-info';
+
+            const titleDiv = document.createElement('div');
+            titleDiv.className = 'question-item-title';
+            titleDiv.textContent = admin.name ? `${admin.name} (${admin.username})` : admin.username;
+
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'question-item-meta';
+
+            const details = [
+                admin.email,
+                admin.isActive ? 'Active' : 'Deactivated',
+                admin.twoFactorEnabled ? '2FA on' : '2FA off',
+                admin.lastLoginAt ? `Last login ${this.formatDate(new Date(admin.lastLoginAt))}` : 'Never logged in',
+                isSelf ? 'You' : null
+            ];
+            details.filter(Boolean).forEach(detail => {
+                const span = document.createElement('span');
+                span.textContent = detail;
+                metaDiv.appendChild(span);
+            });
+
+            adminInfo.appendChild(titleDiv);
+            adminInfo.appendChild(metaDiv);
+
+            const adminActions = document.createElement('div');
+            adminActions.className = 'question-actions';
+
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'filter-select';
+            roleSelect.disabled = isSelf;
+            roles.forEach(({ role, permissions }) => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role;
+                option.title = permissions.join(', ');
+                option.selected = role === admin.role;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.addEventListener('change', () => {
+                this.updateAdmin(admin.id, { role: roleSelect.value });
+            });
+
+            const toggleButton = document.createElement('button');
+            toggleButton.className = `action-button ${admin.isActive ? 'delete' : ''}`;
+            toggleButton.textContent = admin.isActive ? 'Deactivate' : 'Activate';
+            toggleButton.disabled = isSelf;
+            toggleButton.addEventListener('click', () => {
+                this.updateAdmin(admin.id, { isActive: !admin.isActive });
+            });
+
+            adminActions.appendChild(roleSelect);
+            adminActions.appendChild(toggleButton);
+
+            // For admins who lost their authenticator and backup codes
+            if (admin.twoFactorEnabled && !isSelf) {
+                const resetButton = document.createElement('button');
+                resetButton.className = 'action-button';
+                resetButton.textContent = 'Reset 2FA';
+                resetButton.addEventListener('click', () => {
+                    if (confirm(`Turn off two-factor authentication for ${admin.username}? They will be logged out.`)) {
+                        this.updateAdmin(admin.id, { resetTwoFactor: true });
+                    }
+                });
+                adminActions.appendChild(resetButton);
+            }
+
+            adminItem.appendChild(adminInfo);
+            adminItem.appendChild(adminActions);
+            adminsList.appendChild(adminItem);
+        });
+    }
+
+    async createAdminAccount() {
+        const form = document.getElementById('admin-account-form');
+
+        try {
+            const response = await this.apiFetch('/api/admin/admins', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: document.getElementById('new-admin-username').value.trim(),
+                    name: document.getElementById('new-admin-name').value.trim(),
+                    email: document.getElementById('new-admin-email').value.trim(),
+                    password: document.getElementById('new-admin-password').value,
+                    role: document.getElementById('new-admin-role').value
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(`Admin ${data.data.username} created`, 'success');
+                form.reset();
+                this.loadAdmins();
+            } else {
+                this.showNotification(data.error || 'Failed to create admin', 'error');
+            }
+        } catch (error) {
+            console.error('Error creating admin:', error);
+            this.showNotification('Error creating admin', 'error');
+        }
+    }
+
+    async updateAdmin(adminId, changes) {
+        try {
+            const response = await this.apiFetch(`/api/admin/admins/${adminId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(`Admin ${data.data.username} updated`, 'success');
+            } else {
+                this.showNotification(data.error || 'Failed to update admin', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating admin:', error);
+            this.showNotification('Error updating admin', 'error');
+        }
+        this.loadAdmins();
+    }
+
+    async loadTwoFactorStatus() {
+        try {
+            const response = await this.apiFetch('/api/admin/auth/2fa');
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderTwoFactorStatus(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load two-factor status', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            this.showNotification('Error loading two-factor status', 'error');
+        }
+    }
+
+    renderTwoFactorStatus(status) {
+        let statusText = status.required ? 'Off - required for every admin' : 'Off';
+        if (status.enabled) {
+            statusText = `On since ${this.formatDate(new Date(status.enabledAt))} · ` +
+                `${status.backupCodesRemaining} backup codes left`;
+        }
+
+        document.getElementById('two-factor-status').textContent = statusText;
+        document.getElementById('two-factor-off').style.display = status.enabled ? 'none' : 'block';
+        document.getElementById('two-factor-enroll').style.display = 'none';
+        document.getElementById('two-factor-on').style.display = status.enabled ? 'block' : 'none';
+        // Turning 2FA off isn't allowed while it's required
+        document.getElementById('two-factor-disable-button').style.display = status.required ? 'none' : '';
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const response = await this.apiFetch('/api/admin/auth/2fa/setup', {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to start two-factor setup', 'error');
+                return;
+            }
+
+            document.getElementById('two-factor-qr').src = data.data.qrCode;
+            document.getElementById('two-factor-secret').textContent = data.data.secret;
+            document.getElementById('two-factor-enable-code').value = '';
+            document.getElementById('two-factor-off').style.display = 'none';
+            document.getElementById('two-factor-enroll').style.display = 'block';
+            document.getElementById('two-factor-enable-code').focus();
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            this.showNotification('Error starting two-factor setup', 'error');
+        }
+    }
+
+    async enableTwoFactor() {
+        const code = document.getElementById('two-factor-enable-code').value.trim();
+
+        try {
+            const response = await this.apiFetch('/api/admin/auth/2fa/enable', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ code })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(data.error || 'Failed to turn on two-factor authentication', 'error');
+                return;
+            }
+
+            this.twoFactorSetupRequired = false;
+            this.currentAdmin.twoFactorEnabled = true;
+            this.showNotification('Two-factor authentication is on', 'success');
+            this.showBackupCodes(data.data.backupCodes);
+            this.loadTwoFactorStatus();
+        } catch (error) {
+            console.error('Error enabling two-factor authentication:', error);
+            this.showNotification('Error turning on two-factor authentication', 'error');
         }
     }
 
-    async toggleFeatured(questionId, featured) {
+    async regenerateBackupCodes() {
+        const code = await this.promptVerification({
+            title: 'New backup codes',
+            message: 'Enter a code from your authenticator app. Your old backup codes will stop working.'
+        });
+        if (!code) {
+            return;
+        }
+
         try {
-            const response = await fetch(`/api/admin/questions/${questionId}/featured`, {
-                method: 'PUT',
+            const response = await this.apiFetch('/api/admin/auth/2fa/backup-codes', {
+                method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
+                    'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ featured })
+                body: JSON.stringify({ code })
             });
 
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification(`Question ${featured ? 'featured' : 'unfeatured'} successfully`, 'success');
-                this.loadQuestions(this.questionsPage);
+                this.showBackupCodes(data.data.backupCodes);
+                this.loadTwoFactorStatus();
             } else {
-                this.showNotification(data.error || 'Failed to update question', 'error');
+                this.showNotification(data.error || 'Failed to generate backup codes', 'error');
             }
         } catch (error) {
-            console.error('Error toggling featured status:', error);
-            this.showNotification('Error updating question', 'error');
+            console.error('Error generating backup codes:', error);
+            this.showNotification('Error generating backup codes', 'error');
         }
     }
 
-    async deleteQuestion(questionId) {
-        if (!confirm('Are you sure you want to delete this question? This action cannot be undone.')) {
+    async disableTwoFactor() {
+        const code = await this.promptVerification({
+            title: 'Turn off two-factor authentication',
+            message: 'Enter a code from your authenticator app or a backup code.'
+        });
+        if (!code) {
             return;
         }
 
         try {
-            const response = await fetch(`/api/admin/questions/${questionId}`, {
-                method: 'DELETE',
+            const response = await this.apiFetch('/api/admin/auth/2fa/disable', {
+                method: 'POST',
                 headers: {
-                    'x-admin-secret': this.adminSecret
-                }
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ code })
             });
 
             const data = await response.json();
 
             if (data.success) {
-                this.showNotification('Question deleted successfully', 'success');
-                this.loadQuestions(this.questionsPage);
+                this.currentAdmin.twoFactorEnabled = false;
+                this.showNotification('Two-factor authentication is off', 'success');
+                document.getElementById('two-factor-backup-codes').style.display = 'none';
+                this.loadTwoFactorStatus();
             } else {
-                this.showNotification(data.error || 'Failed to delete question', 'error');
+                this.showNotification(data.error || 'Failed to turn off two-factor authentication', 'error');
             }
         } catch (error) {
-            console.error('Error deleting question:', error);
-            this.showNotification('Error deleting question', 'error');
+            console.error('Error disabling two-factor authentication:', error);
+            this.showNotification('Error turning off two-factor authentication', 'error');
         }
     }
 
-    async searchQuestions(searchTerm) {
-        if (!searchTerm.trim()) {
-            this.loadQuestions(1);
+    showBackupCodes(codes) {
+        const list = document.getElementById('two-factor-backup-list');
+        list.innerHTML = '';
+
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        document.getElementById('two-factor-backup-codes').style.display = 'block';
+    }
+
+    async loadSystemMetrics() {
+        try {
+            const response = await this.apiFetch('/api/metrics?format=json&days=7');
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showNotification(data.error || 'Failed to load system metrics', 'error');
+                return;
+            }
+
+            const days = Object.values(data.metrics);
+            const requests = days.reduce((sum, day) => sum + day.total_requests, 0);
+            const responseTime = days.reduce((sum, day) => sum + day.total_response_time, 0);
+            const errors = days.reduce((sum, day) => sum + day.error_count, 0);
+
+            document.getElementById('system-requests').textContent = requests.toLocaleString();
+            document.getElementById('system-response-time').textContent =
+                requests > 0 ? `${Math.round(responseTime / requests)} ms` : '-';
+            document.getElementById('system-errors').textContent = errors.toLocaleString();
+        } catch (error) {
+            console.error('Error loading system metrics:', error);
+            this.showNotification('Error loading system metrics', 'error');
+        }
+    }
+
+    async loadLogs(level = 'all') {
+        const logsList = document.getElementById('logs-list');
+
+        try {
+            const response = await this.apiFetch(`/api/logs?format=json&limit=100&level=${level}`);
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                logsList.textContent = data.error || 'Failed to load logs';
+                return;
+            }
+
+            logsList.innerHTML = '';
+
+            if (data.logs.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = 'No log entries found.';
+                logsList.appendChild(empty);
+                return;
+            }
+
+            data.logs.forEach(log => {
+                const item = document.createElement('div');
+                item.className = 'revision-item';
+
+                const info = document.createElement('div');
+
+                const message = document.createElement('div');
+                message.className = 'question-item-title';
+                message.textContent = `[${log.level.toUpperCase()}] ${log.message}`;
+
+                const meta = document.createElement('div');
+                meta.className = 'revision-meta';
+                meta.textContent = this.formatDate(new Date(log.timestamp));
+                if (log.metadata && Object.keys(log.metadata).length > 0) {
+                    meta.textContent += ` · ${JSON.stringify(log.metadata)}`;
+                }
+
+                info.appendChild(message);
+                info.appendChild(meta);
+                item.appendChild(info);
+                logsList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading logs:', error);
+            this.showNotification('Error loading logs', 'error');
+        }
+    }
+
+    auditQueryString(extra = {}) {
+        const fromDate = document.getElementById('audit-from').value;
+        const toDate = document.getElementById('audit-to').value;
+
+        // Date pickers give local days; send them as UTC instants covering the whole day
+        const fields = {
+            actor: document.getElementById('audit-actor').value.trim(),
+            action: document.getElementById('audit-action').value,
+            entityType: document.getElementById('audit-entity-type').value,
+            from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : '',
+            to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : '',
+            ...extra
+        };
+
+        const params = new URLSearchParams();
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        return params.toString();
+    }
+
+    async loadAuditLog(page = 1) {
+        const auditList = document.getElementById('audit-list');
+
+        try {
+            const response = await this.apiFetch(`/api/admin/audit?${this.auditQueryString({ page, limit: 50 })}`);
+
+            const data = await response.json();
+
+            if (!data.success) {
+                auditList.textContent = data.error || 'Failed to load audit log';
+                return;
+            }
+
+            this.renderAuditFilters(data.data.filters);
+            this.renderAuditLog(data.data.entries);
+            this.renderAuditPagination(data.data.pagination);
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.showNotification('Error loading audit log', 'error');
+        }
+    }
+
+    renderAuditFilters(filters) {
+        const fill = (selectId, values, allLabel) => {
+            const select = document.getElementById(selectId);
+            const selected = select.value;
+            select.innerHTML = '';
+
+            const allOption = document.createElement('option');
+            allOption.value = '';
+            allOption.textContent = allLabel;
+            select.appendChild(allOption);
+
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+
+            select.value = values.includes(selected) ? selected : '';
+        };
+
+        fill('audit-action', filters.actions, 'All Actions');
+        fill('audit-entity-type', filters.entityTypes, 'All Entities');
+    }
+
+    renderAuditLog(entries) {
+        const auditList = document.getElementById('audit-list');
+        auditList.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No audit entries match these filters.';
+            auditList.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'revision-item audit-item';
+
+            const info = document.createElement('div');
+
+            const title = document.createElement('div');
+            title.className = 'question-item-title';
+            title.textContent = entry.entityLabel ? `${entry.action} · ${entry.entityLabel}` : entry.action;
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            meta.textContent = [
+                `by ${entry.actor.username}`,
+                this.formatDate(new Date(entry.createdAt)),
+                entry.ip
+            ].filter(Boolean).join(' · ');
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const changes = [
+                { label: 'Before', value: entry.before },
+                { label: 'After', value: entry.after },
+                { label: 'Details', value: entry.metadata }
+            ].filter(change => change.value !== undefined && change.value !== null);
+
+            if (changes.length > 0) {
+                const details = document.createElement('details');
+                details.className = 'audit-details';
+
+                const summary = document.createElement('summary');
+                summary.textContent = 'Show changes';
+                details.appendChild(summary);
+
+                changes.forEach(change => {
+                    const label = document.createElement('h4');
+                    label.textContent = change.label;
+
+                    const content = document.createElement('pre');
+                    content.className = 'diff-content';
+                    content.textContent = JSON.stringify(change.value, null, 2);
+
+                    details.appendChild(label);
+                    details.appendChild(content);
+                });
+
+                info.appendChild(details);
+            }
+
+            item.appendChild(info);
+            auditList.appendChild(item);
+        });
+    }
+
+    renderAuditPagination(pagination) {
+        const paginationContainer = document.getElementById('audit-pagination');
+        paginationContainer.innerHTML = '';
+
+        if (pagination.totalPages <= 1) {
             return;
         }
 
+        const prevButton = document.createElement('button');
+        prevButton.className = 'page-button';
+        prevButton.textContent = '← Previous';
+        prevButton.disabled = !pagination.hasPrev;
+        prevButton.addEventListener('click', () => this.loadAuditLog(pagination.currentPage - 1));
+        paginationContainer.appendChild(prevButton);
+
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${pagination.currentPage} of ${pagination.totalPages}`;
+        pageInfo.style.padding = '0.5rem 1rem';
+        pageInfo.style.color = 'var(--text-secondary)';
+        paginationContainer.appendChild(pageInfo);
+
+        const nextButton = document.createElement('button');
+        nextButton.className = 'page-button';
+        nextButton.textContent = 'Next →';
+        nextButton.disabled = !pagination.hasNext;
+        nextButton.addEventListener('click', () => this.loadAuditLog(pagination.currentPage + 1));
+        paginationContainer.appendChild(nextButton);
+    }
+
+    async exportAuditLog() {
+        try {
+            // Fetched rather than linked so the request carries the access token
+            const response = await this.apiFetch(`/api/admin/audit/export?${this.auditQueryString()}`);
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                this.showNotification(data.error || 'Failed to export audit log', 'error');
+                return;
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            this.showNotification('Error exporting audit log', 'error');
+        }
+    }
+
+    async sendTestEmail() {
+        const emailInput = document.getElementById('test-email-address');
+
         try {
-            const response = await fetch(`/api/admin/questions/search?q=${encodeURIComponent(searchTerm)}`, {
+            const response = await this.apiFetch('/api/admin/test-email', {
+                method: 'POST',
                 headers: {
-                    'x-admin-secret': this.adminSecret
-                }
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email: emailInput.value.trim() })
             });
 
             const data = await response.json();
 
             if (data.success) {
-                this.renderQuestions(data.data.questions);
-                // Hide pagination for search results
-                const paginationContainer = document.getElementById('questions-pagination');
-                paginationContainer.innerHTML = '';
-                const resultCount = document.createElement('span');
-                resultCount.style.padding = '0.5rem';
-                resultCount.style.color = 'var(--text-secondary)';
-                resultCount.textContent = `Found ${data.data.total} questions`;
-                paginationContainer.appendChild(resultCount);
+                this.showNotification(data.message, 'success');
+                emailInput.value = '';
             } else {
-                this.showNotification('Search failed', 'error');
+                this.showNotification(data.error || 'Failed to send test email', 'error');
             }
         } catch (error) {
-            console.error('Error searching questions:', error);
-            this.showNotification('Search error', 'error');
+            console.error('Error sending test email:', error);
+            this.showNotification('Error sending test email', 'error');
         }
     }
 
     async loadSubscriberStats() {
         try {
-            const response = await fetch('/api/admin/subscribers', {
-                headers: {
-                    'x-admin-secret': this.adminSecret
-                }
-            });
+            const response = await this.apiFetch('/api/admin/subscribers');
 
             const data = await response.json();
 
@@ -797,7 +3541,17 @@ class AdminPanel {
                 this.toggleSubscriberStatus(subscriber._id, !subscriber.isActive);
             });
             
-            subscriberActions.appendChild(toggleButton);
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'action-button delete';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => {
+                this.deleteSubscriber(subscriber._id);
+            });
+
+            if (this.can('subscribers:manage')) {
+                subscriberActions.appendChild(toggleButton);
+                subscriberActions.appendChild(deleteButton);
+            }
             
             subscriberItem.appendChild(subscriberInfo);
             subscriberItem.appendChild(subscriberActions);
@@ -842,11 +3596,10 @@ class AdminPanel {
 
     async toggleSubscriberStatus(subscriberId, isActive) {
         try {
-            const response = await fetch(`/api/admin/subscribers/${subscriberId}/status`, {
+            const response = await this.apiFetch(`/api/admin/subscribers/${subscriberId}/status`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-secret': this.adminSecret
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ isActive })
             });
@@ -865,6 +3618,168 @@ class AdminPanel {
         }
     }
 
+    async deleteSubscriber(subscriberId) {
+        if (!confirm('Move this subscriber to the trash? They will not be emailed until restored.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/subscribers/${subscriberId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Subscriber moved to the trash', 'success');
+                this.loadSubscriberStats();
+            } else {
+                this.showNotification(data.error || 'Failed to delete subscriber', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting subscriber:', error);
+            this.showNotification('Error deleting subscriber', 'error');
+        }
+    }
+
+    async loadTrash() {
+        try {
+            const response = await this.apiFetch('/api/admin/trash');
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.renderTrash(data.data);
+            } else {
+                this.showNotification(data.error || 'Failed to load trash', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.showNotification('Error loading trash', 'error');
+        }
+    }
+
+    renderTrash(data) {
+        document.getElementById('trash-purge-note').textContent = data.purgeAfterDays > 0
+            ? `Items are permanently deleted ${data.purgeAfterDays} days after they are moved here.`
+            : 'Items stay here until they are restored or deleted permanently.';
+
+        const sections = [
+            { type: 'questions', label: item => `${item.title} (${item.category}, ${item.responseCount} responses)` },
+            { type: 'subscribers', label: item => item.email }
+        ];
+
+        sections.forEach(({ type, label }) => {
+            const list = document.getElementById(`trash-${type}-list`);
+            list.innerHTML = '';
+
+            if (!data[type]) {
+                return;
+            }
+
+            if (data[type].length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = 'Nothing in the trash.';
+                list.appendChild(empty);
+                return;
+            }
+
+            data[type].forEach(item => {
+                const row = document.createElement('div');
+                row.className = 'revision-item';
+
+                const info = document.createElement('div');
+
+                const title = document.createElement('div');
+                title.className = 'question-item-title';
+                title.textContent = label(item);
+
+                const meta = document.createElement('div');
+                meta.className = 'revision-meta';
+                meta.textContent = `Deleted ${this.formatDate(new Date(item.deletedAt))}`;
+                if (item.deletedBy) {
+                    meta.textContent += ` by ${item.deletedBy}`;
+                }
+                if (item.purgeAt) {
+                    meta.textContent += ` · purged ${this.formatDate(new Date(item.purgeAt))}`;
+                }
+
+                info.appendChild(title);
+                info.appendChild(meta);
+
+                const actions = document.createElement('div');
+                actions.className = 'revision-actions';
+
+                const restoreButton = document.createElement('button');
+                restoreButton.className = 'action-button';
+                restoreButton.textContent = 'Restore';
+                restoreButton.addEventListener('click', () => {
+                    this.restoreFromTrash(type, item._id);
+                });
+
+                const purgeButton = document.createElement('button');
+                purgeButton.className = 'action-button delete';
+                purgeButton.textContent = 'Delete Forever';
+                purgeButton.addEventListener('click', () => {
+                    this.purgeFromTrash(type, item._id);
+                });
+
+                actions.appendChild(restoreButton);
+                actions.appendChild(purgeButton);
+                row.appendChild(info);
+                row.appendChild(actions);
+                list.appendChild(row);
+            });
+        });
+    }
+
+    async restoreFromTrash(type, id) {
+        try {
+            const response = await this.apiFetch(`/api/admin/trash/${type}/${id}/restore`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadTrash();
+            } else {
+                this.showNotification(data.error || 'Failed to restore', 'error');
+            }
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            this.showNotification('Error restoring from the trash', 'error');
+        }
+    }
+
+    async purgeFromTrash(type, id) {
+        const warning = type === 'questions'
+            ? 'Permanently delete this question and all of its responses? This cannot be undone.'
+            : 'Permanently delete this subscriber? This cannot be undone.';
+        if (!confirm(warning)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/admin/trash/${type}/${id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(data.message, 'success');
+                this.loadTrash();
+            } else {
+                this.showNotification(data.error || 'Failed to delete permanently', 'error');
+            }
+        } catch (error) {
+            console.error('Error purging from trash:', error);
+            this.showNotification('Error deleting permanently', 'error');
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Remove existing notifications
         const existingNotifications = document.querySelectorAll('.notification');
@@ -909,6 +3824,20 @@ class AdminPanel {
         return div.innerHTML;
     }
 
+    describeScale(scale) {
+        const end = (value, label) => (label ? `${value} (${label})` : `${value}`);
+        return `${end(scale.min, scale.minLabel)} to ${end(scale.max, scale.maxLabel)}`;
+    }
+
+        questionTypeLabel(questionType) {
+        return {
+            multiple_choice: 'Multiple Choice',
+            paragraph: 'Paragraph',
+            ranking: 'Ranking',
+            scale: 'Scale'
+        }[questionType || 'multiple_choice'] || questionType;
+    }
+
     formatDate(date) {
         return date.toLocaleDateString('en-US', {
             year: 'numeric',
@@ -0,0 +1,263 @@
+// Collection page functionality
+class CollectionPage {
+    constructor() {
+        this.loadingScreen = document.getElementById('loading-screen');
+        this.collectionContainer = document.getElementById('collection-container');
+        this.errorContainer = document.getElementById('error-container');
+        this.summarySection = document.getElementById('collection-summary-section');
+
+        this.collection = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            const pathParts = window.location.pathname.split('/');
+            if (pathParts.length !== 3 || pathParts[1] !== 'collections') {
+                throw new Error('Invalid URL format');
+            }
+
+            await this.loadCollection(pathParts[2]);
+        } catch (error) {
+            console.error('Error initializing collection page:', error);
+            this.showError();
+        } finally {
+            this.hideLoadingScreen();
+        }
+    }
+
+    async loadCollection(slug) {
+        const response = await fetch(`/api/collections/${slug}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Collection not found');
+        }
+
+        this.collection = data.data;
+        this.renderCollection();
+        this.renderProgress();
+
+        if (this.collection.progress.completed) {
+            await this.loadSummary(slug);
+        }
+    }
+
+    renderCollection() {
+        document.getElementById('page-title').textContent = `${this.collection.title} - Moral Dilemmas`;
+        document.getElementById('page-description').setAttribute('content',
+            this.collection.description || `A series of ${this.collection.questions.length} moral dilemmas.`);
+
+        const count = this.collection.questions.length;
+        document.getElementById('collection-count').textContent = `${count} ${count === 1 ? 'dilemma' : 'dilemmas'}`;
+        document.getElementById('collection-title').textContent = this.collection.title;
+        document.getElementById('collection-description').textContent = this.collection.description;
+
+        if (this.collection.coverText) {
+            document.getElementById('collection-cover-text').textContent = this.collection.coverText;
+            document.getElementById('collection-cover').style.display = 'block';
+        }
+
+        this.collectionContainer.style.display = 'block';
+    }
+
+    renderProgress() {
+        const { progress, questions } = this.collection;
+        const percentage = progress.total > 0 ? (progress.answered / progress.total * 100) : 0;
+
+        document.getElementById('collection-progress-text').textContent =
+            `${progress.answered} of ${progress.total} answered`;
+        document.getElementById('collection-progress-bar').style.width = `${percentage}%`;
+
+        const list = document.getElementById('collection-questions');
+        list.innerHTML = '';
+
+        questions.forEach(question => {
+            const item = document.createElement('li');
+            item.className = `collection-question${question.answered ? ' answered' : ''}${question.skipped ? ' skipped' : ''}`;
+
+            const link = document.createElement('a');
+            link.href = this.questionUrl(question);
+            link.textContent = question.title;
+
+            const meta = document.createElement('span');
+            meta.className = 'collection-question-meta';
+            if (question.answered) {
+                meta.textContent = '✓ Answered';
+            } else if (question.skipped) {
+                meta.textContent = 'Closed';
+            } else {
+                meta.textContent = this.questionTypeLabel(question.questionType);
+            }
+
+            item.appendChild(link);
+            item.appendChild(meta);
+            list.appendChild(item);
+        });
+
+        // Send visitors to the first question they haven't answered yet
+        const continueLink = document.getElementById('collection-continue');
+        if (progress.next) {
+            continueLink.href = this.questionUrl(progress.next);
+            continueLink.textContent = progress.answered === 0 ? 'Start →' : 'Continue →';
+            continueLink.style.display = 'inline-flex';
+        } else {
+            continueLink.style.display = 'none';
+        }
+    }
+
+    async loadSummary(slug) {
+        try {
+            const response = await fetch(`/api/collections/${slug}/summary`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to load summary');
+            }
+
+            this.renderSummary(data.data.summary);
+        } catch (error) {
+            console.error('Error loading collection summary:', error);
+        }
+    }
+
+    renderSummary(summary) {
+        const overall = document.getElementById('collection-summary-overall');
+        overall.textContent = summary.comparable > 0
+            ? `You sided with the most popular answer on ${summary.withMajority} of ${summary.comparable} ${summary.comparable === 1 ? 'question' : 'questions'}.`
+            : 'Thanks for working through every dilemma.';
+
+        const list = document.getElementById('collection-summary-list');
+        list.innerHTML = '';
+
+        summary.questions.forEach((result, index) => {
+            list.appendChild(this.createSummaryItem(result, index + 1));
+        });
+
+        this.summarySection.style.display = 'block';
+    }
+
+    createSummaryItem(result, position) {
+        const item = document.createElement('div');
+        item.className = 'collection-summary-item';
+
+        const header = document.createElement('div');
+        header.className = 'collection-summary-header';
+
+        const title = document.createElement('a');
+        title.href = result.url;
+        title.className = 'collection-summary-title';
+        title.textContent = `${position}. ${result.title}`;
+        header.appendChild(title);
+
+        if (result.withMajority !== null) {
+            const badge = document.createElement('span');
+            badge.className = `collection-summary-badge${result.withMajority ? ' majority' : ''}`;
+            badge.textContent = result.withMajority ? 'With the majority' : 'In the minority';
+            header.appendChild(badge);
+        }
+
+        const detail = document.createElement('p');
+        detail.className = 'collection-summary-detail';
+
+        item.appendChild(header);
+        item.appendChild(detail);
+
+        const { yours, community } = result;
+        if (result.questionType === 'multiple_choice') {
+            detail.textContent = `You chose "${yours.choice}", along with ${result.agreement}% of respondents.`;
+            item.appendChild(this.createChoiceChart(community.choices, yours.choice));
+        } else if (result.questionType === 'ranking') {
+            const yourFirst = (yours.ranking || [])[0];
+            detail.textContent = `You put "${yourFirst}" first, as did ${result.agreement}% of respondents.`;
+
+            const orders = document.createElement('div');
+            orders.className = 'collection-summary-orders';
+            orders.appendChild(this.createOrder('Your order', yours.ranking || []));
+            orders.appendChild(this.createOrder('Community order', community.ranking));
+            item.appendChild(orders);
+        } else if (result.questionType === 'scale') {
+            detail.textContent = `You rated it ${yours.value}. The community average is ${community.mean} ` +
+                `(median ${community.median}). ${result.agreement}% gave the same rating, ` +
+                `${community.lower}% rated it lower and ${community.higher}% higher.`;
+        } else {
+            const count = community.totalResponses;
+            detail.textContent = `You shared a written response, one of ${count} ${count === 1 ? 'response' : 'responses'} so far.`;
+        }
+
+        return item;
+    }
+
+    createChoiceChart(choices, chosen) {
+        const chart = document.createElement('div');
+        chart.className = 'results-chart';
+
+        choices.forEach(choice => {
+            const resultItem = document.createElement('div');
+            resultItem.className = `result-item${choice.text === chosen ? ' collection-yours' : ''}`;
+            resultItem.innerHTML = `
+                <div class="result-label">${this.escapeHtml(choice.text)}</div>
+                <div class="result-bar-container">
+                    <div class="result-bar" style="width: ${choice.percentage}%"></div>
+                </div>
+                <div class="result-percentage">${choice.percentage}%</div>
+            `;
+            chart.appendChild(resultItem);
+        });
+
+        return chart;
+    }
+
+    createOrder(label, texts) {
+        const wrapper = document.createElement('div');
+
+        const heading = document.createElement('h4');
+        heading.textContent = label;
+        wrapper.appendChild(heading);
+
+        const list = document.createElement('ol');
+        texts.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        wrapper.appendChild(list);
+
+        return wrapper;
+    }
+
+    // Question links carry the collection so the question page can show the way back
+    questionUrl(question) {
+        return `${question.url}?collection=${encodeURIComponent(this.collection.slug)}`;
+    }
+
+    showError() {
+        this.collectionContainer.style.display = 'none';
+        this.errorContainer.style.display = 'block';
+    }
+
+    hideLoadingScreen() {
+        this.loadingScreen.style.display = 'none';
+    }
+
+    questionTypeLabel(type) {
+        return {
+            multiple_choice: 'Multiple Choice',
+            ranking: 'Ranking',
+            scale: 'Scale',
+            paragraph: 'Open Response'
+        }[type] || 'Multiple Choice';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize collection page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new CollectionPage();
+});
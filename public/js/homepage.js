@@ -5,6 +5,8 @@ class Homepage {
         this.noQuestionsElement = document.getElementById('no-questions');
         this.loadingScreen = document.getElementById('loading-screen');
         this.newsletterForm = document.getElementById('newsletter-form');
+        this.collectionsSection = document.getElementById('collections');
+        this.collectionsContainer = document.getElementById('collections-grid');
         
         this.init();
     }
@@ -12,6 +14,7 @@ class Homepage {
     async init() {
         try {
             await this.loadFeaturedQuestions();
+            await this.loadCollections();
             this.setupNewsletterForm();
         } catch (error) {
             console.error('Error initializing homepage:', error);
@@ -76,6 +79,46 @@ class Homepage {
         return card;
     }
 
+    // Collections are optional, so a failure here leaves the section hidden
+    async loadCollections() {
+        try {
+            const response = await fetch('/api/collections');
+            const data = await response.json();
+
+            if (!data.success || data.data.length === 0) {
+                return;
+            }
+
+            this.collectionsContainer.innerHTML = '';
+            data.data.forEach(collection => {
+                this.collectionsContainer.appendChild(this.createCollectionCard(collection));
+            });
+            this.collectionsSection.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading collections:', error);
+        }
+    }
+
+    createCollectionCard(collection) {
+        const card = document.createElement('div');
+        card.className = 'question-card';
+        card.addEventListener('click', () => {
+            window.location.href = collection.url;
+        });
+
+        const count = collection.questionCount;
+        card.innerHTML = `
+            <div class="question-meta">
+                <span class="category-tag">Collection</span>
+                <span class="question-date">${count} ${count === 1 ? 'dilemma' : 'dilemmas'}</span>
+            </div>
+            <h3>${this.escapeHtml(collection.title)}</h3>
+            <p>${this.escapeHtml(this.truncateText(collection.description || collection.coverText, 150))}</p>
+        `;
+
+        return card;
+    }
+
     setupNewsletterForm() {
         if (!this.newsletterForm) return;
 
@@ -12,6 +12,14 @@ class QuestionPage {
         
         // Paragraph elements
         this.paragraphSection = document.getElementById('paragraph-section');
+
+        // Ranking elements
+        this.rankingSection = document.getElementById('ranking-section');
+        this.rankingResultsSection = document.getElementById('ranking-results-section');
+
+        // Scale elements
+        this.scaleSection = document.getElementById('scale-section');
+        this.scaleResultsSection = document.getElementById('scale-results-section');
         
         // Shared elements
         this.responsesSection = document.getElementById('responses-section');
@@ -19,8 +27,13 @@ class QuestionPage {
         
         this.currentQuestion = null;
         this.selectedChoice = null;
+        this.rankingOrder = [];
+        this.selectedScaleValue = null;
         this.responsePage = 1;
         this.userResponseKey = '';
+        this.collection = null;
+        this.collectionPosition = -1;
+        this.liveResults = null;
         
         this.init();
     }
@@ -38,6 +51,11 @@ class QuestionPage {
 
             await this.loadQuestion(category, slug);
             this.setupEventListeners();
+
+            const collectionSlug = new URLSearchParams(window.location.search).get('collection');
+            if (collectionSlug) {
+                await this.loadCollection(collectionSlug);
+            }
         } catch (error) {
             console.error('Error initializing question page:', error);
             this.showError();
@@ -77,25 +95,46 @@ class QuestionPage {
         // Show question type
         const questionTypeTag = document.getElementById('question-type');
         const questionType = this.currentQuestion.questionType || 'multiple_choice';
-        questionTypeTag.textContent = questionType === 'multiple_choice' ? 'Multiple Choice' : 'Open Response';
+        questionTypeTag.textContent = this.questionTypeLabel(questionType);
         questionTypeTag.className = `question-type-tag type-${questionType}`;
         
         document.getElementById('question-date').textContent = this.formatDate(new Date(this.currentQuestion.createdAt));
+
+        // Let readers know when the wording changed after people had already answered
+        const lastEdit = this.currentQuestion.lastContentEdit;
+        if (lastEdit && lastEdit.responseCount > 0) {
+            const editedNote = document.getElementById('question-edited');
+            const label = lastEdit.responseCount === 1 ? 'response was' : 'responses were';
+            editedNote.textContent = `Edited after ${lastEdit.responseCount} ${label} collected`;
+            editedNote.title = `Last edited ${this.formatDate(new Date(lastEdit.editedAt))}`;
+            editedNote.style.display = 'inline';
+        }
         document.getElementById('question-title').textContent = this.currentQuestion.title;
         document.getElementById('question-text').textContent = this.currentQuestion.questionText;
 
         // Update sidebar stats
-        document.getElementById('sidebar-question-type').textContent = questionType === 'multiple_choice' ? 'Multiple Choice' : 'Open Response';
+        document.getElementById('sidebar-question-type').textContent = this.questionTypeLabel(questionType);
         document.getElementById('sidebar-response-count').textContent = this.currentQuestion.responseCount || this.currentQuestion.responses?.length || 0;
         document.getElementById('sidebar-question-date').textContent = this.formatDate(new Date(this.currentQuestion.createdAt));
 
         // Show appropriate section based on question type
         if (questionType === 'multiple_choice') {
             this.renderMultipleChoice();
+        } else if (questionType === 'ranking') {
+            this.renderRanking();
+        } else if (questionType === 'scale') {
+            this.renderScale();
         } else {
             this.renderParagraphQuestion();
         }
 
+        // Archived and closed questions stay readable but no longer take responses
+        if (this.currentQuestion.status === 'archived') {
+            this.showClosed('This question is archived and no longer accepts responses');
+        } else if (this.currentQuestion.votingClosedAt) {
+            this.showClosed(this.votingClosedMessage(this.currentQuestion.votingClosedAt));
+        }
+
         // Show question container
         this.questionContainer.style.display = 'block';
     }
@@ -125,6 +164,125 @@ class QuestionPage {
         }
     }
 
+    renderRanking() {
+        this.multipleChoiceSection.style.display = 'none';
+        this.paragraphSection.style.display = 'none';
+        this.rankingSection.style.display = 'block';
+
+        const responsesTitle = document.getElementById('responses-title');
+        if (responsesTitle) {
+            responsesTitle.textContent = 'Community Rankings';
+        }
+
+        this.rankingOrder = this.currentQuestion.choices.map(choice => choice.text);
+        this.renderRankingList();
+    }
+
+    renderRankingList() {
+        const rankingList = document.getElementById('ranking-list');
+        rankingList.innerHTML = '';
+
+        this.rankingOrder.forEach((text, index) => {
+            const item = document.createElement('li');
+            item.className = 'ranking-item';
+
+            const position = document.createElement('span');
+            position.className = 'ranking-position';
+            position.textContent = index + 1;
+
+            const label = document.createElement('span');
+            label.className = 'ranking-item-text';
+            label.textContent = text;
+
+            const controls = document.createElement('div');
+            controls.className = 'ranking-move';
+
+            const upButton = document.createElement('button');
+            upButton.type = 'button';
+            upButton.textContent = '↑';
+            upButton.setAttribute('aria-label', `Move ${text} up`);
+            upButton.disabled = index === 0;
+            upButton.addEventListener('click', () => this.moveRankingItem(index, -1));
+
+            const downButton = document.createElement('button');
+            downButton.type = 'button';
+            downButton.textContent = '↓';
+            downButton.setAttribute('aria-label', `Move ${text} down`);
+            downButton.disabled = index === this.rankingOrder.length - 1;
+            downButton.addEventListener('click', () => this.moveRankingItem(index, 1));
+
+            controls.appendChild(upButton);
+            controls.appendChild(downButton);
+            item.appendChild(position);
+            item.appendChild(label);
+            item.appendChild(controls);
+            rankingList.appendChild(item);
+        });
+    }
+
+    moveRankingItem(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.rankingOrder.length) {
+            return;
+        }
+
+        [this.rankingOrder[index], this.rankingOrder[target]] = [this.rankingOrder[target], this.rankingOrder[index]];
+        this.renderRankingList();
+    }
+
+    lockRanking() {
+        document.getElementById('ranking-list').classList.add('locked');
+        document.getElementById('ranking-explanation-input').style.display = 'none';
+        this.rankingSection.querySelector('.form-actions').style.display = 'none';
+    }
+
+    renderScale() {
+        this.multipleChoiceSection.style.display = 'none';
+        this.paragraphSection.style.display = 'none';
+        this.scaleSection.style.display = 'block';
+
+        const responsesTitle = document.getElementById('responses-title');
+        if (responsesTitle) {
+            responsesTitle.textContent = 'Community Responses';
+        }
+
+        const { min, max, minLabel, maxLabel } = this.currentQuestion.scale;
+        const scaleOptions = document.getElementById('scale-options');
+        scaleOptions.innerHTML = '';
+
+        for (let value = min; value <= max; value++) {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'scale-option';
+            option.dataset.value = value;
+            option.textContent = value;
+            option.setAttribute('role', 'radio');
+            option.setAttribute('aria-checked', 'false');
+            option.addEventListener('click', () => this.selectScaleValue(value));
+            scaleOptions.appendChild(option);
+        }
+
+        document.getElementById('scale-min-label').textContent = minLabel || '';
+        document.getElementById('scale-max-label').textContent = maxLabel || '';
+    }
+
+    selectScaleValue(value) {
+        this.selectedScaleValue = value;
+        document.querySelectorAll('.scale-option').forEach(option => {
+            const selected = Number(option.dataset.value) === value;
+            option.classList.toggle('selected', selected);
+            option.setAttribute('aria-checked', String(selected));
+        });
+    }
+
+    lockScale() {
+        document.querySelectorAll('.scale-option').forEach(option => {
+            option.disabled = true;
+        });
+        document.getElementById('scale-explanation-input').style.display = 'none';
+        this.scaleSection.querySelector('.form-actions').style.display = 'none';
+    }
+
     createChoiceElement(choice, index) {
         const choiceDiv = document.createElement('div');
         choiceDiv.className = 'choice-option';
@@ -164,10 +322,15 @@ class QuestionPage {
         if (userResponse) {
             if (this.currentQuestion.questionType === 'multiple_choice') {
                 this.showMultipleChoiceResults(userResponse);
+            } else if (this.currentQuestion.questionType === 'ranking') {
+                this.showRankingSubmitted(userResponse);
+            } else if (this.currentQuestion.questionType === 'scale') {
+                this.showScaleSubmitted(userResponse);
             } else {
                 this.showParagraphSubmitted(userResponse);
             }
             this.loadResponses();
+            this.startLiveResults();
         }
     }
 
@@ -183,6 +346,60 @@ class QuestionPage {
         this.mcResponseSection.style.display = 'none';
         this.showResults();
         this.showThankYou();
+
+        const chosen = this.currentQuestion.choices.find(choice => choice.text === userResponse.choice);
+        this.showFollowUp(chosen && chosen.followUp);
+    }
+
+    showRankingSubmitted(userResponse) {
+        // Show the order this visitor submitted, unless the choices have changed since
+        const choiceTexts = this.currentQuestion.choices.map(choice => choice.text);
+        const ranking = userResponse.ranking || [];
+        if (ranking.length === choiceTexts.length && ranking.every(text => choiceTexts.includes(text))) {
+            this.rankingOrder = [...ranking];
+            this.renderRankingList();
+        }
+
+        this.lockRanking();
+        this.showRankingResults();
+        this.showThankYou();
+    }
+
+    showScaleSubmitted(userResponse) {
+        if (typeof userResponse.value === 'number') {
+            this.selectScaleValue(userResponse.value);
+        }
+
+        this.lockScale();
+        this.showScaleResults();
+        this.showThankYou();
+    }
+
+    showClosed(message) {
+        const closedNote = document.getElementById('question-closed');
+        closedNote.textContent = message;
+        closedNote.style.display = 'block';
+
+        if ((this.currentQuestion.questionType || 'multiple_choice') === 'multiple_choice') {
+            document.querySelectorAll('.choice-option').forEach(el => {
+                el.style.pointerEvents = 'none';
+            });
+            this.mcResponseSection.style.display = 'none';
+            this.showResults();
+        } else if (this.currentQuestion.questionType === 'ranking') {
+            document.getElementById('ranking-response-form').style.display = 'none';
+            this.showRankingResults();
+        } else if (this.currentQuestion.questionType === 'scale') {
+            document.getElementById('scale-response-form').style.display = 'none';
+            this.showScaleResults();
+        } else {
+            this.paragraphSection.querySelector('.response-form').style.display = 'none';
+        }
+        this.loadResponses();
+    }
+
+    votingClosedMessage(closedAt) {
+        return `Voting closed on ${this.formatDate(new Date(closedAt))}. Results are final.`;
     }
 
     showParagraphSubmitted(userResponse) {
@@ -204,6 +421,84 @@ class QuestionPage {
 
     showThankYou() {
         this.thankYouSection.style.display = 'block';
+        this.showCollectionNext();
+    }
+
+    // Some choices lead on to a follow-up question that continues the dilemma
+    showFollowUp(followUp) {
+        if (!followUp) {
+            return;
+        }
+
+        document.getElementById('follow-up-title').textContent = followUp.title;
+        document.getElementById('follow-up-link').href = followUp.url;
+
+        const followUpSection = document.getElementById('follow-up-section');
+        followUpSection.style.display = 'block';
+        followUpSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Visitors who arrive from a collection see where they are in it and where to go next
+    async loadCollection(slug) {
+        try {
+            const response = await fetch(`/api/collections/${encodeURIComponent(slug)}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                return;
+            }
+
+            const position = data.data.questions.findIndex(question => question.id === this.currentQuestion._id);
+            if (position === -1) {
+                return;
+            }
+
+            this.collection = data.data;
+            this.collectionPosition = position;
+
+            const bannerLink = document.getElementById('collection-banner-link');
+            bannerLink.href = this.collection.url;
+            bannerLink.textContent = `← ${this.collection.title}`;
+            document.getElementById('collection-banner-position').textContent =
+                `Question ${position + 1} of ${this.collection.questions.length}`;
+            document.getElementById('collection-banner').style.display = 'flex';
+
+            if (this.collection.questions[position].answered) {
+                this.showCollectionNext();
+            }
+        } catch (error) {
+            console.error('Error loading collection:', error);
+        }
+    }
+
+    showCollectionNext() {
+        if (!this.collection) {
+            return;
+        }
+
+        // The next unanswered question after this one, wrapping round to any skipped earlier
+        const questions = this.collection.questions;
+        const unanswered = questions.filter((question, index) =>
+            index !== this.collectionPosition && !question.answered && !question.skipped);
+        const next = unanswered.find(question => question.position > this.collectionPosition + 1) || unanswered[0];
+
+        const heading = document.getElementById('collection-next-heading');
+        const title = document.getElementById('collection-next-title');
+        const link = document.getElementById('collection-next-link');
+
+        if (next) {
+            heading.textContent = 'Next in this collection';
+            title.textContent = next.title;
+            link.href = `${next.url}?collection=${encodeURIComponent(this.collection.slug)}`;
+            link.textContent = 'Next question →';
+        } else {
+            heading.textContent = 'You\'ve finished this collection';
+            title.textContent = 'See how your answers compare with everyone else\'s.';
+            link.href = this.collection.url;
+            link.textContent = 'See your summary →';
+        }
+
+        document.getElementById('collection-next-section').style.display = 'block';
     }
 
     setupEventListeners() {
@@ -216,6 +511,24 @@ class QuestionPage {
             });
         }
 
+        // Ranking response form
+        const rankingResponseForm = document.getElementById('ranking-response-form');
+        if (rankingResponseForm) {
+            rankingResponseForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.submitRankingResponse();
+            });
+        }
+
+        // Scale response form
+        const scaleResponseForm = document.getElementById('scale-response-form');
+        if (scaleResponseForm) {
+            scaleResponseForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.submitScaleResponse();
+            });
+        }
+
         // Paragraph response form
         const paragraphResponseForm = document.getElementById('paragraph-response-form');
         if (paragraphResponseForm) {
@@ -259,6 +572,24 @@ class QuestionPage {
             });
         }
 
+        // Ranking explanation counter
+        const rankingExplanationInput = document.getElementById('ranking-explanation-input');
+        const rankingCharCount = document.getElementById('ranking-char-count');
+        if (rankingExplanationInput && rankingCharCount) {
+            rankingExplanationInput.addEventListener('input', () => {
+                rankingCharCount.textContent = rankingExplanationInput.value.length;
+            });
+        }
+
+        // Scale explanation counter
+        const scaleExplanationInput = document.getElementById('scale-explanation-input');
+        const scaleCharCount = document.getElementById('scale-char-count');
+        if (scaleExplanationInput && scaleCharCount) {
+            scaleExplanationInput.addEventListener('input', () => {
+                scaleCharCount.textContent = scaleExplanationInput.value.length;
+            });
+        }
+
         // Paragraph response counter
         const paragraphResponseInput = document.getElementById('paragraph-response-input');
         const paragraphCharCount = document.getElementById('paragraph-char-count');
@@ -351,12 +682,31 @@ class QuestionPage {
                 
                 // Update vote counts
                 this.updateVoteCounts(data.data.choices);
+                this.currentQuestion.results = data.data.results;
                 
                 // Hide response form and show results
                 this.mcResponseSection.style.display = 'none';
                 this.showResults();
                 this.showThankYou();
+                this.showFollowUp(data.data.followUp);
                 await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'ALREADY_RESPONDED') {
+                // Server already has a response from this visitor - show the results instead
+                this.showNotification(data.error, 'info');
+                document.querySelectorAll('.choice-option').forEach(el => {
+                    el.style.pointerEvents = 'none';
+                });
+                this.mcResponseSection.style.display = 'none';
+                this.showResults();
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'QUESTION_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(data.error);
+            } else if (data.code === 'VOTING_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(this.votingClosedMessage(data.closedAt));
             } else {
                 this.showNotification(data.error || 'Failed to submit response.', 'error');
             }
@@ -371,6 +721,162 @@ class QuestionPage {
         }
     }
 
+    async submitRankingResponse() {
+        const explanation = document.getElementById('ranking-explanation-input').value.trim();
+        const ranking = [...this.rankingOrder];
+
+        const submitButton = document.querySelector('#ranking-response-form button[type="submit"]');
+        const buttonText = submitButton.querySelector('.button-text');
+        const buttonLoading = submitButton.querySelector('.button-loading');
+
+        // Show loading state
+        submitButton.disabled = true;
+        buttonText.style.display = 'none';
+        buttonLoading.style.display = 'flex';
+
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+
+            const response = await fetch(`/api/questions/${category}/${slug}/respond`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    ranking: ranking,
+                    explanation: explanation
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Save user response to localStorage
+                this.saveUserResponse({
+                    ranking: ranking,
+                    explanation: explanation,
+                    timestamp: new Date().toISOString(),
+                    questionType: 'ranking'
+                });
+
+                this.showNotification('Thank you for sharing your ranking!', 'success');
+
+                this.currentQuestion.choices = data.data.choices;
+                this.currentQuestion.rankingResults = data.data.rankingResults;
+
+                this.lockRanking();
+                this.showRankingResults();
+                this.showThankYou();
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'ALREADY_RESPONDED') {
+                this.showNotification(data.error, 'info');
+                document.getElementById('ranking-response-form').style.display = 'none';
+                this.showRankingResults();
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'QUESTION_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(data.error);
+            } else if (data.code === 'VOTING_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(this.votingClosedMessage(data.closedAt));
+            } else {
+                this.showNotification(data.error || 'Failed to submit ranking.', 'error');
+            }
+        } catch (error) {
+            console.error('Error submitting ranking:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            // Hide loading state
+            submitButton.disabled = false;
+            buttonText.style.display = 'inline';
+            buttonLoading.style.display = 'none';
+        }
+    }
+
+    async submitScaleResponse() {
+        if (this.selectedScaleValue === null) {
+            this.showNotification('Please pick a point on the scale first.', 'error');
+            return;
+        }
+
+        const explanation = document.getElementById('scale-explanation-input').value.trim();
+        const value = this.selectedScaleValue;
+
+        const submitButton = document.querySelector('#scale-response-form button[type="submit"]');
+        const buttonText = submitButton.querySelector('.button-text');
+        const buttonLoading = submitButton.querySelector('.button-loading');
+
+        // Show loading state
+        submitButton.disabled = true;
+        buttonText.style.display = 'none';
+        buttonLoading.style.display = 'flex';
+
+        try {
+            const pathParts = window.location.pathname.split('/');
+            const category = pathParts[1];
+            const slug = pathParts[2];
+
+            const response = await fetch(`/api/questions/${category}/${slug}/respond`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    value: value,
+                    explanation: explanation
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Save user response to localStorage
+                this.saveUserResponse({
+                    value: value,
+                    explanation: explanation,
+                    timestamp: new Date().toISOString(),
+                    questionType: 'scale'
+                });
+
+                this.showNotification('Thank you for sharing your rating!', 'success');
+
+                this.currentQuestion.scaleResults = data.data.scaleResults;
+
+                this.lockScale();
+                this.showScaleResults();
+                this.showThankYou();
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'ALREADY_RESPONDED') {
+                this.showNotification(data.error, 'info');
+                document.getElementById('scale-response-form').style.display = 'none';
+                this.showScaleResults();
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'QUESTION_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(data.error);
+            } else if (data.code === 'VOTING_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(this.votingClosedMessage(data.closedAt));
+            } else {
+                this.showNotification(data.error || 'Failed to submit rating.', 'error');
+            }
+        } catch (error) {
+            console.error('Error submitting rating:', error);
+            this.showNotification('Network error. Please try again.', 'error');
+        } finally {
+            // Hide loading state
+            submitButton.disabled = false;
+            buttonText.style.display = 'inline';
+            buttonLoading.style.display = 'none';
+        }
+    }
+
     async submitParagraphResponse() {
         const responseInput = document.getElementById('paragraph-response-input');
         const responseText = responseInput.value.trim();
@@ -424,6 +930,18 @@ class QuestionPage {
                 });
                 
                 await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'ALREADY_RESPONDED') {
+                this.showNotification(data.error, 'info');
+                this.paragraphSection.querySelector('.response-form').style.display = 'none';
+                await this.loadResponses();
+                this.startLiveResults();
+            } else if (data.code === 'QUESTION_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(data.error);
+            } else if (data.code === 'VOTING_CLOSED') {
+                this.showNotification(data.error, 'info');
+                this.showClosed(this.votingClosedMessage(data.closedAt));
             } else {
                 this.showNotification(data.error || 'Failed to submit response.', 'error');
             }
@@ -470,26 +988,251 @@ class QuestionPage {
         const resultsChart = document.getElementById('mc-results-chart');
         resultsChart.innerHTML = '';
 
-        const totalVotes = this.currentQuestion.choices.reduce((sum, choice) => sum + choice.votes, 0);
+        const results = this.currentQuestion.results;
+        const summary = document.getElementById('mc-results-summary');
+
+        if (results.status === 'not_enough_responses') {
+            // Percentages from a handful of votes mislead, so show the counts only
+            summary.textContent = `Not enough responses yet. Percentages appear after ${results.minimumVotes} votes ` +
+                `(${results.totalVotes} so far).`;
+        } else if (results.status === 'too_close') {
+            summary.textContent = `Too close to call. Based on ${results.totalVotes} votes, no option is clearly ahead.`;
+        } else {
+            summary.textContent = `"${results.leader}" is clearly ahead, based on ${results.totalVotes} votes.`;
+        }
+
+        results.choices.forEach(choice => {
+            const resultItem = document.createElement('div');
+            resultItem.className = `result-item${choice.text === results.leader ? ' result-leader' : ''}`;
+
+            if (results.status === 'not_enough_responses') {
+                resultItem.innerHTML = `
+                    <div class="result-label">${this.escapeHtml(choice.text)}</div>
+                    <div class="result-percentage">${choice.votes} ${choice.votes === 1 ? 'vote' : 'votes'}</div>
+                `;
+            } else {
+                // The shaded band is the 95% confidence interval around the share
+                resultItem.title = `95% confidence interval: ${choice.lower}% to ${choice.upper}%`;
+                resultItem.innerHTML = `
+                    <div class="result-label">${this.escapeHtml(choice.text)}</div>
+                    <div class="result-bar-container">
+                        <div class="result-bar" style="width: ${choice.percentage}%"></div>
+                        <div class="result-interval" style="left: ${choice.lower}%; width: ${choice.upper - choice.lower}%"></div>
+                    </div>
+                    <div class="result-percentage">${choice.percentage.toFixed(1)}%</div>
+                `;
+            }
+
+            resultsChart.appendChild(resultItem);
+        });
+
+        this.mcResultsSection.style.display = 'block';
+    }
+
+    showRankingResults() {
+        const results = this.currentQuestion.rankingResults;
+        if (!results) {
+            return;
+        }
+
+        const summary = document.getElementById('ranking-results-summary');
+        summary.textContent = results.totalRankings === 1
+            ? 'Based on 1 ranking. Options score more points the higher they are placed.'
+            : `Based on ${results.totalRankings} rankings. Options score more points the higher they are placed.`;
+
+        // Borda scores, shown as a share of the most points any option could have earned
+        const resultsChart = document.getElementById('ranking-results-chart');
+        resultsChart.innerHTML = '';
+
+        results.choices.forEach(choice => {
+            const percentage = results.maxPoints > 0 ? (choice.points / results.maxPoints * 100) : 0;
 
-        this.currentQuestion.choices.forEach(choice => {
-            const percentage = totalVotes > 0 ? (choice.votes / totalVotes * 100) : 0;
-            
             const resultItem = document.createElement('div');
             resultItem.className = 'result-item';
-            
+            resultItem.title = choice.averageRank
+                ? `Average position ${choice.averageRank.toFixed(1)} · ${choice.firstPlaceVotes} first-place`
+                : '';
+
             resultItem.innerHTML = `
                 <div class="result-label">${this.escapeHtml(choice.text)}</div>
                 <div class="result-bar-container">
                     <div class="result-bar" style="width: ${percentage}%"></div>
                 </div>
-                <div class="result-percentage">${percentage.toFixed(1)}%</div>
+                <div class="result-percentage">${choice.points} pts</div>
             `;
-            
+
             resultsChart.appendChild(resultItem);
         });
 
-        this.mcResultsSection.style.display = 'block';
+        this.renderPairwiseTable(results);
+        this.rankingResultsSection.style.display = 'block';
+    }
+
+    renderPairwiseTable(results) {
+        const table = document.getElementById('pairwise-table');
+        table.innerHTML = '';
+
+        const { choices, matrix } = results.pairwise;
+
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        choices.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        choices.forEach((rowText, i) => {
+            const row = document.createElement('tr');
+            const rowHeader = document.createElement('th');
+            rowHeader.textContent = rowText;
+            row.appendChild(rowHeader);
+
+            choices.forEach((columnText, j) => {
+                const cell = document.createElement('td');
+                if (i === j) {
+                    cell.className = 'pairwise-self';
+                    cell.textContent = '–';
+                } else {
+                    const compared = matrix[i][j] + matrix[j][i];
+                    const share = compared > 0 ? matrix[i][j] / compared * 100 : 0;
+                    cell.textContent = compared > 0 ? `${share.toFixed(0)}%` : '–';
+                    cell.title = `${matrix[i][j]} of ${compared} ranked ${rowText} above ${columnText}`;
+                    if (matrix[i][j] > matrix[j][i]) {
+                        cell.className = 'pairwise-win';
+                    }
+                }
+                row.appendChild(cell);
+            });
+
+            table.appendChild(row);
+        });
+    }
+
+    showScaleResults() {
+        const results = this.currentQuestion.scaleResults;
+        if (!results) {
+            return;
+        }
+
+        const stats = document.getElementById('scale-stats');
+        stats.innerHTML = '';
+        const summary = results.totalResponses > 0
+            ? [
+                ['Responses', results.totalResponses],
+                ['Mean', results.mean.toFixed(2)],
+                ['Median', results.median],
+                ['Std. deviation', results.standardDeviation.toFixed(2)]
+            ]
+            : [['Responses', 0]];
+        summary.forEach(([label, value]) => {
+            const item = document.createElement('span');
+            item.innerHTML = `${label}: <strong>${this.escapeHtml(String(value))}</strong>`;
+            stats.appendChild(item);
+        });
+
+        const { minLabel, maxLabel } = this.currentQuestion.scale;
+        const last = results.histogram.length - 1;
+
+        const resultsChart = document.getElementById('scale-results-chart');
+        resultsChart.innerHTML = '';
+
+        results.histogram.forEach((bucket, index) => {
+            let label = String(bucket.value);
+            if (index === 0 && minLabel) {
+                label += ` · ${minLabel}`;
+            } else if (index === last && maxLabel) {
+                label += ` · ${maxLabel}`;
+            }
+
+            const resultItem = document.createElement('div');
+            resultItem.className = 'result-item';
+            resultItem.title = `${bucket.count} ${bucket.count === 1 ? 'response' : 'responses'}`;
+
+            resultItem.innerHTML = `
+                <div class="result-label">${this.escapeHtml(label)}</div>
+                <div class="result-bar-container">
+                    <div class="result-bar" style="width: ${bucket.percentage}%"></div>
+                </div>
+                <div class="result-percentage">${bucket.percentage.toFixed(1)}%</div>
+            `;
+
+            resultsChart.appendChild(resultItem);
+        });
+
+        this.scaleResultsSection.style.display = 'block';
+    }
+
+    // Once results are on screen, keep them current as other visitors respond
+    startLiveResults() {
+        if (this.liveResults || !window.EventSource) {
+            return;
+        }
+
+        const pathParts = window.location.pathname.split('/');
+        this.liveResults = new EventSource(`/api/questions/${pathParts[1]}/${pathParts[2]}/live`);
+
+        this.liveResults.addEventListener('results', (event) => {
+            this.applyLiveResults(JSON.parse(event.data));
+        });
+        this.liveResults.addEventListener('response', (event) => {
+            this.addLiveResponse(JSON.parse(event.data));
+        });
+    }
+
+    applyLiveResults(data) {
+        Object.assign(this.currentQuestion, data);
+
+        if (data.results && this.mcResultsSection.style.display === 'block') {
+            this.updateVoteCounts(data.results.choices);
+            this.animateResults('mc-results-chart', () => this.showResults());
+        } else if (data.rankingResults && this.rankingResultsSection.style.display === 'block') {
+            this.animateResults('ranking-results-chart', () => this.showRankingResults());
+        } else if (data.scaleResults && this.scaleResultsSection.style.display === 'block') {
+            this.animateResults('scale-results-chart', () => this.showScaleResults());
+        }
+    }
+
+    // Redraw a results chart with each bar starting at its old width, so the
+    // bars slide to their new widths instead of jumping
+    animateResults(chartId, redraw) {
+        const chart = document.getElementById(chartId);
+        const barsByLabel = () => new Map(Array.from(chart.querySelectorAll('.result-item'))
+            .filter(item => item.querySelector('.result-bar'))
+            .map(item => [item.querySelector('.result-label').textContent, item.querySelector('.result-bar')]));
+
+        const previousWidths = new Map(Array.from(barsByLabel()).map(([label, bar]) => [label, bar.style.width]));
+        redraw();
+
+        const bars = barsByLabel();
+        const widths = new Map(Array.from(bars).map(([label, bar]) => [label, bar.style.width]));
+        bars.forEach((bar, label) => {
+            bar.style.width = previousWidths.get(label) || '0%';
+        });
+        chart.getBoundingClientRect(); // Lay out the old widths before changing them
+        bars.forEach((bar, label) => {
+            bar.style.width = widths.get(label);
+        });
+    }
+
+    addLiveResponse(response) {
+        const responsesContainer = document.getElementById('responses-container');
+        const responseElement = this.createResponseElement(response);
+        responseElement.classList.add('response-live');
+
+        const choiceFilter = document.getElementById('choice-filter-select');
+        if (choiceFilter && choiceFilter.value && responseElement.dataset.choice !== choiceFilter.value) {
+            responseElement.style.display = 'none';
+        }
+
+        const sortSelect = document.getElementById('sort-responses');
+        if (sortSelect && sortSelect.value === 'oldest') {
+            responsesContainer.appendChild(responseElement);
+        } else {
+            responsesContainer.prepend(responseElement);
+        }
+        this.responsesSection.style.display = 'block';
     }
 
     async loadResponses() {
@@ -556,7 +1299,7 @@ class QuestionPage {
     createResponseElement(response) {
         const responseDiv = document.createElement('div');
         responseDiv.className = 'response-item';
-        responseDiv.dataset.choice = response.choice || '';
+        responseDiv.dataset.choice = response.choice || (response.ranking && response.ranking[0]) || '';
 
         const createdDate = new Date(response.createdAt || response.timestamp);
         const formattedDate = this.formatDate(createdDate);
@@ -568,7 +1311,26 @@ class QuestionPage {
                     <div class="response-choice">${this.escapeHtml(response.choice)}</div>
                     <div class="response-date">${formattedDate}</div>
                 </div>
-                <div class="response-text">${this.escapeHtml(response.explanation)}</div>
+                ${response.explanation ? `<div class="response-text">${this.escapeHtml(response.explanation)}</div>` : ''}
+            `;
+        } else if (this.currentQuestion.questionType === 'scale') {
+            responseContent = `
+                <div class="response-header">
+                    <div class="response-choice">Rated ${this.escapeHtml(String(response.value))}</div>
+                    <div class="response-date">${formattedDate}</div>
+                </div>
+                ${response.explanation ? `<div class="response-text">${this.escapeHtml(response.explanation)}</div>` : ''}
+            `;
+        } else if (this.currentQuestion.questionType === 'ranking') {
+            const order = (response.ranking || [])
+                .map((text, index) => `${index + 1}. ${this.escapeHtml(text)}`)
+                .join(' &nbsp; ');
+            responseContent = `
+                <div class="response-header">
+                    <div class="response-choice">${order}</div>
+                    <div class="response-date">${formattedDate}</div>
+                </div>
+                ${response.explanation ? `<div class="response-text">${this.escapeHtml(response.explanation)}</div>` : ''}
             `;
         } else {
             responseContent = `
@@ -638,7 +1400,7 @@ class QuestionPage {
         questions.forEach(question => {
             const questionElement = document.createElement('div');
             questionElement.className = 'related-question';
-            const questionType = question.questionType === 'paragraph' ? '📝' : '📊';
+            const questionType = { paragraph: '📝', ranking: '🔢', scale: '📏' }[question.questionType] || '📊';
             questionElement.innerHTML = `
                 <a href="/${question.category}/${question.slug}" class="related-question-link">
                     <div class="related-question-meta">
@@ -742,6 +1504,15 @@ class QuestionPage {
         return emailRegex.test(email);
     }
 
+    questionTypeLabel(type) {
+        return {
+            multiple_choice: 'Multiple Choice',
+            ranking: 'Ranking',
+            scale: 'Scale',
+            paragraph: 'Open Response'
+        }[type] || 'Multiple Choice';
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -2,79 +2,315 @@ const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
 const Subscriber = require('../models/Subscriber');
+const Response = require('../models/Response');
+const Setting = require('../models/Setting');
+const Admin = require('../models/Admin');
+const QuestionRevision = require('../models/QuestionRevision');
+const QuestionAlias = require('../models/QuestionAlias');
+const AuditLog = require('../models/AuditLog');
+const Category = require('../models/Category');
+const Collection = require('../models/Collection');
 const emailService = require('../services/emailService');
+const authService = require('../services/authService');
+const rankingService = require('../services/rankingService');
+const liveResults = require('../services/liveResultsService');
+const { verifyAdmin, verifyAdminPendingTwoFactor, requirePermission, requireStepUp } = require('../middleware/adminAuth');
+const { parseCookies } = require('../utils/cookies');
+const totp = require('../utils/totp');
+const { ROLES } = require('../config/permissions');
+const { DEFAULT_RANKING_WEIGHTS, RANKING_WEIGHT_LIMITS } = require('../config/ranking');
 const slugify = require('slugify');
+const QRCode = require('qrcode');
 const Joi = require('joi');
 
-// Middleware to verify admin access
-const verifyAdmin = (req, res, next) => {
-  const adminSecret = req.headers['x-admin-secret'] || req.body.adminSecret;
+const REFRESH_COOKIE = 'admin_refresh';
 
-  if (!adminSecret || adminSecret !== process.env.ADMIN_SECRET) {
-    return res.status(401).json({
+// Helper to store the refresh token in an httpOnly cookie scoped to the auth routes
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken.token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/admin/auth',
+    expires: refreshToken.expiresAt
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/admin/auth' });
+};
+
+// Helper to tell the panel that this admin has to enroll before doing anything else
+const isTwoFactorSetupRequired = async (admin) =>
+  !admin.twoFactor.enabled && Boolean(await Setting.getValue('security.requireTwoFactor'));
+
+// Fields kept in audit log snapshots for each kind of entity
+const QUESTION_AUDIT_FIELDS = ['title', 'slug', 'category', 'questionText', 'questionType', 'choices', 'scale', 'featured', 'status', 'publishAt', 'closesAt', 'closedAt'];
+const SUBSCRIBER_AUDIT_FIELDS = ['email', 'isActive', 'preferences'];
+const ADMIN_AUDIT_FIELDS = ['username', 'name', 'email', 'role', 'isActive'];
+const CATEGORY_AUDIT_FIELDS = ['name', 'slug', 'description', 'color', 'icon', 'sortOrder'];
+const COLLECTION_AUDIT_FIELDS = ['title', 'slug', 'description', 'coverText', 'questions', 'status'];
+
+// Category slugs that would be shadowed by fixed page routes such as /collections/:slug
+const RESERVED_CATEGORY_SLUGS = ['admin', 'api', 'collections'];
+
+// Questions a ranking preview compares from each list: the current leaders by stored
+// score. Scoring every published question would read all of their views and responses.
+const RANKING_PREVIEW_CANDIDATES = 200;
+
+// Models that can be moved to the trash, keyed by the :type route parameter
+const TRASH_TYPES = {
+  questions: {
+    model: Question,
+    entityType: 'question',
+    permission: 'questions:delete',
+    auditFields: QUESTION_AUDIT_FIELDS,
+    label: question => question.title,
+    summary: question => ({
+      title: question.title,
+      category: question.category,
+      questionType: question.questionType || 'multiple_choice',
+      responseCount: question.responseCount
+    })
+  },
+  subscribers: {
+    model: Subscriber,
+    entityType: 'subscriber',
+    permission: 'subscribers:manage',
+    auditFields: SUBSCRIBER_AUDIT_FIELDS,
+    label: subscriber => subscriber.email,
+    summary: subscriber => ({
+      email: subscriber.email,
+      isActive: subscriber.isActive
+    })
+  }
+};
+
+// Middleware to resolve the trash type in the URL and check the admin may manage it
+const loadTrashType = (req, res, next) => {
+  const trashType = TRASH_TYPES[req.params.type];
+  if (!trashType) {
+    return res.status(404).json({
       success: false,
-      error: 'Unauthorized: Invalid admin credentials'
+      error: 'Unknown trash type'
     });
   }
 
-  next();
+  req.trashType = trashType;
+  requirePermission(trashType.permission)(req, res, next);
 };
 
-// Validation schema for new questions - supports both multiple choice and paragraph types
+// Validation schemas for managing admin accounts
+const adminAccountSchema = Joi.object({
+  username: Joi.string().trim().lowercase().min(3).max(50).pattern(/^[a-z0-9._-]+$/).required()
+    .messages({ 'string.pattern.base': 'Username may only contain letters, numbers, dots, dashes and underscores' }),
+  name: Joi.string().trim().max(100).allow('').optional(),
+  email: Joi.string().trim().email().allow('').optional(),
+  password: Joi.string().min(10).max(200).required(),
+  role: Joi.string().valid(...Object.keys(ROLES)).required()
+});
+
+const adminUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow('').optional(),
+  role: Joi.string().valid(...Object.keys(ROLES)).optional(),
+  isActive: Joi.boolean().optional(),
+  resetTwoFactor: Joi.boolean().valid(true).optional() // For admins who lost their authenticator
+}).min(1);
+
+// Validation schema for admin login; code is the authenticator or backup code
+const loginSchema = Joi.object({
+  username: Joi.string().trim().required(),
+  password: Joi.string().required(),
+  code: Joi.string().trim().max(20).optional()
+});
+
+// Validation schemas for two-factor authentication
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().max(20).required()
+});
+
+const stepUpSchema = Joi.object({
+  code: Joi.string().trim().max(20).optional(),
+  password: Joi.string().optional()
+}).xor('code', 'password');
+
+// Validation schema for the agreement scale of 'scale' questions
+const { SCALE_LIMITS } = Question;
+const questionScaleSchema = Joi.object({
+  min: Joi.number().integer().min(SCALE_LIMITS.lowest).max(SCALE_LIMITS.highest).required(),
+  max: Joi.number().integer().min(SCALE_LIMITS.lowest).max(SCALE_LIMITS.highest).required(),
+  minLabel: Joi.string().trim().max(50).allow('').default(''),
+  maxLabel: Joi.string().trim().max(50).allow('').default('')
+}).custom((scale, helpers) => {
+  const points = scale.max - scale.min + 1;
+  if (points < SCALE_LIMITS.minPoints || points > SCALE_LIMITS.maxPoints) {
+    return helpers.message(`Scale must run upwards with ${SCALE_LIMITS.minPoints}-${SCALE_LIMITS.maxPoints} points`);
+  }
+  return scale;
+});
+
+// Validation schema for new questions - supports every question type
 const questionSchema = Joi.object({
   title: Joi.string().min(5).max(200).required(),
-  category: Joi.string().valid(
-    'love',
-    'justice',
-    'survival',
-    'family',
-    'freedom',
-    'sacrifice',
-    'truth',
-    'loyalty',
-    'revenge',
-    'power',
-    'empathy',
-    'morality',
-    'desire',
-    'regret',
-    'identity',
-    'betrayal',
-    'hope',
-    'fear',
-    'faith',
-    'control',
-    'loss',
-    'trust',
-    'responsibility',
-    'choice',
-    'pain',
-    'greed',
-    'envy',
-    'honor',
-    'duty',
-    'self'
-  ).required(),
+  category: Joi.string().trim().lowercase().required(), // Checked against the Category collection
   questionText: Joi.string().min(10).max(2000).required(),
-  questionType: Joi.string().valid('multiple_choice', 'paragraph').default('multiple_choice'),
+  questionType: Joi.string().valid(...Question.QUESTION_TYPES).default('multiple_choice'),
   choices: Joi.when('questionType', {
-    is: 'multiple_choice',
+    is: Joi.valid(...Question.CHOICE_QUESTION_TYPES),
     then: Joi.array().items(
       Joi.object({
+        _id: Joi.string().hex().length(24).optional(), // Existing choice when editing
         text: Joi.string().min(1).max(500).required()
       })
     ).min(2).max(6).required(),
     otherwise: Joi.forbidden()
   }),
-  featured: Joi.boolean().default(false),
-  adminSecret: Joi.string().required()
+  scale: Joi.when('questionType', {
+    is: 'scale',
+    then: questionScaleSchema.required(),
+    otherwise: Joi.forbidden()
+  }),
+  featured: Joi.boolean().default(false)
 });
 
-// POST /api/admin/questions - Create new question (supports both types)
-router.post('/questions', verifyAdmin, async (req, res) => {
+// New questions can be saved as drafts or scheduled instead of going live straight away
+const questionCreateSchema = questionSchema.keys({
+  status: Joi.string().valid('draft', 'scheduled', 'published').default('published'),
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().iso().greater('now').required()
+      .messages({ 'date.greater': 'Publish time must be in the future' }),
+    otherwise: Joi.forbidden()
+  }),
+  closesAt: Joi.date().iso().greater('now')
+    .when('publishAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('publishAt')) })
+    .optional()
+    .messages({ 'date.greater': 'Voting deadline must be in the future and after the publish time' })
+});
+
+// Validation schema for moving a question through its lifecycle
+const questionStatusSchema = Joi.object({
+  status: Joi.string().valid(...Question.STATUSES).required(),
+  publishAt: Joi.when('status', {
+    is: 'scheduled',
+    then: Joi.date().iso().greater('now').required()
+      .messages({ 'date.greater': 'Publish time must be in the future' }),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Validation schema for closing or reopening voting, or changing the deadline
+const questionVotingSchema = Joi.object({
+  closed: Joi.boolean().optional(),
+  closesAt: Joi.date().iso().greater('now').allow(null).optional()
+    .messages({ 'date.greater': 'Voting deadline must be in the future' })
+}).or('closed', 'closesAt');
+
+// Validation schema for linking follow-up questions to choices; a null questionId unlinks
+const questionFollowUpsSchema = Joi.object({
+  followUps: Joi.array().items(Joi.object({
+    choiceId: Joi.string().hex().length(24).required(),
+    questionId: Joi.string().hex().length(24).allow(null).required()
+  })).min(1).max(6).required()
+});
+
+// Editing uses the same rules, plus confirmation for dropping choices that have votes.
+// Leaving featured out keeps the current setting rather than unfeaturing the question.
+const questionUpdateSchema = questionSchema.fork(['featured'], () => Joi.boolean().optional()).keys({
+  slug: Joi.string().lowercase().max(200).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).optional()
+    .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens' }),
+  confirmChoiceRemoval: Joi.boolean().default(false)
+});
+
+// Validation schemas for categories; the slug is the URL segment questions live under
+const categorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  slug: Joi.string().trim().lowercase().max(50).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).optional()
+    .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens' }),
+  description: Joi.string().trim().max(300).allow('').optional(),
+  color: Joi.string().pattern(/^#[0-9a-f]{6}$/i).optional()
+    .messages({ 'string.pattern.base': 'Color must be a hex value such as #6c5ce7' }),
+  icon: Joi.string().trim().max(50).pattern(/^[a-z0-9 -]+$/).allow('').optional()
+    .messages({ 'string.pattern.base': 'Icon must be Font Awesome classes such as "fas fa-heart"' }),
+  sortOrder: Joi.number().integer().min(0).max(10000).optional()
+});
+
+const categoryUpdateSchema = categorySchema.fork(['name'], schema => schema.optional()).min(1);
+
+// Validation schemas for collections; questions are listed in the order visitors see them
+const collectionSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  slug: Joi.string().trim().lowercase().max(200).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).optional()
+    .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens' }),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  coverText: Joi.string().trim().max(2000).allow('').optional(),
+  questions: Joi.array().items(Joi.string().hex().length(24)).max(Collection.MAX_QUESTIONS).unique().optional()
+    .messages({ 'array.unique': 'A question can only appear once in a collection' }),
+  status: Joi.string().valid(...Collection.STATUSES).optional()
+});
+
+const collectionUpdateSchema = collectionSchema.fork(['title'], schema => schema.optional()).min(1);
+
+// Validation schema for manual redirects, given as /category/slug paths
+const locationPathPattern = /^\/?[a-z0-9-]+\/[a-z0-9-]+\/?$/i;
+const aliasSchema = Joi.object({
+  fromPath: Joi.string().pattern(locationPathPattern).required()
+    .messages({ 'string.pattern.base': 'Old URL must look like /category/slug' }),
+  toPath: Joi.string().pattern(locationPathPattern).required()
+    .messages({ 'string.pattern.base': 'Current URL must look like /category/slug' })
+});
+
+// Helper to split a /category/slug path into its parts
+const parseLocationPath = (path) => {
+  const [category, slug] = path.replace(/^\/|\/$/g, '').toLowerCase().split('/');
+  return { category, slug };
+};
+
+// Validation schema for audit log filters
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().trim().max(50).allow('').optional(),
+  action: Joi.string().trim().max(100).allow('').optional(),
+  entityType: Joi.string().trim().max(50).allow('').optional(),
+  entityId: Joi.string().trim().max(100).allow('').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// Helper to quote a CSV field. Leading =, +, - and @ are prefixed so
+// spreadsheet apps don't run logged values as formulas.
+const csvField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' && !(value instanceof Date)
+    ? JSON.stringify(value)
+    : String(value instanceof Date ? value.toISOString() : value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Validation schema for site settings; 0 days turns automatic trash purging off
+const settingsSchema = Joi.object({
+  duplicateVotePolicy: Joi.string().valid('strict', 'per_session', 'allow_revote').required(),
+  requireTwoFactor: Joi.boolean().optional(),
+  trashPurgeAfterDays: Joi.number().integer().min(0).max(3650).optional()
+});
+
+// Validation schema for ranking weights, built from the accepted range of each one
+const rankingWeightsSchema = Joi.object(Object.fromEntries(
+  Object.entries(RANKING_WEIGHT_LIMITS).map(([group, limits]) => [group, Joi.object(Object.fromEntries(
+    Object.entries(limits).map(([name, [min, max]]) => [name, Joi.number().min(min).max(max).required()])
+  )).required()])
+));
+
+// POST /api/admin/auth/login - Log in with username and password
+router.post('/auth/login', async (req, res) => {
   try {
-    // Validate request body
-    const { error, value } = questionSchema.validate(req.body);
+    const { error, value } = loginSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -82,533 +318,2821 @@ router.post('/questions', verifyAdmin, async (req, res) => {
       });
     }
 
-    const { title, category, questionText, questionType, choices, featured } = value;
-
-    // Generate slug
-    let baseSlug = slugify(title, { lower: true, strict: true });
-    let slug = baseSlug;
-    let counter = 1;
+    const admin = await Admin.findActiveByUsername(value.username);
+    if (!admin || !(await admin.comparePassword(value.password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
 
-    // Ensure slug is unique within category
-    while (await Question.findOne({ category, slug })) {
-      slug = `${baseSlug}-${counter}`;
-      counter++;
+    let backupCodesRemaining;
+    if (admin.twoFactor.enabled) {
+      const method = await admin.verifySecondFactor(value.code);
+      if (!method) {
+        return res.status(401).json({
+          success: false,
+          error: value.code ? 'Invalid authentication code' : 'Enter the code from your authenticator app',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+      if (method === 'backup') {
+        backupCodesRemaining = admin.remainingBackupCodes() - 1;
+      }
     }
 
-    // Create question object based on type
-    const questionData = {
-      title,
-      slug,
-      category,
-      questionText,
-      questionType: questionType || 'multiple_choice',
-      featured: featured || false
-    };
+    const twoFactorSetupRequired = await isTwoFactorSetupRequired(admin);
 
-    // Add choices only for multiple choice questions
-    if (questionType === 'multiple_choice' && choices) {
-      questionData.choices = choices.map(choice => ({ text: choice.text, votes: 0 }));
-    } else {
-      // For paragraph questions, initialize empty responses array
-      questionData.choices = [];
-    }
+    const session = await authService.createSession(admin, req.headers['user-agent'] || '');
 
-    const question = new Question(questionData);
-    await question.save();
+    admin.lastLoginAt = new Date();
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: admin.lastLoginAt } });
 
-    // Send notification emails to subscribers
-    try {
-      await emailService.notifySubscribers(question);
-    } catch (emailError) {
-      console.error('Failed to send notification emails:', emailError);
-      // Don't fail the request if email fails
-    }
+    setRefreshCookie(res, session.refreshToken);
 
-    res.status(201).json({
+    await AuditLog.record(req, {
+      actor: admin,
+      action: 'admin.login',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+
+    res.json({
       success: true,
-      message: 'Question created successfully',
       data: {
-        id: question._id,
-        slug: question.slug,
-        category: question.category,
-        questionType: question.questionType,
-        url: `/${question.category}/${question.slug}`
+        accessToken: session.accessToken,
+        expiresIn: session.expiresIn,
+        admin: admin.toSafeJSON(),
+        twoFactorSetupRequired,
+        backupCodesRemaining
       }
     });
   } catch (error) {
-    console.error('Error creating question:', error);
+    console.error('Error logging in admin:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create question'
+      error: 'Failed to log in'
     });
   }
 });
 
-// GET /api/admin/questions - Get all questions with admin details
-router.get('/questions', verifyAdmin, async (req, res) => {
+// POST /api/admin/auth/refresh - Exchange the refresh cookie for a new access token
+router.post('/auth/refresh', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const questionType = req.query.type; // Filter by question type if provided
+    const refreshToken = parseCookies(req.headers.cookie)[REFRESH_COOKIE];
+    const session = await authService.rotateSession(refreshToken, req.headers['user-agent'] || '');
 
-    let filter = {};
-    if (questionType && ['multiple_choice', 'paragraph'].includes(questionType)) {
-      filter.questionType = questionType;
+    if (!session) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired, please log in again'
+      });
     }
 
-    const questions = await Question.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('title slug category questionType featured createdAt responses');
-
-    const total = await Question.countDocuments(filter);
-
-    const questionsWithStats = questions.map(q => ({
-      _id: q._id,
-      title: q.title,
-      slug: q.slug,
-      category: q.category,
-      questionType: q.questionType || 'multiple_choice',
-      featured: q.featured,
-      createdAt: q.createdAt,
-      responseCount: q.responses.length,
-      url: `/${q.category}/${q.slug}`
-    }));
+    setRefreshCookie(res, session.refreshToken);
 
     res.json({
       success: true,
       data: {
-        questions: questionsWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalQuestions: total,
-          hasNext: page < Math.ceil(total / limit),
-          hasPrev: page > 1
-        }
+        accessToken: session.accessToken,
+        expiresIn: session.expiresIn,
+        admin: session.admin.toSafeJSON(),
+        twoFactorSetupRequired: await isTwoFactorSetupRequired(session.admin)
       }
     });
   } catch (error) {
-    console.error('Error fetching admin questions:', error);
+    console.error('Error refreshing admin session:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch questions'
+      error: 'Failed to refresh session'
     });
   }
 });
 
-// PUT /api/admin/questions/:id/featured - Toggle featured status
-router.put('/questions/:id/featured', verifyAdmin, async (req, res) => {
+// POST /api/admin/auth/logout - End the current session
+router.post('/auth/logout', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { featured } = req.body;
-
-    const question = await Question.findById(id);
-    if (!question) {
-      return res.status(404).json({
-        success: false,
-        error: 'Question not found'
-      });
-    }
-
-    question.featured = featured;
-    await question.save();
+    const refreshToken = parseCookies(req.headers.cookie)[REFRESH_COOKIE];
+    await authService.revokeRefreshToken(refreshToken);
+    clearRefreshCookie(res);
 
     res.json({
       success: true,
-      message: `Question ${featured ? 'featured' : 'unfeatured'} successfully`,
-      data: { featured: question.featured }
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Error updating featured status:', error);
+    console.error('Error logging out admin:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update question'
+      error: 'Failed to log out'
     });
   }
 });
 
-// DELETE /api/admin/questions/:id - Delete question
-router.delete('/questions/:id', verifyAdmin, async (req, res) => {
+// GET /api/admin/auth/me - Get the logged in admin
+router.get('/auth/me', verifyAdminPendingTwoFactor, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const question = await Question.findByIdAndDelete(id);
-    if (!question) {
-      return res.status(404).json({
-        success: false,
-        error: 'Question not found'
-      });
-    }
+    const admin = await Admin.findById(req.admin.id);
 
     res.json({
       success: true,
-      message: 'Question deleted successfully'
+      data: admin.toSafeJSON()
     });
   } catch (error) {
-    console.error('Error deleting question:', error);
+    console.error('Error fetching admin profile:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete question'
+      error: 'Failed to fetch admin profile'
     });
   }
 });
 
-// GET /api/admin/dashboard - Get dashboard statistics
-router.get('/dashboard', verifyAdmin, async (req, res) => {
+// GET /api/admin/auth/2fa - Two-factor status for the logged in admin
+router.get('/auth/2fa', verifyAdminPendingTwoFactor, async (req, res) => {
   try {
-    const totalQuestions = await Question.countDocuments();
-    const featuredQuestions = await Question.countDocuments({ featured: true });
-    const multipleChoiceQuestions = await Question.countDocuments({ questionType: 'multiple_choice' });
-    const paragraphQuestions = await Question.countDocuments({ questionType: 'paragraph' });
-    const totalSubscribers = await Subscriber.countDocuments({ isActive: true });
-
-    // Get questions by category
-    const categoryStats = await Question.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          totalResponses: { $sum: { $size: '$responses' } }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-
-    // Get question type stats
-    const questionTypeStats = await Question.aggregate([
-      {
-        $group: {
-          _id: '$questionType',
-          count: { $sum: 1 },
-          totalResponses: { $sum: { $size: '$responses' } }
-        }
-      }
-    ]);
-
-    // Get recent activity
-    const recentQuestions = await Question.find()
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select('title category questionType createdAt responses');
-
-    const recentSubscribers = await Subscriber.countDocuments({
-      subscribedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-      isActive: true
-    });
+    const admin = await Admin.findById(req.admin.id);
 
     res.json({
       success: true,
       data: {
-        overview: {
-          totalQuestions,
-          featuredQuestions,
-          multipleChoiceQuestions,
-          paragraphQuestions,
-          totalSubscribers,
-          recentSubscribers
-        },
-        categoryStats,
-        questionTypeStats,
-        recentQuestions: recentQuestions.map(q => ({
-          title: q.title,
-          category: q.category,
-          questionType: q.questionType || 'multiple_choice',
-          createdAt: q.createdAt,
-          responseCount: q.responses.length
-        }))
+        enabled: admin.twoFactor.enabled,
+        enabledAt: admin.twoFactor.enabledAt,
+        backupCodesRemaining: admin.remainingBackupCodes(),
+        required: Boolean(await Setting.getValue('security.requireTwoFactor'))
       }
     });
   } catch (error) {
-    console.error('Error fetching dashboard data:', error);
+    console.error('Error fetching two-factor status:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch dashboard data'
+      error: 'Failed to fetch two-factor status'
     });
   }
 });
 
-// GET /api/admin/questions/search - Search questions
-router.get('/questions/search', verifyAdmin, async (req, res) => {
+// POST /api/admin/auth/2fa/setup - Start enrollment with a new secret and QR code
+router.post('/auth/2fa/setup', verifyAdminPendingTwoFactor, async (req, res) => {
   try {
-    const { q, type } = req.query;
-
-    if (!q || q.trim().length === 0) {
-      return res.status(400).json({
+    const admin = await Admin.findById(req.admin.id);
+    if (admin.twoFactor.enabled) {
+      return res.status(409).json({
         success: false,
-        error: 'Search query is required'
+        error: 'Two-factor authentication is already enabled'
       });
     }
 
-    const searchRegex = new RegExp(q.trim(), 'i');
-    let filter = {
-      $or: [
-        { title: searchRegex },
-        { questionText: searchRegex },
-        { category: searchRegex }
-      ]
-    };
-
-    // Add question type filter if provided
-    if (type && ['multiple_choice', 'paragraph'].includes(type)) {
-      filter.questionType = type;
-    }
-
-    const questions = await Question.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .select('title slug category questionType featured createdAt responses');
+    const secret = totp.generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
 
-    const questionsWithStats = questions.map(q => ({
-      _id: q._id,
-      title: q.title,
-      slug: q.slug,
-      category: q.category,
-      questionType: q.questionType || 'multiple_choice',
-      featured: q.featured,
-      createdAt: q.createdAt,
-      responseCount: q.responses.length,
-      url: `/${q.category}/${q.slug}`
-    }));
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: admin.username,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Moral Dilemmas'
+    });
 
     res.json({
       success: true,
       data: {
-        questions: questionsWithStats,
-        total: questionsWithStats.length
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
       }
     });
   } catch (error) {
-    console.error('Error searching questions:', error);
+    console.error('Error starting two-factor setup:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to search questions'
+      error: 'Failed to start two-factor setup'
     });
   }
 });
 
-// GET /api/admin/subscribers - Get subscriber statistics and list
-router.get('/subscribers', verifyAdmin, async (req, res) => {
+// POST /api/admin/auth/2fa/enable - Confirm enrollment with a code and get backup codes
+router.post('/auth/2fa/enable', verifyAdminPendingTwoFactor, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (admin.twoFactor.enabled || !admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(admin.twoFactor.pendingSecret, value.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    admin.twoFactor.lastUsedStep = step;
+    const backupCodes = admin.generateBackupCodes();
+    await admin.save();
+
+    await AuditLog.record(req, {
+      action: 'admin.2fa_enable',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/admin/auth/2fa/backup-codes - Replace the backup codes
+router.post('/auth/2fa/backup-codes', verifyAdmin, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (!(await admin.verifySecondFactor(value.code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = admin.generateBackupCodes();
+    await Admin.updateOne(
+      { _id: admin._id },
+      { $set: { 'twoFactor.backupCodes': admin.twoFactor.backupCodes } }
+    );
+
+    await AuditLog.record(req, {
+      action: 'admin.2fa_backup_codes',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Error generating backup codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate backup codes'
+    });
+  }
+});
+
+// POST /api/admin/auth/2fa/disable - Turn two-factor authentication off
+router.post('/auth/2fa/disable', verifyAdmin, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (await Setting.getValue('security.requireTwoFactor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is required for all admins'
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    if (!(await admin.verifySecondFactor(value.code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    admin.clearTwoFactor();
+    await admin.save();
+
+    await AuditLog.record(req, {
+      action: 'admin.2fa_disable',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/admin/auth/step-up - Re-verify before a destructive action.
+// Admins with 2FA enter a code; others confirm their password.
+router.post('/auth/step-up', verifyAdmin, async (req, res) => {
+  try {
+    const { error, value } = stepUpSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    const verified = admin.twoFactor.enabled
+      ? Boolean(value.code && await admin.verifySecondFactor(value.code))
+      : Boolean(value.password && await admin.comparePassword(value.password));
+
+    // 400 rather than 401 so the panel doesn't treat a typo as an expired session
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        error: admin.twoFactor.enabled ? 'Invalid authentication code' : 'Incorrect password',
+        code: 'STEP_UP_FAILED'
+      });
+    }
+
+    const stepUpToken = authService.createStepUpToken(admin);
+
+    res.json({
+      success: true,
+      data: {
+        stepUpToken,
+        expiresIn: authService.verifyStepUpToken(stepUpToken).exp - Math.floor(Date.now() / 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying step-up:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify'
+    });
+  }
+});
+
+// POST /api/admin/questions - Create new question (supports both types)
+router.post('/questions', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = questionCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { title, category, questionText, questionType, choices, scale, featured, status, publishAt, closesAt } = value;
+
+    if (!(await Category.isValid(category))) {
+      return res.status(400).json({
+        success: false,
+        error: `"${category}" is not a known category`
+      });
+    }
+
+    // Generate slug
+    let baseSlug = slugify(title, { lower: true, strict: true });
+    let slug = baseSlug;
+    let counter = 1;
+
+    // Ensure slug is unused and doesn't shadow a redirect from an old URL
+    while (!(await Question.isLocationAvailable(category, slug))) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    // Create question object based on type
+    const questionData = {
+      title,
+      slug,
+      category,
+      questionText,
+      questionType: questionType || 'multiple_choice',
+      featured: featured || false,
+      status,
+      publishAt,
+      closesAt,
+      createdBy: req.admin.username
+    };
+
+    // Add choices only for multiple choice questions
+    if (Question.CHOICE_QUESTION_TYPES.includes(questionType) && choices) {
+      questionData.choices = choices.map(choice => ({ text: choice.text, votes: 0 }));
+    } else {
+      // For paragraph and scale questions, initialize empty responses array
+      questionData.choices = [];
+    }
+
+    if (questionType === 'scale') {
+      questionData.scale = scale;
+    }
+
+    const question = new Question(questionData);
+    await question.save();
+
+    await QuestionRevision.record(question, {
+      action: 'create',
+      editedBy: req.admin.username
+    });
+
+    await AuditLog.record(req, {
+      action: 'question.create',
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      after: AuditLog.snapshot(question, QUESTION_AUDIT_FIELDS)
+    });
+
+    // Subscribers hear about drafts and scheduled questions once they go live
+    if (status === 'published') {
+      try {
+        await emailService.notifySubscribers(question);
+      } catch (emailError) {
+        console.error('Failed to send notification emails:', emailError);
+        // Don't fail the request if email fails
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: status === 'published' ? 'Question created successfully' : `Question saved as ${status}`,
+      data: {
+        id: question._id,
+        slug: question.slug,
+        category: question.category,
+        questionType: question.questionType,
+        status: question.status,
+        publishAt: question.publishAt,
+        closesAt: question.closesAt,
+        url: `/${question.category}/${question.slug}`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create question'
+    });
+  }
+});
+
+// GET /api/admin/questions - Get all questions with admin details
+router.get('/questions', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
+    const questionType = req.query.type; // Filter by question type if provided
+    const status = req.query.status; // Filter by lifecycle status if provided
 
-    const subscribers = await Subscriber.find()
-      .sort({ subscribedAt: -1 })
+    let filter = {};
+    if (questionType && Question.QUESTION_TYPES.includes(questionType)) {
+      filter.questionType = questionType;
+    }
+    if (status && Question.STATUSES.includes(status)) {
+      filter.status = status;
+    }
+
+    const questions = await Question.find(filter)
+      .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('email subscribedAt isActive lastNotificationSent');
+      .select('title slug category questionType featured status publishAt publishedAt closesAt closedAt createdAt popularityMetrics');
+
+    const total = await Question.countDocuments(filter);
+
+    const questionsWithStats = questions.map(q => ({
+      _id: q._id,
+      title: q.title,
+      slug: q.slug,
+      category: q.category,
+      questionType: q.questionType || 'multiple_choice',
+      featured: q.featured,
+      status: q.status,
+      publishAt: q.publishAt,
+      publishedAt: q.publishedAt,
+      closesAt: q.closesAt,
+      votingClosedAt: q.getVotingClosedAt(),
+      createdAt: q.createdAt,
+      responseCount: q.responseCount,
+      url: `/${q.category}/${q.slug}`
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        questions: questionsWithStats,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalQuestions: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching admin questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch questions'
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/featured - Toggle featured status
+router.put('/questions/:id/featured', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { featured } = req.body;
+
+    const question = await Question.findById(id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const wasFeatured = question.featured;
+    question.featured = featured;
+    question.updatedBy = req.admin.username;
+    await question.save();
+
+    await AuditLog.record(req, {
+      action: 'question.featured',
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      before: { featured: wasFeatured },
+      after: { featured: question.featured }
+    });
+
+    res.json({
+      success: true,
+      message: `Question ${featured ? 'featured' : 'unfeatured'} successfully`,
+      data: { featured: question.featured }
+    });
+  } catch (error) {
+    console.error('Error updating featured status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question'
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/status - Publish, schedule, archive or unpublish a question
+router.put('/questions/:id/status', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = questionStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    // A question people have seen can be archived, but not hidden again as a draft
+    if (question.publishedAt && ['draft', 'scheduled'].includes(value.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A question that has been published can only be archived or republished'
+      });
+    }
+
+    const before = { status: question.status, publishAt: question.publishAt };
+    question.updatedBy = req.admin.username;
+    const firstPublish = await question.setStatus(value.status, { publishAt: value.publishAt });
+
+    await AuditLog.record(req, {
+      action: 'question.status',
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      before,
+      after: { status: question.status, publishAt: question.publishAt }
+    });
+
+    if (firstPublish) {
+      try {
+        await emailService.notifySubscribers(question);
+      } catch (emailError) {
+        console.error('Failed to send notification emails:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: {
+        draft: 'Question moved back to drafts',
+        scheduled: 'Question scheduled',
+        published: 'Question published',
+        archived: 'Question archived'
+      }[question.status],
+      data: {
+        status: question.status,
+        publishAt: question.publishAt,
+        publishedAt: question.publishedAt,
+        archivedAt: question.archivedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating question status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question status'
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/voting - Close or reopen voting, or set the voting deadline
+router.put('/questions/:id/voting', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = questionVotingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const before = { closesAt: question.closesAt, closedAt: question.closedAt };
+    question.updatedBy = req.admin.username;
+    if (value.closesAt !== undefined) {
+      question.closesAt = value.closesAt || undefined;
+    }
+    if (value.closed !== undefined) {
+      await question.setVotingClosed(value.closed);
+    } else {
+      await question.save();
+    }
+
+    const votingClosedAt = question.getVotingClosedAt();
+
+    await AuditLog.record(req, {
+      action: value.closed === undefined ? 'question.deadline' : `question.${value.closed ? 'close' : 'reopen'}`,
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      before,
+      after: { closesAt: question.closesAt, closedAt: question.closedAt }
+    });
+
+    res.json({
+      success: true,
+      message: votingClosedAt ? 'Voting closed' : (question.closesAt ? 'Voting deadline set' : 'Voting is open'),
+      data: {
+        closesAt: question.closesAt,
+        votingClosedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating question voting:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update voting'
+    });
+  }
+});
+
+// PUT /api/admin/questions/:id/follow-ups - Link follow-up questions to choices
+router.put('/questions/:id/follow-ups', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = questionFollowUpsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    if (question.questionType !== 'multiple_choice') {
+      return res.status(400).json({
+        success: false,
+        error: 'Follow-up questions can only be attached to multiple choice questions'
+      });
+    }
+
+    for (const { choiceId, questionId } of value.followUps) {
+      if (!question.choices.id(choiceId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Choice not found'
+        });
+      }
+
+      if (!questionId) {
+        continue;
+      }
+
+      if (questionId === question._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: 'A question cannot follow up on itself'
+        });
+      }
+
+      if (!(await Question.exists({ _id: questionId }))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Follow-up question not found'
+        });
+      }
+
+      if (await question.wouldCreateFollowUpLoop(questionId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'That follow-up already leads back to this question'
+        });
+      }
+    }
+
+    const followUpMap = q => Object.fromEntries(q.choices.map(c => [c.text, c.followUp ? c.followUp.toString() : null]));
+    const before = followUpMap(question);
+
+    // One update per choice so votes cast meanwhile are not overwritten
+    for (const { choiceId, questionId } of value.followUps) {
+      await Question.updateOne(
+        { _id: question._id, 'choices._id': choiceId },
+        questionId
+          ? { $set: { 'choices.$.followUp': questionId } }
+          : { $unset: { 'choices.$.followUp': '' } }
+      );
+    }
+
+    const updatedQuestion = await Question.findById(question._id);
+
+    await AuditLog.record(req, {
+      action: 'question.followups',
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      before,
+      after: followUpMap(updatedQuestion)
+    });
+
+    res.json({
+      success: true,
+      message: 'Follow-up questions updated',
+      data: {
+        choices: updatedQuestion.choices
+      }
+    });
+  } catch (error) {
+    console.error('Error updating follow-up questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update follow-up questions'
+    });
+  }
+});
+
+// Helper to apply an edit or rollback to a question and send the response.
+// Tracked content changes are stored as a new revision.
+const saveQuestionEdit = async (req, res, question, changes, revisionDetails = {}) => {
+  const { title, category, questionText, questionType, choices, scale, featured, confirmChoiceRemoval } = changes;
+  const slug = changes.slug || question.slug;
+  const moved = category !== question.category || slug !== question.slug;
+
+  // Also catches rollbacks to a revision whose category has since been removed
+  if (category !== question.category && !(await Category.isValid(category))) {
+    return res.status(400).json({
+      success: false,
+      error: `"${category}" is not a known category`
+    });
+  }
+
+  if (moved && !(await Question.isLocationAvailable(category, slug, question._id))) {
+    return res.status(409).json({
+      success: false,
+      error: `/${category}/${slug} is already used by another question or redirect`
+    });
+  }
+
+  const responseCount = await Response.countForQuestion(question._id);
+  const typeChanged = questionType !== (question.questionType || 'multiple_choice');
+  if (typeChanged && responseCount > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot change the type of a question that already has responses'
+    });
+  }
+
+  // Existing responses are points on the old range, so only the labels can change
+  const rangeChanged = questionType === 'scale' && question.scale &&
+    (scale.min !== question.scale.min || scale.max !== question.scale.max);
+  if (!typeChanged && rangeChanged && responseCount > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'The range of a scale question that already has responses cannot be changed'
+    });
+  }
+
+  let choiceDiff = null;
+  if (Question.CHOICE_QUESTION_TYPES.includes(questionType)) {
+    const texts = choices.map(c => c.text.trim().toLowerCase());
+    if (new Set(texts).size !== texts.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choices must be unique'
+      });
+    }
+
+    if (!typeChanged) {
+      choiceDiff = question.diffChoices(choices);
+
+      // Every ranking orders the full choice list, so it can only be renamed once people have answered
+      const listChanged = choiceDiff.added.length > 0 || choiceDiff.removed.length > 0;
+      if (questionType === 'ranking' && responseCount > 0 && listChanged) {
+        return res.status(400).json({
+          success: false,
+          error: 'Choices cannot be added to or removed from a ranking question that already has responses'
+        });
+      }
+
+      const removedCounts = choiceDiff.removed.length > 0 && !confirmChoiceRemoval
+        ? await Response.countByChoice(question._id, choiceDiff.removed.map(c => c.text))
+        : new Map();
+      if (removedCounts.size > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Removing choices that already have votes requires confirmation',
+          code: 'CONFIRM_CHOICE_REMOVAL',
+          data: {
+            choices: [...removedCounts].map(([text, votes]) => ({ text, votes }))
+          }
+        });
+      }
+    }
+  }
+
+  // Featuring feeds the popularity score and dropped choices take their votes out of
+  // the controversy score; other edits leave the scores as they are
+  const scoresChanged = (featured !== undefined && featured !== question.featured) ||
+    typeChanged || Boolean(choiceDiff && choiceDiff.removed.length > 0);
+
+  const before = QuestionRevision.snapshotOf(question);
+  const auditBefore = AuditLog.snapshot(question, QUESTION_AUDIT_FIELDS);
+  await QuestionRevision.ensureBaseline(question);
+
+  const updates = {
+    title,
+    slug,
+    category,
+    questionText,
+    questionType,
+    updatedBy: req.admin.username,
+    updatedAt: new Date()
+  };
+  if (featured !== undefined) {
+    updates.featured = featured;
+  }
+
+  // With no responses a type change can simply replace the choice list
+  if (typeChanged) {
+    updates.choices = Question.CHOICE_QUESTION_TYPES.includes(questionType)
+      ? choices.map(choice => ({ text: choice.text, votes: 0 }))
+      : [];
+  }
+
+  const unset = {};
+  if (questionType === 'scale') {
+    updates.scale = scale;
+  } else if (question.scale) {
+    unset.scale = '';
+  }
+
+  // Choice edits go first: they refuse to drop a choice that picked up responses
+  // since the check above, and nothing has been changed yet if they do
+  if (choiceDiff) {
+    await question.applyChoiceEdits(choiceDiff, { confirmRemoval: confirmChoiceRemoval });
+  }
+
+  await Question.updateOne({ _id: question._id }, { $set: updates, $unset: unset });
+
+  // Keep the old URL working and drop any alias for the location the question now uses
+  if (moved) {
+    await QuestionAlias.deleteOne({ category, slug });
+    await QuestionAlias.record(question.category, question.slug, question._id, {
+      source: 'auto',
+      createdBy: req.admin.username
+    });
+  }
+
+  const updatedQuestion = await Question.findById(question._id);
+
+  const changedFields = QuestionRevision.changedFieldsBetween(
+    before,
+    QuestionRevision.snapshotOf(updatedQuestion)
+  );
+
+  let revision = null;
+  if (changedFields.length > 0) {
+    revision = await QuestionRevision.record(updatedQuestion, {
+      action: 'edit',
+      ...revisionDetails,
+      changedFields,
+      responseCount,
+      editedBy: req.admin.username
+    });
+
+    await Question.updateOne(
+      { _id: question._id },
+      { $set: { lastContentEdit: { editedAt: revision.createdAt, responseCount } } }
+    );
+  }
+
+  if (scoresChanged) {
+    await updatedQuestion.calculatePopularityMetrics();
+  }
+
+  await AuditLog.record(req, {
+    action: revisionDetails.action === 'rollback' ? 'question.rollback' : 'question.update',
+    entityType: 'question',
+    entityId: updatedQuestion._id,
+    entityLabel: updatedQuestion.title,
+    before: auditBefore,
+    after: AuditLog.snapshot(updatedQuestion, QUESTION_AUDIT_FIELDS),
+    metadata: {
+      changedFields,
+      revision: revision ? revision.revision : null,
+      rolledBackFrom: revisionDetails.rolledBackFrom
+    }
+  });
+
+  res.json({
+    success: true,
+    message: revisionDetails.action === 'rollback'
+      ? `Question rolled back to revision ${revisionDetails.rolledBackFrom}`
+      : 'Question updated successfully',
+    data: {
+      id: updatedQuestion._id,
+      slug: updatedQuestion.slug,
+      category: updatedQuestion.category,
+      questionType: updatedQuestion.questionType,
+      choices: updatedQuestion.choices,
+      scale: updatedQuestion.scale,
+      revision: revision ? revision.revision : null,
+      url: `/${updatedQuestion.category}/${updatedQuestion.slug}`
+    }
+  });
+};
+
+// PUT /api/admin/questions/:id - Edit an existing question
+router.put('/questions/:id', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = questionUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    await saveQuestionEdit(req, res, question, value);
+  } catch (error) {
+    console.error('Error updating question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id/revisions - Get revision history for a question
+router.get('/questions/:id/revisions', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id).select('title');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const revisions = await QuestionRevision.find({ question: question._id })
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        questionId: question._id,
+        title: question.title,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// POST /api/admin/questions/:id/revisions/:revision/rollback - Restore an earlier revision
+router.post('/questions/:id/revisions/:revision/rollback', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const target = await QuestionRevision.findOne({
+      question: question._id,
+      revision: parseInt(req.params.revision)
+    });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    await saveQuestionEdit(req, res, question, {
+      title: target.title,
+      category: target.category,
+      questionText: target.questionText,
+      questionType: target.questionType,
+      choices: target.choices.map(c => ({ _id: c.choiceId, text: c.text })),
+      scale: target.questionType === 'scale' ? target.toObject().scale : undefined,
+      featured: question.featured,
+      confirmChoiceRemoval: req.body.confirmChoiceRemoval === true
+    }, {
+      action: 'rollback',
+      rolledBackFrom: target.revision
+    });
+  } catch (error) {
+    console.error('Error rolling back question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back question'
+    });
+  }
+});
+
+// DELETE /api/admin/questions/:id - Move a question to the trash
+router.delete('/questions/:id', verifyAdmin, requirePermission('questions:delete'), requireStepUp, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    // Responses, views and revisions are kept so the question can be restored
+    await question.softDelete(req.admin.username);
+
+    await AuditLog.record(req, {
+      action: 'question.delete',
+      entityType: 'question',
+      entityId: question._id,
+      entityLabel: question.title,
+      before: AuditLog.snapshot(question, QUESTION_AUDIT_FIELDS),
+      metadata: { deletedAt: question.deletedAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Question moved to the trash'
+    });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete question'
+    });
+  }
+});
+
+// GET /api/admin/dashboard - Get dashboard statistics
+router.get('/dashboard', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const totalQuestions = await Question.countDocuments();
+    const featuredQuestions = await Question.countDocuments({ featured: true });
+    const multipleChoiceQuestions = await Question.countDocuments({ questionType: 'multiple_choice' });
+    const paragraphQuestions = await Question.countDocuments({ questionType: 'paragraph' });
+    const totalSubscribers = await Subscriber.countDocuments({ isActive: true });
+
+    // Get questions by category
+    const categoryStats = await Question.aggregate([
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          totalResponses: { $sum: { $ifNull: ['$popularityMetrics.totalResponses', 0] } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Get question type stats
+    const questionTypeStats = await Question.aggregate([
+      {
+        $group: {
+          _id: '$questionType',
+          count: { $sum: 1 },
+          totalResponses: { $sum: { $ifNull: ['$popularityMetrics.totalResponses', 0] } }
+        }
+      }
+    ]);
+
+    // Get recent activity
+    const recentQuestions = await Question.find()
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('title category questionType createdAt popularityMetrics');
+
+    const recentSubscribers = await Subscriber.countDocuments({
+      subscribedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+      isActive: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        overview: {
+          totalQuestions,
+          featuredQuestions,
+          multipleChoiceQuestions,
+          paragraphQuestions,
+          totalSubscribers,
+          recentSubscribers
+        },
+        categoryStats,
+        questionTypeStats,
+        recentQuestions: recentQuestions.map(q => ({
+          title: q.title,
+          category: q.category,
+          questionType: q.questionType || 'multiple_choice',
+          createdAt: q.createdAt,
+          responseCount: q.responseCount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dashboard data'
+    });
+  }
+});
+
+// GET /api/admin/questions/search - Search questions
+router.get('/questions/search', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const { q, type } = req.query;
+
+    if (!q || q.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    const searchRegex = new RegExp(q.trim(), 'i');
+    let filter = {
+      $or: [
+        { title: searchRegex },
+        { questionText: searchRegex },
+        { category: searchRegex }
+      ]
+    };
+
+    // Add question type filter if provided
+    if (type && Question.QUESTION_TYPES.includes(type)) {
+      filter.questionType = type;
+    }
+
+    const questions = await Question.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('title slug category questionType featured status publishAt publishedAt closesAt closedAt createdAt popularityMetrics');
+
+    const questionsWithStats = questions.map(q => ({
+      _id: q._id,
+      title: q.title,
+      slug: q.slug,
+      category: q.category,
+      questionType: q.questionType || 'multiple_choice',
+      featured: q.featured,
+      status: q.status,
+      publishAt: q.publishAt,
+      publishedAt: q.publishedAt,
+      closesAt: q.closesAt,
+      votingClosedAt: q.getVotingClosedAt(),
+      createdAt: q.createdAt,
+      responseCount: q.responseCount,
+      url: `/${q.category}/${q.slug}`
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        questions: questionsWithStats,
+        total: questionsWithStats.length
+      }
+    });
+  } catch (error) {
+    console.error('Error searching questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search questions'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id - Get a single question for editing
+router.get('/questions/:id', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id)
+      .select('title slug category questionText questionType featured status publishAt closesAt closedAt choices scale createdAt popularityMetrics');
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: question._id,
+        title: question.title,
+        slug: question.slug,
+        category: question.category,
+        questionText: question.questionText,
+        questionType: question.questionType || 'multiple_choice',
+        featured: question.featured,
+        status: question.status,
+        publishAt: question.publishAt,
+        closesAt: question.closesAt,
+        votingClosedAt: question.getVotingClosedAt(),
+        choices: question.choices,
+        scale: question.scale,
+        createdAt: question.createdAt,
+        responseCount: question.responseCount,
+        url: `/${question.category}/${question.slug}`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch question'
+    });
+  }
+});
+
+// GET /api/admin/subscribers - Get subscriber statistics and list
+router.get('/subscribers', verifyAdmin, requirePermission('subscribers:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const subscribers = await Subscriber.find()
+      .sort({ subscribedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('email subscribedAt isActive lastNotificationSent');
+
+    const total = await Subscriber.countDocuments();
+    const activeCount = await Subscriber.countDocuments({ isActive: true });
+    const inactiveCount = await Subscriber.countDocuments({ isActive: false });
+
+    // Get recent subscriber growth
+    const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const recentSubscribers30 = await Subscriber.countDocuments({
+      subscribedAt: { $gte: last30Days },
+      isActive: true
+    });
+
+    const recentSubscribers7 = await Subscriber.countDocuments({
+      subscribedAt: { $gte: last7Days },
+      isActive: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        subscribers,
+        stats: {
+          total,
+          active: activeCount,
+          inactive: inactiveCount,
+          recentSubscribers30,
+          recentSubscribers7
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalSubscribers: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching subscribers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscribers'
+    });
+  }
+});
+
+// PUT /api/admin/subscribers/:id/status - Toggle subscriber status
+router.put('/subscribers/:id/status', verifyAdmin, requirePermission('subscribers:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be a boolean value'
+      });
+    }
+
+    const subscriber = await Subscriber.findById(id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    const before = AuditLog.snapshot(subscriber, SUBSCRIBER_AUDIT_FIELDS);
+    subscriber.isActive = isActive;
+    if (!isActive) {
+      subscriber.unsubscribedAt = new Date();
+    } else {
+      subscriber.unsubscribedAt = undefined;
+    }
+
+    await subscriber.save();
+
+    await AuditLog.record(req, {
+      action: 'subscriber.status',
+      entityType: 'subscriber',
+      entityId: subscriber._id,
+      entityLabel: subscriber.email,
+      before,
+      after: AuditLog.snapshot(subscriber, SUBSCRIBER_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: `Subscriber ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        isActive: subscriber.isActive,
+        unsubscribedAt: subscriber.unsubscribedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating subscriber status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscriber status'
+    });
+  }
+});
+
+// DELETE /api/admin/subscribers/:id - Move a subscriber to the trash
+router.delete('/subscribers/:id', verifyAdmin, requirePermission('subscribers:manage'), requireStepUp, async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findById(req.params.id);
+    if (!subscriber) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscriber not found'
+      });
+    }
+
+    await subscriber.softDelete(req.admin.username);
+
+    await AuditLog.record(req, {
+      action: 'subscriber.delete',
+      entityType: 'subscriber',
+      entityId: subscriber._id,
+      entityLabel: subscriber.email,
+      before: AuditLog.snapshot(subscriber, SUBSCRIBER_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscriber moved to the trash'
+    });
+  } catch (error) {
+    console.error('Error deleting subscriber:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subscriber'
+    });
+  }
+});
+
+// GET /api/admin/analytics - Get detailed analytics
+router.get('/analytics', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { timeframe = '30d' } = req.query;
+
+    let dateFilter = {};
+    const now = new Date();
+
+    switch (timeframe) {
+      case '7d':
+        dateFilter = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
+        break;
+      case '30d':
+        dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+        break;
+      case '90d':
+        dateFilter = { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) };
+        break;
+      default:
+        dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+    }
+
+    // Question analytics by type
+    const questionAnalytics = await Question.aggregate([
+      {
+        $match: { createdAt: dateFilter }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            category: "$category",
+            questionType: "$questionType"
+          },
+          count: { $sum: 1 },
+          totalResponses: { $sum: { $ifNull: ['$popularityMetrics.totalResponses', 0] } }
+        }
+      },
+      { $sort: { "_id.date": 1 } }
+    ]);
+
+    // Response analytics, leaving out responses to questions in the trash
+    const responseAnalytics = await Response.aggregate([
+      {
+        $match: { timestamp: dateFilter, ...(await Response.liveQuestionsMatch()) }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { "_id.date": 1 } }
+    ]);
+
+    // Popular questions
+    const popularQuestions = await Question.find()
+      .sort({ 'popularityMetrics.totalResponses': -1 })
+      .limit(10)
+      .select('title category questionType popularityMetrics slug');
+
+    res.json({
+      success: true,
+      data: {
+        timeframe,
+        questionAnalytics,
+        responseAnalytics,
+        popularQuestions: popularQuestions.map(q => ({
+          title: q.title,
+          category: q.category,
+          questionType: q.questionType || 'multiple_choice',
+          slug: q.slug,
+          responseCount: q.responseCount,
+          url: `/${q.category}/${q.slug}`
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics'
+    });
+  }
+});
+
+// GET /api/admin/questions/:id/responses - List responses for moderation
+router.get('/questions/:id/responses', verifyAdmin, requirePermission('responses:moderate'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const question = await Question.findById(req.params.id).select('title questionType');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const [responses, total] = await Promise.all([
+      Response.find({ question: question._id })
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('choice ranking value explanation responseText timestamp replacedAt'),
+      Response.countDocuments({ question: question._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        questionId: question._id,
+        title: question.title,
+        questionType: question.questionType || 'multiple_choice',
+        responses,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalResponses: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching responses for moderation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch responses'
+    });
+  }
+});
+
+// DELETE /api/admin/responses/:id - Remove a response and its vote
+router.delete('/responses/:id', verifyAdmin, requirePermission('responses:moderate'), async (req, res) => {
+  try {
+    const response = await Response.findById(req.params.id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    const question = await Question.findById(response.question);
+    if (question) {
+      // removeResponse takes the response off the counters; reconcileMetrics corrects the scores
+      await question.removeResponse(response);
+      // Take the removed vote off the results live viewers are watching
+      Question.findById(question._id)
+        .then(current => current && liveResults.publishUpdate(current))
+        .catch(err => console.error('Error publishing live update:', err));
+    } else {
+      await Response.deleteOne({ _id: response._id });
+    }
+
+    await AuditLog.record(req, {
+      action: 'response.delete',
+      entityType: 'response',
+      entityId: response._id,
+      entityLabel: question ? question.title : undefined,
+      before: AuditLog.snapshot(response, ['question', 'choice', 'explanation', 'responseText', 'timestamp'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Response removed successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting response:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove response'
+    });
+  }
+});
+
+// GET /api/admin/aliases - List redirects from old question URLs
+router.get('/aliases', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.question) {
+      filter.question = req.query.question;
+    }
+
+    const [aliases, total] = await Promise.all([
+      QuestionAlias.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('question', 'title category slug'),
+      QuestionAlias.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        aliases: aliases.map(alias => ({
+          _id: alias._id,
+          fromUrl: `/${alias.category}/${alias.slug}`,
+          toUrl: alias.question ? `/${alias.question.category}/${alias.question.slug}` : null,
+          questionId: alias.question ? alias.question._id : null,
+          questionTitle: alias.question ? alias.question.title : null,
+          source: alias.source,
+          createdBy: alias.createdBy,
+          hits: alias.hits,
+          lastUsedAt: alias.lastUsedAt,
+          createdAt: alias.createdAt
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAliases: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching aliases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch redirects'
+    });
+  }
+});
+
+// POST /api/admin/aliases - Add a redirect from an old URL to a question
+router.post('/aliases', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = aliasSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const from = parseLocationPath(value.fromPath);
+    const to = parseLocationPath(value.toPath);
+
+    const question = await Question.findByCategoryAndSlug(to.category, to.slug);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: `No question found at /${to.category}/${to.slug}`
+      });
+    }
+
+    if (await Question.exists({ category: from.category, slug: from.slug })) {
+      return res.status(409).json({
+        success: false,
+        error: `/${from.category}/${from.slug} is a live question URL`
+      });
+    }
+
+    const alias = await QuestionAlias.record(from.category, from.slug, question._id, {
+      source: 'manual',
+      createdBy: req.admin.username
+    });
+
+    await AuditLog.record(req, {
+      action: 'alias.create',
+      entityType: 'alias',
+      entityId: alias._id,
+      entityLabel: `/${alias.category}/${alias.slug}`,
+      after: { fromUrl: `/${alias.category}/${alias.slug}`, toUrl: `/${question.category}/${question.slug}`, question: question._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Redirect saved successfully',
+      data: {
+        _id: alias._id,
+        fromUrl: `/${alias.category}/${alias.slug}`,
+        toUrl: `/${question.category}/${question.slug}`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save redirect'
+    });
+  }
+});
+
+// DELETE /api/admin/aliases/:id - Remove a redirect
+router.delete('/aliases/:id', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const alias = await QuestionAlias.findByIdAndDelete(req.params.id);
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        error: 'Redirect not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'alias.delete',
+      entityType: 'alias',
+      entityId: alias._id,
+      entityLabel: `/${alias.category}/${alias.slug}`,
+      before: AuditLog.snapshot(alias, ['category', 'slug', 'question', 'source', 'hits'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Redirect removed successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove redirect'
+    });
+  }
+});
+
+// GET /api/admin/categories - List categories with how many questions each has
+router.get('/categories', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ sortOrder: 1, name: 1 }),
+      Question.aggregate([
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countsBySlug = new Map(counts.map(item => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        color: category.color,
+        icon: category.icon,
+        sortOrder: category.sortOrder,
+        questionCount: countsBySlug.get(category.slug) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+// POST /api/admin/categories - Create a category
+router.post('/categories', verifyAdmin, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const slug = value.slug || slugify(value.name, { lower: true, strict: true });
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a slug for this category'
+      });
+    }
+
+    if (RESERVED_CATEGORY_SLUGS.includes(slug)) {
+      return res.status(400).json({
+        success: false,
+        error: `"${slug}" is used by another page and can't be a category slug`
+      });
+    }
+
+    if (await Category.exists({ slug })) {
+      return res.status(409).json({
+        success: false,
+        error: `Category "${slug}" already exists`
+      });
+    }
+
+    const category = new Category({
+      ...value,
+      slug,
+      updatedBy: req.admin.username
+    });
+    await category.save();
+
+    await AuditLog.record(req, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: category._id,
+      entityLabel: category.name,
+      after: AuditLog.snapshot(category, CATEGORY_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create category'
+    });
+  }
+});
+
+// PUT /api/admin/categories/:id - Edit a category
+router.put('/categories/:id', verifyAdmin, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const { error, value } = categoryUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    // The slug is part of every question URL in the category, trashed ones included
+    if (value.slug && value.slug !== category.slug) {
+      const inUse = await Question.countDocuments({ category: category.slug }).setOptions({ withDeleted: true });
+      if (inUse > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Move this category\'s questions to another category before changing its slug'
+        });
+      }
+      if (RESERVED_CATEGORY_SLUGS.includes(value.slug)) {
+        return res.status(400).json({
+          success: false,
+          error: `"${value.slug}" is used by another page and can't be a category slug`
+        });
+      }
+      if (await Category.exists({ slug: value.slug })) {
+        return res.status(409).json({
+          success: false,
+          error: `Category "${value.slug}" already exists`
+        });
+      }
+    }
+
+    const before = AuditLog.snapshot(category, CATEGORY_AUDIT_FIELDS);
+    Object.assign(category, value, { updatedBy: req.admin.username });
+    await category.save();
+
+    await AuditLog.record(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: category._id,
+      entityLabel: category.name,
+      before,
+      after: AuditLog.snapshot(category, CATEGORY_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update category'
+    });
+  }
+});
+
+// DELETE /api/admin/categories/:id - Remove a category that no question uses
+router.delete('/categories/:id', verifyAdmin, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const inUse = await Question.countDocuments({ category: category.slug }).setOptions({ withDeleted: true });
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${inUse} question${inUse === 1 ? ' is' : 's are'} still in this category, including any in the trash`
+      });
+    }
+
+    await category.deleteOne();
+
+    await AuditLog.record(req, {
+      action: 'category.delete',
+      entityType: 'category',
+      entityId: category._id,
+      entityLabel: category.name,
+      before: AuditLog.snapshot(category, CATEGORY_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete category'
+    });
+  }
+});
+
+// Helper to check that every question id in a collection exists. Trashed questions
+// are allowed so a collection can still be saved while one of them is in the trash.
+const findMissingQuestions = async (ids) => {
+  const found = await Question.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).select('_id');
+  const foundIds = new Set(found.map(question => question._id.toString()));
+  return ids.filter(id => !foundIds.has(id));
+};
+
+// GET /api/admin/collections - List collections, drafts included
+router.get('/collections', verifyAdmin, requirePermission('questions:read'), async (req, res) => {
+  try {
+    const collections = await Collection.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: collections.map(collection => ({
+        _id: collection._id,
+        title: collection.title,
+        slug: collection.slug,
+        description: collection.description,
+        coverText: collection.coverText,
+        questions: collection.questions,
+        status: collection.status,
+        createdBy: collection.createdBy,
+        updatedBy: collection.updatedBy,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collections'
+    });
+  }
+});
+
+// POST /api/admin/collections - Create a collection
+router.post('/collections', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = collectionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const slug = value.slug || slugify(value.title, { lower: true, strict: true });
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a slug for this collection'
+      });
+    }
+
+    if (await Collection.exists({ slug })) {
+      return res.status(409).json({
+        success: false,
+        error: `Collection "${slug}" already exists`
+      });
+    }
+
+    const missing = await findMissingQuestions(value.questions || []);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Question not found: ${missing.join(', ')}`
+      });
+    }
+
+    const collection = new Collection({
+      ...value,
+      slug,
+      createdBy: req.admin.username,
+      updatedBy: req.admin.username
+    });
+    await collection.save();
+
+    await AuditLog.record(req, {
+      action: 'collection.create',
+      entityType: 'collection',
+      entityId: collection._id,
+      entityLabel: collection.title,
+      after: AuditLog.snapshot(collection, COLLECTION_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection'
+    });
+  }
+});
+
+// PUT /api/admin/collections/:id - Edit a collection, including its question order
+router.put('/collections/:id', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const { error, value } = collectionUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    if (value.slug && value.slug !== collection.slug && await Collection.exists({ slug: value.slug })) {
+      return res.status(409).json({
+        success: false,
+        error: `Collection "${value.slug}" already exists`
+      });
+    }
+
+    if (value.questions) {
+      const missing = await findMissingQuestions(value.questions);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Question not found: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    const before = AuditLog.snapshot(collection, COLLECTION_AUDIT_FIELDS);
+    Object.assign(collection, value, { updatedBy: req.admin.username });
+    await collection.save();
+
+    await AuditLog.record(req, {
+      action: 'collection.update',
+      entityType: 'collection',
+      entityId: collection._id,
+      entityLabel: collection.title,
+      before,
+      after: AuditLog.snapshot(collection, COLLECTION_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection'
+    });
+  }
+});
+
+// DELETE /api/admin/collections/:id - Remove a collection; its questions are kept
+router.delete('/collections/:id', verifyAdmin, requirePermission('questions:write'), async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    await collection.deleteOne();
+
+    await AuditLog.record(req, {
+      action: 'collection.delete',
+      entityType: 'collection',
+      entityId: collection._id,
+      entityLabel: collection.title,
+      before: AuditLog.snapshot(collection, COLLECTION_AUDIT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection'
+    });
+  }
+});
+
+// GET /api/admin/admins - List admin accounts
+router.get('/admins', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        admins: admins.map(admin => admin.toSafeJSON()),
+        roles: Object.keys(ROLES).map(role => ({ role, permissions: ROLES[role] }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch admins'
+    });
+  }
+});
+
+// POST /api/admin/admins - Create an admin account
+router.post('/admins', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { error, value } = adminAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (await Admin.exists({ username: value.username })) {
+      return res.status(409).json({
+        success: false,
+        error: `Admin "${value.username}" already exists`
+      });
+    }
+
+    const admin = new Admin({
+      username: value.username,
+      name: value.name,
+      email: value.email,
+      role: value.role
+    });
+    await admin.setPassword(value.password);
+    await admin.save();
+
+    await AuditLog.record(req, {
+      action: 'admin.create',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username,
+      after: AuditLog.snapshot(admin, ADMIN_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: admin.toSafeJSON()
+    });
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create admin'
+    });
+  }
+});
+
+// Helper middleware: changing an admin's role or resetting their 2FA changes what the
+// account can reach, so those edits need a fresh step-up like deletions do
+const requireStepUpForAccessChanges = (req, res, next) => {
+  if (req.body.role !== undefined || req.body.resetTwoFactor) {
+    return requireStepUp(req, res, next);
+  }
+  next();
+};
+
+// PUT /api/admin/admins/:id - Change an admin's name, role or active status
+router.put('/admins/:id', verifyAdmin, requirePermission('admins:manage'), requireStepUpForAccessChanges, async (req, res) => {
+  try {
+    const { error, value } = adminUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    // Stop admins from locking themselves out of account management
+    const isSelf = admin._id.equals(req.admin.id);
+    if (isSelf && (value.isActive === false || (value.role && value.role !== admin.role))) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role or deactivate yourself'
+      });
+    }
+
+    // Your own 2FA can only be turned off with a code, through /auth/2fa/disable
+    if (isSelf && value.resetTwoFactor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use your own security settings to turn off two-factor authentication'
+      });
+    }
+
+    const before = {
+      ...AuditLog.snapshot(admin, ADMIN_AUDIT_FIELDS),
+      twoFactorEnabled: admin.twoFactor.enabled
+    };
+
+    if (value.name !== undefined) {
+      admin.name = value.name;
+    }
+    if (value.role) {
+      admin.role = value.role;
+    }
+    if (value.isActive !== undefined) {
+      admin.isActive = value.isActive;
+      if (!value.isActive) {
+        admin.refreshTokens = [];
+      }
+    }
+    if (value.resetTwoFactor) {
+      admin.clearTwoFactor();
+      admin.refreshTokens = [];
+    }
+
+    await admin.save();
+
+    await AuditLog.record(req, {
+      action: value.resetTwoFactor ? 'admin.2fa_reset' : 'admin.update',
+      entityType: 'admin',
+      entityId: admin._id,
+      entityLabel: admin.username,
+      before,
+      after: {
+        ...AuditLog.snapshot(admin, ADMIN_AUDIT_FIELDS),
+        twoFactorEnabled: admin.twoFactor.enabled
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: admin.toSafeJSON()
+    });
+  } catch (error) {
+    console.error('Error updating admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin'
+    });
+  }
+});
+
+// GET /api/admin/trash - List deleted questions and subscribers the admin can manage
+router.get('/trash', verifyAdmin, async (req, res) => {
+  try {
+    const types = Object.keys(TRASH_TYPES)
+      .filter(type => req.admin.permissions.includes(TRASH_TYPES[type].permission));
+
+    if (types.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Forbidden: requires ${Object.values(TRASH_TYPES).map(t => t.permission).join(' or ')}`
+      });
+    }
+
+    const purgeAfterDays = await Setting.getValue('trash.purgeAfterDays');
+    const data = { purgeAfterDays };
+
+    for (const type of types) {
+      const { model, summary } = TRASH_TYPES[type];
+      const items = await model.findDeleted().sort({ deletedAt: -1 }).limit(200);
+
+      data[type] = items.map(item => ({
+        _id: item._id,
+        ...summary(item),
+        deletedAt: item.deletedAt,
+        deletedBy: item.deletedBy,
+        purgeAt: purgeAfterDays > 0
+          ? new Date(item.deletedAt.getTime() + purgeAfterDays * 24 * 60 * 60 * 1000)
+          : null
+      }));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
 
-    const total = await Subscriber.countDocuments();
-    const activeCount = await Subscriber.countDocuments({ isActive: true });
-    const inactiveCount = await Subscriber.countDocuments({ isActive: false });
+// POST /api/admin/trash/:type/:id/restore - Take a question or subscriber out of the trash
+router.post('/trash/:type/:id/restore', verifyAdmin, loadTrashType, async (req, res) => {
+  try {
+    const { model, entityType, auditFields, label } = req.trashType;
 
-    // Get recent subscriber growth
-    const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const item = await model.findDeletedById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found in the trash'
+      });
+    }
 
-    const recentSubscribers30 = await Subscriber.countDocuments({
-      subscribedAt: { $gte: last30Days },
-      isActive: true
-    });
+    const deletedAt = item.deletedAt;
+    await item.restore();
 
-    const recentSubscribers7 = await Subscriber.countDocuments({
-      subscribedAt: { $gte: last7Days },
-      isActive: true
+    await AuditLog.record(req, {
+      action: `${entityType}.restore`,
+      entityType,
+      entityId: item._id,
+      entityLabel: label(item),
+      after: AuditLog.snapshot(item, auditFields),
+      metadata: { deletedAt }
     });
 
     res.json({
       success: true,
-      data: {
-        subscribers,
-        stats: {
-          total,
-          active: activeCount,
-          inactive: inactiveCount,
-          recentSubscribers30,
-          recentSubscribers7
-        },
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalSubscribers: total,
-          hasNext: page < Math.ceil(total / limit),
-          hasPrev: page > 1
-        }
-      }
+      message: 'Restored from the trash'
     });
   } catch (error) {
-    console.error('Error fetching subscribers:', error);
+    console.error('Error restoring from trash:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch subscribers'
+      error: 'Failed to restore from the trash'
     });
   }
 });
 
-// PUT /api/admin/subscribers/:id/status - Toggle subscriber status
-router.put('/subscribers/:id/status', verifyAdmin, async (req, res) => {
+// DELETE /api/admin/trash/:type/:id - Permanently delete a question or subscriber
+router.delete('/trash/:type/:id', verifyAdmin, loadTrashType, requireStepUp, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { isActive } = req.body;
+    const { model, entityType, auditFields, label } = req.trashType;
 
-    if (typeof isActive !== 'boolean') {
-      return res.status(400).json({
+    const item = await model.findDeletedById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
         success: false,
-        error: 'isActive must be a boolean value'
+        error: 'Item not found in the trash'
       });
     }
 
-    const subscriber = await Subscriber.findById(id);
-    if (!subscriber) {
-      return res.status(404).json({
+    const removed = await item.purge();
+
+    await AuditLog.record(req, {
+      action: `${entityType}.purge`,
+      entityType,
+      entityId: item._id,
+      entityLabel: label(item),
+      before: AuditLog.snapshot(item, auditFields),
+      metadata: removed
+    });
+
+    res.json({
+      success: true,
+      message: 'Permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete permanently'
+    });
+  }
+});
+
+// Helper to read the settings the panel can change
+const readSettings = async () => {
+  const [duplicateVotePolicy, requireTwoFactor, trashPurgeAfterDays] = await Promise.all([
+    Setting.getValue('voting.duplicatePolicy'),
+    Setting.getValue('security.requireTwoFactor'),
+    Setting.getValue('trash.purgeAfterDays')
+  ]);
+
+  return {
+    duplicateVotePolicy,
+    requireTwoFactor: Boolean(requireTwoFactor),
+    trashPurgeAfterDays
+  };
+};
+
+// GET /api/admin/settings - Get site settings
+router.get('/settings', verifyAdmin, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await readSettings()
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings'
+    });
+  }
+});
+
+// PUT /api/admin/settings - Update site settings
+router.put('/settings', verifyAdmin, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { error, value } = settingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Subscriber not found'
+        error: error.details[0].message
       });
     }
 
-    subscriber.isActive = isActive;
-    if (!isActive) {
-      subscriber.unsubscribedAt = new Date();
-    } else {
-      subscriber.unsubscribedAt = undefined;
+    const before = await readSettings();
+
+    await Setting.setValue('voting.duplicatePolicy', value.duplicateVotePolicy, req.admin.username);
+    if (value.requireTwoFactor !== undefined) {
+      await Setting.setValue('security.requireTwoFactor', value.requireTwoFactor, req.admin.username);
+    }
+    if (value.trashPurgeAfterDays !== undefined) {
+      await Setting.setValue('trash.purgeAfterDays', value.trashPurgeAfterDays, req.admin.username);
     }
 
-    await subscriber.save();
+    const after = await readSettings();
+
+    await AuditLog.record(req, {
+      action: 'settings.update',
+      entityType: 'settings',
+      before,
+      after
+    });
 
     res.json({
       success: true,
-      message: `Subscriber ${isActive ? 'activated' : 'deactivated'} successfully`,
+      message: 'Settings updated successfully',
+      data: after
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings'
+    });
+  }
+});
+
+// GET /api/admin/ranking - Get the weights used to rank questions
+router.get('/ranking', verifyAdmin, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
       data: {
-        isActive: subscriber.isActive,
-        unsubscribedAt: subscriber.unsubscribedAt
+        weights: await rankingService.getWeights(),
+        defaults: DEFAULT_RANKING_WEIGHTS,
+        limits: RANKING_WEIGHT_LIMITS
       }
     });
   } catch (error) {
-    console.error('Error updating subscriber status:', error);
+    console.error('Error fetching ranking weights:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update subscriber status'
+      error: 'Failed to fetch ranking weights'
     });
   }
 });
 
-// DELETE /api/admin/subscribers/:id - Delete subscriber
-router.delete('/subscribers/:id', verifyAdmin, async (req, res) => {
+// POST /api/admin/ranking/preview - Show how rankings would change under new weights, without saving them
+router.post('/ranking/preview', verifyAdmin, requirePermission('settings:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { error, value } = rankingWeightsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
 
-    const subscriber = await Subscriber.findByIdAndDelete(id);
-    if (!subscriber) {
-      return res.status(404).json({
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const leaders = await Promise.all(['popularityScore', 'trendingScore'].map(metric =>
+      Question.find(Question.publishedFilter())
+        .sort({ [`popularityMetrics.${metric}`]: -1 })
+        .limit(RANKING_PREVIEW_CANDIDATES)
+        .select('title slug category featured publishedAt createdAt popularityMetrics')
+    ));
+    const questions = [...new Map(leaders.flat().map(question => [question._id.toString(), question])).values()];
+
+    res.json({
+      success: true,
+      data: await rankingService.preview(questions, value, limit)
+    });
+  } catch (error) {
+    console.error('Error previewing ranking weights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview ranking weights'
+    });
+  }
+});
+
+// PUT /api/admin/ranking - Update the ranking weights and rescore every question
+router.put('/ranking', verifyAdmin, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { error, value } = rankingWeightsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Subscriber not found'
+        error: error.details[0].message
       });
     }
 
+    const before = await rankingService.getWeights();
+    await Setting.setValue('ranking.weights', value, req.admin.username);
+
+    await AuditLog.record(req, {
+      action: 'ranking.update',
+      entityType: 'settings',
+      before,
+      after: value
+    });
+
+    // Stored scores are rescored in the background; the reconciliation job would catch up anyway
+    Question.reconcileMetrics().catch(err =>
+      console.error('Error reconciling popularity metrics:', err)
+    );
+
     res.json({
       success: true,
-      message: 'Subscriber deleted successfully'
+      message: 'Ranking weights saved. Scores are being recalculated.',
+      data: value
     });
   } catch (error) {
-    console.error('Error deleting subscriber:', error);
+    console.error('Error updating ranking weights:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete subscriber'
+      error: 'Failed to update ranking weights'
     });
   }
 });
 
-// GET /api/admin/analytics - Get detailed analytics
-router.get('/analytics', verifyAdmin, async (req, res) => {
+// POST /api/admin/test-email - Send a sample new question email
+router.post('/test-email', verifyAdmin, requirePermission('subscribers:manage'), async (req, res) => {
   try {
-    const { timeframe = '30d' } = req.query;
+    const { error, value } = Joi.object({
+      email: Joi.string().trim().email().required()
+    }).validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
 
-    let dateFilter = {};
-    const now = new Date();
+    await emailService.sendTestEmail(value.email);
 
-    switch (timeframe) {
-      case '7d':
-        dateFilter = { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
-        break;
-      case '30d':
-        dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
-        break;
-      case '90d':
-        dateFilter = { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) };
-        break;
-      default:
-        dateFilter = { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+    await AuditLog.record(req, {
+      action: 'email.test',
+      entityType: 'email',
+      entityLabel: value.email,
+      metadata: { to: value.email }
+    });
+
+    res.json({
+      success: true,
+      message: `Test email sent to ${value.email}`
+    });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test email'
+    });
+  }
+});
+
+// GET /api/admin/audit - Search the audit log
+router.get('/audit', verifyAdmin, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
     }
 
-    // Question analytics by type
-    const questionAnalytics = await Question.aggregate([
-      {
-        $match: { createdAt: dateFilter }
-      },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-            category: "$category",
-            questionType: "$questionType"
-          },
-          count: { $sum: 1 },
-          totalResponses: { $sum: { $size: "$responses" } }
-        }
-      },
-      { $sort: { "_id.date": 1 } }
-    ]);
+    const { page, limit } = value;
+    const filter = AuditLog.buildFilter(value);
 
-    // Response analytics
-    const responseAnalytics = await Question.aggregate([
-      {
-        $unwind: "$responses"
-      },
-      {
-        $match: { "responses.timestamp": dateFilter }
-      },
-      {
-        $group: {
-          _id: {
-            date: { $dateToString: { format: "%Y-%m-%d", date: "$responses.timestamp" } }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { "_id.date": 1 } }
+    const [entries, total, actions, entityTypes] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('action'),
+      AuditLog.distinct('entityType')
     ]);
 
-    // Popular questions
-    const popularQuestions = await Question.find()
-      .sort({ 'responses.length': -1 })
-      .limit(10)
-      .select('title category questionType responses slug');
-
     res.json({
       success: true,
       data: {
-        timeframe,
-        questionAnalytics,
-        responseAnalytics,
-        popularQuestions: popularQuestions.map(q => ({
-          title: q.title,
-          category: q.category,
-          questionType: q.questionType || 'multiple_choice',
-          slug: q.slug,
-          responseCount: q.responses.length,
-          url: `/${q.category}/${q.slug}`
-        }))
+        entries,
+        filters: {
+          actions: actions.sort(),
+          entityTypes: entityTypes.sort()
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
       }
     });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
+    console.error('Error fetching audit log:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch analytics'
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// GET /api/admin/audit/export - Download matching audit entries as CSV
+router.get('/audit/export', verifyAdmin, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const csvHeaders = [
+      'Time', 'Actor', 'Action', 'Entity Type', 'Entity ID', 'Entity',
+      'IP', 'User Agent', 'Before', 'After', 'Metadata'
+    ];
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.csv"`);
+    res.write(csvHeaders.join(',') + '\n');
+
+    // Stream rows so a large log isn't held in memory
+    const cursor = AuditLog.find(AuditLog.buildFilter(value))
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      res.write([
+        entry.createdAt,
+        entry.actor.username,
+        entry.action,
+        entry.entityType,
+        entry.entityId,
+        entry.entityLabel,
+        entry.ip,
+        entry.userAgent,
+        entry.before,
+        entry.after,
+        entry.metadata
+      ].map(csvField).join(',') + '\n');
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log'
     });
   }
 });
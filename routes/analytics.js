@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const Response = require('../models/Response');
+const View = require('../models/View');
+const VoteSnapshot = require('../models/VoteSnapshot');
+const AuditLog = require('../models/AuditLog');
+const { verifyAdmin, requirePermission } = require('../middleware/adminAuth');
 
 // GET /api/analytics/dashboard - Get dashboard analytics
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
   try {
     const timeRange = req.query.range || '7d'; // '24h', '7d', '30d', 'all'
     const category = req.query.category;
@@ -194,7 +199,7 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // GET /api/analytics/question/:category/:slug - Get detailed question analytics
-router.get('/question/:category/:slug', async (req, res) => {
+router.get('/question/:category/:slug', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { category, slug } = req.params;
     
@@ -207,11 +212,8 @@ router.get('/question/:category/:slug', async (req, res) => {
       });
     }
     
-    // Analyze views over time - handle null/undefined views array
-    const views = question.views || [];
-    const responses = question.responses || [];
-    
     const viewsAnalysis = {};
+    const responsesAnalysis = {};
     const now = new Date();
     const periods = {
       '24h': 24 * 60 * 60 * 1000,
@@ -219,25 +221,22 @@ router.get('/question/:category/:slug', async (req, res) => {
       '30d': 30 * 24 * 60 * 60 * 1000
     };
     
-    Object.keys(periods).forEach(period => {
-      const cutoff = new Date(now.getTime() - periods[period]);
-      viewsAnalysis[period] = views.filter(view => 
-        new Date(view.timestamp) >= cutoff
-      ).length;
-    });
-    
-    // Analyze responses over time
-    const responsesAnalysis = {};
-    Object.keys(periods).forEach(period => {
+    // Analyze views and responses over time
+    await Promise.all(Object.keys(periods).map(async (period) => {
       const cutoff = new Date(now.getTime() - periods[period]);
-      responsesAnalysis[period] = responses.filter(response => 
-        new Date(response.timestamp) >= cutoff
-      ).length;
-    });
-    
-    // Get unique viewers and responders
-    const uniqueViewers = new Set(views.map(view => view.ipAddress)).size;
-    const uniqueResponders = new Set(responses.map(response => response.ipAddress)).size;
+      [viewsAnalysis[period], responsesAnalysis[period]] = await Promise.all([
+        View.countForQuestion(question._id, cutoff),
+        Response.countForQuestion(question._id, cutoff)
+      ]);
+    }));
+    
+    // Get totals plus unique viewers and responders
+    const [totalViews, totalResponses, uniqueViewers, uniqueResponders] = await Promise.all([
+      View.countForQuestion(question._id),
+      Response.countForQuestion(question._id),
+      View.countUniqueIPs(question._id),
+      Response.countUniqueIPs(question._id)
+    ]);
     
     // Analyze response patterns for multiple choice questions
     let choiceAnalysis = null;
@@ -254,29 +253,45 @@ router.get('/question/:category/:slug', async (req, res) => {
         };
       });
     }
-    
+
+    // Borda count and pairwise preferences for ranking questions
+    const rankingResults = question.questionType === 'ranking'
+      ? await question.getRankingResults()
+      : null;
+
+    // Histogram and summary statistics for scale questions
+    const scaleResults = question.questionType === 'scale'
+      ? await question.getScaleResults()
+      : null;
+    
+    // How many respondents carry on through each linked follow-up question
+    const hasFollowUps = question.questionType === 'multiple_choice' &&
+      question.choices.some(choice => choice.followUp);
+    const followUpPaths = hasFollowUps ? await question.getFollowUpPaths() : null;
+
     // Get hourly view distribution (last 24 hours)
     const hourlyViews = Array(24).fill(0);
     const last24h = new Date(now.getTime() - 24 * 60 * 60 * 1000);
     
-    views.forEach(view => {
-      const viewDate = new Date(view.timestamp);
-      if (viewDate >= last24h) {
-        const hour = viewDate.getHours();
-        hourlyViews[hour]++;
-      }
+    const hourlyAgg = await View.aggregate([
+      { $match: { question: question._id, timestamp: { $gte: last24h } } },
+      { $group: { _id: { $hour: '$timestamp' }, count: { $sum: 1 } } }
+    ]);
+    
+    hourlyAgg.forEach(bucket => {
+      hourlyViews[bucket._id] = bucket.count;
     });
     
     // Calculate engagement metrics
     const engagementMetrics = {
-      viewToResponseRate: views.length > 0 ? 
-        Math.round((responses.length / views.length) * 100) : 0,
+      viewToResponseRate: totalViews > 0 ? 
+        Math.round((totalResponses / totalViews) * 100) : 0,
       uniqueEngagementRate: uniqueViewers > 0 ? 
         Math.round((uniqueResponders / uniqueViewers) * 100) : 0,
-      avgResponsesPerDay: responses.length > 0 ? 
-        Math.round((responses.length / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0,
-      avgViewsPerDay: views.length > 0 ? 
-        Math.round((views.length / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0
+      avgResponsesPerDay: totalResponses > 0 ? 
+        Math.round((totalResponses / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0,
+      avgViewsPerDay: totalViews > 0 ? 
+        Math.round((totalViews / Math.max(1, (now - question.createdAt) / (24 * 60 * 60 * 1000))) * 100) / 100 : 0
     };
     
     const analytics = {
@@ -295,10 +310,13 @@ router.get('/question/:category/:slug', async (req, res) => {
       uniqueMetrics: {
         uniqueViewers,
         uniqueResponders,
-        totalViews: views.length,
-        totalResponses: responses.length
+        totalViews,
+        totalResponses
       },
       choiceAnalysis,
+      rankingResults,
+      scaleResults,
+      followUpPaths,
       hourlyViewPattern: hourlyViews.map((views, hour) => ({
         hour: `${String(hour).padStart(2, '0')}:00`,
         views
@@ -320,8 +338,112 @@ router.get('/question/:category/:slug', async (req, res) => {
   }
 });
 
+// GET /api/analytics/question/:category/:slug/vote-history - Get how the vote split changed over time
+router.get('/question/:category/:slug/vote-history', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { category, slug } = req.params;
+    const timeRange = req.query.range || '7d'; // '24h', '7d', '30d', '90d', 'all'
+    const periods = {
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000,
+      '90d': 90 * 24 * 60 * 60 * 1000
+    };
+
+    if (!periods[timeRange] && timeRange !== 'all') {
+      return res.status(400).json({
+        success: false,
+        error: 'Range must be one of 24h, 7d, 30d, 90d or all'
+      });
+    }
+
+    const question = await Question.findByCategoryAndSlug(category, slug);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    if (!Question.CHOICE_QUESTION_TYPES.includes(question.questionType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Vote history is only kept for multiple choice and ranking questions'
+      });
+    }
+
+    const now = new Date();
+    const from = periods[timeRange] ? new Date(now.getTime() - periods[timeRange]) : null;
+
+    // Hourly points for short ranges, daily points for longer ones
+    const timeline = await VoteSnapshot.getTimeline(question._id, {
+      from,
+      to: now,
+      interval: ['24h', '7d'].includes(timeRange) ? 'hour' : 'day'
+    });
+
+    // Moments that may have moved opinion: going live, featuring and closing
+    const events = [];
+    const inRange = date => date && (!from || date >= from) && date <= now;
+
+    if (inRange(question.publishedAt)) {
+      events.push({ type: 'published', label: 'Published and emailed to subscribers', at: question.publishedAt });
+    }
+
+    const featureChanges = await AuditLog.find({
+      entityType: 'question',
+      entityId: question._id.toString(),
+      'after.featured': { $exists: true },
+      ...(from && { createdAt: { $gte: from } })
+    }).sort({ createdAt: 1 }).lean();
+
+    featureChanges
+      .filter(entry => (entry.before ? entry.before.featured !== entry.after.featured : entry.after.featured))
+      .forEach(entry => {
+        events.push({
+          type: entry.after.featured ? 'featured' : 'unfeatured',
+          label: entry.after.featured ? 'Featured' : 'Removed from featured',
+          at: entry.createdAt
+        });
+      });
+
+    const votingClosedAt = question.getVotingClosedAt();
+    if (inRange(votingClosedAt)) {
+      events.push({ type: 'closed', label: 'Voting closed', at: votingClosedAt });
+    }
+
+    events.sort((a, b) => a.at - b.at);
+
+    res.json({
+      success: true,
+      data: {
+        question: {
+          id: question._id,
+          title: question.title,
+          slug: question.slug,
+          category: question.category,
+          questionType: question.questionType
+        },
+        range: timeRange,
+        // Ranking questions count first-place votes
+        measure: question.questionType === 'ranking' ? 'first_place' : 'votes',
+        ...timeline,
+        events,
+        generatedAt: now
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vote history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vote history'
+    });
+  }
+});
+
 // GET /api/analytics/category/:category - Get category-specific analytics
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { category } = req.params;
     const timeRange = req.query.range || '30d';
@@ -460,7 +582,7 @@ router.get('/category/:category', async (req, res) => {
 });
 
 // GET /api/analytics/trends - Get trending analysis (FIXED)
-router.get('/trends', async (req, res) => {
+router.get('/trends', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
   try {
     const timeRange = req.query.range || '7d';
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
@@ -483,53 +605,32 @@ router.get('/trends', async (req, res) => {
         break;
     }
     
-    const trendingAnalysis = await Question.aggregate([
+    // Count recent activity per question from the view and response collections,
+    // leaving out questions in the trash
+    const liveQuestions = await View.liveQuestionsMatch();
+    const [recentViewCounts, recentResponseCounts] = await Promise.all([
+      View.aggregate([
+        { $match: { timestamp: { $gte: cutoffDate }, ...liveQuestions } },
+        { $group: { _id: '$question', count: { $sum: 1 } } }
+      ]),
+      Response.aggregate([
+        { $match: { timestamp: { $gte: cutoffDate }, ...liveQuestions } },
+        { $group: { _id: '$question', count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    const recentViewsById = new Map(recentViewCounts.map(item => [String(item._id), item.count]));
+    const recentResponsesById = new Map(recentResponseCounts.map(item => [String(item._id), item.count]));
+    const activeQuestionIds = [...recentViewCounts, ...recentResponseCounts].map(item => item._id);
+    
+    // Ranked by the stored trending score so this matches the public trending list
+    const trendingQuestions = await Question.aggregate([
       {
-        $addFields: {
-          recentViews: {
-            $cond: {
-              if: { $isArray: '$views' },
-              then: {
-                $size: {
-                  $filter: {
-                    input: '$views',
-                    cond: { $gte: ['$$this.timestamp', cutoffDate] }
-                  }
-                }
-              },
-              else: 0
-            }
-          },
-          recentResponses: {
-            $cond: {
-              if: { $isArray: '$responses' },
-              then: {
-                $size: {
-                  $filter: {
-                    input: '$responses',
-                    cond: { $gte: ['$$this.timestamp', cutoffDate] }
-                  }
-                }
-              },
-              else: 0
-            }
-          },
-          trendScore: {
-            $add: [
-              { $multiply: [{ $ifNull: ['$popularityMetrics.viewsLast24h', 0] }, 2] },
-              { $multiply: [{ $ifNull: ['$popularityMetrics.responsesLast24h', 0] }, 5] },
-              { $multiply: [{ $ifNull: ['$popularityMetrics.viewsLast7d', 0] }, 1] },
-              { $multiply: [{ $ifNull: ['$popularityMetrics.responsesLast7d', 0] }, 2] }
-            ]
-          }
-        }
+        $match: { _id: { $in: activeQuestionIds } }
       },
       {
-        $match: {
-          $or: [
-            { recentViews: { $gt: 0 } },
-            { recentResponses: { $gt: 0 } }
-          ]
+        $addFields: {
+          trendScore: { $ifNull: ['$popularityMetrics.trendingScore', 0] }
         }
       },
       { $sort: { trendScore: -1 } },
@@ -542,23 +643,22 @@ router.get('/trends', async (req, res) => {
           questionType: 1,
           createdAt: 1,
           popularityMetrics: 1,
-          recentViews: 1,
-          recentResponses: 1,
           trendScore: 1
         }
       }
     ]);
     
+    const trendingAnalysis = trendingQuestions.map(question => ({
+      ...question,
+      recentViews: recentViewsById.get(String(question._id)) || 0,
+      recentResponses: recentResponsesById.get(String(question._id)) || 0
+    }));
+    
     // Get category trends
     const categoryTrends = await Question.aggregate([
       {
         $addFields: {
-          recentActivity: {
-            $add: [
-              { $ifNull: ['$popularityMetrics.viewsLast24h', 0] },
-              { $multiply: [{ $ifNull: ['$popularityMetrics.responsesLast24h', 0] }, 2] }
-            ]
-          }
+          recentActivity: { $ifNull: ['$popularityMetrics.trendingScore', 0] }
         }
       },
       {
@@ -580,7 +680,7 @@ router.get('/trends', async (req, res) => {
       trendingQuestions: trendingAnalysis,
       categoryTrends: categoryTrends.map(trend => ({
         category: trend._id,
-        totalActivity: trend.totalActivity,
+        totalActivity: Math.round(trend.totalActivity * 100) / 100,
         questionsCount: trend.questionsCount,
         avgActivity: Math.round(trend.avgActivity * 100) / 100,
         totalViews: trend.totalViews,
@@ -608,11 +708,11 @@ router.get('/trends', async (req, res) => {
   }
 });
 
-// POST /api/analytics/recalculate - Recalculate all popularity metrics
-router.post('/recalculate', async (req, res) => {
+// POST /api/analytics/recalculate - Rebuild all popularity metrics from the stored views and responses
+router.post('/recalculate', verifyAdmin, requirePermission('system:trigger'), async (req, res) => {
   try {
     const category = req.query.category;
-    const batchSize = parseInt(req.query.batchSize) || 50;
+    const batchSize = Math.min(parseInt(req.query.batchSize) || 50, 500);
     
     let query = {};
     if (category) {
@@ -620,32 +720,16 @@ router.post('/recalculate', async (req, res) => {
     }
     
     const totalQuestions = await Question.countDocuments(query);
-    let processed = 0;
-    const batchPromises = [];
-    
-    // Process in batches to avoid memory issues
-    for (let skip = 0; skip < totalQuestions; skip += batchSize) {
-      const batch = Question.find(query)
-        .skip(skip)
-        .limit(batchSize)
-        .then(async (questions) => {
-          const promises = questions.map(question => 
-            question.calculatePopularityMetrics().catch(err => {
-              console.error(`Error calculating metrics for question ${question._id}:`, err);
-              return null;
-            })
-          );
-          
-          const results = await Promise.all(promises);
-          processed += results.filter(r => r !== null).length;
-          
-          return results.length;
-        });
-      
-      batchPromises.push(batch);
-    }
-    
-    await Promise.all(batchPromises);
+
+    // Streamed with a cursor, one question at a time, so memory use stays flat
+    const processed = await Question.updateAllPopularityMetrics(query, { batchSize });
+
+    await AuditLog.record(req, {
+      action: 'metrics.recalculate',
+      entityType: 'metrics',
+      entityLabel: category || 'all',
+      metadata: { category: category || 'all', totalQuestions, processedQuestions: processed }
+    });
     
     res.json({
       success: true,
@@ -664,7 +748,7 @@ router.post('/recalculate', async (req, res) => {
 });
 
 // GET /api/analytics/export - Export analytics data
-router.get('/export', async (req, res) => {
+router.get('/export', verifyAdmin, requirePermission('analytics:read'), async (req, res) => {
   try {
     const format = req.query.format || 'json'; // 'json' or 'csv'
     const category = req.query.category;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const Collection = require('../models/Collection');
+const Question = require('../models/Question');
+const Setting = require('../models/Setting');
+const { getVoterIdentity } = require('../utils/voterIdentity');
+
+// Helper to load a published collection and the visitor's progress through it.
+// Sends a 404 and resolves to null when the collection doesn't exist.
+const loadWithProgress = async (req, res) => {
+  const collection = await Collection.findPublishedBySlug(req.params.slug);
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      error: 'Collection not found'
+    });
+    return null;
+  }
+
+  const voter = getVoterIdentity(req, res);
+  const policy = await Setting.getValue('voting.duplicatePolicy');
+  const progress = await collection.getProgress(voter, policy);
+
+  return { collection, progress };
+};
+
+// Helper to drop the loaded documents from a progress object before sending it
+const publicProgress = ({ answered, total, completed, next }) => ({ answered, total, completed, next });
+
+// GET /api/collections - List published collections
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find({ status: 'published' }).sort({ createdAt: -1 });
+
+    // Count only the questions visitors can open
+    const ids = collections.flatMap(collection => collection.questions);
+    const visible = await Question.find({ _id: { $in: ids }, status: { $in: ['published', 'archived'] } }).select('_id');
+    const visibleIds = new Set(visible.map(question => question._id.toString()));
+
+    res.json({
+      success: true,
+      data: collections
+        .map(collection => ({
+          ...collection.toPublicJSON(),
+          questionCount: collection.questions.filter(id => visibleIds.has(id.toString())).length
+        }))
+        .filter(collection => collection.questionCount > 0)
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collections'
+    });
+  }
+});
+
+// GET /api/collections/:slug - Get a collection with the visitor's progress
+router.get('/:slug', async (req, res) => {
+  try {
+    const loaded = await loadWithProgress(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { collection, progress } = loaded;
+    res.json({
+      success: true,
+      data: {
+        ...collection.toPublicJSON(),
+        questions: progress.items,
+        progress: publicProgress(progress)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collection'
+    });
+  }
+});
+
+// GET /api/collections/:slug/summary - Compare the visitor's answers with everyone else's
+router.get('/:slug/summary', async (req, res) => {
+  try {
+    const loaded = await loadWithProgress(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { collection, progress } = loaded;
+    if (!progress.completed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Answer every question in this collection to see your summary',
+        code: 'COLLECTION_INCOMPLETE',
+        progress: publicProgress(progress)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...collection.toPublicJSON(),
+        progress: publicProgress(progress),
+        summary: await collection.getSummary(progress)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching collection summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collection summary'
+    });
+  }
+});
+
+module.exports = router;
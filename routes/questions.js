@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Question = require('../models/Question');
+const Response = require('../models/Response');
+const Setting = require('../models/Setting');
+const Category = require('../models/Category');
+const AuditLog = require('../models/AuditLog');
+const { getVoterIdentity } = require('../utils/voterIdentity');
+const liveResults = require('../services/liveResultsService');
+const { verifyAdmin, requirePermission } = require('../middleware/adminAuth');
 const Joi = require('joi');
 
 // Validation schemas
@@ -9,36 +16,66 @@ const multipleChoiceResponseSchema = Joi.object({
   explanation: Joi.string().min(10).max(1000).required()
 });
 
-const paragraphResponseSchema = Joi.object({
-  responseText: Joi.string().min(20).max(2000).required(),
+const rankingResponseSchema = Joi.object({
+  ranking: Joi.array().items(Joi.string()).min(2).max(6).unique().required(),
+  explanation: Joi.string().max(1000).allow('').optional()
+});
+
+const scaleResponseSchema = Joi.object({
+  value: Joi.number().integer().required(),
   explanation: Joi.string().max(1000).allow('').optional()
 });
 
-const categoryParamSchema = Joi.object({
-  category: Joi.string().valid(
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ).required()
+const paragraphResponseSchema = Joi.object({
+  responseText: Joi.string().min(20).max(2000).required(),
+  explanation: Joi.string().max(1000).allow('').optional()
 });
 
-// Helper function to get client IP
+// Helper function to get client IP. req.ip honours 'trust proxy', so only the
+// X-Forwarded-For entry added by our own proxy counts; the raw header is client-controlled.
 const getClientIP = (req) => {
-  return req.headers['x-forwarded-for'] || 
-         req.connection.remoteAddress || 
+  return req.ip ||
          req.socket.remoteAddress ||
-         (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
          '127.0.0.1';
 };
 
+// How often an idle live stream sends a comment so proxies keep it open
+const LIVE_HEARTBEAT_MS = 25000;
+
+// Helper to push a question's new results to live viewers, along with the answer
+// itself unless it replaced an earlier one. Only the picked choice, ranking or value
+// is sent: free text is left for the responses endpoint, where moderators can remove
+// it. Paragraph answers are all free text, so they only send results.
+// Failures only affect live viewers.
+const publishLiveUpdate = (question, existingResponse, answer) => {
+  const response = existingResponse || Object.keys(answer).length === 0
+    ? null
+    : { ...answer, createdAt: new Date() };
+  liveResults.publishUpdate(question, response).catch(err =>
+    console.error('Error publishing live update:', err)
+  );
+};
+
+// Helper to send a 301 to a question's current URL when an old one was requested
+const redirectIfMoved = async (req, res, suffix = '') => {
+  const { category, slug } = req.params;
+  const moved = await Question.findRedirect(category, slug);
+  if (!moved) {
+    return false;
+  }
+
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+  res.redirect(301, `${req.baseUrl}/${moved.category}/${moved.slug}${suffix}${query}`);
+  return true;
+};
+
 // GET /api/questions - Get latest questions (for homepage)
 router.get('/', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 12;
     const featured = req.query.featured === 'true';
-    const sortBy = req.query.sortBy || 'newest'; // 'newest', 'popular', 'trending'
+    const sortBy = req.query.sortBy || 'newest'; // 'newest', 'popular', 'trending', 'controversial'
     
     let questions;
     
@@ -52,6 +89,9 @@ router.get('/', async (req, res) => {
         case 'trending':
           questions = await Question.getTrending(limit);
           break;
+        case 'controversial':
+          questions = await Question.getMostControversial(limit);
+          break;
         case 'newest':
         default:
           questions = await Question.getLatest(limit);
@@ -80,6 +120,7 @@ router.get('/categories', async (req, res) => {
     const includeStats = req.query.includeStats === 'true';
     
     const categories = await Question.aggregate([
+      { $match: Question.publishedFilter() },
       {
         $group: {
           _id: '$category',
@@ -101,9 +142,16 @@ router.get('/categories', async (req, res) => {
       }
     ]);
     
+    const categoryDetails = new Map((await Category.getAll()).map(category => [category.slug, category]));
+
     const formattedCategories = categories.map(cat => {
+      const details = categoryDetails.get(cat._id) || {};
       const result = {
         name: cat._id,
+        label: details.name || cat._id,
+        description: details.description || '',
+        color: details.color,
+        icon: details.icon,
         count: cat.count,
         latestQuestion: cat.latestQuestion
       };
@@ -139,8 +187,7 @@ router.get('/categories', async (req, res) => {
 router.get('/category/:category', async (req, res) => {
   try {
     // Validate category parameter
-    const { error: paramError } = categoryParamSchema.validate(req.params);
-    if (paramError) {
+    if (!(await Category.isValid(req.params.category))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid category'
@@ -150,7 +197,7 @@ router.get('/category/:category', async (req, res) => {
     const { category } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50); // Max 50 per page
-    const sortBy = req.query.sortBy || 'popularity'; // 'popularity', 'trending', 'newest', 'most_responses'
+    const sortBy = req.query.sortBy || 'popularity'; // 'popularity', 'trending', 'newest', 'most_responses', 'controversial'
     const questionType = req.query.type || 'all'; // 'all', 'multiple_choice', 'paragraph'
     const featured = req.query.featured === 'true';
 
@@ -164,7 +211,7 @@ router.get('/category/:category', async (req, res) => {
     });
 
     // Get total count for pagination
-    let countQuery = { category: category.toLowerCase() };
+    let countQuery = Question.publishedFilter({ category: category.toLowerCase() });
     if (questionType !== 'all') {
       countQuery.questionType = questionType;
     }
@@ -177,6 +224,7 @@ router.get('/category/:category', async (req, res) => {
 
     // Get category statistics
     const categoryStats = await Question.getCategoryStats(category);
+    const categoryDetails = await Category.findCachedBySlug(category);
 
     res.json({
       success: true,
@@ -196,7 +244,14 @@ router.get('/category/:category', async (req, res) => {
           questionType,
           featured
         },
-        categoryStats
+        categoryStats,
+        category: {
+          slug: categoryDetails.slug,
+          name: categoryDetails.name,
+          description: categoryDetails.description,
+          color: categoryDetails.color,
+          icon: categoryDetails.icon
+        }
       }
     });
   } catch (error) {
@@ -215,9 +270,13 @@ router.get('/:category/:slug', async (req, res) => {
     const trackView = req.query.trackView !== 'false'; // Default to true
     
     // FIXED: Use findByCategoryAndSlug method
-    const question = await Question.findByCategoryAndSlug(category, slug);
+    const question = await Question.findPublicByCategoryAndSlug(category, slug);
     
     if (!question) {
+      if (await redirectIfMoved(req, res)) {
+        return;
+      }
+
       return res.status(404).json({
         success: false,
         error: 'Question not found'
@@ -233,19 +292,22 @@ router.get('/:category/:slug', async (req, res) => {
 
       try {
         await question.recordView(clientIP, userAgent, sessionId, referrer);
-        // Update popularity metrics asynchronously
-        question.calculatePopularityMetrics().catch(err => 
-          console.error('Error calculating popularity metrics:', err)
-        );
       } catch (viewError) {
         console.error('Error recording view:', viewError);
         // Continue with response even if view tracking fails
       }
     }
     
+    const data = { ...question.toJSON(), ...(await question.getResultsData()) };
+    if (question.questionType === 'multiple_choice') {
+      // Swap follow-up ids for the linked question's title and URL; unpublished ones are hidden
+      const followUps = await question.getFollowUps();
+      data.choices = data.choices.map(choice => ({ ...choice, followUp: followUps.get(choice._id.toString()) }));
+    }
+
     res.json({
       success: true,
-      data: question
+      data
     });
   } catch (error) {
     console.error('Error fetching question:', error);
@@ -262,7 +324,7 @@ router.post('/:category/:slug/respond', async (req, res) => {
     const { category, slug } = req.params;
     
     // FIXED: Use findByCategoryAndSlug method
-    const question = await Question.findByCategoryAndSlug(category, slug);
+    const question = await Question.findPublicByCategoryAndSlug(category, slug);
     
     if (!question) {
       return res.status(404).json({
@@ -271,9 +333,40 @@ router.post('/:category/:slug/respond', async (req, res) => {
       });
     }
 
+    if (question.status === 'archived') {
+      return res.status(403).json({
+        success: false,
+        error: 'This question is archived and no longer accepts responses',
+        code: 'QUESTION_CLOSED'
+      });
+    }
+
+    const votingClosedAt = question.getVotingClosedAt();
+    if (votingClosedAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'Voting on this question has closed',
+        code: 'VOTING_CLOSED',
+        closedAt: votingClosedAt
+      });
+    }
+
     const clientIP = getClientIP(req);
     const userAgent = req.headers['user-agent'] || '';
 
+    // One response per voter, according to the admin-configured policy
+    const voter = getVoterIdentity(req, res);
+    const policy = await Setting.getValue('voting.duplicatePolicy');
+    const existingResponse = await Response.findExistingVote(question._id, voter, policy);
+
+    if (existingResponse && policy !== 'allow_revote') {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already responded to this question',
+        code: 'ALREADY_RESPONDED'
+      });
+    }
+
     let validationResult;
     
     if (question.questionType === 'multiple_choice') {
@@ -297,23 +390,93 @@ router.post('/:category/:slug/respond', async (req, res) => {
         });
       }
       
-      await question.addMultipleChoiceResponse(choice, explanation, clientIP, userAgent);
-      
-      // Update popularity metrics asynchronously
-      question.calculatePopularityMetrics().catch(err => 
-        console.error('Error calculating popularity metrics:', err)
-      );
+      const updatedQuestion = existingResponse
+        ? await question.replaceResponse(existingResponse, { choice, explanation }, voter)
+        : await question.addMultipleChoiceResponse(choice, explanation, clientIP, userAgent, voter);
+      publishLiveUpdate(updatedQuestion, existingResponse, { choice });
       
       res.json({
         success: true,
-        message: 'Response added successfully',
+        message: existingResponse ? 'Response updated successfully' : 'Response added successfully',
         data: {
-          totalVotes: question.totalVotes,
-          choices: question.choices,
-          responseCount: question.responseCount
+          replaced: !!existingResponse,
+          totalVotes: updatedQuestion.totalVotes,
+          choices: updatedQuestion.choices,
+          results: updatedQuestion.getChoiceResults(),
+          responseCount: updatedQuestion.responseCount,
+          followUp: (await question.getFollowUps()).get(validChoice._id.toString()) || null
         }
       });
       
+    } else if (question.questionType === 'ranking') {
+      validationResult = rankingResponseSchema.validate(req.body);
+
+      if (validationResult.error) {
+        return res.status(400).json({
+          success: false,
+          error: validationResult.error.details[0].message
+        });
+      }
+
+      const { ranking, explanation } = validationResult.value;
+
+      if (!question.isCompleteRanking(ranking)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please rank every choice exactly once'
+        });
+      }
+
+      const updatedQuestion = existingResponse
+        ? await question.replaceResponse(existingResponse, { ranking, explanation: explanation || '' }, voter)
+        : await question.addRankingResponse(ranking, explanation || '', clientIP, userAgent, voter);
+      publishLiveUpdate(updatedQuestion, existingResponse, { ranking });
+
+      res.json({
+        success: true,
+        message: existingResponse ? 'Response updated successfully' : 'Response added successfully',
+        data: {
+          replaced: !!existingResponse,
+          choices: updatedQuestion.choices,
+          rankingResults: await updatedQuestion.getRankingResults(),
+          responseCount: updatedQuestion.responseCount
+        }
+      });
+
+    } else if (question.questionType === 'scale') {
+      validationResult = scaleResponseSchema.validate(req.body);
+
+      if (validationResult.error) {
+        return res.status(400).json({
+          success: false,
+          error: validationResult.error.details[0].message
+        });
+      }
+
+      const { value, explanation } = validationResult.value;
+
+      if (!question.isValidScaleValue(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `Please pick a value from ${question.scale.min} to ${question.scale.max}`
+        });
+      }
+
+      const updatedQuestion = existingResponse
+        ? await question.replaceResponse(existingResponse, { value, explanation: explanation || '' }, voter)
+        : await question.addScaleResponse(value, explanation || '', clientIP, userAgent, voter);
+      publishLiveUpdate(updatedQuestion, existingResponse, { value });
+
+      res.json({
+        success: true,
+        message: existingResponse ? 'Response updated successfully' : 'Response added successfully',
+        data: {
+          replaced: !!existingResponse,
+          scaleResults: await updatedQuestion.getScaleResults(),
+          responseCount: updatedQuestion.responseCount
+        }
+      });
+
     } else if (question.questionType === 'paragraph') {
       validationResult = paragraphResponseSchema.validate(req.body);
       
@@ -326,18 +489,17 @@ router.post('/:category/:slug/respond', async (req, res) => {
       
       const { responseText, explanation } = validationResult.value;
       
-      await question.addParagraphResponse(responseText, explanation || '', clientIP, userAgent);
-      
-      // Update popularity metrics asynchronously
-      question.calculatePopularityMetrics().catch(err => 
-        console.error('Error calculating popularity metrics:', err)
-      );
+      const updatedQuestion = existingResponse
+        ? await question.replaceResponse(existingResponse, { responseText, explanation: explanation || '' }, voter)
+        : await question.addParagraphResponse(responseText, explanation || '', clientIP, userAgent, voter);
+      publishLiveUpdate(updatedQuestion, existingResponse, {});
       
       res.json({
         success: true,
-        message: 'Response added successfully',
+        message: existingResponse ? 'Response updated successfully' : 'Response added successfully',
         data: {
-          responseCount: question.responseCount
+          replaced: !!existingResponse,
+          responseCount: updatedQuestion.responseCount
         }
       });
       
@@ -349,6 +511,15 @@ router.post('/:category/:slug/respond', async (req, res) => {
     }
     
   } catch (error) {
+    // Unique index on question + voterId catches concurrent duplicates
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already responded to this question',
+        code: 'ALREADY_RESPONDED'
+      });
+    }
+
     console.error('Error adding response:', error);
     res.status(500).json({
       success: false,
@@ -367,45 +538,44 @@ router.get('/:category/:slug/responses', async (req, res) => {
     const skip = (page - 1) * limit;
     
     // FIXED: Use findByCategoryAndSlug method
-    const question = await Question.findByCategoryAndSlug(category, slug);
+    const question = await Question.findPublicByCategoryAndSlug(category, slug);
     
     if (!question) {
+      if (await redirectIfMoved(req, res, '/responses')) {
+        return;
+      }
+
       return res.status(404).json({
         success: false,
         error: 'Question not found'
       });
     }
     
-    // Sort responses
-    let sortedResponses = [...question.responses];
-    if (sortBy === 'oldest') {
-      sortedResponses.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    } else {
-      sortedResponses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }
-    
-    // Apply pagination
-    const responses = sortedResponses.slice(skip, skip + limit);
+    const responseQuery = { question: question._id };
+    const sortOrder = sortBy === 'oldest' ? 1 : -1;
+
+    const [responses, totalResponses] = await Promise.all([
+      Response.find(responseQuery)
+        .sort({ timestamp: sortOrder })
+        .skip(skip)
+        .limit(limit),
+      Response.countDocuments(responseQuery)
+    ]);
+    const totalPages = Math.ceil(totalResponses / limit);
     
     // Remove sensitive data
-    const sanitizedResponses = responses.map(response => ({
-      choice: response.choice,
-      explanation: response.explanation,
-      responseText: response.responseText,
-      timestamp: response.timestamp,
-      createdAt: response.createdAt
-    }));
+    const sanitizedResponses = responses.map(response => response.toPublicJSON());
     
     res.json({
       success: true,
       data: {
         responses: sanitizedResponses,
         pagination: {
-          totalResponses: question.responses.length,
+          totalResponses,
           currentPage: page,
-          totalPages: Math.ceil(question.responses.length / limit),
+          totalPages,
           responsesPerPage: limit,
-          hasNextPage: page < Math.ceil(question.responses.length / limit),
+          hasNextPage: page < totalPages,
           hasPrevPage: page > 1
         },
         sortBy
@@ -420,6 +590,68 @@ router.get('/:category/:slug/responses', async (req, res) => {
   }
 });
 
+// GET /api/questions/:category/:slug/live - Stream updated results and new responses as Server-Sent Events
+router.get('/:category/:slug/live', async (req, res) => {
+  try {
+    const { category, slug } = req.params;
+    const question = await Question.findPublicByCategoryAndSlug(category, slug);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from holding events back
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    // Events are held back until the current results have gone out, so a vote
+    // landing while they are read can't be overwritten by older counts
+    let pending = [];
+    const listener = (event, data) => (pending ? pending.push([event, data]) : send(event, data));
+
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) {
+        res.write(': heartbeat\n\n');
+      }
+    }, LIVE_HEARTBEAT_MS);
+    const unsubscribe = liveResults.subscribe(question._id, listener, () => res.end());
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    const current = await Question.findById(question._id);
+    const results = current ? await current.getResultsData() : {};
+    if (Object.keys(results).length > 0) {
+      send('results', results);
+    }
+    pending.forEach(([event, data]) => send(event, data));
+    pending = null;
+  } catch (error) {
+    console.error('Error streaming live results:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream live results'
+    });
+  }
+});
+
 // GET /api/questions/trending - Get trending questions
 router.get('/trending', async (req, res) => {
   try {
@@ -430,8 +662,7 @@ router.get('/trending', async (req, res) => {
     
     if (category) {
       // Validate category if provided
-      const { error: paramError } = categoryParamSchema.validate({ category });
-      if (paramError) {
+      if (!(await Category.isValid(category))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid category'
@@ -471,8 +702,7 @@ router.get('/popular', async (req, res) => {
     
     if (category) {
       // Validate category if provided
-      const { error: paramError } = categoryParamSchema.validate({ category });
-      if (paramError) {
+      if (!(await Category.isValid(category))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid category'
@@ -505,13 +735,14 @@ router.get('/popular', async (req, res) => {
 // GET /api/questions/stats - Get overall statistics
 router.get('/stats', async (req, res) => {
   try {
-    const totalQuestions = await Question.countDocuments({});
-    const totalMultipleChoice = await Question.countDocuments({ questionType: 'multiple_choice' });
-    const totalParagraph = await Question.countDocuments({ questionType: 'paragraph' });
-    const totalFeatured = await Question.countDocuments({ featured: true });
+    const totalQuestions = await Question.countDocuments(Question.publishedFilter());
+    const totalMultipleChoice = await Question.countDocuments(Question.publishedFilter({ questionType: 'multiple_choice' }));
+    const totalParagraph = await Question.countDocuments(Question.publishedFilter({ questionType: 'paragraph' }));
+    const totalFeatured = await Question.countDocuments(Question.publishedFilter({ featured: true }));
     
     // Get aggregated statistics
     const aggregatedStats = await Question.aggregate([
+      { $match: Question.publishedFilter() },
       {
         $group: {
           _id: null,
@@ -536,6 +767,7 @@ router.get('/stats', async (req, res) => {
     
     // Get top categories by popularity
     const topCategories = await Question.aggregate([
+      { $match: Question.publishedFilter() },
       {
         $group: {
           _id: '$category',
@@ -587,7 +819,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // POST /api/questions/update-metrics - Manually trigger popularity metrics update
-router.post('/update-metrics', async (req, res) => {
+router.post('/update-metrics', verifyAdmin, requirePermission('system:trigger'), async (req, res) => {
   try {
     const category = req.query.category;
     const questionId = req.query.questionId;
@@ -602,7 +834,15 @@ router.post('/update-metrics', async (req, res) => {
         });
       }
       
-      await question.calculatePopularityMetrics();
+      await question.calculatePopularityMetrics({ recount: true });
+
+      await AuditLog.record(req, {
+        action: 'metrics.update',
+        entityType: 'question',
+        entityId: question._id,
+        entityLabel: question.title,
+        metadata: { scope: 'question' }
+      });
       
       res.json({
         success: true,
@@ -611,28 +851,39 @@ router.post('/update-metrics', async (req, res) => {
       });
     } else if (category) {
       // Update all questions in category
-      const { error: paramError } = categoryParamSchema.validate({ category });
-      if (paramError) {
+      if (!(await Category.isValid(category))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid category'
         });
       }
       
-      const questions = await Question.find({ category: category.toLowerCase() });
-      const promises = questions.map(question => question.calculatePopularityMetrics());
-      await Promise.all(promises);
+      const updatedCount = await Question.updateAllPopularityMetrics({ category: category.toLowerCase() });
+
+      await AuditLog.record(req, {
+        action: 'metrics.update',
+        entityType: 'metrics',
+        entityLabel: category.toLowerCase(),
+        metadata: { scope: 'category', category: category.toLowerCase(), updatedCount }
+      });
       
       res.json({
         success: true,
-        message: `Metrics updated for ${questions.length} questions in category: ${category}`,
-        updatedCount: questions.length
+        message: `Metrics updated for ${updatedCount} questions in category: ${category}`,
+        updatedCount
       });
     } else {
       // Update all questions
       await Question.updateAllPopularityMetrics();
       
       const totalQuestions = await Question.countDocuments({});
+
+      await AuditLog.record(req, {
+        action: 'metrics.update',
+        entityType: 'metrics',
+        entityLabel: 'all',
+        metadata: { scope: 'all', updatedCount: totalQuestions }
+      });
       
       res.json({
         success: true,
@@ -669,6 +920,7 @@ router.get('/search', async (req, res) => {
     
     // Build search criteria
     let searchCriteria = {
+      status: 'published',
       $or: [
         { title: { $regex: query, $options: 'i' } },
         { questionText: { $regex: query, $options: 'i' } },
@@ -677,8 +929,7 @@ router.get('/search', async (req, res) => {
     };
     
     if (category) {
-      const { error: paramError } = categoryParamSchema.validate({ category });
-      if (paramError) {
+      if (!(await Category.isValid(category))) {
         return res.status(400).json({
           success: false,
           error: 'Invalid category'
@@ -698,11 +949,14 @@ router.get('/search', async (req, res) => {
         sortOptions = { 'popularityMetrics.trendingScore': -1, createdAt: -1 };
         break;
       case 'newest':
-        sortOptions = { createdAt: -1 };
+        sortOptions = { publishedAt: -1, createdAt: -1 };
         break;
       case 'most_responses':
         sortOptions = { 'popularityMetrics.totalResponses': -1, createdAt: -1 };
         break;
+      case 'controversial':
+        sortOptions = { 'popularityMetrics.controversyScore': -1, 'popularityMetrics.totalResponses': -1 };
+        break;
       case 'popularity':
       default:
         sortOptions = { 'popularityMetrics.popularityScore': -1, createdAt: -1 };
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Subscriber = require('../models/Subscriber');
 const EmailService = require('../services/emailService');
+const { verifyAdmin, requirePermission } = require('../middleware/adminAuth');
 const Joi = require('joi');
 
 // Validation schema
@@ -23,11 +24,11 @@ router.post('/', async (req, res) => {
     
     const { email } = value;
     
-    // Check if email already exists
-    const existingSubscriber = await Subscriber.findOne({ email });
+    // Check if email already exists, including addresses an admin moved to the trash
+    const existingSubscriber = await Subscriber.findOne({ email }).setOptions({ withDeleted: true });
     
     if (existingSubscriber) {
-      if (existingSubscriber.isActive) {
+      if (existingSubscriber.isActive && !existingSubscriber.deletedAt) {
         return res.status(409).json({
           success: false,
           error: 'Email is already subscribed'
@@ -36,6 +37,8 @@ router.post('/', async (req, res) => {
         // Reactivate subscription
         existingSubscriber.isActive = true;
         existingSubscriber.subscribedAt = new Date();
+        existingSubscriber.deletedAt = null;
+        existingSubscriber.deletedBy = undefined;
         await existingSubscriber.save();
         
         // Send welcome email for reactivated subscription
@@ -109,7 +112,7 @@ router.get('/unsubscribe/:token', async (req, res) => {
 });
 
 // GET /api/subscribers/stats - Get subscriber statistics (admin only)
-router.get('/stats', async (req, res) => {
+router.get('/stats', verifyAdmin, requirePermission('subscribers:read'), async (req, res) => {
   try {
     const totalSubscribers = await Subscriber.countDocuments();
     const activeSubscribers = await Subscriber.countDocuments({ isActive: true });
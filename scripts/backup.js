@@ -107,9 +107,11 @@ class DatabaseBackup {
       // Import models
       const Question = require('../models/Question');
       const Subscriber = require('../models/Subscriber');
+      const Response = require('../models/Response');
       
       // Export data
       const questions = await Question.find({}).lean();
+      const responses = await Response.find({}).select('-ipAddress -userAgent -voterId -fingerprint').lean();
       const subscribers = await Subscriber.find({}).lean();
       
       const exportData = {
@@ -117,10 +119,12 @@ class DatabaseBackup {
         version: process.env.npm_package_version || '1.0.0',
         counts: {
           questions: questions.length,
+          responses: responses.length,
           subscribers: subscribers.length
         },
         data: {
           questions,
+          responses,
           subscribers: subscribers.map(sub => ({
             email: sub.email,
             categories: sub.categories,
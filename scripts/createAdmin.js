@@ -0,0 +1,95 @@
+// scripts/createAdmin.js
+const mongoose = require('mongoose');
+const readline = require('readline');
+const Admin = require('../models/Admin');
+const { ROLES } = require('../config/permissions');
+require('dotenv').config();
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Read --name=value style arguments
+function parseArgs(argv) {
+  return argv.reduce((args, arg) => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+    return args;
+  }, {});
+}
+
+function prompt(question, { hidden = false } = {}) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  if (hidden) {
+    // Don't echo the password back to the terminal
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) {
+        rl.output.write(text);
+      }
+    };
+  }
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      if (hidden) {
+        rl.output.write('\n');
+      }
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const username = args.username || await prompt('Username: ');
+    const name = args.name || await prompt('Full name (optional): ');
+    const email = args.email || await prompt('Email (optional): ');
+    const password = process.env.ADMIN_PASSWORD || await prompt('Password: ', { hidden: true });
+
+    if (!username || username.length < 3) {
+      throw new Error('Username must be at least 3 characters');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (args.role && !ROLES[args.role]) {
+      throw new Error(`Role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
+    console.log('Connected to MongoDB...');
+
+    if (await Admin.exists({ username: username.toLowerCase() })) {
+      throw new Error(`Admin "${username}" already exists`);
+    }
+
+    // The first account has to be able to manage everyone else
+    const isFirstAdmin = !(await Admin.exists({}));
+    const role = args.role || (isFirstAdmin ? 'superadmin' : 'editor');
+
+    const admin = new Admin({ username, name, email, role });
+    await admin.setPassword(password);
+    await admin.save();
+
+    const total = await Admin.countDocuments();
+    console.log(`✅ Created ${admin.role} "${admin.username}" (${total} admin account${total === 1 ? '' : 's'} in total)`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+if (require.main === module) {
+  createAdmin();
+}
+
+module.exports = { createAdmin };
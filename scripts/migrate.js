@@ -1,8 +1,88 @@
 // scripts/migrate.js
 const mongoose = require('mongoose');
 const Question = require('../models/Question');
+const Response = require('../models/Response');
+const View = require('../models/View');
+const Admin = require('../models/Admin');
+const Category = require('../models/Category');
 require('dotenv').config();
 
+// Categories that used to be hard-coded in the models, routes and pages
+const DEFAULT_CATEGORIES = [
+  { slug: 'love', name: 'Love', color: '#ff6b9d', icon: 'fas fa-heart', description: 'Explore the complexities of love, relationships, and emotional bonds.' },
+  { slug: 'justice', name: 'Justice', color: '#4ecdc4', icon: 'fas fa-balance-scale', description: 'Examine questions of fairness, law, and moral righteousness.' },
+  { slug: 'survival', name: 'Survival', color: '#ff7b54', icon: 'fas fa-shield-alt', description: 'Navigate life-or-death scenarios and survival instincts.' },
+  { slug: 'family', name: 'Family', color: '#a8e6cf', icon: 'fas fa-home', description: 'Consider the bonds, duties, and conflicts within families.' },
+  { slug: 'freedom', name: 'Freedom', color: '#74b9ff', icon: 'fas fa-dove', description: 'Debate liberty, autonomy, and the limits of freedom.' },
+  { slug: 'sacrifice', name: 'Sacrifice', color: '#fd79a8', icon: 'fas fa-hand-holding-heart', description: 'Weigh the costs and benefits of personal sacrifice.' },
+  { slug: 'truth', name: 'Truth', color: '#fdcb6e', icon: 'fas fa-search', description: 'Grapple with honesty, deception, and the value of truth.' },
+  { slug: 'loyalty', name: 'Loyalty', color: '#6c5ce7', icon: 'fas fa-handshake', description: 'Explore faithfulness, betrayal, and allegiance.' },
+  { slug: 'revenge', name: 'Revenge', color: '#e17055', icon: 'fas fa-sword', description: 'Consider justice, retribution, and forgiveness.' },
+  { slug: 'power', name: 'Power', color: '#fd79a8', icon: 'fas fa-crown', description: 'Examine authority, influence, and the use of power.' },
+  { slug: 'empathy', name: 'Empathy', color: '#81ecec', icon: 'fas fa-hands-helping' },
+  { slug: 'morality', name: 'Morality', color: '#a29bfe', icon: 'fas fa-compass' },
+  { slug: 'desire', name: 'Desire', color: '#ff7675', icon: 'fas fa-fire' },
+  { slug: 'regret', name: 'Regret', color: '#636e72', icon: 'fas fa-undo' },
+  { slug: 'identity', name: 'Identity', color: '#00b894', icon: 'fas fa-user' },
+  { slug: 'betrayal', name: 'Betrayal', color: '#e17055', icon: 'fas fa-user-times' },
+  { slug: 'hope', name: 'Hope', color: '#00b894', icon: 'fas fa-star' },
+  { slug: 'fear', name: 'Fear', color: '#2d3436', icon: 'fas fa-ghost' },
+  { slug: 'faith', name: 'Faith', color: '#fdcb6e', icon: 'fas fa-pray' },
+  { slug: 'control', name: 'Control', color: '#74b9ff', icon: 'fas fa-cog' },
+  { slug: 'loss', name: 'Loss', color: '#636e72', icon: 'fas fa-heart-broken' },
+  { slug: 'trust', name: 'Trust', color: '#00cec9', icon: 'fas fa-link' },
+  { slug: 'responsibility', name: 'Responsibility', color: '#fd79a8', icon: 'fas fa-weight' },
+  { slug: 'choice', name: 'Choice', color: '#6c5ce7', icon: 'fas fa-directions' },
+  { slug: 'pain', name: 'Pain', color: '#2d3436', icon: 'fas fa-band-aid' },
+  { slug: 'greed', name: 'Greed', color: '#fdcb6e', icon: 'fas fa-coins' },
+  { slug: 'envy', name: 'Envy', color: '#00b894', icon: 'fas fa-eye' },
+  { slug: 'honor', name: 'Honor', color: '#fd79a8', icon: 'fas fa-medal' },
+  { slug: 'duty', name: 'Duty', color: '#74b9ff', icon: 'fas fa-flag' },
+  { slug: 'self', name: 'Self', color: '#fdcb6e', icon: 'fas fa-mirror' }
+];
+
+// Insert raw documents in batches, skipping any that were already copied
+async function insertIgnoringDuplicates(Model, docs, batchSize = 1000) {
+  let inserted = 0;
+
+  for (let i = 0; i < docs.length; i += batchSize) {
+    const batch = docs.slice(i, i + batchSize);
+    try {
+      const result = await Model.collection.insertMany(batch, { ordered: false });
+      inserted += result.insertedCount;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      inserted += error.result ? error.result.insertedCount : 0;
+    }
+  }
+
+  return inserted;
+}
+
+// Create any default category that is missing, plus one for every category
+// already used by a question. Existing categories are left as admins set them.
+async function seedCategories() {
+  const usedSlugs = await Question.distinct('category').setOptions({ withDeleted: true });
+  const defaults = new Map(DEFAULT_CATEGORIES.map((category, index) => [category.slug, { ...category, sortOrder: index }]));
+
+  usedSlugs.filter(slug => slug && !defaults.has(slug)).forEach(slug => {
+    defaults.set(slug, { slug, name: slug.charAt(0).toUpperCase() + slug.slice(1), sortOrder: defaults.size });
+  });
+
+  const result = await Category.bulkWrite([...defaults.values()].map(category => ({
+    updateOne: {
+      filter: { slug: category.slug },
+      update: { $setOnInsert: { ...category, createdAt: new Date(), updatedAt: new Date() } },
+      upsert: true
+    }
+  })));
+
+  Category.clearCache();
+  return result.upsertedCount;
+}
+
 async function runMigrations() {
   try {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
@@ -23,7 +103,7 @@ async function runMigrations() {
       if (!question.popularityMetrics) {
         question.popularityMetrics = {};
       }
-      await question.calculatePopularityMetrics();
+      await question.calculatePopularityMetrics({ recount: true });
     }
     console.log('Migration 1 completed');
 
@@ -67,6 +147,85 @@ async function runMigrations() {
     }
     console.log('Migration 3 completed');
 
+    // Migration 4: Move embedded responses and views into their own collections
+    console.log('Running Migration 4: Moving embedded responses and views...');
+    const questionsWithEmbeddedData = await Question.collection.find(
+      {
+        $or: [
+          { responses: { $exists: true } },
+          { views: { $exists: true } }
+        ]
+      },
+      { projection: { questionType: 1, responses: 1, views: 1 } }
+    ).toArray();
+
+    console.log(`Found ${questionsWithEmbeddedData.length} questions with embedded responses or views`);
+
+    let movedResponses = 0;
+    let movedViews = 0;
+
+    for (const rawQuestion of questionsWithEmbeddedData) {
+      const responses = (rawQuestion.responses || []).map(response => ({
+        ...response,
+        question: rawQuestion._id,
+        questionType: rawQuestion.questionType || 'multiple_choice'
+      }));
+      const views = (rawQuestion.views || []).map(view => ({
+        ...view,
+        question: rawQuestion._id
+      }));
+
+      // Embedded subdocument ids are kept so a re-run skips entries already moved
+      movedResponses += await insertIgnoringDuplicates(Response, responses);
+      movedViews += await insertIgnoringDuplicates(View, views);
+
+      await Question.collection.updateOne(
+        { _id: rawQuestion._id },
+        { $unset: { responses: '', views: '' } }
+      );
+
+      const question = await Question.findById(rawQuestion._id);
+      if (question) {
+        await question.calculatePopularityMetrics({ recount: true });
+      }
+    }
+    console.log(`Moved ${movedResponses} responses and ${movedViews} views`);
+    console.log('Migration 4 completed');
+
+    // Migration 5: Give the oldest admin the superadmin role if nobody has it
+    console.log('Running Migration 5: Assigning admin roles...');
+    const unassignedAdmins = await Admin.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: 'editor' } }
+    );
+    console.log(`Set the editor role on ${unassignedAdmins.modifiedCount} admins without a role`);
+
+    if (!(await Admin.exists({ role: 'superadmin', isActive: true }))) {
+      const oldestAdmin = await Admin.findOne({ isActive: true }).sort({ createdAt: 1 });
+      if (oldestAdmin) {
+        oldestAdmin.role = 'superadmin';
+        await oldestAdmin.save();
+        console.log(`Promoted "${oldestAdmin.username}" to superadmin`);
+      }
+    }
+    console.log('Migration 5 completed');
+
+    // Migration 6: Questions created before the publishing lifecycle were live immediately
+    console.log('Running Migration 6: Setting question publishing status...');
+    const unpublishedQuestions = await Question.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt' } }],
+      { withDeleted: true }
+    );
+    console.log(`Marked ${unpublishedQuestions.modifiedCount} existing questions as published`);
+    console.log('Migration 6 completed');
+
+    // Migration 7: Move the category list from code into the categories collection
+    console.log('Running Migration 7: Seeding categories...');
+    const seededCategories = await seedCategories();
+    console.log(`Created ${seededCategories} categories`);
+    console.log('Migration 7 completed');
+
     console.log('All migrations completed successfully!');
 
   } catch (error) {
@@ -81,4 +240,4 @@ if (require.main === module) {
   runMigrations();
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = { runMigrations, seedCategories, DEFAULT_CATEGORIES };
\ No newline at end of file
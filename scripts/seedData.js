@@ -1,6 +1,7 @@
 // scripts/seedData.js
 const mongoose = require('mongoose');
 const Question = require('../models/Question');
+const { seedCategories } = require('./migrate');
 require('dotenv').config();
 
 const sampleQuestions = [
@@ -161,6 +162,9 @@ async function seedDatabase() {
     await Question.deleteMany({});
     console.log('Cleared existing questions');
 
+    // Questions can only use categories that exist
+    await seedCategories();
+
     // Insert sample questions
     const insertedQuestions = await Question.insertMany(sampleQuestions);
     console.log(`Inserted ${insertedQuestions.length} sample questions`);
@@ -0,0 +1,91 @@
+// scripts/stressTestVotes.js
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+require('dotenv').config();
+
+const TOTAL_RESPONSES = parseInt(process.env.STRESS_RESPONSES) || 500;
+
+async function stressTestVotes() {
+  let question;
+  let passed = false;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/moral-dilemma-db');
+    console.log('Connected to MongoDB for vote stress test...');
+
+    question = await Question.create({
+      title: 'Vote stress test',
+      slug: `vote-stress-test-${Date.now()}`,
+      category: 'choice',
+      questionText: 'Temporary question used to verify concurrent vote counting.',
+      questionType: 'multiple_choice',
+      choices: [
+        { text: 'Option A', votes: 0 },
+        { text: 'Option B', votes: 0 },
+        { text: 'Option C', votes: 0 }
+      ]
+    });
+
+    const expected = { 'Option A': 0, 'Option B': 0, 'Option C': 0 };
+    const choiceTexts = Object.keys(expected);
+
+    console.log(`Firing ${TOTAL_RESPONSES} parallel responses at question ${question._id}...`);
+    const startTime = Date.now();
+
+    // Each submission loads its own copy of the question, as the respond route does
+    const submissions = Array.from({ length: TOTAL_RESPONSES }, async (_, index) => {
+      const choiceText = choiceTexts[index % choiceTexts.length];
+      expected[choiceText]++;
+
+      const copy = await Question.findById(question._id);
+      return copy.addMultipleChoiceResponse(
+        choiceText,
+        `Stress test response number ${index}`,
+        `10.0.${Math.floor(index / 256)}.${index % 256}`,
+        'stress-test'
+      );
+    });
+
+    const results = await Promise.allSettled(submissions);
+    const failures = results.filter(result => result.status === 'rejected');
+
+    console.log(`Completed in ${Date.now() - startTime}ms with ${failures.length} failed submissions`);
+    failures.slice(0, 5).forEach(failure => console.error('  ', failure.reason.message));
+
+    const finalQuestion = await Question.findById(question._id);
+    const storedResponses = await Response.countForQuestion(question._id);
+
+    passed = failures.length === 0 && storedResponses === TOTAL_RESPONSES;
+
+    console.log('\nFinal tallies:');
+    finalQuestion.choices.forEach(choice => {
+      const ok = choice.votes === expected[choice.text];
+      passed = passed && ok;
+      console.log(`  ${ok ? '✅' : '❌'} ${choice.text}: ${choice.votes} (expected ${expected[choice.text]})`);
+    });
+    console.log(`  Stored responses: ${storedResponses} (expected ${TOTAL_RESPONSES})`);
+    console.log(`  Total votes: ${finalQuestion.totalVotes}`);
+
+    console.log(passed ? '\nStress test passed' : '\nStress test FAILED');
+  } catch (error) {
+    console.error('Error running vote stress test:', error);
+  } finally {
+    if (question) {
+      await Response.deleteMany({ question: question._id });
+      await Question.deleteOne({ _id: question._id });
+    }
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+
+  return passed;
+}
+
+if (require.main === module) {
+  stressTestVotes().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = { stressTestVotes };
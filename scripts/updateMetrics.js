@@ -11,12 +11,11 @@ async function updateAllMetrics() {
     console.log('Updating popularity metrics for all questions...');
     const startTime = Date.now();
     
-    await Question.updateAllPopularityMetrics();
+    const updatedCount = await Question.updateAllPopularityMetrics();
     
     const endTime = Date.now();
-    const totalQuestions = await Question.countDocuments({});
     
-    console.log(`Updated metrics for ${totalQuestions} questions in ${endTime - startTime}ms`);
+    console.log(`Updated metrics for ${updatedCount} questions in ${endTime - startTime}ms`);
     
     // Show some statistics
     const stats = await Question.aggregate([
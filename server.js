@@ -49,9 +49,18 @@ const questionRoutes = require('./routes/questions');
 const subscriberRoutes = require('./routes/subscribers');
 const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
+const collectionRoutes = require('./routes/collections');
+const { verifyAdmin, requirePermission } = require('./middleware/adminAuth');
 
 // Import models for cron jobs
 const Question = require('./models/Question');
+const View = require('./models/View');
+const Subscriber = require('./models/Subscriber');
+const Setting = require('./models/Setting');
+const AuditLog = require('./models/AuditLog');
+const Category = require('./models/Category');
+const emailService = require('./services/emailService');
+const liveResults = require('./services/liveResultsService');
 
 const app = express();
 let server;
@@ -558,6 +567,10 @@ app.use(compression({
     if (req.headers['x-no-compression']) {
       return false;
     }
+    // Compression would hold live events back until a buffer fills
+    if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      return false;
+    }
     return compression.filter(req, res);
   }
 }));
@@ -654,6 +667,25 @@ const apiLimiter = createRateLimiter(
   }
 );
 
+const loginLimiter = createRateLimiter(
+  15 * 60 * 1000,
+  parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  {
+    error: 'Too many login attempts, please try again later.',
+    retryAfter: 15 * 60
+  }
+);
+
+// Guesses at authenticator codes and step-up passwords
+const twoFactorLimiter = createRateLimiter(
+  15 * 60 * 1000,
+  parseInt(process.env.TWO_FACTOR_RATE_LIMIT_MAX) || 20,
+  {
+    error: 'Too many verification attempts, please try again later.',
+    retryAfter: 15 * 60
+  }
+);
+
 const responseLimiter = createRateLimiter(
   60 * 60 * 1000,
   parseInt(process.env.RESPONSE_RATE_LIMIT_MAX) || 50,
@@ -690,7 +722,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Step-Up-Token', 'X-Session-ID', 'X-Requested-With'],
   maxAge: 86400, // Cache preflight requests for 24 hours
 };
 
@@ -1019,8 +1051,7 @@ app.get('/health', async (req, res) => {
         </div>
 
         <button id="refreshBtn">Refresh Status</button>
-        <button id="logsBtn">View Logs</button>
-        <button id="metricsBtn">View Metrics</button>
+        <button id="systemBtn">Logs &amp; Metrics</button>
       </div>
 
       <script>
@@ -1029,12 +1060,9 @@ app.get('/health', async (req, res) => {
           window.location.reload();
         });
         
-        document.getElementById('logsBtn').addEventListener('click', function() {
-          window.location.href = '/api/logs';
-        });
-        
-        document.getElementById('metricsBtn').addEventListener('click', function() {
-          window.location.href = '/api/metrics';
+        // Logs and metrics need an admin session, so they are viewed in the admin panel
+        document.getElementById('systemBtn').addEventListener('click', function() {
+          window.location.href = '/admin#system';
         });
 
         // Auto-refresh every 30 seconds
@@ -1049,8 +1077,8 @@ app.get('/health', async (req, res) => {
   res.status(statusCode).send(html);
 });
 
-// Logs viewing endpoint - FIXED VERSION
-app.get('/api/logs', async (req, res) => {
+// Logs viewing endpoint - admins with system:read only
+app.get('/api/logs', verifyAdmin, requirePermission('system:read'), async (req, res) => {
   if (!logger) {
     return res.status(503).json({ error: 'Logging not available' });
   }
@@ -1189,8 +1217,8 @@ app.get('/api/logs', async (req, res) => {
   }
 });
 
-// Metrics endpoint - FIXED VERSION
-app.get('/api/metrics', async (req, res) => {
+// Metrics endpoint - admins with system:read only
+app.get('/api/metrics', verifyAdmin, requirePermission('system:read'), async (req, res) => {
   if (!redisClient || !redisClient.isReady) {
     return res.status(503).json({ error: 'Metrics not available - Redis required' });
   }
@@ -1379,36 +1407,43 @@ app.get('/api/docs', (req, res) => {
     },
     endpoints: {
       questions: {
-        'GET /api/questions': 'Get latest questions with sorting options',
+        'GET /api/questions': 'Get latest questions with sorting options (newest, popular, trending, controversial)',
         'GET /api/questions/categories': 'Get all categories with statistics',
         'GET /api/questions/category/:category': 'Get questions by category with filtering',
         'GET /api/questions/:category/:slug': 'Get specific question with view tracking',
         'POST /api/questions/:category/:slug/respond': 'Add response to question',
         'GET /api/questions/:category/:slug/responses': 'Get responses for a question',
+        'GET /api/questions/:category/:slug/live': 'Stream updated results and new responses (Server-Sent Events)',
         'GET /api/questions/trending': 'Get trending questions',
         'GET /api/questions/popular': 'Get most popular questions',
         'GET /api/questions/stats': 'Get overall statistics',
         'GET /api/questions/search': 'Search questions',
-        'POST /api/questions/update-metrics': 'Update popularity metrics'
+        'POST /api/questions/update-metrics': 'Update popularity metrics (admin, system:trigger)'
+      },
+      collections: {
+        'GET /api/collections': 'Get published collections',
+        'GET /api/collections/:slug': 'Get a collection with the visitor\'s progress',
+        'GET /api/collections/:slug/summary': 'Compare the visitor\'s answers with the community once the collection is complete'
       },
       analytics: {
         'GET /api/analytics/dashboard': 'Get dashboard analytics',
         'GET /api/analytics/question/:category/:slug': 'Get detailed question analytics',
+        'GET /api/analytics/question/:category/:slug/vote-history': 'Get how the vote split changed over time',
         'GET /api/analytics/category/:category': 'Get category-specific analytics',
         'GET /api/analytics/trends': 'Get trending analysis',
-        'POST /api/analytics/recalculate': 'Recalculate all popularity metrics',
-        'GET /api/analytics/export': 'Export analytics data'
+        'POST /api/analytics/recalculate': 'Rebuild all popularity metrics from stored views and responses (admin, system:trigger)',
+        'GET /api/analytics/export': 'Export analytics data (admin, analytics:read)'
       },
       system: {
         'GET /health': 'System health check with detailed status',
-        'GET /api/logs': 'View system logs (supports ?level=error&limit=100&format=json)',
-        'GET /api/metrics': 'View system metrics (supports ?days=7&format=json)',
+        'GET /api/logs': 'View system logs (admin, system:read; supports ?level=error&limit=100&format=json)',
+        'GET /api/metrics': 'View system metrics (admin, system:read; supports ?days=7&format=json)',
         'GET /api/docs': 'This API documentation'
       }
     },
     parameters: {
       sortBy: ['popularity', 'trending', 'newest', 'most_responses'],
-      questionType: ['all', 'multiple_choice', 'paragraph'],
+      questionType: ['all', ...Question.QUESTION_TYPES],
       timeRange: ['24h', '7d', '30d', 'all'],
       format: ['json', 'csv', 'html'],
       logLevel: ['all', 'error', 'warn', 'info', 'debug']
@@ -1676,8 +1711,7 @@ app.get('/api/docs', (req, res) => {
 
           <a href="/" class="back-btn">Back to Home</a>
           <a href="/health" class="back-btn">Health Check</a>
-          <a href="/api/logs" class="back-btn">View Logs</a>
-          <a href="/api/metrics" class="back-btn">View Metrics</a>
+          <a href="/admin#system" class="back-btn">Logs &amp; Metrics</a>
         </div>
       </div>
 
@@ -1738,8 +1772,11 @@ app.get('/admin/analytics', (req, res) => {
 // API Routes with specific rate limiting
 app.use('/api/questions', apiLimiter, questionRoutes);
 app.use('/api/subscribers', apiLimiter, subscriberRoutes);
+app.use('/api/admin/auth/login', loginLimiter);
+app.use(['/api/admin/auth/step-up', '/api/admin/auth/2fa/enable', '/api/admin/auth/2fa/disable', '/api/admin/auth/2fa/backup-codes'], twoFactorLimiter);
 app.use('/api/admin', adminRoutes); // Admin routes should have their own auth-based limiting
 app.use('/api/analytics', apiLimiter, analyticsRoutes);
+app.use('/api/collections', apiLimiter, collectionRoutes);
 
 // Apply response rate limiting to response endpoints
 app.use('/api/questions/:category/:slug/respond', responseLimiter);
@@ -1766,22 +1803,31 @@ app.get('/about', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'about.html'));
 });
 
+// Collection page route - Shows a curated series of questions; the frontend fetches data via API
+app.get('/collections/:slug', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'collection.html'));
+});
+
 // DYNAMIC ROUTES - MUST BE AFTER STATIC ROUTES
 
+// Helper to check a category from the URL; lookup failures are treated as unknown
+const isKnownCategory = async (category) => {
+  try {
+    return await Category.isValid(category);
+  } catch (error) {
+    if (logger) {
+      await logger.error('Category lookup failed', { category, error: error.message });
+    }
+    return false;
+  }
+};
+
 // Category page route - Shows questions in a specific category
 app.get('/category/:category', async (req, res) => {
   const { category } = req.params;
   
   // Validate category
-  const validCategories = [
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ];
-  
-  if (!validCategories.includes(category.toLowerCase())) {
+  if (!(await isKnownCategory(category))) {
     if (logger) {
       await logger.warn('Invalid category access attempt', { 
         category, 
@@ -1806,18 +1852,24 @@ app.get('/category/:category', async (req, res) => {
 
 // Question page route - MUST BE LAST DYNAMIC ROUTE
 app.get('/:category/:slug', async (req, res) => {
-  const { category } = req.params;
+  const { category, slug } = req.params;
   
-  // Validate category to prevent matching non-category routes
-  const validCategories = [
-    'love', 'justice', 'survival', 'family', 'freedom', 'sacrifice',
-    'truth', 'loyalty', 'revenge', 'power', 'empathy', 'morality',
-    'desire', 'regret', 'identity', 'betrayal', 'hope', 'fear',
-    'faith', 'control', 'loss', 'trust', 'responsibility', 'choice',
-    'pain', 'greed', 'envy', 'honor', 'duty', 'self'
-  ];
+  // Old URLs from slug or category changes redirect to the current location
+  try {
+    const moved = await Question.findRedirect(category, slug);
+    if (moved) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+      return res.redirect(301, `/${moved.category}/${moved.slug}${query}`);
+    }
+  } catch (error) {
+    if (logger) {
+      await logger.error('Question redirect lookup failed', { category, slug, error: error.message });
+    }
+  }
   
-  if (!validCategories.includes(category.toLowerCase())) {
+  // Validate category to prevent matching non-category routes
+  if (!(await isKnownCategory(category))) {
     if (logger) {
       await logger.warn('Invalid question route access attempt', { 
         category, 
@@ -2014,6 +2066,9 @@ const gracefulShutdown = async (signal) => {
   }, 15000); // 15 seconds timeout
   
   try {
+    // End live result streams, which would otherwise keep the server from closing
+    await liveResults.close();
+
     // Stop accepting new connections
     if (server) {
       console.log('Closing HTTP server...');
@@ -2189,35 +2244,82 @@ process.on('unhandledRejection', async (reason, promise) => {
   gracefulShutdown('unhandledRejection');
 });
 
+// Publish scheduled questions whose time has come and email subscribers about them
+const publishScheduledQuestions = async () => {
+  try {
+    const published = await Question.publishDue();
+
+    for (const question of published) {
+      console.log(`Published scheduled question: ${question.title}`);
+
+      await AuditLog.record(null, {
+        action: 'question.publish',
+        entityType: 'question',
+        entityId: question._id,
+        entityLabel: question.title,
+        metadata: { scheduled: true, publishedAt: question.publishedAt }
+      });
+
+      try {
+        await emailService.notifySubscribers(question);
+      } catch (emailError) {
+        console.error('Failed to send notification emails:', emailError);
+      }
+    }
+
+    if (published.length > 0 && logger) {
+      await logger.info('Published scheduled questions', { count: published.length });
+    }
+  } catch (error) {
+    console.error('Error publishing scheduled questions:', error);
+
+    if (logger) {
+      await logger.error('Error publishing scheduled questions', { error: error.message });
+    }
+
+    if (Sentry) {
+      Sentry.captureException(error, {
+        tags: { component: 'cron_scheduled_publish' }
+      });
+    }
+  }
+};
+
 // Enhanced cron jobs for automated tasks with logging - FIXED VERSION
 const setupCronJobs = () => {
+  // Scheduled questions have to go live on time everywhere, so this runs every
+  // minute whatever the environment
+  cron.schedule('* * * * *', publishScheduledQuestions);
+
   if (process.env.NODE_ENV !== 'production') {
-    console.log('Skipping cron jobs in development mode');
+    console.log('Skipping the other cron jobs in development mode');
     return;
   }
 
   console.log('Setting up production cron jobs...');
 
-  // Update popularity metrics every hour
-  cron.schedule('0 * * * *', async () => {
-    console.log('Running scheduled popularity metrics update...');
+  // Reconcile popularity metrics every 15 minutes. Views and responses bump the
+  // counters as they happen; this drops events that have left the rolling windows
+  // and rescores every question.
+  cron.schedule('*/15 * * * *', async () => {
+    console.log('Running scheduled popularity metrics reconciliation...');
     
     if (logger) {
-      await logger.info('Starting scheduled popularity metrics update');
+      await logger.info('Starting scheduled popularity metrics reconciliation');
     }
     
     try {
-      await Question.updateAllPopularityMetrics();
-      console.log('Popularity metrics updated successfully');
+      const reconciled = await Question.reconcileMetrics();
+      console.log(`Popularity metrics reconciled for ${reconciled} questions`);
       
       if (logger) {
-        await logger.info('Popularity metrics updated successfully');
+        await logger.info('Popularity metrics reconciled', { count: reconciled });
       }
       
       // Cache popular questions if Redis is available
       if (redisClient && redisClient.isReady) {
         try {
-          const popularQuestions = await Question.find({})
+          const popularQuestions = await Question.find(Question.publishedFilter())
             .sort({ popularityScore: -1 })
             .limit(10)
             .lean();
@@ -2238,10 +2340,10 @@ const setupCronJobs = () => {
       }
       
     } catch (error) {
-      console.error('Error updating popularity metrics:', error);
+      console.error('Error reconciling popularity metrics:', error);
       
       if (logger) {
-        await logger.error('Error updating popularity metrics', { error: error.message });
+        await logger.error('Error reconciling popularity metrics', { error: error.message });
       }
       
       // Log to Sentry
@@ -2252,7 +2354,31 @@ const setupCronJobs = () => {
       }
     }
   });
-  
+
+  // Record how each question's votes are split - runs every hour
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const written = await Question.snapshotVotes();
+      console.log(`Recorded vote snapshots for ${written} questions`);
+
+      if (logger && written > 0) {
+        await logger.info('Recorded vote snapshots', { count: written });
+      }
+    } catch (error) {
+      console.error('Error recording vote snapshots:', error);
+
+      if (logger) {
+        await logger.error('Error recording vote snapshots', { error: error.message });
+      }
+
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_vote_snapshots' }
+        });
+      }
+    }
+  });
+
   // Clean up old view records (keep last 90 days) - runs daily at 2 AM
   cron.schedule('0 2 * * *', async () => {
     console.log('Running scheduled cleanup of old view records...');
@@ -2264,20 +2390,13 @@ const setupCronJobs = () => {
     try {
       const cutoffDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000); // 90 days ago
       
-      const result = await Question.updateMany(
-        {},
-        {
-          $pull: {
-            views: { timestamp: { $lt: cutoffDate } }
-          }
-        }
-      );
+      const result = await View.deleteMany({ timestamp: { $lt: cutoffDate } });
       
-      console.log(`Cleaned up old view records. Modified ${result.modifiedCount} questions`);
+      console.log(`Cleaned up old view records. Deleted ${result.deletedCount} views`);
       
       if (logger) {
         await logger.info('Cleaned up old view records', { 
-          modifiedCount: result.modifiedCount,
+          deletedCount: result.deletedCount,
           cutoffDate: cutoffDate.toISOString()
         });
       }
@@ -2319,6 +2438,57 @@ const setupCronJobs = () => {
     }
   });
 
+  // Permanently delete questions and subscribers left in the trash - runs daily at 4 AM
+  cron.schedule('0 4 * * *', async () => {
+    try {
+      const purgeAfterDays = await Setting.getValue('trash.purgeAfterDays');
+      if (!purgeAfterDays || purgeAfterDays <= 0) {
+        return;
+      }
+
+      console.log('Running scheduled trash purge...');
+
+      const cutoffDate = new Date(Date.now() - purgeAfterDays * 24 * 60 * 60 * 1000);
+      const purgedQuestions = await Question.purgeDeletedBefore(cutoffDate);
+      const purgedSubscribers = await Subscriber.purgeDeletedBefore(cutoffDate);
+
+      console.log(`Purged ${purgedQuestions} questions and ${purgedSubscribers} subscribers from the trash`);
+
+      if (purgedQuestions > 0 || purgedSubscribers > 0) {
+        await AuditLog.record(null, {
+          action: 'trash.auto_purge',
+          entityType: 'trash',
+          metadata: {
+            purgeAfterDays,
+            cutoffDate: cutoffDate.toISOString(),
+            purgedQuestions,
+            purgedSubscribers
+          }
+        });
+      }
+
+      if (logger) {
+        await logger.info('Purged expired trash', {
+          purgedQuestions,
+          purgedSubscribers,
+          cutoffDate: cutoffDate.toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+
+      if (logger) {
+        await logger.error('Error purging trash', { error: error.message });
+      }
+
+      if (Sentry) {
+        Sentry.captureException(error, {
+          tags: { component: 'cron_trash_purge' }
+        });
+      }
+    }
+  });
+
   // Health check and metrics collection - runs every 15 minutes
   cron.schedule('*/15 * * * *', async () => {
     try {
@@ -2436,6 +2606,16 @@ const startServer = async () => {
     if (process.env.REDIS_URL) {
       redisClient = await initializeRedis();
       rateLimitStore = createRateLimitStore();
+
+      if (redisClient) {
+        try {
+          await liveResults.useRedis(redisClient);
+          console.log('Live results shared across instances through Redis');
+        } catch (error) {
+          console.error('Failed to subscribe to live results:', error.message);
+          console.log('Live results will only reach viewers on this instance');
+        }
+      }
     } else {
       console.log('Redis not configured, using memory-based rate limiting');
       // Initialize basic logger without Redis
@@ -2538,8 +2718,10 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-startServer();
+// Start the server unless the app is being loaded by the tests
+if (require.main === module) {
+  startServer();
+}
 
 // Export app for testing
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+
+const MAX_SESSIONS_PER_ADMIN = 10;
+const STEP_UP_ISSUER = 'moral-dilemmas-admin-step-up';
+
+class AuthService {
+  constructor() {
+    this.accessTokenTtl = process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenDays = parseInt(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 7;
+    this.stepUpTokenTtl = process.env.ADMIN_STEP_UP_TTL || '5m';
+
+    if (!process.env.JWT_SECRET) {
+      console.warn('JWT_SECRET not configured. Admin login will be disabled.');
+    }
+  }
+
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  createAccessToken(admin) {
+    return jwt.sign(
+      { sub: admin._id.toString(), username: admin.username },
+      this.getSecret(),
+      { expiresIn: this.accessTokenTtl, issuer: 'moral-dilemmas-admin' }
+    );
+  }
+
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.getSecret(), { issuer: 'moral-dilemmas-admin' });
+  }
+
+  // Short-lived proof that the admin re-verified, sent with destructive requests.
+  // It has its own issuer so it can't be used as an access token or vice versa.
+  createStepUpToken(admin) {
+    return jwt.sign(
+      { sub: admin._id.toString() },
+      this.getSecret(),
+      { expiresIn: this.stepUpTokenTtl, issuer: STEP_UP_ISSUER }
+    );
+  }
+
+  verifyStepUpToken(token) {
+    return jwt.verify(token, this.getSecret(), { issuer: STEP_UP_ISSUER });
+  }
+
+  async createRefreshToken(admin, userAgent = '') {
+    const token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+    // Drop expired sessions, then keep only the most recent ones
+    await Admin.updateOne(
+      { _id: admin._id },
+      { $pull: { refreshTokens: { expiresAt: { $lt: new Date() } } } }
+    );
+    await Admin.updateOne(
+      { _id: admin._id },
+      {
+        $push: {
+          refreshTokens: {
+            $each: [{ tokenHash: this.hashToken(token), expiresAt, createdAt: new Date(), userAgent }],
+            $slice: -MAX_SESSIONS_PER_ADMIN
+          }
+        }
+      }
+    );
+
+    return { token, expiresAt };
+  }
+
+  // Issue an access token and a refresh token for a freshly authenticated admin
+  async createSession(admin, userAgent = '') {
+    const accessToken = this.createAccessToken(admin);
+    const refreshToken = await this.createRefreshToken(admin, userAgent);
+
+    return {
+      accessToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new session. The old token is removed in the
+  // same update that finds it, so a token can only ever be used once.
+  async rotateSession(refreshToken, userAgent = '') {
+    if (!refreshToken) {
+      return null;
+    }
+
+    const tokenHash = this.hashToken(refreshToken);
+    const admin = await Admin.findOneAndUpdate(
+      {
+        isActive: true,
+        refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } }
+      },
+      { $pull: { refreshTokens: { tokenHash } } }
+    );
+
+    if (!admin) {
+      return null;
+    }
+
+    const session = await this.createSession(admin, userAgent);
+    return { admin, ...session };
+  }
+
+  async revokeRefreshToken(refreshToken) {
+    if (!refreshToken) {
+      return;
+    }
+
+    await Admin.updateOne(
+      { 'refreshTokens.tokenHash': this.hashToken(refreshToken) },
+      { $pull: { refreshTokens: { tokenHash: this.hashToken(refreshToken) } } }
+    );
+  }
+}
+
+module.exports = new AuthService();
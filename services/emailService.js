@@ -210,12 +210,14 @@ class EmailService {
   generateNewQuestionEmail(question) {
     const questionUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/${question.category}/${question.slug}`;
     const isMultipleChoice = question.questionType === 'multiple_choice';
+    const isRanking = question.questionType === 'ranking';
+    const isScale = question.questionType === 'scale' && question.scale;
     
-    // Generate choices HTML for multiple choice questions
+    // Generate choices HTML for multiple choice and ranking questions
     let choicesHtml = '';
     let choicesText = '';
     
-    if (isMultipleChoice && question.choices) {
+    if ((isMultipleChoice || isRanking) && question.choices) {
       choicesHtml = question.choices.map((choice, index) => 
         `<div class="choice">${String.fromCharCode(65 + index)}. ${choice.text}</div>`
       ).join('');
@@ -225,7 +227,14 @@ class EmailService {
       ).join('\n');
     }
 
-    const questionTypeText = isMultipleChoice ? 'Multiple Choice' : 'Open Response';
+    // e.g. "Rate it from 1 (Never justified) to 7 (Always justified)."
+    let scaleText = '';
+    if (isScale) {
+      const { min, max, minLabel, maxLabel } = question.scale;
+      scaleText = `Rate it from ${min}${minLabel ? ` (${minLabel})` : ''} to ${max}${maxLabel ? ` (${maxLabel})` : ''}.`;
+    }
+
+    const questionTypeText = isMultipleChoice ? 'Multiple Choice' : (isRanking ? 'Ranking' : (isScale ? 'Scale' : 'Open Response'));
 
     return {
       subject: `New Moral Dilemma: ${question.title}`,
@@ -254,16 +263,18 @@ class EmailService {
                 <div class="question-text">${question.questionText}</div>
               </div>
               
-              ${isMultipleChoice ? `
-                <h3>Your options:</h3>
+              ${isMultipleChoice || isRanking ? `
+                <h3>${isRanking ? 'Put these in order:' : 'Your options:'}</h3>
                 <div class="choices">${choicesHtml}</div>
+              ` : isScale ? `
+                <p><strong>${scaleText}</strong> You can add a few words on why, too.</p>
               ` : `
                 <p><strong>This is an open response question.</strong> Share your thoughts, reasoning, and what you would do in this situation.</p>
               `}
               
               <div class="cta-container">
                 <a href="${questionUrl}" class="cta-button" style="background: #4f46e5 !important; color: #ffffff !important; text-decoration: none !important; display: inline-block;">
-                  ${isMultipleChoice ? 'Make Your Choice' : 'Share Your Response'} →
+                  ${isMultipleChoice ? 'Make Your Choice' : (isRanking ? 'Rank the Options' : (isScale ? 'Give Your Rating' : 'Share Your Response'))} →
                 </a>
               </div>
               
@@ -286,10 +297,10 @@ Category: ${question.category.charAt(0).toUpperCase() + question.category.slice(
 
 ${question.questionText}
 
-${isMultipleChoice && choicesText ? `
-Your options:
+${(isMultipleChoice || isRanking) && choicesText ? `
+${isRanking ? 'Put these in order:' : 'Your options:'}
 ${choicesText}
-` : 'This is an open response question. Share your complete thoughts and reasoning.'}
+` : (isScale ? scaleText : 'This is an open response question. Share your complete thoughts and reasoning.')}
 
 What would you choose? Visit ${questionUrl} to share your perspective and see how others approach this dilemma.
 
@@ -0,0 +1,94 @@
+const { EventEmitter } = require('events');
+
+// Redis channel carrying live question events between server instances
+const CHANNEL = 'live:questions';
+
+class LiveResultsService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+    this.closers = new Set();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  // Fan events out through Redis pub/sub so viewers connected to any instance see
+  // votes cast on another. Without Redis, events only reach this instance's viewers.
+  async useRedis(client) {
+    const subscriber = client.duplicate();
+    subscriber.on('error', (error) => {
+      console.error('Live results subscriber error:', error.message);
+    });
+
+    await subscriber.connect();
+    await subscriber.subscribe(CHANNEL, message => this.deliver(message));
+
+    this.publisher = client;
+    this.subscriber = subscriber;
+  }
+
+  deliver(message) {
+    try {
+      const { questionId, event, data } = JSON.parse(message);
+      this.emitter.emit(questionId, event, data);
+    } catch (error) {
+      console.error('Error reading live results message:', error);
+    }
+  }
+
+  // Call listener(event, data) for every event about a question. onClose runs if the
+  // server shuts down first. Returns a function that stops both.
+  subscribe(questionId, listener, onClose = null) {
+    const key = questionId.toString();
+    this.emitter.on(key, listener);
+    if (onClose) {
+      this.closers.add(onClose);
+    }
+
+    return () => {
+      this.emitter.off(key, listener);
+      this.closers.delete(onClose);
+    };
+  }
+
+  async publish(questionId, event, data) {
+    const message = JSON.stringify({ questionId: questionId.toString(), event, data });
+
+    if (this.publisher && this.publisher.isReady) {
+      try {
+        await this.publisher.publish(CHANNEL, message);
+        return;
+      } catch (error) {
+        console.error('Error publishing live results, delivering locally:', error);
+      }
+    }
+
+    this.deliver(message);
+  }
+
+  // Send a question's latest results, and the response that changed them unless it
+  // replaced an earlier one, to everyone watching it
+  async publishUpdate(question, response = null) {
+    const results = await question.getResultsData();
+    if (Object.keys(results).length > 0) {
+      await this.publish(question._id, 'results', results);
+    }
+    if (response) {
+      await this.publish(question._id, 'response', response);
+    }
+  }
+
+  // End every open stream so the HTTP server can close, then drop the subscriber
+  async close() {
+    this.closers.forEach(onClose => onClose());
+    this.closers.clear();
+
+    if (this.subscriber && this.subscriber.isReady) {
+      await this.subscriber.quit();
+    }
+    this.subscriber = null;
+    this.publisher = null;
+  }
+}
+
+module.exports = new LiveResultsService();
@@ -0,0 +1,196 @@
+const View = require('../models/View');
+const Response = require('../models/Response');
+const Setting = require('../models/Setting');
+const { DEFAULT_RANKING_WEIGHTS } = require('../config/ranking');
+
+const HOUR = 60 * 60 * 1000;
+
+// After ten half-lives an event counts for less than 0.1%, and views older than
+// 90 days are cleaned up anyway, so older activity is left out of the sums
+const DECAY_HALF_LIVES = 10;
+const MAX_DECAY_WINDOW_HOURS = 90 * 24;
+
+const NO_ACTIVITY = { decayedViews: 0, decayedResponses: 0 };
+
+// Scoring formulas, keyed by the metric they produce. Each takes a question's
+// signals and the weights for that metric; change or add one here to change how
+// questions rank everywhere.
+const scorers = {
+  // Hacker News style gravity: the points shrink as the question gets older
+  popularityScore: (signals, weights) => {
+    const points = weights.views * signals.totalViews +
+      weights.uniqueViews * signals.uniqueViews +
+      weights.responses * signals.totalResponses +
+      weights.engagement * signals.engagementRate +
+      (signals.featured ? weights.featured : 0);
+    return points / Math.pow(signals.ageHours + 2, weights.gravity);
+  },
+  // Exponential decay: each view and response counts for less as it gets older
+  trendingScore: (signals, weights) => weights.views * signals.decayedViews + weights.responses * signals.decayedResponses
+};
+
+const scorerWeights = {
+  popularityScore: 'popularity',
+  trendingScore: 'trending'
+};
+
+class RankingService {
+  // Merge stored weights over the defaults so settings saved before a weight
+  // existed still work
+  mergeWeights(weights = {}) {
+    return Object.keys(DEFAULT_RANKING_WEIGHTS).reduce((merged, group) => {
+      merged[group] = { ...DEFAULT_RANKING_WEIGHTS[group], ...(weights[group] || {}) };
+      return merged;
+    }, {});
+  }
+
+  async getWeights() {
+    return this.mergeWeights(await Setting.getValue('ranking.weights'));
+  }
+
+  // Sum each question's views and responses, each halved every halfLifeHours.
+  // Resolves to a Map of question id to { decayedViews, decayedResponses }; pass
+  // null for questionIds to cover every question with recent activity.
+  async getDecayedActivity(questionIds, halfLifeHours, now = new Date()) {
+    const windowHours = Math.min(halfLifeHours * DECAY_HALF_LIVES, MAX_DECAY_WINDOW_HOURS);
+    const match = { timestamp: { $gte: new Date(now.getTime() - windowHours * HOUR), $lte: now } };
+    if (questionIds) {
+      match.question = { $in: questionIds };
+    }
+
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: '$question',
+          decayed: {
+            $sum: {
+              $pow: [0.5, { $divide: [{ $subtract: [now, '$timestamp'] }, halfLifeHours * HOUR] }]
+            }
+          }
+        }
+      }
+    ];
+
+    const [views, responses] = await Promise.all([
+      View.aggregate(pipeline),
+      Response.aggregate(pipeline)
+    ]);
+
+    const activity = new Map((questionIds || []).map(id => [id.toString(), { ...NO_ACTIVITY }]));
+    const entryFor = id => {
+      if (!activity.has(id.toString())) {
+        activity.set(id.toString(), { ...NO_ACTIVITY });
+      }
+      return activity.get(id.toString());
+    };
+    views.forEach(item => {
+      entryFor(item._id).decayedViews = item.decayed;
+    });
+    responses.forEach(item => {
+      entryFor(item._id).decayedResponses = item.decayed;
+    });
+
+    return activity;
+  }
+
+  // Hours since a question went live, which is what gravity is measured against
+  getAgeHours(question, now = new Date()) {
+    const since = question.publishedAt || question.createdAt || now;
+    return Math.max(0, (now - since) / HOUR);
+  }
+
+  score(signals, weights) {
+    return Object.keys(scorers).reduce((scores, metric) => {
+      const value = scorers[metric](signals, weights[scorerWeights[metric]]);
+      scores[metric] = Math.round(value * 100) / 100;
+      return scores;
+    }, {});
+  }
+
+  // How much one new view or response (kind 'views' or 'responses') adds to each
+  // score. Both formulas are sums apart from the engagement rate and unique views,
+  // so a question's stored scores can be bumped as events arrive and settled later.
+  eventIncrements(kind, { ageHours = 0 } = {}, weights) {
+    const isView = kind === 'views';
+    return this.score({
+      totalViews: isView ? 1 : 0,
+      uniqueViews: 0,
+      totalResponses: isView ? 0 : 1,
+      engagementRate: 0,
+      featured: false,
+      ageHours,
+      decayedViews: isView ? 1 : 0,
+      decayedResponses: isView ? 0 : 1
+    }, weights);
+  }
+
+  // Score many questions at once from their stored counts. Resolves to a Map of
+  // question id to { popularityScore, trendingScore }.
+  async scoreQuestions(questions, weights, now = new Date()) {
+    const activity = await this.getDecayedActivity(
+      questions.map(question => question._id),
+      weights.trending.halfLifeHours,
+      now
+    );
+
+    return new Map(questions.map(question => {
+      const metrics = question.popularityMetrics || {};
+      const signals = {
+        totalViews: metrics.totalViews || 0,
+        uniqueViews: metrics.uniqueViews || 0,
+        totalResponses: metrics.totalResponses || 0,
+        engagementRate: metrics.engagementRate || 0,
+        featured: Boolean(question.featured),
+        ageHours: this.getAgeHours(question, now),
+        ...(activity.get(question._id.toString()) || NO_ACTIVITY)
+      };
+      return [question._id.toString(), this.score(signals, weights)];
+    }));
+  }
+
+  // Rank questions under the current and the proposed weights without storing
+  // anything, and report how the top of each list would move
+  async preview(questions, proposedWeights, limit = 10, now = new Date()) {
+    const currentWeights = await this.getWeights();
+    const [current, proposed] = await Promise.all([
+      this.scoreQuestions(questions, currentWeights, now),
+      this.scoreQuestions(questions, proposedWeights, now)
+    ]);
+
+    const rank = (scores, metric) => {
+      const ids = [...scores.keys()].sort((a, b) => scores.get(b)[metric] - scores.get(a)[metric]);
+      return new Map(ids.map((id, index) => [id, index + 1]));
+    };
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+    return Object.keys(scorers).reduce((result, metric) => {
+      const currentRanks = rank(current, metric);
+      const proposedRanks = rank(proposed, metric);
+      const toEntry = id => ({
+        id,
+        title: byId.get(id).title,
+        url: `/${byId.get(id).category}/${byId.get(id).slug}`,
+        currentRank: currentRanks.get(id),
+        proposedRank: proposedRanks.get(id),
+        currentScore: current.get(id)[metric],
+        proposedScore: proposed.get(id)[metric],
+        change: currentRanks.get(id) - proposedRanks.get(id)
+      });
+
+      result[metric] = {
+        current: [...currentRanks.keys()].slice(0, limit).map(toEntry),
+        proposed: [...proposedRanks.keys()].slice(0, limit).map(toEntry),
+        // Questions that would newly reach the top of the list
+        entering: [...proposedRanks.keys()].slice(0, limit).filter(id => currentRanks.get(id) > limit).length,
+        moved: questions.filter(question => {
+          const id = question._id.toString();
+          return currentRanks.get(id) !== proposedRanks.get(id);
+        }).length
+      };
+      return result;
+    }, { currentWeights, proposedWeights, totalQuestions: questions.length });
+  }
+}
+
+module.exports = new RankingService();
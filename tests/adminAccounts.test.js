@@ -0,0 +1,76 @@
+const request = require('supertest');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/admin');
+const { createApp, signInAs, stepUpHeaders, useSettings } = require('./helpers');
+
+describe('PUT /api/admin/admins/:id', () => {
+  const app = createApp('/api/admin', adminRoutes);
+  let actor;
+  let headers;
+  let target;
+
+  beforeEach(() => {
+    useSettings();
+    ({ admin: actor, headers } = signInAs('superadmin'));
+    target = new Admin({
+      username: 'editor-admin',
+      name: 'Editor',
+      email: 'editor@example.com',
+      password: 'a-long-password',
+      role: 'editor',
+      twoFactor: { enabled: true, secret: 'secret' }
+    });
+
+    // verifyAdmin loads the signed-in admin with .select(); the route awaits the target
+    Admin.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(actor),
+      then: (resolve, reject) => Promise.resolve(target).then(resolve, reject)
+    });
+    jest.spyOn(Admin.prototype, 'save').mockResolvedValue();
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  });
+
+  const update = (body, extraHeaders = {}) => request(app)
+    .put(`/api/admin/admins/${target._id}`)
+    .set({ ...headers, ...extraHeaders })
+    .send(body);
+
+  it('renames an admin without a step-up', async () => {
+    const response = await update({ name: 'Editor in chief' });
+
+    expect(response.status).toBe(200);
+    expect(target.name).toBe('Editor in chief');
+  });
+
+  it('requires a step-up to change a role', async () => {
+    const response = await update({ role: 'superadmin' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('STEP_UP_REQUIRED');
+    expect(target.role).toBe('editor');
+    expect(Admin.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('requires a step-up to reset two-factor authentication', async () => {
+    const response = await update({ resetTwoFactor: true });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('STEP_UP_REQUIRED');
+    expect(target.twoFactor.enabled).toBe(true);
+  });
+
+  it('changes the role after a step-up', async () => {
+    const response = await update({ role: 'moderator' }, stepUpHeaders(actor));
+
+    expect(response.status).toBe(200);
+    expect(target.role).toBe('moderator');
+  });
+
+  it('rejects a step-up token issued to another admin', async () => {
+    const response = await update({ resetTwoFactor: true }, stepUpHeaders(target));
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('STEP_UP_REQUIRED');
+  });
+});
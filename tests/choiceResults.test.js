@@ -0,0 +1,63 @@
+const Question = require('../models/Question');
+
+const withVotes = (...votes) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  status: 'published',
+  choices: votes.map((count, index) => ({ text: `Choice ${index + 1}`, votes: count }))
+});
+
+describe('Question.getChoiceResults', () => {
+  it('gives each choice a 95% Wilson score interval', () => {
+    const results = withVotes(7, 3).getChoiceResults();
+
+    expect(results).toMatchObject({ totalVotes: 10, confidenceLevel: 95, minimumVotes: Question.RESULTS_MIN_VOTES });
+    expect(results.choices[0]).toEqual({ text: 'Choice 1', votes: 7, percentage: 70, lower: 39.7, upper: 89.2 });
+    expect(results.choices[1]).toEqual({ text: 'Choice 2', votes: 3, percentage: 30, lower: 10.8, upper: 60.3 });
+  });
+
+  it('keeps intervals inside 0-100%', () => {
+    const [all, none] = withVotes(12, 0).getChoiceResults().choices;
+
+    expect(all.upper).toBe(100);
+    expect(none.lower).toBe(0);
+  });
+
+  it('calls a clear lead', () => {
+    const results = withVotes(80, 20).getChoiceResults();
+
+    expect(results.status).toBe('leader');
+    expect(results.leader).toBe('Choice 1');
+  });
+
+  it('calls a unanimous vote a lead', () => {
+    expect(withVotes(10, 0).getChoiceResults().leaderAhead).toBe(true);
+  });
+
+  it('calls a lead within the margin of error too close', () => {
+    const results = withVotes(7, 3).getChoiceResults();
+
+    expect(results.status).toBe('too_close');
+    expect(results.leader).toBeNull();
+  });
+
+  it('calls a tie too close', () => {
+    expect(withVotes(50, 50, 10).getChoiceResults().status).toBe('too_close');
+  });
+
+  it('waits for enough votes before naming a leader', () => {
+    const results = withVotes(Question.RESULTS_MIN_VOTES - 1, 0).getChoiceResults();
+
+    expect(results.status).toBe('not_enough_responses');
+    expect(results.leader).toBeNull();
+  });
+
+  it('handles a question nobody has answered', () => {
+    const results = withVotes(0, 0).getChoiceResults();
+
+    expect(results.totalVotes).toBe(0);
+    expect(results.choices[0]).toMatchObject({ percentage: 0, lower: 0, upper: 0 });
+  });
+});
@@ -0,0 +1,66 @@
+const Question = require('../models/Question');
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  status: 'published',
+  ...fields
+});
+
+const withVotes = (...votes) => buildQuestion({
+  choices: votes.map((count, index) => ({ text: `Choice ${index + 1}`, votes: count }))
+});
+
+describe('Question.calculateControversyScore', () => {
+  it('scores an even split 100', async () => {
+    await expect(withVotes(5, 5).calculateControversyScore()).resolves.toBeCloseTo(100);
+  });
+
+  it('scores a unanimous vote 0', async () => {
+    await expect(withVotes(12, 0).calculateControversyScore()).resolves.toBe(0);
+  });
+
+  it('counts choices nobody picked as agreement', async () => {
+    // ln 2 / ln 3 of the way to an even three-way split
+    await expect(withVotes(10, 10, 0).calculateControversyScore()).resolves.toBeCloseTo(63.09, 2);
+  });
+
+  it('waits for enough votes', async () => {
+    const half = Question.CONTROVERSY_MIN_VOTES / 2 - 1;
+
+    await expect(withVotes(half, half).calculateControversyScore()).resolves.toBe(0);
+  });
+
+  it('scores ranking questions on first-place votes', async () => {
+    const question = withVotes(6, 6);
+    question.questionType = 'ranking';
+
+    await expect(question.calculateControversyScore()).resolves.toBeCloseTo(100);
+  });
+
+  describe('scale questions', () => {
+    const scaleQuestion = (results) => {
+      const question = buildQuestion({ questionType: 'scale', scale: { min: 1, max: 5 } });
+      jest.spyOn(question, 'getScaleResults').mockResolvedValue(results);
+      return question;
+    };
+
+    it('compares the spread of ratings with half at each end', async () => {
+      await expect(scaleQuestion({ totalResponses: 20, standardDeviation: 2 }).calculateControversyScore()).resolves.toBe(100);
+      await expect(scaleQuestion({ totalResponses: 20, standardDeviation: 1 }).calculateControversyScore()).resolves.toBe(50);
+      await expect(scaleQuestion({ totalResponses: 20, standardDeviation: 0 }).calculateControversyScore()).resolves.toBe(0);
+    });
+
+    it('waits for enough ratings', async () => {
+      const question = scaleQuestion({ totalResponses: Question.CONTROVERSY_MIN_VOTES - 1, standardDeviation: 2 });
+
+      await expect(question.calculateControversyScore()).resolves.toBe(0);
+    });
+  });
+
+  it('scores paragraph questions 0', async () => {
+    await expect(buildQuestion({ questionType: 'paragraph' }).calculateControversyScore()).resolves.toBe(0);
+  });
+});
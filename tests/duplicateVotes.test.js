@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const questionRoutes = require('../routes/questions');
+const { createApp, useSettings } = require('./helpers');
+
+describe('Response.findExistingVote', () => {
+  const questionId = new mongoose.Types.ObjectId();
+  const voter = { voterId: 'voter-1', fingerprint: 'fingerprint-1' };
+  const byCookie = { _id: 'cookie-match' };
+  const byFingerprint = { _id: 'fingerprint-match' };
+
+  const stubFindOne = ({ cookie = null, fingerprint = null }) => jest.spyOn(Response, 'findOne')
+    .mockImplementation(async (query) => (query.voterId ? cookie : fingerprint));
+
+  it('matches the voter cookie first', async () => {
+    stubFindOne({ cookie: byCookie, fingerprint: byFingerprint });
+
+    await expect(Response.findExistingVote(questionId, voter, 'strict')).resolves.toBe(byCookie);
+  });
+
+  it('falls back to the fingerprint under the strict policy', async () => {
+    const findOne = stubFindOne({ fingerprint: byFingerprint });
+
+    await expect(Response.findExistingVote(questionId, voter, 'strict')).resolves.toBe(byFingerprint);
+    expect(findOne).toHaveBeenLastCalledWith({ question: questionId, fingerprint: 'fingerprint-1' });
+  });
+
+  it('only trusts the cookie under the per-session policy', async () => {
+    stubFindOne({ fingerprint: byFingerprint });
+
+    await expect(Response.findExistingVote(questionId, voter, 'per_session')).resolves.toBeNull();
+  });
+
+  it('finds nothing for a voter with neither a cookie nor a fingerprint', async () => {
+    const findOne = stubFindOne({});
+
+    await expect(Response.findExistingVote(questionId, {}, 'strict')).resolves.toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/questions/:category/:slug/respond duplicate policies', () => {
+  const app = createApp('/api/questions', questionRoutes);
+  let question;
+
+  const respond = () => request(app)
+    .post('/api/questions/ethics/trolley/respond')
+    .send({ choice: 'No', explanation: 'Second thoughts' });
+
+  beforeEach(() => {
+    question = new Question({
+      title: 'Trolley',
+      slug: 'trolley',
+      category: 'ethics',
+      questionText: 'Pull the lever?',
+      questionType: 'multiple_choice',
+      status: 'published',
+      choices: [{ text: 'Yes', votes: 1 }, { text: 'No' }]
+    });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+  });
+
+  it('refuses a second vote under the strict policy', async () => {
+    useSettings({ 'voting.duplicatePolicy': 'strict' });
+    jest.spyOn(Response, 'findExistingVote').mockResolvedValue(new Response({ choice: 'Yes' }));
+
+    const response = await respond();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_RESPONDED');
+  });
+
+  it('replaces the earlier vote when revoting is allowed', async () => {
+    useSettings({ 'voting.duplicatePolicy': 'allow_revote' });
+    const earlier = new Response({ choice: 'Yes' });
+    jest.spyOn(Response, 'findExistingVote').mockResolvedValue(earlier);
+    const replaceResponse = jest.spyOn(Question.prototype, 'replaceResponse').mockResolvedValue(question);
+
+    const response = await respond();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.replaced).toBe(true);
+    expect(replaceResponse).toHaveBeenCalledWith(earlier, { choice: 'No', explanation: 'Second thoughts' }, expect.any(Object));
+  });
+
+  it('turns a concurrent duplicate caught by the unique index into a 409', async () => {
+    useSettings({ 'voting.duplicatePolicy': 'strict' });
+    jest.spyOn(Response, 'findExistingVote').mockResolvedValue(null);
+    jest.spyOn(Question.prototype, 'addMultipleChoiceResponse')
+      .mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const response = await respond();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_RESPONDED');
+  });
+});
@@ -0,0 +1,58 @@
+// tests/helpers.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Setting = require('../models/Setting');
+const authService = require('../services/authService');
+
+/**
+ * Sign in as an admin with the given role by stubbing the account lookup verifyAdmin makes
+ * @param {string} role - Role from config/permissions.js
+ * @param {Object} overrides - Extra admin fields
+ * @returns {{ admin: Object, headers: Object }} - The admin and the Authorization header to send
+ */
+const signInAs = (role = 'superadmin', overrides = {}) => {
+  const admin = {
+    _id: new mongoose.Types.ObjectId(),
+    username: `${role}-admin`,
+    name: `Test ${role}`,
+    email: `${role}@example.com`,
+    role,
+    isActive: true,
+    twoFactor: { enabled: false },
+    ...overrides
+  };
+
+  jest.spyOn(Admin, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(admin) });
+
+  return {
+    admin,
+    headers: { Authorization: `Bearer ${authService.createAccessToken(admin)}` }
+  };
+};
+
+// Header proving the admin re-verified, as POST /api/admin/auth/step-up returns
+const stepUpHeaders = (admin) => ({ 'X-Step-Up-Token': authService.createStepUpToken(admin) });
+
+// Answer Setting.getValue from the defaults, with any overrides
+const useSettings = (overrides = {}) => {
+  return jest.spyOn(Setting, 'getValue').mockImplementation(async key => {
+    return key in overrides ? overrides[key] : Setting.DEFAULTS[key];
+  });
+};
+
+// Mount a router the way server.js does, with JSON bodies and the proxy setting
+const createApp = (path, router) => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+module.exports = {
+  signInAs,
+  stepUpHeaders,
+  useSettings,
+  createApp
+};
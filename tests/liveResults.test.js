@@ -0,0 +1,172 @@
+const http = require('http');
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const questionRoutes = require('../routes/questions');
+const liveResults = require('../services/liveResultsService');
+const { createApp, useSettings } = require('./helpers');
+
+const buildQuestion = (fields) => new Question({
+  title: 'Trolley',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Pull the lever?',
+  status: 'published',
+  ...fields
+});
+
+// Read a live stream until it has sent the given text, then hang up
+const readStream = (app, path, untilText, onOpen = () => {}) => new Promise((resolve, reject) => {
+  const server = app.listen(0, () => {
+    const req = http.get({ port: server.address().port, path }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.includes(untilText)) {
+          req.destroy();
+          server.close(() => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }
+      });
+      onOpen();
+    });
+    req.on('error', (error) => server.close(() => reject(error)));
+  });
+});
+
+describe('LiveResultsService', () => {
+  it('delivers events to subscribers of the question only', async () => {
+    const question = buildQuestion({ questionType: 'multiple_choice' });
+    const other = buildQuestion({ questionType: 'multiple_choice' });
+    const listener = jest.fn();
+    const otherListener = jest.fn();
+    const unsubscribe = liveResults.subscribe(question._id, listener);
+    const unsubscribeOther = liveResults.subscribe(other._id, otherListener);
+
+    await liveResults.publish(question._id, 'results', { results: [] });
+    unsubscribe();
+    unsubscribeOther();
+    await liveResults.publish(question._id, 'results', { results: [] });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('results', { results: [] });
+    expect(otherListener).not.toHaveBeenCalled();
+  });
+
+  it('sends results and the new response', async () => {
+    const question = buildQuestion({ questionType: 'multiple_choice', choices: [{ text: 'Yes', votes: 1 }] });
+    const publish = jest.spyOn(liveResults, 'publish').mockResolvedValue();
+
+    await liveResults.publishUpdate(question, { choice: 'Yes' });
+
+    expect(publish).toHaveBeenCalledWith(question._id, 'results', { results: question.getChoiceResults() });
+    expect(publish).toHaveBeenCalledWith(question._id, 'response', { choice: 'Yes' });
+  });
+});
+
+describe('POST /api/questions/:category/:slug/respond live updates', () => {
+  const app = createApp('/api/questions', questionRoutes);
+  let publishUpdate;
+
+  const respond = (body) => request(app).post('/api/questions/ethics/trolley/respond').send(body);
+
+  beforeEach(() => {
+    useSettings({ 'voting.duplicatePolicy': 'strict' });
+    jest.spyOn(Response, 'findExistingVote').mockResolvedValue(null);
+    publishUpdate = jest.spyOn(liveResults, 'publishUpdate').mockResolvedValue();
+  });
+
+  it('streams the choice without the explanation', async () => {
+    const question = buildQuestion({ questionType: 'multiple_choice', choices: [{ text: 'Yes' }, { text: 'No' }] });
+    const updated = buildQuestion({ _id: question._id, questionType: 'multiple_choice', choices: [{ text: 'Yes', votes: 1 }, { text: 'No' }] });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    jest.spyOn(Question.prototype, 'addMultipleChoiceResponse').mockResolvedValue(updated);
+
+    const response = await respond({ choice: 'Yes', explanation: 'Private reasoning' });
+
+    expect(response.status).toBe(200);
+    expect(publishUpdate).toHaveBeenCalledWith(updated, { choice: 'Yes', createdAt: expect.any(Date) });
+  });
+
+  it('publishes the scale results of the updated question', async () => {
+    const question = buildQuestion({ questionType: 'scale', scale: { min: 1, max: 5 } });
+    const updated = buildQuestion({ _id: question._id, questionType: 'scale', scale: { min: 1, max: 5 } });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    jest.spyOn(Question.prototype, 'addScaleResponse').mockResolvedValue(updated);
+    jest.spyOn(Question.prototype, 'getScaleResults').mockResolvedValue({ average: 4 });
+
+    const response = await respond({ value: 4, explanation: 'Private reasoning' });
+
+    expect(response.status).toBe(200);
+    expect(publishUpdate).toHaveBeenCalledWith(updated, { value: 4, createdAt: expect.any(Date) });
+  });
+
+  it('never streams paragraph answers', async () => {
+    const question = buildQuestion({ questionType: 'paragraph' });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    jest.spyOn(Question.prototype, 'addParagraphResponse').mockResolvedValue(question);
+
+    const response = await respond({ responseText: 'Something personal I would rather keep off the stream' });
+
+    expect(response.status).toBe(200);
+    expect(publishUpdate).toHaveBeenCalledWith(question, null);
+  });
+
+  it('streams no response when a vote replaces an earlier one', async () => {
+    const question = buildQuestion({ questionType: 'scale', scale: { min: 1, max: 5 } });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    useSettings({ 'voting.duplicatePolicy': 'allow_revote' });
+    Response.findExistingVote.mockResolvedValue(new Response({ question: question._id, value: 2 }));
+    jest.spyOn(Question.prototype, 'replaceResponse').mockResolvedValue(question);
+    jest.spyOn(Question.prototype, 'getScaleResults').mockResolvedValue({ average: 3 });
+
+    await respond({ value: 3 });
+
+    expect(publishUpdate).toHaveBeenCalledWith(question, null);
+  });
+});
+
+describe('Question scale and paragraph responses', () => {
+  it('resolve to the updated question document', async () => {
+    const question = buildQuestion({ questionType: 'scale', scale: { min: 1, max: 5 } });
+    const updated = buildQuestion({ _id: question._id, questionType: 'scale', scale: { min: 1, max: 5 } });
+    jest.spyOn(question, 'getActivityIncrements').mockResolvedValue({ 'popularityMetrics.totalResponses': 1 });
+    jest.spyOn(Response, 'create').mockResolvedValue({});
+    const findOneAndUpdate = jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(updated);
+
+    await expect(question.addScaleResponse(4, '', '203.0.113.5')).resolves.toBe(updated);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: question._id },
+      { $inc: { 'popularityMetrics.totalResponses': 1 } },
+      { new: true }
+    );
+  });
+});
+
+describe('GET /api/questions/:category/:slug/live', () => {
+  const app = createApp('/api/questions', questionRoutes);
+
+  it('returns 404 for an unknown question', async () => {
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(null);
+
+    const response = await request(app).get('/api/questions/ethics/missing/live');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('sends the current results, then each published event', async () => {
+    const question = buildQuestion({ questionType: 'multiple_choice', choices: [{ text: 'Yes', votes: 2 }, { text: 'No' }] });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    jest.spyOn(Question, 'findById').mockResolvedValue(question);
+
+    const stream = await readStream(app, '/api/questions/ethics/trolley/live', 'event: response', () => {
+      setTimeout(() => liveResults.publish(question._id, 'response', { choice: 'No' }), 50);
+    });
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.body).toContain(`event: results\ndata: ${JSON.stringify({ results: question.getChoiceResults() })}\n\n`);
+    expect(stream.body).toContain('event: response\ndata: {"choice":"No"}\n\n');
+    expect(stream.body.indexOf('event: results')).toBeLessThan(stream.body.indexOf('event: response'));
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../server');
+const Question = require('../models/Question');
+const Subscriber = require('../models/Subscriber');
+const AuditLog = require('../models/AuditLog');
+const { signInAs, useSettings } = require('./helpers');
+
+const PROTECTED_ENDPOINTS = [
+  { method: 'get', path: '/api/logs', permission: 'system:read' },
+  { method: 'get', path: '/api/metrics', permission: 'system:read' },
+  { method: 'post', path: '/api/analytics/recalculate', permission: 'system:trigger' },
+  { method: 'post', path: '/api/questions/update-metrics', permission: 'system:trigger' },
+  { method: 'get', path: '/api/analytics/export', permission: 'analytics:read' },
+  { method: 'get', path: '/api/subscribers/stats', permission: 'subscribers:read' }
+];
+
+describe('operational endpoints', () => {
+  beforeEach(() => {
+    useSettings();
+  });
+
+  describe.each(PROTECTED_ENDPOINTS)('$method $path', ({ method, path }) => {
+    it('returns 401 without credentials', async () => {
+      const response = await request(app)[method](path);
+      expect(response.status).toBe(401);
+    });
+
+    it('returns 401 with an invalid token', async () => {
+      const response = await request(app)[method](path).set('Authorization', 'Bearer not-a-real-token');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  it('returns 403 to a role without the permission', async () => {
+    const { headers } = signInAs('editor');
+
+    const response = await request(app).post('/api/analytics/recalculate').set(headers);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Forbidden: requires system:trigger');
+  });
+
+  it('lets an admin with system:trigger rebuild the metrics', async () => {
+    const { headers } = signInAs('superadmin');
+    jest.spyOn(Question, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(Question, 'updateAllPopularityMetrics').mockResolvedValue(3);
+    jest.spyOn(AuditLog, 'record').mockResolvedValue(null);
+
+    const recalculate = await request(app).post('/api/analytics/recalculate').set(headers);
+    const updateMetrics = await request(app).post('/api/questions/update-metrics').set(headers);
+
+    expect(recalculate.status).toBe(200);
+    expect(recalculate.body.processedQuestions).toBe(3);
+    expect(updateMetrics.status).toBe(200);
+  });
+
+  it('lets an analyst read subscriber stats and export analytics', async () => {
+    const { headers } = signInAs('analyst');
+    jest.spyOn(Subscriber, 'countDocuments').mockResolvedValue(4);
+    jest.spyOn(Question, 'find').mockReturnValue({
+      select: () => ({ sort: () => Promise.resolve([]) })
+    });
+
+    const stats = await request(app).get('/api/subscribers/stats').set(headers);
+    const exported = await request(app).get('/api/analytics/export').set(headers);
+
+    expect(stats.status).toBe(200);
+    expect(stats.body.data.total).toBe(4);
+    expect(exported.status).toBe(200);
+  });
+
+  it('lets an analyst past the auth check for logs and metrics', async () => {
+    const { headers } = signInAs('analyst');
+
+    // Without Redis there is nothing to read, which is reported after authorisation
+    const logs = await request(app).get('/api/logs').set(headers);
+    const metrics = await request(app).get('/api/metrics').set(headers);
+
+    expect(logs.status).toBe(503);
+    expect(metrics.status).toBe(503);
+  });
+});
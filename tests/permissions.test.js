@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { PERMISSIONS, ROLES, getPermissionsForRole, hasPermission } = require('../config/permissions');
+const { requirePermission } = require('../middleware/adminAuth');
+const adminRoutes = require('../routes/admin');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+describe('config/permissions', () => {
+  it('gives superadmins every permission', () => {
+    expect(getPermissionsForRole('superadmin')).toEqual(PERMISSIONS);
+  });
+
+  it('only grants permissions that exist', () => {
+    Object.values(ROLES).forEach(permissions => {
+      permissions.forEach(permission => expect(PERMISSIONS).toContain(permission));
+    });
+  });
+
+  it('grants nothing to an unknown role', () => {
+    expect(getPermissionsForRole('intern')).toEqual([]);
+    expect(hasPermission('intern', 'questions:read')).toBe(false);
+  });
+
+  it('keeps editors away from admin accounts and settings', () => {
+    expect(hasPermission('editor', 'questions:write')).toBe(true);
+    expect(hasPermission('editor', 'admins:manage')).toBe(false);
+    expect(hasPermission('editor', 'settings:manage')).toBe(false);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = (permissions, ...required) => {
+    const req = { admin: { permissions } };
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    requirePermission(...required)(req, res, next);
+    return { res, next };
+  };
+
+  it('lets an admin with every listed permission through', () => {
+    const { next, res } = run(['questions:read', 'questions:write'], 'questions:read', 'questions:write');
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('names the missing permissions in the 403', () => {
+    const { next, res } = run(['questions:read'], 'questions:read', 'questions:delete');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Forbidden: requires questions:delete' });
+  });
+});
+
+describe('admin routes by role', () => {
+  const app = createApp('/api/admin', adminRoutes);
+
+  beforeEach(() => {
+    useSettings();
+  });
+
+  it.each([
+    ['moderator', 'put', '/api/admin/questions/64b000000000000000000001', 'questions:write'],
+    ['analyst', 'delete', '/api/admin/questions/64b000000000000000000001', 'questions:delete'],
+    ['editor', 'get', '/api/admin/admins', 'admins:manage'],
+    ['editor', 'get', '/api/admin/settings', 'settings:manage'],
+    ['moderator', 'get', '/api/admin/audit', 'audit:read']
+  ])('forbids the %s role from %s %s', async (role, method, path, permission) => {
+    const response = await request(app)[method](path).set(signInAs(role).headers).send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(`Forbidden: requires ${permission}`);
+  });
+
+  it('sends admins without 2FA to enroll when it is required', async () => {
+    useSettings({ 'security.requireTwoFactor': true });
+
+    const response = await request(app).get('/api/admin/admins').set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+});
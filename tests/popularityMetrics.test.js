@@ -0,0 +1,238 @@
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const View = require('../models/View');
+const adminRoutes = require('../routes/admin');
+const liveResults = require('../services/liveResultsService');
+const rankingService = require('../services/rankingService');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = new Date('2026-10-01T12:00:00Z');
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  questionType: 'multiple_choice',
+  status: 'published',
+  publishedAt: new Date(NOW.getTime() - 10 * DAY),
+  choices: [{ text: 'Yes', votes: 4 }, { text: 'No', votes: 2 }],
+  ...fields
+});
+
+describe('Question.getActivityIncrements', () => {
+  it('counts the event in the total, every window and both scores', async () => {
+    useSettings();
+    const exists = jest.spyOn(Response, 'exists');
+
+    const increments = await buildQuestion().getActivityIncrements('responses', NOW);
+
+    expect(increments).toMatchObject({
+      'popularityMetrics.totalResponses': 1,
+      'popularityMetrics.responsesLast24h': 1,
+      'popularityMetrics.responsesLast7d': 1,
+      'popularityMetrics.responsesLast30d': 1,
+      'popularityMetrics.trendingScore': 10
+    });
+    expect(increments['popularityMetrics.popularityScore']).toBeGreaterThan(0);
+    expect(increments).not.toHaveProperty('popularityMetrics.uniqueResponses');
+    expect(exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('Question.removeResponse', () => {
+  let question;
+  let updateOne;
+
+  beforeEach(() => {
+    question = buildQuestion();
+    jest.spyOn(Response, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  });
+
+  const response = (fields) => new Response({
+    question: question._id,
+    questionType: 'multiple_choice',
+    choice: 'Yes',
+    explanation: 'Because',
+    ipAddress: '203.0.113.5',
+    ...fields
+  });
+
+  it('takes a recent response off every window, its choice and the unique count', async () => {
+    jest.spyOn(Response, 'exists').mockResolvedValue(null);
+
+    await expect(question.removeResponse(response({ timestamp: new Date(NOW.getTime() - HOUR) }), NOW)).resolves.toBe(true);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: question._id, 'choices.text': 'Yes' },
+      {
+        $inc: {
+          'popularityMetrics.totalResponses': -1,
+          'popularityMetrics.responsesLast24h': -1,
+          'popularityMetrics.responsesLast7d': -1,
+          'popularityMetrics.responsesLast30d': -1,
+          'popularityMetrics.uniqueResponses': -1,
+          'choices.$.votes': -1
+        }
+      }
+    );
+  });
+
+  it('only touches the windows an older response still falls in', async () => {
+    jest.spyOn(Response, 'exists').mockResolvedValue({ _id: 'another' });
+
+    await question.removeResponse(response({ timestamp: new Date(NOW.getTime() - 10 * DAY) }), NOW);
+
+    const [, { $inc: decrement }] = updateOne.mock.calls[0];
+    expect(decrement).toEqual({
+      'popularityMetrics.totalResponses': -1,
+      'popularityMetrics.responsesLast30d': -1,
+      'choices.$.votes': -1
+    });
+  });
+
+  it('does nothing when the response was already removed', async () => {
+    Response.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+    await expect(question.removeResponse(response(), NOW)).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Question.calculatePopularityMetrics', () => {
+  let question;
+  let updateOne;
+
+  beforeEach(() => {
+    useSettings();
+    question = buildQuestion();
+    jest.spyOn(View, 'countForQuestion').mockResolvedValue(40);
+    jest.spyOn(View, 'countUniqueIPs').mockResolvedValue(25);
+    jest.spyOn(Response, 'countForQuestion').mockResolvedValue(10);
+    jest.spyOn(Response, 'countUniqueIPs').mockResolvedValue(9);
+    jest.spyOn(rankingService, 'getDecayedActivity').mockResolvedValue(new Map());
+    updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+  });
+
+  it('sets only the fields it derives, leaving the counters to their increments', async () => {
+    await question.calculatePopularityMetrics();
+
+    const [filter, { $set: update }] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: question._id });
+    expect(Object.keys(update).sort()).toEqual([
+      'popularityMetrics.controversyScore',
+      'popularityMetrics.engagementRate',
+      'popularityMetrics.lastCalculated',
+      'popularityMetrics.popularityScore',
+      'popularityMetrics.trendingScore'
+    ]);
+    expect(update['popularityMetrics.engagementRate']).toBe(25);
+  });
+
+  it('resets the counters from the stored events for a rebuild', async () => {
+    await question.calculatePopularityMetrics({ recount: true });
+
+    const [, { $set: update }] = updateOne.mock.calls[0];
+    expect(update).toMatchObject({
+      'popularityMetrics.totalViews': 40,
+      'popularityMetrics.uniqueViews': 25,
+      'popularityMetrics.totalResponses': 10,
+      'popularityMetrics.uniqueResponses': 9,
+      'popularityMetrics.viewsLast24h': 40,
+      'popularityMetrics.responsesLast30d': 10
+    });
+  });
+});
+
+describe('DELETE /api/admin/responses/:id', () => {
+  it('takes the response off the counters without recounting every metric', async () => {
+    useSettings();
+    const question = buildQuestion();
+    const stored = new Response({ question: question._id, questionType: 'multiple_choice', choice: 'Yes' });
+    jest.spyOn(Response, 'findById').mockResolvedValue(stored);
+    jest.spyOn(Question, 'findById').mockResolvedValue(question);
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    jest.spyOn(liveResults, 'publishUpdate').mockResolvedValue();
+    const removeResponse = jest.spyOn(question, 'removeResponse').mockResolvedValue(true);
+    const calculate = jest.spyOn(question, 'calculatePopularityMetrics');
+
+    const response = await request(createApp('/api/admin', adminRoutes))
+      .delete(`/api/admin/responses/${stored._id}`)
+      .set(signInAs('moderator').headers);
+
+    expect(response.status).toBe(200);
+    expect(removeResponse).toHaveBeenCalledWith(stored);
+    expect(calculate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Question.reconcileMetrics', () => {
+  const lastReconciled = new Date(NOW.getTime() - 15 * 60 * 1000);
+  let active;
+  let quiet;
+  let bulkWrite;
+
+  // Window counts come from the pipeline grouping on 'latest'; decayed activity from the other
+  const aggregateWith = (windows) => async (pipeline) => {
+    return pipeline[1].$group.latest ? windows : [];
+  };
+
+  beforeEach(() => {
+    useSettings();
+    active = buildQuestion({ popularityMetrics: { totalViews: 50, uniqueViews: 10, totalResponses: 5, lastReconciled } });
+    quiet = buildQuestion({ popularityMetrics: { totalViews: 20, uniqueViews: 7, uniqueResponses: 3, lastReconciled } });
+
+    jest.spyOn(View, 'aggregate').mockImplementation(aggregateWith([
+      { _id: active._id, latest: new Date(NOW.getTime() - 60 * 1000), Last24h: 4, Last7d: 9, Last30d: 20 },
+      { _id: quiet._id, latest: new Date(NOW.getTime() - 2 * DAY), Last24h: 0, Last7d: 3, Last30d: 8 }
+    ]));
+    jest.spyOn(Response, 'aggregate').mockImplementation(aggregateWith([
+      { _id: active._id, latest: new Date(NOW.getTime() - 60 * 1000), Last24h: 1, Last7d: 2, Last30d: 5 }
+    ]));
+    jest.spyOn(View, 'countUniqueIPs').mockResolvedValue(12);
+    jest.spyOn(Response, 'countUniqueIPs').mockResolvedValue(4);
+    jest.spyOn(Question, 'find').mockReturnValue({
+      select: () => ({ cursor: () => [active, quiet] })
+    });
+    bulkWrite = jest.spyOn(Question, 'bulkWrite').mockResolvedValue({});
+  });
+
+  const setFor = (question) => bulkWrite.mock.calls[0][0]
+    .find(operation => operation.updateOne.filter._id === question._id)
+    .updateOne.update.$set;
+
+  it('recounts windows for every question', async () => {
+    await expect(Question.reconcileMetrics(NOW)).resolves.toBe(2);
+
+    expect(setFor(active)).toMatchObject({
+      'popularityMetrics.viewsLast24h': 4,
+      'popularityMetrics.viewsLast30d': 20,
+      'popularityMetrics.responsesLast7d': 2,
+      'popularityMetrics.engagementRate': 10,
+      'popularityMetrics.lastReconciled': NOW
+    });
+    expect(setFor(quiet)).toMatchObject({
+      'popularityMetrics.viewsLast24h': 0,
+      'popularityMetrics.viewsLast7d': 3,
+      'popularityMetrics.responsesLast30d': 0
+    });
+  });
+
+  it('recounts unique visitors only where something new arrived', async () => {
+    await Question.reconcileMetrics(NOW);
+
+    expect(setFor(active)).toMatchObject({
+      'popularityMetrics.uniqueViews': 12,
+      'popularityMetrics.uniqueResponses': 4
+    });
+    expect(setFor(quiet)).not.toHaveProperty('popularityMetrics.uniqueViews');
+    expect(setFor(quiet)).not.toHaveProperty('popularityMetrics.uniqueResponses');
+    expect(View.countUniqueIPs).toHaveBeenCalledTimes(1);
+    expect(View.countUniqueIPs).toHaveBeenCalledWith(active._id);
+  });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const View = require('../models/View');
+const adminRoutes = require('../routes/admin');
+const analyticsRoutes = require('../routes/analytics');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+const deletedId = new mongoose.Types.ObjectId();
+
+// Question.find serves both the trash lookup (.distinct) and listings (.sort/.limit/.select)
+const stubQuestionFind = (trash = [deletedId]) => {
+  const chain = {
+    distinct: jest.fn().mockResolvedValue(trash),
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    select: jest.fn().mockResolvedValue([])
+  };
+  return jest.spyOn(Question, 'find').mockReturnValue(chain);
+};
+
+describe.each([['View', View], ['Response', Response]])('%s activity helpers', (name, EventModel) => {
+  const questionId = new mongoose.Types.ObjectId();
+
+  it('counts events for a question, optionally since a date', async () => {
+    const countDocuments = jest.spyOn(EventModel, 'countDocuments').mockResolvedValue(3);
+    const since = new Date('2026-10-01T00:00:00Z');
+
+    await expect(EventModel.countForQuestion(questionId)).resolves.toBe(3);
+    await EventModel.countForQuestion(questionId, since);
+
+    expect(countDocuments).toHaveBeenNthCalledWith(1, { question: questionId });
+    expect(countDocuments).toHaveBeenNthCalledWith(2, { question: questionId, timestamp: { $gte: since } });
+  });
+
+  it('counts distinct IP addresses', async () => {
+    jest.spyOn(EventModel, 'aggregate')
+      .mockResolvedValueOnce([{ total: 7 }])
+      .mockResolvedValueOnce([]);
+
+    await expect(EventModel.countUniqueIPs(questionId)).resolves.toBe(7);
+    await expect(EventModel.countUniqueIPs(questionId)).resolves.toBe(0);
+  });
+
+  it('matches only events of questions outside the trash', async () => {
+    const find = stubQuestionFind();
+
+    await expect(EventModel.liveQuestionsMatch()).resolves.toEqual({ question: { $nin: [deletedId] } });
+    expect(find).toHaveBeenCalledWith({ deletedAt: { $ne: null } });
+  });
+
+  it('matches everything while the trash is empty', async () => {
+    stubQuestionFind([]);
+
+    await expect(EventModel.liveQuestionsMatch()).resolves.toEqual({});
+  });
+});
+
+describe('analytics across questions', () => {
+  beforeEach(() => {
+    useSettings();
+    stubQuestionFind();
+    jest.spyOn(Question, 'aggregate').mockResolvedValue([]);
+  });
+
+  it('leaves trashed questions out of the trends activity counts', async () => {
+    const app = createApp('/api/analytics', analyticsRoutes);
+    const viewAggregate = jest.spyOn(View, 'aggregate').mockResolvedValue([]);
+    const responseAggregate = jest.spyOn(Response, 'aggregate').mockResolvedValue([]);
+
+    const response = await request(app).get('/api/analytics/trends').set(signInAs('analyst').headers);
+
+    expect(response.status).toBe(200);
+    [viewAggregate, responseAggregate].forEach(aggregate => {
+      expect(aggregate.mock.calls[0][0][0].$match.question).toEqual({ $nin: [deletedId] });
+    });
+  });
+
+  it('leaves trashed questions out of the admin response analytics', async () => {
+    const app = createApp('/api/admin', adminRoutes);
+    const responseAggregate = jest.spyOn(Response, 'aggregate').mockResolvedValue([]);
+
+    const response = await request(app).get('/api/admin/analytics').set(signInAs('analyst').headers);
+
+    expect(response.status).toBe(200);
+    expect(responseAggregate.mock.calls[0][0][0].$match.question).toEqual({ $nin: [deletedId] });
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const QuestionRevision = require('../models/QuestionRevision');
+const AuditLog = require('../models/AuditLog');
+const adminRoutes = require('../routes/admin');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  questionType: 'multiple_choice',
+  status: 'published',
+  featured: true,
+  choices: [{ text: 'Yes', votes: 0 }, { text: 'No', votes: 0 }, { text: 'Unsure', votes: 0 }],
+  ...fields
+});
+
+describe('PUT /api/admin/questions/:id', () => {
+  const app = createApp('/api/admin', adminRoutes);
+  let question;
+  let updateOne;
+  let calculate;
+
+  const edit = (body) => request(app)
+    .put(`/api/admin/questions/${question._id}`)
+    .set(signInAs('editor').headers)
+    .send({
+      title: question.title,
+      category: question.category,
+      questionText: question.questionText,
+      choices: question.choices.map(c => ({ _id: c._id.toString(), text: c.text })),
+      ...body
+    });
+
+  beforeEach(() => {
+    useSettings();
+    question = buildQuestion();
+    jest.spyOn(Question, 'findById').mockResolvedValue(question);
+    jest.spyOn(Response, 'countForQuestion').mockResolvedValue(5);
+    jest.spyOn(QuestionRevision, 'ensureBaseline').mockResolvedValue();
+    jest.spyOn(QuestionRevision, 'record').mockResolvedValue({ revision: 2, createdAt: new Date() });
+    calculate = jest.spyOn(Question.prototype, 'calculatePopularityMetrics').mockResolvedValue();
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+  });
+
+  it('keeps a featured question featured when the edit leaves featured out', async () => {
+    const response = await edit({ title: 'The trolley problem' });
+
+    expect(response.status).toBe(200);
+    const [, { $set: updates }] = updateOne.mock.calls[0];
+    expect(updates.title).toBe('The trolley problem');
+    expect(updates).not.toHaveProperty('featured');
+  });
+
+  it('unfeatures a question when asked to', async () => {
+    await edit({ featured: false });
+
+    const [, { $set: updates }] = updateOne.mock.calls[0];
+    expect(updates.featured).toBe(false);
+  });
+
+  it('asks for confirmation before removing a choice that has responses', async () => {
+    const countByChoice = jest.spyOn(Response, 'countByChoice').mockResolvedValue(new Map([['Unsure', 3]]));
+    const deleteMany = jest.spyOn(Response, 'deleteMany');
+
+    const response = await edit({ choices: [{ text: 'Yes' }, { text: 'No' }] });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('CONFIRM_CHOICE_REMOVAL');
+    expect(response.body.data.choices).toEqual([{ text: 'Unsure', votes: 3 }]);
+    expect(countByChoice).toHaveBeenCalledWith(question._id, ['Unsure']);
+    expect(deleteMany).not.toHaveBeenCalled();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('removes the choice and its responses once confirmed', async () => {
+    const countByChoice = jest.spyOn(Response, 'countByChoice');
+    const deleteMany = jest.spyOn(Response, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+    const response = await edit({ choices: [{ text: 'Yes' }, { text: 'No' }], confirmChoiceRemoval: true });
+
+    expect(response.status).toBe(200);
+    expect(countByChoice).not.toHaveBeenCalled();
+    expect(deleteMany).toHaveBeenCalledWith({ question: question._id, choice: { $in: ['Unsure'] } });
+    expect(calculate).toHaveBeenCalled();
+  });
+
+  it('leaves the scores alone when the edit does not touch them', async () => {
+    await edit({ title: 'The trolley problem', featured: true });
+
+    expect(calculate).not.toHaveBeenCalled();
+  });
+
+  it('rescores a question whose featuring changes', async () => {
+    await edit({ featured: false });
+
+    expect(calculate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Question.applyChoiceEdits', () => {
+  it('refuses to remove a choice with responses without confirmation', async () => {
+    const question = buildQuestion();
+    jest.spyOn(Response, 'countByChoice').mockResolvedValue(new Map([['Unsure', 1]]));
+    const updateOne = jest.spyOn(Question, 'updateOne');
+    const deleteMany = jest.spyOn(Response, 'deleteMany');
+
+    const diff = question.diffChoices([{ text: 'Yes' }, { text: 'No' }]);
+    await expect(question.applyChoiceEdits(diff)).rejects.toThrow('requires confirmation');
+
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('removes a choice nobody picked without confirmation', async () => {
+    const question = buildQuestion();
+    jest.spyOn(Response, 'countByChoice').mockResolvedValue(new Map());
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Response, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    const diff = question.diffChoices([{ text: 'Yes' }, { text: 'No' }]);
+    await expect(question.applyChoiceEdits(diff)).resolves.toEqual({ renamed: 0, added: 0, removed: 1 });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: question._id },
+      { $pull: { choices: { _id: { $in: [question.choices[2]._id] } } } }
+    );
+  });
+});
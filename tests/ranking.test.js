@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Question = require('../models/Question');
+const View = require('../models/View');
+const Response = require('../models/Response');
+const adminRoutes = require('../routes/admin');
+const rankingService = require('../services/rankingService');
+const { DEFAULT_RANKING_WEIGHTS } = require('../config/ranking');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-10-01T12:00:00Z');
+
+const question = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'A question',
+  slug: 'a-question',
+  category: 'ethics',
+  featured: false,
+  publishedAt: new Date(NOW.getTime() - 10 * HOUR),
+  popularityMetrics: {},
+  ...fields
+});
+
+describe('RankingService scores', () => {
+  const weights = DEFAULT_RANKING_WEIGHTS;
+  const signals = {
+    totalViews: 100,
+    uniqueViews: 40,
+    totalResponses: 10,
+    engagementRate: 10,
+    featured: false,
+    ageHours: 14,
+    decayedViews: 3,
+    decayedResponses: 0.5
+  };
+
+  it('divides popularity points by age with gravity', () => {
+    const points = 100 + 1.5 * 40 + 5 * 10 + 0.5 * 10;
+    expect(rankingService.score(signals, weights).popularityScore).toBeCloseTo(points / Math.pow(16, 0.25), 2);
+  });
+
+  it('adds the featured bonus to popularity points', () => {
+    const featured = rankingService.score({ ...signals, featured: true }, weights).popularityScore;
+    const plain = rankingService.score(signals, weights).popularityScore;
+    expect(featured - plain).toBeCloseTo(10 / Math.pow(16, 0.25), 1);
+  });
+
+  it('sums decayed views and responses for trending', () => {
+    expect(rankingService.score(signals, weights).trendingScore).toBe(2 * 3 + 10 * 0.5);
+  });
+
+  it('counts a new event fully and an old question less towards popularity', () => {
+    const fresh = rankingService.eventIncrements('responses', { ageHours: 0 }, weights);
+    const old = rankingService.eventIncrements('responses', { ageHours: 1000 }, weights);
+
+    expect(fresh.trendingScore).toBe(10);
+    expect(old.trendingScore).toBe(10);
+    expect(old.popularityScore).toBeLessThan(fresh.popularityScore);
+  });
+
+  it('measures age from publication', () => {
+    expect(rankingService.getAgeHours(question(), NOW)).toBe(10);
+    expect(rankingService.getAgeHours(question({ publishedAt: new Date(NOW.getTime() + HOUR) }), NOW)).toBe(0);
+  });
+});
+
+describe('RankingService.getDecayedActivity', () => {
+  it('halves each event every half-life within a bounded window', async () => {
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const viewAggregate = jest.spyOn(View, 'aggregate').mockResolvedValue([{ _id: ids[0], decayed: 1.5 }]);
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([{ _id: ids[0], decayed: 0.25 }]);
+
+    const activity = await rankingService.getDecayedActivity(ids, 24, NOW);
+
+    const [{ $match: match }, { $group: group }] = viewAggregate.mock.calls[0][0];
+    expect(match.question).toEqual({ $in: ids });
+    expect(match.timestamp.$gte).toEqual(new Date(NOW.getTime() - 240 * HOUR));
+    expect(group.decayed.$sum.$pow[0]).toBe(0.5);
+    expect(group.decayed.$sum.$pow[1].$divide[1]).toBe(24 * HOUR);
+
+    expect(activity.get(ids[0].toString())).toEqual({ decayedViews: 1.5, decayedResponses: 0.25 });
+    expect(activity.get(ids[1].toString())).toEqual({ decayedViews: 0, decayedResponses: 0 });
+  });
+
+  it('never looks back further than 90 days', async () => {
+    const viewAggregate = jest.spyOn(View, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([]);
+
+    await rankingService.getDecayedActivity(null, 720, NOW);
+
+    const [{ $match: match }] = viewAggregate.mock.calls[0][0];
+    expect(match.question).toBeUndefined();
+    expect(match.timestamp.$gte).toEqual(new Date(NOW.getTime() - 90 * 24 * HOUR));
+  });
+});
+
+describe('RankingService.preview', () => {
+  it('reports how the top of each list would move', async () => {
+    useSettings();
+    const viewed = question({ title: 'Viewed', popularityMetrics: { totalViews: 200 } });
+    const answered = question({ title: 'Answered', popularityMetrics: { totalResponses: 30 } });
+    jest.spyOn(View, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([]);
+
+    const proposed = {
+      popularity: { ...DEFAULT_RANKING_WEIGHTS.popularity, views: 0 },
+      trending: DEFAULT_RANKING_WEIGHTS.trending
+    };
+    const result = await rankingService.preview([viewed, answered], proposed, 1, NOW);
+
+    expect(result.totalQuestions).toBe(2);
+    expect(result.popularityScore.current[0].title).toBe('Viewed');
+    expect(result.popularityScore.proposed[0].title).toBe('Answered');
+    expect(result.popularityScore.proposed[0]).toMatchObject({ currentRank: 2, proposedRank: 1, change: 1 });
+    expect(result.popularityScore.entering).toBe(1);
+    expect(result.popularityScore.moved).toBe(2);
+  });
+});
+
+describe('POST /api/admin/ranking/preview', () => {
+  const app = createApp('/api/admin', adminRoutes);
+
+  it('only compares the current leaders of each list', async () => {
+    const { headers } = signInAs('superadmin');
+    useSettings();
+    const shared = question({ title: 'Shared' });
+    const chains = [[shared, question()], [shared]].map(results => {
+      const chain = {
+        sort: jest.fn(() => chain),
+        limit: jest.fn(() => chain),
+        select: jest.fn().mockResolvedValue(results)
+      };
+      return chain;
+    });
+    const find = jest.spyOn(Question, 'find')
+      .mockReturnValueOnce(chains[0])
+      .mockReturnValueOnce(chains[1]);
+    jest.spyOn(View, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([]);
+
+    const response = await request(app)
+      .post('/api/admin/ranking/preview')
+      .set(headers)
+      .send(DEFAULT_RANKING_WEIGHTS);
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledTimes(2);
+    expect(chains[0].sort).toHaveBeenCalledWith({ 'popularityMetrics.popularityScore': -1 });
+    expect(chains[1].sort).toHaveBeenCalledWith({ 'popularityMetrics.trendingScore': -1 });
+    chains.forEach(chain => expect(chain.limit).toHaveBeenCalledWith(200));
+    expect(response.body.data.totalQuestions).toBe(2);
+  });
+
+  it('requires settings:manage', async () => {
+    const { headers } = signInAs('editor');
+    useSettings();
+
+    const response = await request(app)
+      .post('/api/admin/ranking/preview')
+      .set(headers)
+      .send(DEFAULT_RANKING_WEIGHTS);
+
+    expect(response.status).toBe(403);
+  });
+});
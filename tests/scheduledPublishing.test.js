@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Question = require('../models/Question');
+const adminRoutes = require('../routes/admin');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+const NOW = new Date('2026-10-01T12:00:00Z');
+
+describe('Question.publishDue', () => {
+  it('publishes each due question once, skipping any another server claimed first', async () => {
+    const due = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+    const published = new Question({ _id: due[0]._id, title: 'Due now', status: 'published' });
+    const find = jest.spyOn(Question, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(due) });
+    const findOneAndUpdate = jest.spyOn(Question, 'findOneAndUpdate')
+      .mockResolvedValueOnce(published)
+      .mockResolvedValueOnce(null);
+
+    await expect(Question.publishDue(NOW)).resolves.toEqual([published]);
+
+    expect(find).toHaveBeenCalledWith({ status: 'scheduled', publishAt: { $lte: NOW } });
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: due[0]._id, status: 'scheduled' },
+      { $set: { status: 'published', publishedAt: NOW, updatedAt: NOW }, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+  });
+
+  it('does nothing when no question is due', async () => {
+    jest.spyOn(Question, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    const findOneAndUpdate = jest.spyOn(Question, 'findOneAndUpdate');
+
+    await expect(Question.publishDue(NOW)).resolves.toEqual([]);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Question.publishedFilter', () => {
+  it('keeps scheduled questions out of public queries', () => {
+    expect(Question.publishedFilter({ category: 'ethics' })).toEqual({ category: 'ethics', status: 'published' });
+  });
+});
+
+describe('POST /api/admin/questions scheduling', () => {
+  const app = createApp('/api/admin', adminRoutes);
+
+  it('rejects a publish time in the past', async () => {
+    useSettings();
+    const { headers } = signInAs('editor');
+
+    const response = await request(app)
+      .post('/api/admin/questions')
+      .set(headers)
+      .send({
+        title: 'Trolley problem',
+        category: 'ethics',
+        questionText: 'Would you pull the lever?',
+        choices: [{ text: 'Yes' }, { text: 'No' }],
+        status: 'scheduled',
+        publishAt: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Publish time must be in the future');
+  });
+});
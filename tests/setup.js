@@ -0,0 +1,15 @@
+// tests/setup.js
+// Tests run the Express routers and Mongoose models without a database. Each test
+// stubs the model methods it reaches with jest.spyOn; commands are never buffered,
+// so a query left unstubbed fails straight away instead of hanging.
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.VOTER_COOKIE_SECRET = process.env.VOTER_COOKIE_SECRET || 'test-voter-cookie-secret';
+
+mongoose.set('bufferCommands', false);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const Subscriber = require('../models/Subscriber');
+const View = require('../models/View');
+const adminRoutes = require('../routes/admin');
+const { createApp, signInAs, stepUpHeaders, useSettings } = require('./helpers');
+
+// There is no database here, so a query fails once its middleware has run.
+// That is far enough to see the filter the plugin left on it.
+const runHooks = query => query.exec().catch(() => {});
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  status: 'published',
+  choices: [{ text: 'Yes' }, { text: 'No' }],
+  ...fields
+});
+
+describe('softDelete plugin', () => {
+  it('leaves deleted documents out of queries', async () => {
+    const query = Question.find({ category: 'ethics' });
+    await runHooks(query);
+
+    expect(query.getFilter()).toEqual({ category: 'ethics', deletedAt: null });
+  });
+
+  it('keeps a deletedAt filter the caller set', async () => {
+    const query = Question.findDeleted({ category: 'ethics' });
+    await runHooks(query);
+
+    expect(query.getFilter()).toEqual({ category: 'ethics', deletedAt: { $ne: null } });
+  });
+
+  it('includes deleted documents when asked to', async () => {
+    const query = Question.countDocuments({}).setOptions({ withDeleted: true });
+    await runHooks(query);
+
+    expect(query.getFilter()).toEqual({});
+  });
+
+  it('leaves deleted documents out of aggregations', async () => {
+    const aggregate = Question.aggregate([{ $match: { status: 'published' } }]);
+    await runHooks(aggregate);
+
+    expect(aggregate.pipeline()).toEqual([{ $match: { deletedAt: null } }, { $match: { status: 'published' } }]);
+  });
+
+  it('moves a document to the trash and back', async () => {
+    const question = buildQuestion();
+    jest.spyOn(question, 'save').mockResolvedValue(question);
+
+    await question.softDelete('editor-admin');
+    expect(question.deletedAt).toBeInstanceOf(Date);
+    expect(question.deletedBy).toBe('editor-admin');
+
+    await question.restore();
+    expect(question.deletedAt).toBeNull();
+    expect(question.deletedBy).toBeUndefined();
+  });
+
+  it('purges a question along with its responses and views', async () => {
+    const question = buildQuestion();
+    jest.spyOn(Question, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    [Response, View, ...['QuestionRevision', 'QuestionAlias', 'VoteSnapshot'].map(name => mongoose.model(name))]
+      .forEach(model => jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 2 }));
+
+    await expect(question.purge()).resolves.toEqual({ deletedResponses: 2, deletedViews: 2 });
+    expect(Response.deleteMany).toHaveBeenCalledWith({ question: question._id });
+  });
+});
+
+describe('trash routes', () => {
+  const app = createApp('/api/admin', adminRoutes);
+  let record;
+
+  beforeEach(() => {
+    useSettings();
+    record = jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  });
+
+  it('moves a deleted question to the trash, keeping its responses', async () => {
+    const { admin, headers } = signInAs('superadmin');
+    const question = buildQuestion();
+    jest.spyOn(Question, 'findById').mockResolvedValue(question);
+    jest.spyOn(question, 'save').mockResolvedValue(question);
+    const deleteMany = jest.spyOn(Response, 'deleteMany');
+
+    const response = await request(app)
+      .delete(`/api/admin/questions/${question._id}`)
+      .set({ ...headers, ...stepUpHeaders(admin) });
+
+    expect(response.status).toBe(200);
+    expect(question.deletedBy).toBe('superadmin-admin');
+    expect(deleteMany).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'question.delete' }));
+  });
+
+  it('lists trashed questions and subscribers with the date each will be purged', async () => {
+    const question = buildQuestion({ deletedAt: new Date('2026-10-01T00:00:00Z'), deletedBy: 'editor-admin' });
+    [[Question, [question]], [Subscriber, []]].forEach(([model, items]) => {
+      const chain = { sort: jest.fn(() => chain), limit: jest.fn().mockResolvedValue(items) };
+      jest.spyOn(model, 'findDeleted').mockReturnValue(chain);
+    });
+
+    const response = await request(app).get('/api/admin/trash').set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.subscribers).toEqual([]);
+    expect(response.body.data.questions[0]).toMatchObject({
+      title: 'Trolley problem',
+      deletedBy: 'editor-admin',
+      purgeAt: new Date(question.deletedAt.getTime() + response.body.data.purgeAfterDays * 24 * 60 * 60 * 1000).toISOString()
+    });
+  });
+
+  it('keeps admins who can manage neither out of the trash', async () => {
+    const response = await request(app).get('/api/admin/trash').set(signInAs('analyst').headers);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('restores a trashed question', async () => {
+    const question = buildQuestion({ deletedAt: new Date(), deletedBy: 'editor-admin' });
+    jest.spyOn(Question, 'findDeletedById').mockResolvedValue(question);
+    jest.spyOn(question, 'save').mockResolvedValue(question);
+
+    const response = await request(app)
+      .post(`/api/admin/trash/questions/${question._id}/restore`)
+      .set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(200);
+    expect(question.deletedAt).toBeNull();
+    expect(record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'question.restore' }));
+  });
+
+  it('answers 404 for something that is not in the trash', async () => {
+    jest.spyOn(Question, 'findDeletedById').mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/admin/trash/questions/64b000000000000000000001/restore')
+      .set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('rejects an unknown trash type', async () => {
+    const response = await request(app)
+      .post('/api/admin/trash/categories/64b000000000000000000001/restore')
+      .set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Unknown trash type');
+  });
+
+  it('needs a step-up to delete permanently', async () => {
+    const purge = jest.spyOn(Question.prototype, 'purge');
+
+    const response = await request(app)
+      .delete('/api/admin/trash/questions/64b000000000000000000001')
+      .set(signInAs('superadmin').headers);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('STEP_UP_REQUIRED');
+    expect(purge).not.toHaveBeenCalled();
+  });
+});
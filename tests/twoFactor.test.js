@@ -0,0 +1,163 @@
+const request = require('supertest');
+const Admin = require('../models/Admin');
+const adminRoutes = require('../routes/admin');
+const authService = require('../services/authService');
+const totp = require('../utils/totp');
+const { createApp, signInAs, useSettings } = require('./helpers');
+
+// RFC 6238 test secret "12345678901234567890"; at T = 59s the 8-digit SHA1 code is 94287082
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+
+describe('utils/totp', () => {
+  it('matches the RFC 6238 test vector', () => {
+    expect(totp.generateCode(RFC_SECRET, 1)).toBe('287082');
+  });
+
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('two-factor');
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('accepts codes one step either side of now for clock drift', () => {
+    const now = 1000 * STEP_MS;
+    const secret = totp.generateSecret();
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, 999), { now })).toBe(999);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, 1001), { now })).toBe(1001);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, 1002), { now })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    const secret = totp.generateSecret();
+
+    expect(totp.verifyCode(secret, '12345')).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(secret, undefined)).toBeNull();
+  });
+});
+
+describe('Admin.verifySecondFactor', () => {
+  const buildAdmin = () => new Admin({
+    username: 'editor-admin',
+    email: 'editor@example.com',
+    password: 'a-long-password',
+    role: 'editor',
+    twoFactor: { enabled: true, secret: totp.generateSecret(), lastUsedStep: 0 }
+  });
+
+  it('accepts a fresh code once, recording its step so it cannot be replayed', async () => {
+    const admin = buildAdmin();
+    const code = totp.generateCode(admin.twoFactor.secret);
+    const updateOne = jest.spyOn(Admin, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(admin.verifySecondFactor(code)).resolves.toBe('totp');
+    await expect(admin.verifySecondFactor(code)).resolves.toBeNull();
+
+    const [filter] = updateOne.mock.calls[0];
+    expect(filter['twoFactor.lastUsedStep'].$lt).toBeGreaterThan(0);
+  });
+
+  it('falls back to an unused backup code', async () => {
+    const admin = buildAdmin();
+    const updateOne = jest.spyOn(Admin, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(admin.verifySecondFactor('backup-code')).resolves.toBe('backup');
+
+    const [filter] = updateOne.mock.calls[0];
+    expect(filter['twoFactor.backupCodes'].$elemMatch.usedAt).toBeNull();
+  });
+
+  it('asks nothing of admins without 2FA', async () => {
+    const admin = buildAdmin();
+    admin.clearTwoFactor();
+
+    await expect(admin.verifySecondFactor('123456')).resolves.toBeNull();
+  });
+});
+
+describe('admin login and step-up', () => {
+  const app = createApp('/api/admin', adminRoutes);
+
+  beforeEach(() => {
+    useSettings();
+  });
+
+  it('refuses a 2FA admin who only gives a password', async () => {
+    const admin = new Admin({
+      username: 'editor-admin',
+      email: 'editor@example.com',
+      password: 'a-long-password',
+      role: 'editor',
+      twoFactor: { enabled: true, secret: totp.generateSecret() }
+    });
+    jest.spyOn(Admin, 'findActiveByUsername').mockResolvedValue(admin);
+    jest.spyOn(admin, 'comparePassword').mockResolvedValue(true);
+    const createSession = jest.spyOn(authService, 'createSession');
+
+    const response = await request(app)
+      .post('/api/admin/auth/login')
+      .send({ username: 'editor-admin', password: 'a-long-password' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  describe('POST /api/admin/auth/step-up', () => {
+    let signedIn;
+    let account;
+
+    beforeEach(() => {
+      signedIn = signInAs('superadmin');
+      account = new Admin({
+        _id: signedIn.admin._id,
+        username: 'superadmin-admin',
+        email: 'superadmin@example.com',
+        password: 'a-long-password',
+        role: 'superadmin'
+      });
+      // verifyAdmin loads the admin with .select(); the route awaits the full document
+      Admin.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(signedIn.admin),
+        then: (resolve, reject) => Promise.resolve(account).then(resolve, reject)
+      });
+    });
+
+    it('issues a step-up token for the right password', async () => {
+      jest.spyOn(account, 'comparePassword').mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/api/admin/auth/step-up')
+        .set(signedIn.headers)
+        .send({ password: 'a-long-password' });
+
+      expect(response.status).toBe(200);
+      expect(authService.verifyStepUpToken(response.body.data.stepUpToken).sub).toBe(account._id.toString());
+      expect(response.body.data.expiresIn).toBeGreaterThan(0);
+    });
+
+    it('answers a wrong password with a 400 rather than ending the session', async () => {
+      jest.spyOn(account, 'comparePassword').mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/api/admin/auth/step-up')
+        .set(signedIn.headers)
+        .send({ password: 'wrong-password' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('STEP_UP_FAILED');
+    });
+
+    it('is needed before deleting a question', async () => {
+      const response = await request(app)
+        .delete('/api/admin/questions/64b000000000000000000001')
+        .set(signedIn.headers);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ code: 'STEP_UP_REQUIRED', method: 'password' });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+
+const buildQuestion = (fields = {}) => new Question({
+  title: 'Trolley problem',
+  slug: 'trolley',
+  category: 'ethics',
+  questionText: 'Would you pull the lever?',
+  questionType: 'multiple_choice',
+  status: 'published',
+  choices: [{ text: 'Yes', votes: 4 }, { text: 'No', votes: 2 }],
+  ...fields
+});
+
+const INCREMENTS = { 'popularityMetrics.totalResponses': 1, 'popularityMetrics.trendingScore': 10 };
+
+describe('Question.addMultipleChoiceResponse', () => {
+  let question;
+
+  beforeEach(() => {
+    question = buildQuestion();
+    jest.spyOn(question, 'getActivityIncrements').mockResolvedValue(INCREMENTS);
+  });
+
+  it('counts the vote and the metrics in one atomic update', async () => {
+    const updated = buildQuestion({ _id: question._id, choices: [{ text: 'Yes', votes: 5 }, { text: 'No', votes: 2 }] });
+    const findOneAndUpdate = jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(updated);
+    const create = jest.spyOn(Response, 'create').mockResolvedValue({});
+    const save = jest.spyOn(question, 'save');
+
+    await expect(question.addMultipleChoiceResponse('Yes', 'Five over one', '203.0.113.5', 'agent', { voterId: 'voter-1' }))
+      .resolves.toBe(updated);
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: question._id, 'choices.text': 'Yes' },
+      { $inc: { 'choices.$.votes': 1, ...INCREMENTS } },
+      { new: true }
+    );
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      question: question._id,
+      choice: 'Yes',
+      ipAddress: '203.0.113.5',
+      voterId: 'voter-1'
+    }));
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a choice the question does not have without storing a response', async () => {
+    jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(Response, 'create');
+
+    await expect(question.addMultipleChoiceResponse('Maybe', 'Not an option')).rejects.toThrow('Choice not found: Maybe');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('takes the vote back off when the response cannot be stored', async () => {
+    jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(question);
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    jest.spyOn(Response, 'create').mockRejectedValue(duplicate);
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+
+    await expect(question.addMultipleChoiceResponse('No', 'Racing myself')).rejects.toBe(duplicate);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: question._id, 'choices.text': 'No' },
+      { $inc: { 'choices.$.votes': -1, 'popularityMetrics.totalResponses': -1, 'popularityMetrics.trendingScore': -10 } }
+    );
+  });
+});
+
+describe('Question.replaceResponse', () => {
+  it('moves the vote between choices in one update', async () => {
+    const question = buildQuestion();
+    const existing = new Response({ question: question._id, questionType: 'multiple_choice', choice: 'Yes', explanation: 'First' });
+    jest.spyOn(existing, 'save').mockResolvedValue(existing);
+    const updated = buildQuestion({ _id: question._id, choices: [{ text: 'Yes', votes: 3 }, { text: 'No', votes: 3 }] });
+    const findOneAndUpdate = jest.spyOn(Question, 'findOneAndUpdate').mockResolvedValue(updated);
+
+    await expect(question.replaceResponse(existing, { choice: 'No', explanation: 'Changed my mind' })).resolves.toBe(updated);
+
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: question._id },
+      { $inc: { 'choices.$[previous].votes': -1, 'choices.$[next].votes': 1 } },
+      { arrayFilters: [{ 'previous.text': 'Yes' }, { 'next.text': 'No' }], new: true }
+    );
+    expect(existing.choice).toBe('No');
+    expect(existing.replacedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const Question = require('../models/Question');
+const Response = require('../models/Response');
+const questionRoutes = require('../routes/questions');
+const { getVoterIdentity, verifyVoterCookie, COOKIE_NAME } = require('../utils/voterIdentity');
+const { createApp, useSettings } = require('./helpers');
+
+// Our proxy appends the address it saw; anything before it came from the client
+const PROXY_SEEN_IP = '203.0.113.5';
+const forwardedFor = (spoofed) => `${spoofed}, ${PROXY_SEEN_IP}`;
+
+const identityApp = () => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.get('/identity', (req, res) => res.json(getVoterIdentity(req, res)));
+  return app;
+};
+
+describe('getVoterIdentity', () => {
+  it('issues a signed voter cookie to new visitors', async () => {
+    const response = await request(identityApp()).get('/identity');
+
+    expect(response.body.isNew).toBe(true);
+    const cookie = response.headers['set-cookie'][0].split(';')[0].split('=')[1];
+    expect(verifyVoterCookie(cookie)).toBe(response.body.voterId);
+  });
+
+  it('keeps the voter id of a visitor with a valid cookie', async () => {
+    const app = identityApp();
+    const first = await request(app).get('/identity');
+    const cookie = first.headers['set-cookie'][0].split(';')[0];
+
+    const second = await request(app).get('/identity').set('Cookie', cookie);
+
+    expect(second.body.isNew).toBe(false);
+    expect(second.body.voterId).toBe(first.body.voterId);
+  });
+
+  it('ignores a tampered cookie', () => {
+    expect(verifyVoterCookie('some-id.forged-signature')).toBeNull();
+  });
+
+  it('gives the same fingerprint whatever X-Forwarded-For the client sends', async () => {
+    const app = identityApp();
+
+    const first = await request(app).get('/identity')
+      .set('X-Forwarded-For', forwardedFor('198.51.100.1'))
+      .set('User-Agent', 'test-agent');
+    const second = await request(app).get('/identity')
+      .set('X-Forwarded-For', forwardedFor('198.51.100.2'))
+      .set('User-Agent', 'test-agent');
+
+    expect(second.body.fingerprint).toBe(first.body.fingerprint);
+  });
+
+  it('gives a different fingerprint to a different address', async () => {
+    const app = identityApp();
+
+    const first = await request(app).get('/identity').set('X-Forwarded-For', '198.51.100.1, 203.0.113.5');
+    const second = await request(app).get('/identity').set('X-Forwarded-For', '198.51.100.1, 203.0.113.6');
+
+    expect(second.body.fingerprint).not.toBe(first.body.fingerprint);
+  });
+});
+
+describe('POST /api/questions/:category/:slug/respond duplicate checks', () => {
+  const app = createApp('/api/questions', questionRoutes);
+  let question;
+
+  beforeEach(() => {
+    question = new Question({
+      title: 'Trolley',
+      slug: 'trolley',
+      category: 'ethics',
+      questionText: 'Pull the lever?',
+      questionType: 'multiple_choice',
+      status: 'published',
+      choices: [{ text: 'Yes' }, { text: 'No' }]
+    });
+    jest.spyOn(Question, 'findPublicByCategoryAndSlug').mockResolvedValue(question);
+    useSettings({ 'voting.duplicatePolicy': 'strict' });
+  });
+
+  it('does not treat a cookie-less client with a spoofed X-Forwarded-For as a new voter', async () => {
+    const earlierVote = new Response({ question: question._id, choice: 'Yes' });
+    const findExistingVote = jest.spyOn(Response, 'findExistingVote')
+      .mockImplementation(async (questionId, voter) => {
+        return findExistingVote.mock.calls[0][1].fingerprint === voter.fingerprint ? earlierVote : null;
+      });
+
+    const vote = (spoofed) => request(app)
+      .post('/api/questions/ethics/trolley/respond')
+      .set('X-Forwarded-For', forwardedFor(spoofed))
+      .set('User-Agent', 'test-agent')
+      .send({ choice: 'No', explanation: 'A second vote from the same person' });
+
+    await vote('198.51.100.1');
+    const response = await vote('198.51.100.2');
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_RESPONDED');
+    expect(findExistingVote.mock.calls[1][1].voterId).not.toBe(findExistingVote.mock.calls[0][1].voterId);
+  });
+
+  it('sets the voter cookie on the response', async () => {
+    jest.spyOn(Response, 'findExistingVote').mockResolvedValue(new Response({ choice: 'Yes' }));
+
+    const response = await request(app)
+      .post('/api/questions/ethics/trolley/respond')
+      .send({ choice: 'No', explanation: 'Already voted before' });
+
+    expect(response.headers['set-cookie'][0]).toMatch(new RegExp(`^${COOKIE_NAME}=`));
+  });
+});
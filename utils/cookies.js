@@ -0,0 +1,26 @@
+// utils/cookies.js
+
+/**
+ * Parse the Cookie header into a plain object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} - Cookie name/value pairs
+ */
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > -1) {
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+module.exports = {
+  parseCookies
+};
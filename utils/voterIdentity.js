@@ -0,0 +1,88 @@
+// utils/voterIdentity.js
+const crypto = require('crypto');
+const { parseCookies } = require('./cookies');
+
+const COOKIE_NAME = 'voter_id';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+let secret = process.env.VOTER_COOKIE_SECRET || process.env.JWT_SECRET;
+if (!secret) {
+  console.warn('VOTER_COOKIE_SECRET not configured. Voter cookies will not survive a restart.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+};
+
+/**
+ * Verify a signed voter cookie value
+ * @param {string} cookieValue - Value in the form `<id>.<signature>`
+ * @returns {string|null} - Voter id if the signature is valid
+ */
+const verifyVoterCookie = (cookieValue) => {
+  if (!cookieValue || typeof cookieValue !== 'string') return null;
+
+  const index = cookieValue.lastIndexOf('.');
+  if (index < 1) return null;
+
+  const voterId = cookieValue.slice(0, index);
+  const expected = Buffer.from(sign(voterId));
+  const actual = Buffer.from(cookieValue.slice(index + 1));
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return voterId;
+};
+
+/**
+ * Hash the client IP and user agent into a stable, non-reversible fingerprint
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {string} - Hex digest
+ */
+const createFingerprint = (ipAddress = '', userAgent = '') => {
+  return crypto.createHmac('sha256', secret)
+    .update(`${ipAddress}|${userAgent}`)
+    .digest('hex');
+};
+
+/**
+ * Resolve the anonymous voter for a request, issuing a signed cookie if needed.
+ * The fingerprint uses req.ip, which only trusts the X-Forwarded-For entry added
+ * by our own proxy ('trust proxy' in server.js), so clients can't spoof it.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{ voterId: string, fingerprint: string, isNew: boolean }}
+ */
+const getVoterIdentity = (req, res) => {
+  const cookies = parseCookies(req.headers.cookie);
+  let voterId = verifyVoterCookie(cookies[COOKIE_NAME]);
+  const isNew = !voterId;
+
+  if (isNew) {
+    voterId = crypto.randomUUID();
+    res.cookie(COOKIE_NAME, `${voterId}.${sign(voterId)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: COOKIE_MAX_AGE
+    });
+  }
+
+  return {
+    voterId,
+    fingerprint: createFingerprint(req.ip, req.headers['user-agent'] || ''),
+    isNew
+  };
+};
+
+module.exports = {
+  COOKIE_NAME,
+  parseCookies,
+  verifyVoterCookie,
+  createFingerprint,
+  getVoterIdentity
+};